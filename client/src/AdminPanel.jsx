@@ -1,15 +1,29 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 
 // ═══════════════════════════════════════════════════════════════════
 //  ADMIN PANEL — tzvetomir.dev Site Management
 //
 //  A terminal-themed admin dashboard for managing:
 //    • Guestbook entries (view, hide/show, delete)
-//    • Newsletter subscribers (view, remove)
+//    • Newsletter subscribers (view, filter, import from CSV, remove)
 //    • Contact messages (view, mark read, delete)
+//    • Newsletter campaigns (compose, preview, test, send, delivery log)
+//    • Blog posts (Markdown editor with live preview, publish / schedule)
+//    • Activity: the audit log of logins and admin changes
+//    • Team: invite admins and manage their roles (owners only)
+//    • Limits: who the rate limiters are throttling, with reset (owners only)
+//    • Full-text search over entries, subscribers and messages (top bar)
+//    • CSV / JSON / NDJSON exports of each list, with its filters
+//    • Multi-select with bulk actions on entries, subscribers and messages
+//    • Trash: deleted items can be restored until they're purged
+//    • Blocklist: IPs, IP ranges, emails and domains kept off the public forms
+//    • Trend charts of posts, signups and messages per day/week/month
 //
 //  Access: Navigate to /admin or add ?admin to the URL.
-//  Auth:   Single admin user, JWT-based sessions.
+//  Auth:   Team accounts with roles (owner / moderator / viewer),
+//          server-side sessions with short-lived JWTs renewed in the
+//          background (🖥 Sessions lists and ends them), optional TOTP
+//          two-factor login (🔐 2FA). Invite links land on ?invite=<token>.
 //
 //  This component is fully self-contained — it handles its own
 //  auth state, API calls, and rendering. Import it into App.jsx
@@ -56,6 +70,33 @@ const inputStyle = {
   width: "100%",
 };
 
+// Compact inputs for the filter bars above each list
+const filterInput = {
+  ...inputStyle,
+  width: "auto",
+  padding: "6px 10px",
+  fontSize: 11,
+  colorScheme: "dark",
+};
+
+// Rows fetched per page by the paginated lists
+const GUESTBOOK_PAGE_SIZE = 50;
+const GUESTBOOK_FILTER_DEFAULTS = { status: "all", visibility: "all", from: "", to: "" };
+
+// Guestbook moderation modes (setting "guestbook.moderationMode")
+const MODERATION_MODES = [
+  { value: "open", label: "Publish immediately" },
+  { value: "hold_suspicious", label: "Hold suspicious entries" },
+  { value: "hold_all", label: "Hold every entry" },
+];
+
+// Turns an API error (string or { field: message } map) into one line
+function errorText(error, fallback) {
+  if (!error) return fallback;
+  if (typeof error === "string") return error;
+  return Object.values(error)[0] || fallback;
+}
+
 // Helper to format ISO dates into readable strings
 function formatDate(dateStr) {
   if (!dateStr) return "—";
@@ -71,34 +112,109 @@ function formatDate(dateStr) {
 }
 
 
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN API CALLS
+//
+//  The dashboard calls /api/admin through adminFetch(). A 401 usually
+//  just means the access token expired (the laptop slept through the
+//  renewal): onLogout renews the session once and resolves to the new
+//  access token — or to null, having shown the login screen — and the
+//  request is sent again with it, so the click that hit the 401 isn't
+//  lost.
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * adminFetch — fetch() plus the renew-and-retry above. Resolves to the
+ * Response, or null if the session has ended (nothing more to do).
+ */
+async function adminFetch(url, options, onLogout) {
+  const res = await fetch(url, options);
+  if (res.status !== 401) return res;
+
+  const renewedToken = await onLogout();
+  if (!renewedToken) return null;
+
+  const retry = await fetch(url, { ...options, headers: { ...options.headers, Authorization: `Bearer ${renewedToken}` } });
+  if (retry.status !== 401) return retry;
+  onLogout();   // Still refused with a fresh token — the session is gone
+  return null;
+}
+
+/**
+ * useAdminRequest — the JSON call most tabs make to their part of the
+ * API (base, e.g. "/posts" for /api/admin/posts): errors become toasts.
+ * request(path, options) resolves to the response body, or null if
+ * the request failed.
+ */
+function useAdminRequest(base, { headers, onLogout, showToast }) {
+  return useCallback(async (path, options = {}) => {
+    try {
+      const res = await adminFetch(`${API_URL}/api/admin${base}${path}`, { headers, ...options }, onLogout);
+      if (!res) return null;
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(errorText(data.error, "Request failed."), "error");
+        return null;
+      }
+      return data;
+    } catch {
+      showToast("Network error — is the API running?", "error");
+      return null;
+    }
+  }, [base, headers, onLogout, showToast]);
+}
+
+
 // ═══════════════════════════════════════════════════════════════════
 //  LOGIN SCREEN
+//
+//  Two steps for accounts with two-factor login on: the password
+//  earns a short-lived challenge, and the authenticator code (or a
+//  recovery code) trades it for the session token.
 // ═══════════════════════════════════════════════════════════════════
-function LoginScreen({ onLogin }) {
-  const [username, setUsername] = useState("");
+function LoginScreen({ onLogin, initialUsername = "", notice = "" }) {
+  const [username, setUsername] = useState(initialUsername);
   const [password, setPassword] = useState("");
+  const [challenge, setChallenge] = useState(null);   // Set once the password step passed
+  const [code, setCode] = useState("");
+  const [useRecovery, setUseRecovery] = useState(false);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!username || !password) return;
+    if (challenge ? !code : !username || !password) return;
 
     setLoading(true);
     setError("");
 
     try {
-      const res = await fetch(`${API_URL}/api/admin/login`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ username, password }),
-      });
+      const res = challenge
+        ? await fetch(`${API_URL}/api/admin/login/2fa`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ challenge, code }),
+        })
+        : await fetch(`${API_URL}/api/admin/login`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ username, password }),
+        });
       const data = await res.json();
 
       if (res.ok && data.token) {
-        onLogin(data.token);
+        onLogin(data);
+      } else if (res.ok && data.twoFactorRequired) {
+        setChallenge(data.challenge);
+        setCode("");
       } else {
-        setError(data.error || "Login failed.");
+        // An expired challenge means starting over from the password
+        if (data.restart) {
+          setChallenge(null);
+          setPassword("");
+        }
+        setCode("");
+        setError(errorText(data.error, "Login failed."));
       }
     } catch {
       setError("Network error — is the API running?");
@@ -107,6 +223,14 @@ function LoginScreen({ onLogin }) {
     setLoading(false);
   };
 
+  const backToPassword = () => {
+    setChallenge(null);
+    setPassword("");
+    setCode("");
+    setUseRecovery(false);
+    setError("");
+  };
+
   return (
     <div style={{
       minHeight: "100vh",
@@ -156,33 +280,85 @@ function LoginScreen({ onLogin }) {
           </div>
         )}
 
-        <form onSubmit={handleSubmit} style={{ display: "flex", flexDirection: "column", gap: 12 }}>
-          <div>
-            <label style={{ color: TEXT_MUTED, fontSize: 11, display: "block", marginBottom: 4 }}>
-              Username
-            </label>
-            <input
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              style={inputStyle}
-              placeholder="admin"
-              autoFocus
-              autoComplete="username"
-            />
-          </div>
-          <div>
-            <label style={{ color: TEXT_MUTED, fontSize: 11, display: "block", marginBottom: 4 }}>
-              Password
-            </label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              style={inputStyle}
-              placeholder="••••••••••••"
-              autoComplete="current-password"
-            />
+        {notice && !error && (
+          <div style={{
+            background: `${ACCENT}15`,
+            border: `1px solid ${ACCENT}33`,
+            borderRadius: 6,
+            padding: "10px 14px",
+            color: ACCENT,
+            fontSize: 12,
+            marginBottom: 16,
+          }}>
+            ✓ {notice}
           </div>
+        )}
+
+        <form onSubmit={handleSubmit} style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+          {challenge ? (
+            <div>
+              <label style={{ color: TEXT_MUTED, fontSize: 11, display: "block", marginBottom: 4 }}>
+                {useRecovery ? "Recovery code" : "Code from your authenticator app"}
+              </label>
+              <input
+                key={useRecovery ? "recovery" : "totp"}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                style={{ ...inputStyle, letterSpacing: useRecovery ? 1 : 6, textAlign: "center", fontSize: 16 }}
+                placeholder={useRecovery ? "xxxx-xxxx" : "123456"}
+                inputMode={useRecovery ? "text" : "numeric"}
+                maxLength={useRecovery ? 20 : 6}
+                autoFocus
+                autoComplete="one-time-code"
+              />
+              <div style={{ display: "flex", justifyContent: "space-between", marginTop: 8 }}>
+                <button
+                  type="button"
+                  onClick={() => { setUseRecovery(!useRecovery); setCode(""); }}
+                  style={{ ...btnBase, background: "transparent", color: TEXT_MUTED, padding: 0, fontSize: 10 }}
+                >
+                  {useRecovery ? "Use the app code instead" : "Lost your phone? Use a recovery code"}
+                </button>
+                <button
+                  type="button"
+                  onClick={backToPassword}
+                  style={{ ...btnBase, background: "transparent", color: TEXT_MUTED, padding: 0, fontSize: 10 }}
+                >
+                  ← Back
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div>
+                <label style={{ color: TEXT_MUTED, fontSize: 11, display: "block", marginBottom: 4 }}>
+                  Username
+                </label>
+                <input
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  style={inputStyle}
+                  placeholder="admin"
+                  autoFocus={!initialUsername}
+                  autoComplete="username"
+                />
+              </div>
+              <div>
+                <label style={{ color: TEXT_MUTED, fontSize: 11, display: "block", marginBottom: 4 }}>
+                  Password
+                </label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  style={inputStyle}
+                  placeholder="••••••••••••"
+                  autoFocus={Boolean(initialUsername)}
+                  autoComplete="current-password"
+                />
+              </div>
+            </>
+          )}
           <button
             type="submit"
             disabled={loading}
@@ -197,7 +373,7 @@ function LoginScreen({ onLogin }) {
               opacity: loading ? 0.6 : 1,
             }}
           >
-            {loading ? "Authenticating..." : "Login →"}
+            {loading ? "Authenticating..." : challenge ? "Verify →" : "Login →"}
           </button>
         </form>
 
@@ -216,10 +392,140 @@ function LoginScreen({ onLogin }) {
 }
 
 
+// ═══════════════════════════════════════════════════════════════════
+//  ACCEPT INVITE — /admin?invite=<token>
+//
+//  Where an invite link lands: shows who the invite is for and lets
+//  them choose a password, then hands over to the login screen.
+// ═══════════════════════════════════════════════════════════════════
+function AcceptInviteScreen({ token, onDone }) {
+  const [invite, setInvite] = useState(null);      // { username, role, expiresAt }
+  const [password, setPassword] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/admin/invite/${encodeURIComponent(token)}`)
+      .then(async res => {
+        const data = await res.json();
+        if (res.ok) setInvite(data);
+        else setError(errorText(data.error, "This invite link doesn't work."));
+      })
+      .catch(() => setError("Network error — is the API running?"))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== repeat) {
+      setError("The passwords don't match.");
+      return;
+    }
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await fetch(`${API_URL}/api/admin/invite/${encodeURIComponent(token)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ password }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        onDone(data.username);
+        return;
+      }
+      setError(errorText(data.error, "Couldn't set the password."));
+    } catch {
+      setError("Network error — is the API running?");
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div style={{
+      minHeight: "100vh", background: BG_DEEP, fontFamily: FONT,
+      display: "flex", alignItems: "center", justifyContent: "center",
+    }}>
+      <div style={{
+        background: BG_CARD, border: `1px solid ${ACCENT}33`, borderRadius: 8,
+        padding: 40, width: 380, boxShadow: `0 0 40px ${ACCENT}08`,
+      }}>
+        <div style={{ color: ACCENT, fontSize: 13, marginBottom: 8, opacity: 0.7 }}>
+          {">"} passwd --new
+        </div>
+        <h1 style={{ color: "#fff", fontSize: 22, fontWeight: 700, marginBottom: 16 }}>
+          Join the admin team
+        </h1>
+
+        {invite && (
+          <div style={{ color: TEXT_MUTED, fontSize: 12, lineHeight: 1.6, marginBottom: 16 }}>
+            You're invited as <span style={{ color: ACCENT }}>{invite.role}</span>.
+            Your username is <span style={{ color: TEXT_PRIMARY }}>{invite.username}</span> —
+            choose a password (12+ characters) to activate it.
+          </div>
+        )}
+
+        {error && (
+          <div style={{
+            background: `${RED}15`, border: `1px solid ${RED}33`, borderRadius: 6,
+            padding: "10px 14px", color: RED, fontSize: 12, marginBottom: 16,
+          }}>
+            ✗ {error}
+          </div>
+        )}
+
+        {invite ? (
+          <form onSubmit={handleSubmit} style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+            <input type="text" value={invite.username} autoComplete="username" readOnly hidden />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              style={inputStyle}
+              placeholder="New password"
+              autoFocus
+              autoComplete="new-password"
+            />
+            <input
+              type="password"
+              value={repeat}
+              onChange={(e) => setRepeat(e.target.value)}
+              style={inputStyle}
+              placeholder="Repeat it"
+              autoComplete="new-password"
+            />
+            <button
+              type="submit"
+              disabled={loading || password.length < 12}
+              style={{
+                ...btnBase, background: ACCENT, color: BG_DEEP, padding: "12px",
+                fontSize: 13, fontWeight: 700, marginTop: 8,
+                opacity: loading || password.length < 12 ? 0.6 : 1,
+              }}
+            >
+              {loading ? "Saving..." : "Set password →"}
+            </button>
+          </form>
+        ) : (
+          !loading && (
+            <button onClick={() => onDone(null)} style={{ ...btnBase, background: `${ACCENT}15`, color: ACCENT }}>
+              Go to login →
+            </button>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
+
+
 // ═══════════════════════════════════════════════════════════════════
 //  STAT CARD — Dashboard overview widget
+//  `trend` (optional) is a series of counts drawn as a sparkline.
 // ═══════════════════════════════════════════════════════════════════
-function StatCard({ label, value, sub, color }) {
+function StatCard({ label, value, sub, color, trend }) {
   return (
     <div style={{
       background: BG_CARD,
@@ -230,17 +536,139 @@ function StatCard({ label, value, sub, color }) {
       minWidth: 160,
     }}>
       <div style={{ color: TEXT_MUTED, fontSize: 11, marginBottom: 6 }}>{label}</div>
-      <div style={{ color, fontSize: 28, fontWeight: 700 }}>{value}</div>
+      <div style={{ display: "flex", alignItems: "flex-end", justifyContent: "space-between", gap: 12 }}>
+        <div style={{ color, fontSize: 28, fontWeight: 700 }}>{value}</div>
+        {trend && <Sparkline values={trend} color={color} />}
+      </div>
       {sub && <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 4 }}>{sub}</div>}
     </div>
   );
 }
 
 
+// ═══════════════════════════════════════════════════════════════════
+//  CHARTS — plain SVG, no charting library
+//
+//  Sparkline draws a series as a line with a faint fill; BarChart
+//  draws one bar per bucket with a tooltip (<title>) on each. Both
+//  scale to the largest value, so an all-zero series is a flat line.
+// ═══════════════════════════════════════════════════════════════════
+function Sparkline({ values, color, width = 96, height = 28 }) {
+  if (values.length < 2) return null;
+  const max = Math.max(...values, 1);
+  const step = width / (values.length - 1);
+  // Keep a pixel of room so the stroke isn't clipped at the top/bottom
+  const points = values.map((v, i) => [i * step, height - 1 - (v / max) * (height - 2)]);
+  const line = points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" ");
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} aria-hidden="true" style={{ flexShrink: 0 }}>
+      <polygon points={`0,${height} ${line} ${width},${height}`} fill={`${color}18`} />
+      <polyline points={line} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+}
+
+function BarChart({ values, labels, color, height = 64 }) {
+  const max = Math.max(...values, 1);
+  const width = 100;   // viewBox units; the SVG stretches to its container
+  const slot = width / values.length;
+  const gap = values.length > 40 ? 0 : slot * 0.2;
+
+  return (
+    <svg width="100%" height={height} viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" role="img">
+      <line x1="0" y1={height - 0.5} x2={width} y2={height - 0.5} stroke={`${color}33`} strokeWidth="1" vectorEffect="non-scaling-stroke" />
+      {values.map((v, i) => {
+        const h = (v / max) * (height - 4);
+        return (
+          <rect
+            key={labels[i]}
+            x={i * slot + gap / 2}
+            y={height - h}
+            width={slot - gap}
+            height={Math.max(h, 0)}
+            fill={v > 0 ? color : "transparent"}
+            opacity={0.8}
+          >
+            <title>{`${labels[i]}: ${v}`}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  TRENDS — bar charts of activity per day, week or month
+//  Data comes from the Dashboard (GET /api/admin/stats/timeseries).
+// ═══════════════════════════════════════════════════════════════════
+const TREND_METRICS = [
+  { key: "guestbook", label: "Guestbook posts", color: MAGENTA },
+  { key: "subscriptions", label: "New subscribers", color: CYAN },
+  { key: "confirmations", label: "Confirmations", color: ACCENT },
+  { key: "unsubscribes", label: "Unsubscribes", color: RED },
+  { key: "contacts", label: "Contact messages", color: AMBER },
+];
+const TREND_INTERVALS = [
+  { value: "day", label: "30 days" },
+  { value: "week", label: "12 weeks" },
+  { value: "month", label: "12 months" },
+];
+
+function TrendsPanel({ trends, interval, onIntervalChange }) {
+  return (
+    <div style={{
+      background: BG_CARD, border: `1px solid ${ACCENT}15`, borderRadius: 8,
+      padding: "16px 20px", marginBottom: 28,
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 14, gap: 12, flexWrap: "wrap" }}>
+        <div style={{ color: ACCENT, fontSize: 12, fontWeight: 600 }}>$ trends --per {interval}</div>
+        <div style={{ display: "flex", gap: 4 }}>
+          {TREND_INTERVALS.map(opt => (
+            <button
+              key={opt.value}
+              onClick={() => onIntervalChange(opt.value)}
+              style={{
+                ...btnBase, fontSize: 10, padding: "4px 10px",
+                background: interval === opt.value ? `${ACCENT}22` : "transparent",
+                color: interval === opt.value ? ACCENT : TEXT_MUTED,
+              }}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!trends ? (
+        <div style={{ color: TEXT_MUTED, fontSize: 11, padding: "20px 0", textAlign: "center" }}>Loading...</div>
+      ) : (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 18 }}>
+          {TREND_METRICS.map(({ key, label, color }) => (
+            <div key={key}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 6 }}>
+                <span style={{ color: TEXT_MUTED, fontSize: 10 }}>{label}</span>
+                <span style={{ color, fontSize: 14, fontWeight: 700 }}>{trends.totals[key]}</span>
+              </div>
+              <BarChart values={trends.series[key]} labels={trends.buckets} color={color} />
+              <div style={{ display: "flex", justifyContent: "space-between", color: TEXT_MUTED, fontSize: 9, marginTop: 2 }}>
+                <span>{trends.buckets[0]}</span>
+                <span>{trends.buckets[trends.buckets.length - 1]}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
 // ═══════════════════════════════════════════════════════════════════
 //  CONFIRM DIALOG — prevents accidental deletes
 // ═══════════════════════════════════════════════════════════════════
-function ConfirmDialog({ message, onConfirm, onCancel }) {
+function ConfirmDialog({ message, confirmLabel = "Delete Permanently", onConfirm, onCancel }) {
   return (
     <div style={{
       position: "fixed", top: 0, left: 0, right: 0, bottom: 0,
@@ -258,24 +686,3755 @@ function ConfirmDialog({ message, onConfirm, onCancel }) {
         width: "90%",
         boxShadow: `0 8px 40px rgba(0,0,0,0.5)`,
       }}>
-        <div style={{ color: RED, fontSize: 13, fontWeight: 700, marginBottom: 4 }}>
-          ⚠ Confirm Action
+        <div style={{ color: RED, fontSize: 13, fontWeight: 700, marginBottom: 4 }}>
+          ⚠ Confirm Action
+        </div>
+        <p style={{ color: TEXT_PRIMARY, fontSize: 13, lineHeight: 1.6, marginBottom: 20 }}>
+          {message}
+        </p>
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button
+            onClick={onCancel}
+            style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            style={{ ...btnBase, background: RED, color: "#fff" }}
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  LOAD MORE — infinite scroll sentinel with a button fallback
+//
+//  Calls onLoadMore when it scrolls into view (or is clicked). Render
+//  it at the bottom of a paginated list while there are more pages.
+// ═══════════════════════════════════════════════════════════════════
+function LoadMore({ onLoadMore, loading, remaining, color = ACCENT }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node || loading || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver((items) => {
+      if (items.some(item => item.isIntersecting)) onLoadMore();
+    }, { rootMargin: "200px" });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [onLoadMore, loading]);
+
+  return (
+    <button
+      ref={ref}
+      onClick={onLoadMore}
+      disabled={loading}
+      style={{ ...btnBase, background: `${color}15`, color, marginTop: 8, opacity: loading ? 0.6 : 1 }}
+    >
+      {loading ? "Loading..." : `Load more (${remaining} remaining)`}
+    </button>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  MULTI-SELECT — checkbox selection for the bulk actions
+//
+//  useSelection(items, total) tracks which rows of a list are ticked.
+//  Shift-click ticks (or unticks) the whole range since the last
+//  click. "Select all matching" covers rows that aren't loaded yet:
+//  the bulk request then sends the list's filters instead of IDs, and
+//  the server picks the rows. Call clear() when the list is reloaded.
+// ═══════════════════════════════════════════════════════════════════
+function useSelection(items, total) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [allMatching, setAllMatching] = useState(false);
+  const anchor = useRef(null);   // Row clicked last, where a shift-click range starts
+
+  const isSelected = (id) => allMatching || selected.has(id);
+  const loadedSelected = items.length > 0 && items.every(item => isSelected(item.id));
+  // Every matching row is ticked, whether or not it's loaded
+  const everything = allMatching || (loadedSelected && items.length >= total);
+
+  const toggle = (id, shiftKey = false) => {
+    const base = allMatching ? new Set(items.map(item => item.id)) : selected;
+    const on = !base.has(id);
+    const next = new Set(base);
+
+    const from = shiftKey ? items.findIndex(item => item.id === anchor.current) : -1;
+    const to = items.findIndex(item => item.id === id);
+    const range = from === -1 ? [items[to]] : items.slice(Math.min(from, to), Math.max(from, to) + 1);
+    for (const item of range) {
+      if (on) next.add(item.id); else next.delete(item.id);
+    }
+
+    anchor.current = id;
+    setAllMatching(false);
+    setSelected(next);
+  };
+
+  const clear = useCallback(() => {
+    anchor.current = null;
+    setAllMatching(false);
+    setSelected(new Set());
+  }, []);
+
+  return {
+    count: allMatching ? total : selected.size,
+    allMatching,
+    loadedSelected,
+    isSelected,
+    toggle,
+    toggleLoaded: () => (loadedSelected ? clear() : setSelected(new Set(items.map(item => item.id)))),
+    selectAllMatching: () => setAllMatching(true),
+    clear,
+    // The part of a bulk request body that says which rows: { ids } or { filter }
+    target: (filter) => (everything ? { filter } : { ids: [...selected] }),
+  };
+}
+
+// The bar above a selectable list: tick-all, the count, "select all
+// matching", and the actions (children) once anything is selected
+function BulkBar({ selection, loaded, total, noun, children }) {
+  const { count, allMatching, loadedSelected } = selection;
+
+  return (
+    <div style={{
+      display: "flex", alignItems: "center", gap: 8, marginBottom: 10, flexWrap: "wrap",
+      fontSize: 11, color: TEXT_MUTED,
+    }}>
+      <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+        <input type="checkbox" checked={loadedSelected} onChange={selection.toggleLoaded} />
+        {count > 0 ? `${count} selected` : "Select all loaded"}
+      </label>
+      {loadedSelected && !allMatching && total > loaded && (
+        <button onClick={selection.selectAllMatching} style={{ ...btnBase, background: "transparent", color: CYAN, padding: "6px 4px" }}>
+          Select all {total} matching {noun}
+        </button>
+      )}
+      {count > 0 && (
+        <>
+          {children}
+          <button onClick={selection.clear} style={{ ...btnBase, background: "transparent", color: TEXT_MUTED }}>
+            Clear selection
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  SPAM INFO — score badge and the rules that fired
+//
+//  Shown under guestbook entries and contact messages that scored
+//  above zero, so it's clear why something was flagged or hidden.
+// ═══════════════════════════════════════════════════════════════════
+const SPAM_VERDICT_COLORS = { clean: TEXT_MUTED, flagged: AMBER, spam: RED };
+
+function SpamInfo({ item }) {
+  if (!item.spamScore) return null;
+  const color = SPAM_VERDICT_COLORS[item.spamVerdict] || TEXT_MUTED;
+  return (
+    <div style={{ display: "flex", alignItems: "baseline", gap: 8, marginTop: 6, fontSize: 10 }}>
+      <span style={{
+        background: `${color}22`, color, flexShrink: 0,
+        fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700,
+      }}>
+        {item.spamVerdict === "clean" ? "SCORE" : item.spamVerdict.toUpperCase()} {item.spamScore}
+      </span>
+      <span style={{ color: item.spamVerdict === "clean" ? TEXT_MUTED : color, opacity: 0.85 }}>
+        {item.flagReasons.join(" · ")}
+      </span>
+    </div>
+  );
+}
+
+// Number input that saves on blur / Enter instead of on every keystroke
+function ThresholdInput({ label, value, onSave, disabled }) {
+  const [draft, setDraft] = useState(String(value));
+  useEffect(() => setDraft(String(value)), [value]);
+
+  const commit = () => {
+    const next = parseInt(draft, 10);
+    if (isNaN(next) || next === value) return setDraft(String(value));
+    // Roll back if the server refused it (e.g. hide at or below flag)
+    onSave(next).then(saved => { if (!saved) setDraft(String(value)); });
+  };
+
+  return (
+    <label style={{ color: TEXT_MUTED, fontSize: 11, display: "flex", alignItems: "center", gap: 6 }}>
+      {label}
+      <input
+        type="number" min={1} max={100}
+        value={draft}
+        disabled={disabled}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+        style={{ ...filterInput, width: 56 }}
+      />
+    </label>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  CAMPAIGNS TAB — newsletter composer, send queue, delivery log
+//
+//  Three views share this tab:
+//    list       → every campaign with its status
+//    editor     → Markdown composer with server-rendered preview
+//    deliveries → per-recipient log for a sending/sent campaign
+// ═══════════════════════════════════════════════════════════════════
+const CAMPAIGN_STATUS_COLORS = {
+  draft: TEXT_MUTED, scheduled: AMBER, sending: CYAN, sent: ACCENT,
+};
+const DELIVERY_STATUS_COLORS = {
+  queued: TEXT_MUTED, pending: CYAN, sending: CYAN, sent: ACCENT, retrying: AMBER, failed: RED,
+};
+
+// ISO string → value for <input type="datetime-local"> (local time)
+function toLocalInput(dateStr) {
+  if (!dateStr) return "";
+  const d = new Date(dateStr);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function StatusBadge({ status, label, colors }) {
+  const color = colors[status] || TEXT_MUTED;
+  return (
+    <span style={{
+      background: `${color}22`, color,
+      fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700,
+      textTransform: "uppercase",
+    }}>
+      {label || status}
+    </span>
+  );
+}
+
+function CampaignsTab({ headers, campaigns, setCampaigns, onLogout, showToast, setConfirmDelete }) {
+  const [view, setView] = useState("list");          // list | editor | deliveries
+  const [draft, setDraft] = useState(null);           // Campaign being edited
+  const [preview, setPreview] = useState(null);       // { subject, html }
+  const [testEmail, setTestEmail] = useState("");
+  const [scheduleAt, setScheduleAt] = useState("");
+  const [busy, setBusy] = useState(null);              // Which button is working
+  const [log, setLog] = useState(null);                // { campaign, stats, deliveries, total }
+
+  const request = useAdminRequest("/campaigns", { headers, onLogout, showToast });
+
+  const reloadList = async () => {
+    const data = await request("");
+    if (data) setCampaigns(data.campaigns);
+  };
+
+  const openEditor = async (id) => {
+    setPreview(null);
+    setTestEmail("");
+    if (!id) {
+      setDraft({ subject: "", bodyMarkdown: "", status: "draft" });
+      setScheduleAt("");
+      setView("editor");
+      return;
+    }
+    const data = await request(`/${id}`);
+    if (!data) return;
+    setDraft(data.campaign);
+    setScheduleAt(toLocalInput(data.campaign.scheduledAt));
+    setView("editor");
+  };
+
+  const openLog = async (id) => {
+    const [detail, page] = await Promise.all([
+      request(`/${id}`),
+      request(`/${id}/deliveries?limit=100`),
+    ]);
+    if (!detail || !page) return;
+    setLog({ campaign: detail.campaign, stats: detail.stats, deliveries: page.deliveries, total: page.total });
+    setView("deliveries");
+  };
+
+  const loadMoreDeliveries = async () => {
+    const data = await request(`/${log.campaign.id}/deliveries?limit=100&offset=${log.deliveries.length}`);
+    if (data) setLog(prev => ({ ...prev, deliveries: [...prev.deliveries, ...data.deliveries] }));
+  };
+
+  // Saves the draft (create or update) and returns the saved campaign
+  const save = async () => {
+    const body = JSON.stringify({ subject: draft.subject, bodyMarkdown: draft.bodyMarkdown });
+    const data = draft.id
+      ? await request(`/${draft.id}`, { method: "PATCH", body })
+      : await request("", { method: "POST", body });
+    if (!data) return null;
+    setDraft(data.campaign);
+    reloadList();
+    return data.campaign;
+  };
+
+  const withBusy = (key, fn) => async () => {
+    setBusy(key);
+    await fn();
+    setBusy(null);
+  };
+
+  const handleSave = withBusy("save", async () => {
+    if (await save()) showToast("Draft saved.");
+  });
+
+  const handlePreview = withBusy("preview", async () => {
+    const data = await request("/preview", {
+      method: "POST",
+      body: JSON.stringify({ subject: draft.subject, bodyMarkdown: draft.bodyMarkdown }),
+    });
+    if (data) setPreview(data);
+  });
+
+  const handleTest = withBusy("test", async () => {
+    const saved = await save();
+    if (!saved) return;
+    const data = await request(`/${saved.id}/test`, {
+      method: "POST", body: JSON.stringify({ email: testEmail }),
+    });
+    if (data) showToast(data.message);
+  });
+
+  const handleSend = (schedule) => withBusy(schedule ? "schedule" : "send", async () => {
+    const saved = await save();
+    if (!saved) return;
+    const body = schedule ? { scheduledAt: new Date(scheduleAt).toISOString() } : {};
+    const data = await request(`/${saved.id}/send`, { method: "POST", body: JSON.stringify(body) });
+    if (!data) return;
+    showToast(data.message);
+    reloadList();
+    setView("list");
+  });
+
+  const handleUnschedule = withBusy("unschedule", async () => {
+    const data = await request(`/${draft.id}/unschedule`, { method: "POST" });
+    if (!data) return;
+    setDraft(data.campaign);
+    setScheduleAt("");
+    showToast(data.message);
+    reloadList();
+  });
+
+  const requestDelete = (campaign) => setConfirmDelete({
+    message: `Delete the campaign "${campaign.subject}"? This cannot be undone.`,
+    action: async () => {
+      const data = await request(`/${campaign.id}`, { method: "DELETE" });
+      if (data) {
+        setCampaigns(prev => prev.filter(c => c.id !== campaign.id));
+        showToast(data.message);
+        if (view === "editor") setView("list");
+      }
+    },
+  });
+
+  const labelStyle = { color: TEXT_MUTED, fontSize: 11, display: "block", marginBottom: 4 };
+  const smallInput = { ...inputStyle, padding: "8px 12px", fontSize: 12 };
+
+  // ── Editor view ───────────────────────────────────────────────
+  if (view === "editor" && draft) {
+    const locked = !["draft", "scheduled"].includes(draft.status);
+    return (
+      <div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+          <div style={{ color: ACCENT, fontSize: 12, opacity: 0.6 }}>
+            {">"} {draft.id ? `Editing campaign #${draft.id}` : "New campaign"}{" "}
+            <StatusBadge status={draft.status} colors={CAMPAIGN_STATUS_COLORS} />
+          </div>
+          <button onClick={() => { setView("list"); reloadList(); }} style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}>
+            ← All campaigns
+          </button>
+        </div>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+          <div>
+            <label style={labelStyle}>Subject</label>
+            <input
+              value={draft.subject}
+              onChange={(e) => setDraft({ ...draft, subject: e.target.value })}
+              disabled={locked}
+              style={inputStyle}
+              placeholder="What's new at tzvetomir.dev"
+            />
+          </div>
+
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+            <div style={{ flex: 1, minWidth: 320 }}>
+              <label style={labelStyle}>Body (Markdown)</label>
+              <textarea
+                value={draft.bodyMarkdown}
+                onChange={(e) => setDraft({ ...draft, bodyMarkdown: e.target.value })}
+                disabled={locked}
+                rows={18}
+                style={{ ...inputStyle, resize: "vertical", lineHeight: 1.5, fontSize: 13 }}
+                placeholder={"# Hello, friends\n\nHere's what I've been building..."}
+              />
+            </div>
+            {preview && (
+              <div style={{ flex: 1, minWidth: 320 }}>
+                <label style={labelStyle}>Preview — {preview.subject}</label>
+                <iframe
+                  title="Campaign preview"
+                  srcDoc={preview.html}
+                  sandbox=""
+                  style={{ width: "100%", height: 380, border: `1px solid ${ACCENT}33`, borderRadius: 6, background: BG_DEEP }}
+                />
+              </div>
+            )}
+          </div>
+
+          {!locked && (
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              <button onClick={handleSave} disabled={!!busy} style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT }}>
+                {busy === "save" ? "Saving..." : "Save draft"}
+              </button>
+              <button onClick={handlePreview} disabled={!!busy} style={{ ...btnBase, background: `${CYAN}22`, color: CYAN }}>
+                {busy === "preview" ? "Rendering..." : "Preview"}
+              </button>
+              {draft.id && (
+                <button onClick={() => requestDelete(draft)} disabled={!!busy} style={{ ...btnBase, background: `${RED}22`, color: RED }}>
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+
+          {!locked && (
+            <div style={{
+              display: "flex", gap: 16, flexWrap: "wrap",
+              background: BG_CARD, border: `1px solid ${ACCENT}15`, borderRadius: 6, padding: 14,
+            }}>
+              <div style={{ flex: 1, minWidth: 240 }}>
+                <label style={labelStyle}>Send a test to</label>
+                <div style={{ display: "flex", gap: 6 }}>
+                  <input value={testEmail} onChange={(e) => setTestEmail(e.target.value)} style={smallInput} placeholder="you@example.com" />
+                  <button onClick={handleTest} disabled={!!busy || !testEmail} style={{ ...btnBase, background: `${CYAN}22`, color: CYAN, flexShrink: 0 }}>
+                    {busy === "test" ? "Sending..." : "Send test"}
+                  </button>
+                </div>
+              </div>
+              <div style={{ flex: 1, minWidth: 240 }}>
+                <label style={labelStyle}>Schedule for</label>
+                <div style={{ display: "flex", gap: 6 }}>
+                  <input type="datetime-local" value={scheduleAt} onChange={(e) => setScheduleAt(e.target.value)} style={smallInput} />
+                  <button onClick={handleSend(true)} disabled={!!busy || !scheduleAt} style={{ ...btnBase, background: `${AMBER}22`, color: AMBER, flexShrink: 0 }}>
+                    {busy === "schedule" ? "Scheduling..." : "Schedule"}
+                  </button>
+                </div>
+                {draft.status === "scheduled" && (
+                  <button onClick={handleUnschedule} disabled={!!busy} style={{ ...btnBase, background: "transparent", color: AMBER, padding: "6px 0" }}>
+                    Unschedule ({formatDate(draft.scheduledAt)})
+                  </button>
+                )}
+              </div>
+              <div style={{ display: "flex", alignItems: "flex-end" }}>
+                <button
+                  onClick={() => setConfirmDelete({
+                    message: "Send this campaign to every confirmed subscriber now?",
+                    confirmLabel: "Send Now",
+                    action: handleSend(false),
+                  })}
+                  disabled={!!busy}
+                  style={{ ...btnBase, background: ACCENT, color: BG_DEEP, padding: "10px 18px" }}
+                >
+                  {busy === "send" ? "Queueing..." : "Send now →"}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // ── Delivery log view ─────────────────────────────────────────
+  if (view === "deliveries" && log) {
+    return (
+      <div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+          <div style={{ color: ACCENT, fontSize: 12, opacity: 0.6 }}>
+            {">"} Delivery log — {log.campaign.subject}
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <button onClick={() => openLog(log.campaign.id)} style={{ ...btnBase, background: `${CYAN}22`, color: CYAN }}>
+              ↻ Refresh
+            </button>
+            <button onClick={() => setView("list")} style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}>
+              ← All campaigns
+            </button>
+          </div>
+        </div>
+
+        <div style={{ display: "flex", gap: 12, marginBottom: 16, flexWrap: "wrap" }}>
+          {Object.entries(log.stats).map(([status, count]) => (
+            <div key={status} style={{
+              background: BG_CARD, border: `1px solid ${(DELIVERY_STATUS_COLORS[status] || TEXT_MUTED)}33`,
+              borderRadius: 6, padding: "8px 14px", fontSize: 11,
+            }}>
+              <span style={{ color: TEXT_MUTED }}>{status}</span>{" "}
+              <span style={{ color: DELIVERY_STATUS_COLORS[status] || TEXT_MUTED, fontWeight: 700 }}>{count}</span>
+            </div>
+          ))}
+        </div>
+
+        {log.deliveries.length === 0 ? (
+          <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
+            No recipients for this campaign.
+          </div>
+        ) : (
+          <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+            {log.deliveries.map(d => (
+              <div key={d.id} style={{
+                background: BG_CARD, borderRadius: 4, padding: "8px 14px",
+                display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, fontSize: 12,
+              }}>
+                <span style={{ color: CYAN }}>{d.email}</span>
+                <span style={{ color: TEXT_MUTED, fontSize: 10, flex: 1, textAlign: "right" }}>
+                  {d.lastError && <span style={{ color: RED, marginRight: 8 }} title={d.lastError}>{d.lastError.slice(0, 60)}</span>}
+                  {d.attempts > 1 && <span style={{ marginRight: 8 }}>{d.attempts} attempts</span>}
+                  {d.sentAt && formatDate(d.sentAt)}
+                </span>
+                <StatusBadge status={d.status} colors={DELIVERY_STATUS_COLORS} />
+              </div>
+            ))}
+            {log.deliveries.length < log.total && (
+              <button onClick={loadMoreDeliveries} style={{ ...btnBase, background: `${CYAN}15`, color: CYAN, marginTop: 8 }}>
+                Load more ({log.total - log.deliveries.length} remaining)
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // ── List view ─────────────────────────────────────────────────
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+        <div style={{ color: ACCENT, fontSize: 12, opacity: 0.6 }}>
+          {">"} {campaigns.length} campaigns
+        </div>
+        <button onClick={() => openEditor(null)} style={{ ...btnBase, background: ACCENT, color: BG_DEEP }}>
+          + New campaign
+        </button>
+      </div>
+      {campaigns.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
+          No campaigns yet. Write your first issue!
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          {campaigns.map(c => {
+            const editable = c.status === "draft" || c.status === "scheduled";
+            return (
+              <div key={c.id} style={{
+                background: BG_CARD,
+                border: `1px solid ${(CAMPAIGN_STATUS_COLORS[c.status] || TEXT_MUTED)}22`,
+                borderRadius: 6,
+                padding: "12px 18px",
+                display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16,
+              }}>
+                <div style={{ flex: 1 }}>
+                  <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 2 }}>
+                    <span style={{ color: TEXT_PRIMARY, fontWeight: 600, fontSize: 13 }}>{c.subject}</span>
+                    <StatusBadge status={c.status} colors={CAMPAIGN_STATUS_COLORS} />
+                  </div>
+                  <div style={{ color: TEXT_MUTED, fontSize: 10 }}>
+                    Created {formatDate(c.createdAt)}
+                    {c.status === "scheduled" && <span style={{ color: AMBER, marginLeft: 8 }}>Sends {formatDate(c.scheduledAt)}</span>}
+                    {c.sentAt && <span style={{ color: ACCENT, marginLeft: 8 }}>Sent {formatDate(c.sentAt)}</span>}
+                    {!editable && <span style={{ marginLeft: 8 }}>{c.recipientCount} recipients</span>}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+                  {editable ? (
+                    <>
+                      <button onClick={() => openEditor(c.id)} style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT }}>
+                        Edit
+                      </button>
+                      <button onClick={() => requestDelete(c)} style={{ ...btnBase, background: `${RED}22`, color: RED }}>
+                        Delete
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => openEditor(c.id)} style={{ ...btnBase, background: `${TEXT_MUTED}22`, color: TEXT_PRIMARY }}>
+                        View
+                      </button>
+                      <button onClick={() => openLog(c.id)} style={{ ...btnBase, background: `${CYAN}22`, color: CYAN }}>
+                        Delivery log
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  POSTS TAB — the blog: every post, and a Markdown editor
+//
+//  The preview beside the editor is rendered by the server
+//  (/api/admin/posts/preview) a moment after typing stops, so it is
+//  exactly the sanitized HTML and reading time /api/posts will serve.
+//  Viewers can read posts but not change them.
+// ═══════════════════════════════════════════════════════════════════
+const POST_STATUS_COLORS = { draft: TEXT_MUTED, scheduled: AMBER, published: ACCENT };
+const POST_STATUS_LABELS = { draft: "Draft", published: "Published", scheduled: "Scheduled" };
+const POST_PREVIEW_DEBOUNCE_MS = 400;
+const POST_DRAFT_DEFAULTS = { title: "", slug: "", tags: "", bodyMarkdown: "", status: "draft", publishedAt: "" };
+
+// The preview iframe's stylesheet — posts in the panel's terminal look
+const POST_PREVIEW_CSS = `
+  body { margin: 0; padding: 16px 20px; background: ${BG_TERMINAL}; color: ${TEXT_PRIMARY};
+         font-family: ${FONT}; font-size: 13px; line-height: 1.7; }
+  h1, h2, h3, h4, h5, h6 { color: ${ACCENT}; line-height: 1.3; margin: 1.2em 0 0.5em; }
+  a { color: ${CYAN}; }
+  code { background: ${BG_CARD}; color: ${AMBER}; padding: 1px 5px; border-radius: 3px; }
+  pre { background: ${BG_CARD}; border: 1px solid ${ACCENT}22; border-radius: 6px; padding: 12px; overflow-x: auto; }
+  pre code { background: none; color: ${TEXT_PRIMARY}; padding: 0; }
+  blockquote { border-left: 3px solid ${MAGENTA}; margin: 0; padding-left: 14px; color: ${TEXT_MUTED}; }
+  img { max-width: 100%; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid ${ACCENT}33; padding: 4px 10px; }
+  hr { border: none; border-top: 1px dashed ${ACCENT}44; }
+`;
+
+// API post → editor fields (tags as "a, b", dates for datetime-local)
+function postToDraft(post) {
+  return {
+    id: post.id,
+    title: post.title,
+    slug: post.slug,
+    tags: post.tags.join(", "),
+    bodyMarkdown: post.bodyMarkdown,
+    status: post.status,
+    publishedAt: toLocalInput(post.publishedAt),
+  };
+}
+
+// Editor fields → request body. A blank slug is made from the title.
+function draftToBody(draft) {
+  return {
+    title: draft.title,
+    slug: draft.slug,
+    bodyMarkdown: draft.bodyMarkdown,
+    tags: draft.tags.split(",").map(tag => tag.trim()).filter(Boolean),
+    status: draft.status,
+    publishedAt: draft.publishedAt ? new Date(draft.publishedAt).toISOString() : null,
+  };
+}
+
+function PostsTab({ headers, onLogout, showToast, setConfirmDelete, canModerate, refreshKey }) {
+  const [posts, setPosts] = useState(null);
+  const [draft, setDraft] = useState(null);           // Post being edited, as editor fields
+  const [savedDraft, setSavedDraft] = useState(null); // The same as last saved, to spot unsaved changes
+  const [preview, setPreview] = useState(null);       // { html, wordCount, readingMinutes }
+  const [busy, setBusy] = useState(null);
+
+  const request = useAdminRequest("/posts", { headers, onLogout, showToast });
+
+  const loadPosts = useCallback(async () => {
+    const data = await request("");
+    if (data) setPosts(data.posts);
+  }, [headers]);
+
+  useEffect(() => { loadPosts(); }, [loadPosts, refreshKey]);
+
+  // Live preview: debounced, and a stale response is dropped if the
+  // body changed again meanwhile
+  const body = draft ? draft.bodyMarkdown : "";
+  useEffect(() => {
+    if (!body.trim()) { setPreview(null); return; }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const data = await request("/preview", { method: "POST", body: JSON.stringify({ bodyMarkdown: body }) });
+      if (data && !cancelled) setPreview(data);
+    }, POST_PREVIEW_DEBOUNCE_MS);
+
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [body]);
+
+  const dirty = draft && savedDraft && JSON.stringify(draft) !== JSON.stringify(savedDraft);
+
+  const openEditor = async (id) => {
+    setPreview(null);
+    if (!id) {
+      setDraft(POST_DRAFT_DEFAULTS);
+      setSavedDraft(POST_DRAFT_DEFAULTS);
+      return;
+    }
+    const data = await request(`/${id}`);
+    if (!data) return;
+    setDraft(postToDraft(data.post));
+    setSavedDraft(postToDraft(data.post));
+  };
+
+  const closeEditor = () => {
+    const close = () => { setDraft(null); setSavedDraft(null); loadPosts(); };
+    if (!dirty) return close();
+    setConfirmDelete({ message: "Leave the editor? Your unsaved changes will be lost.", confirmLabel: "Discard changes", action: close });
+  };
+
+  const setField = (field) => (e) => setDraft(d => ({ ...d, [field]: e.target.value }));
+
+  const save = async () => {
+    setBusy("save");
+    const payload = JSON.stringify(draftToBody(draft));
+    const data = draft.id
+      ? await request(`/${draft.id}`, { method: "PATCH", body: payload })
+      : await request("", { method: "POST", body: payload });
+    setBusy(null);
+    if (!data) return;
+    setDraft(postToDraft(data.post));
+    setSavedDraft(postToDraft(data.post));
+    showToast(data.message);
+  };
+
+  const requestDelete = (post) => setConfirmDelete({
+    message: `Delete the post "${post.title}"? A copy stays in the activity log.`,
+    action: async () => {
+      const data = await request(`/${post.id}`, { method: "DELETE" });
+      if (!data) return;
+      setPosts(prev => prev.filter(p => p.id !== post.id));
+      if (draft && draft.id === post.id) { setDraft(null); setSavedDraft(null); }
+      showToast(data.message);
+    },
+  });
+
+  const labelStyle = { color: TEXT_MUTED, fontSize: 11, display: "block", marginBottom: 4 };
+
+  // ── Editor view ───────────────────────────────────────────────
+  if (draft) {
+    const saveLabel = draft.status === "draft" ? "Save draft"
+      : draft.status === "scheduled" ? "Save & schedule"
+      : savedDraft.status === "published" ? "Save" : "Save & publish";
+    return (
+      <div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+          <div style={{ color: ACCENT, fontSize: 12, opacity: 0.6 }}>
+            {">"} {draft.id ? `Editing post #${draft.id}` : "New post"}{" "}
+            <StatusBadge status={savedDraft.status} colors={POST_STATUS_COLORS} />
+            {dirty && <span style={{ color: AMBER, marginLeft: 8 }}>● unsaved</span>}
+          </div>
+          <button onClick={closeEditor} style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}>
+            ← All posts
+          </button>
+        </div>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+          <input
+            value={draft.title}
+            onChange={setField("title")}
+            disabled={!canModerate}
+            maxLength={200}
+            style={{ ...inputStyle, fontSize: 16, fontWeight: 600 }}
+            placeholder="Title"
+          />
+
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "flex-end" }}>
+            <div>
+              <label style={labelStyle}>/posts/</label>
+              <input
+                value={draft.slug}
+                onChange={setField("slug")}
+                disabled={!canModerate}
+                maxLength={120}
+                style={{ ...filterInput, width: 200 }}
+                placeholder="made from the title"
+              />
+            </div>
+            <div style={{ flex: 1, minWidth: 180 }}>
+              <label style={labelStyle}>Tags (comma-separated)</label>
+              <input
+                value={draft.tags}
+                onChange={setField("tags")}
+                disabled={!canModerate}
+                style={{ ...filterInput, width: "100%" }}
+                placeholder="react, dogs, life"
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Status</label>
+              <select value={draft.status} onChange={setField("status")} disabled={!canModerate} style={filterInput}>
+                {Object.entries(POST_STATUS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>
+                {draft.status === "scheduled" ? "Goes live at" : draft.status === "published" ? "Published (blank = now)" : "Planned date"}
+              </label>
+              <input
+                type="datetime-local"
+                value={draft.publishedAt}
+                onChange={setField("publishedAt")}
+                disabled={!canModerate}
+                style={filterInput}
+              />
+            </div>
+          </div>
+
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+            <div style={{ flex: 1, minWidth: 320 }}>
+              <label style={labelStyle}>Body (Markdown)</label>
+              <textarea
+                value={draft.bodyMarkdown}
+                onChange={setField("bodyMarkdown")}
+                disabled={!canModerate}
+                rows={22}
+                style={{ ...inputStyle, resize: "vertical", lineHeight: 1.5, fontSize: 13 }}
+                placeholder={"Hello, friends 🐾\n\n## What I've been building\n\n```js\nconsole.log(\"hi\");\n```"}
+              />
+            </div>
+            <div style={{ flex: 1, minWidth: 320 }}>
+              <label style={labelStyle}>
+                Preview{preview && ` — ~${preview.readingMinutes} min read · ${preview.wordCount} words`}
+              </label>
+              <iframe
+                title="Post preview"
+                srcDoc={`<style>${POST_PREVIEW_CSS}</style>${preview ? preview.html : ""}`}
+                sandbox=""
+                style={{ width: "100%", height: 440, border: `1px solid ${ACCENT}33`, borderRadius: 6, background: BG_TERMINAL }}
+              />
+            </div>
+          </div>
+
+          {canModerate && (
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              <button
+                onClick={save}
+                disabled={!!busy || !draft.title.trim() || !draft.bodyMarkdown.trim()}
+                style={{ ...btnBase, background: draft.status === "draft" ? `${ACCENT}22` : ACCENT, color: draft.status === "draft" ? ACCENT : BG_DEEP }}
+              >
+                {busy === "save" ? "Saving..." : saveLabel}
+              </button>
+              {draft.id && (
+                <button onClick={() => requestDelete(draft)} disabled={!!busy} style={{ ...btnBase, background: `${RED}22`, color: RED }}>
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // ── List view ─────────────────────────────────────────────────
+  if (!posts) {
+    return <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+        <div style={{ color: ACCENT, fontSize: 12, opacity: 0.6 }}>
+          {">"} {posts.filter(p => p.status === "published").length} published · {posts.filter(p => p.status !== "published").length} drafts & scheduled
+        </div>
+        {canModerate && (
+          <button onClick={() => openEditor(null)} style={{ ...btnBase, background: ACCENT, color: BG_DEEP }}>
+            + New post
+          </button>
+        )}
+      </div>
+      {posts.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
+          No posts yet. Write the first one!
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          {posts.map(post => (
+            <div key={post.id} style={{
+              background: BG_CARD,
+              border: `1px solid ${(POST_STATUS_COLORS[post.status] || TEXT_MUTED)}22`,
+              borderRadius: 6,
+              padding: "12px 18px",
+              display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16,
+            }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 2 }}>
+                  <span style={{ color: TEXT_PRIMARY, fontWeight: 600, fontSize: 13 }}>{post.title}</span>
+                  <StatusBadge status={post.status} colors={POST_STATUS_COLORS} />
+                </div>
+                <div style={{ color: TEXT_MUTED, fontSize: 10 }}>
+                  /posts/{post.slug}
+                  {post.tags.length > 0 && <span style={{ color: CYAN, marginLeft: 8 }}>{post.tags.map(tag => `#${tag}`).join(" ")}</span>}
+                  {post.status === "published" && <span style={{ color: ACCENT, marginLeft: 8 }}>Published {formatDate(post.publishedAt)}</span>}
+                  {post.status === "scheduled" && <span style={{ color: AMBER, marginLeft: 8 }}>Goes live {formatDate(post.publishedAt)}</span>}
+                  <span style={{ marginLeft: 8 }}>Edited {formatDate(post.updatedAt)}</span>
+                </div>
+              </div>
+              <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+                <button onClick={() => openEditor(post.id)} style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT }}>
+                  {canModerate ? "Edit" : "View"}
+                </button>
+                {canModerate && (
+                  <button onClick={() => requestDelete(post)} style={{ ...btnBase, background: `${RED}22`, color: RED }}>
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  CONTACT THREAD — replies to one contact message
+//
+//  Expands under a message in the contacts tab: every reply sent so
+//  far (with its delivery status from the outbox) and a reply box.
+//  onReplied gets the message's updated read/answered fields.
+// ═══════════════════════════════════════════════════════════════════
+function ContactThread({ contact, headers, onLogout, showToast, onReplied }) {
+  const [replies, setReplies] = useState(null);
+  const [body, setBody] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const url = `${API_URL}/api/admin/contacts/${contact.id}/replies`;
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await adminFetch(url, { headers }, onLogout);
+        if (!res) return;
+        const data = await res.json();
+        if (cancelled) return;
+        if (res.ok) setReplies(data.replies);
+        else showToast(errorText(data.error, "Failed to load the conversation."), "error");
+      } catch {
+        if (!cancelled) showToast("Failed to load the conversation.", "error");
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [url]);
+
+  const sendReply = async () => {
+    setSending(true);
+    try {
+      const res = await adminFetch(url, { method: "POST", headers, body: JSON.stringify({ body }) }, onLogout);
+      if (!res) return;
+      const data = await res.json();
+      if (res.ok) {
+        setReplies(prev => [...(prev || []), data.reply]);
+        setBody("");
+        onReplied(data.contact);
+        showToast(data.message, data.reply.status === "sent" ? "success" : "error");
+      } else {
+        showToast(errorText(data.error, "Failed to send reply."), "error");
+      }
+    } catch { showToast("Failed to send reply.", "error"); }
+    setSending(false);
+  };
+
+  return (
+    <div style={{ marginTop: 12, borderTop: `1px solid ${AMBER}22`, paddingTop: 12 }}>
+      {replies === null ? (
+        <div style={{ color: TEXT_MUTED, fontSize: 11 }}>Loading conversation...</div>
+      ) : replies.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, fontSize: 11 }}>No replies yet.</div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+          {replies.map(reply => (
+            <div key={reply.id} style={{
+              marginLeft: 24,
+              background: `${BG_TERMINAL}88`,
+              borderLeft: `2px solid ${DELIVERY_STATUS_COLORS[reply.status] || TEXT_MUTED}`,
+              borderRadius: 4,
+              padding: "10px 14px",
+            }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6, fontSize: 10, color: TEXT_MUTED }}>
+                <span style={{ color: CYAN }}>{reply.author}</span>
+                <span>{formatDate(reply.createdAt)}</span>
+                <StatusBadge status={reply.status} colors={DELIVERY_STATUS_COLORS} />
+                {reply.status !== "sent" && reply.lastError && (
+                  <span style={{ color: RED }} title={reply.lastError}>
+                    {reply.lastError.length > 60 ? `${reply.lastError.slice(0, 60)}…` : reply.lastError}
+                  </span>
+                )}
+              </div>
+              <div style={{ color: TEXT_PRIMARY, fontSize: 12, lineHeight: 1.6, whiteSpace: "pre-wrap", opacity: 0.85 }}>
+                {reply.body}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ marginTop: 12 }}>
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={5}
+          placeholder={`Reply to ${contact.name} <${contact.email}>...`}
+          style={{ ...inputStyle, resize: "vertical", lineHeight: 1.5, fontSize: 12 }}
+        />
+        <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 6 }}>
+          <button
+            onClick={sendReply}
+            disabled={sending || !body.trim()}
+            style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT, opacity: sending || !body.trim() ? 0.5 : 1 }}
+          >
+            {sending ? "Sending..." : "Send reply"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  CONTACTS TAB — inbox with labels, status workflow and archive
+//
+//  Messages are loaded a page at a time with the filters from the bar
+//  above the list (all applied server-side). Checkboxes select
+//  messages for the bulk bar: read, archive, labels, status, delete.
+// ═══════════════════════════════════════════════════════════════════
+const CONTACT_PAGE_SIZE = 50;
+const CONTACT_FILTER_DEFAULTS = {
+  status: "all", label: "", read: "all", archived: "false", spam: "exclude", from: "", to: "",
+};
+const CONTACT_STATUSES = [
+  { value: "new", label: "New" },
+  { value: "in_progress", label: "In progress" },
+  { value: "answered", label: "Answered" },
+  { value: "closed", label: "Closed" },
+];
+const CONTACT_STATUS_COLORS = {
+  new: AMBER, in_progress: CYAN, answered: ACCENT, closed: TEXT_MUTED,
+};
+
+function LabelChip({ label, onRemove }) {
+  return (
+    <span style={{
+      display: "inline-flex", alignItems: "center", gap: 4,
+      background: `${label.color}22`, color: label.color, border: `1px solid ${label.color}55`,
+      fontSize: 10, padding: "0 6px", borderRadius: 10,
+    }}>
+      {label.name}
+      {onRemove && (
+        <span onClick={onRemove} style={{ cursor: "pointer", opacity: 0.7 }} title={`Remove "${label.name}"`}>×</span>
+      )}
+    </span>
+  );
+}
+
+function ContactsTab({ headers, onLogout, showToast, setConfirmDelete, refreshStats, refreshKey }) {
+  const [messages, setMessages] = useState([]);
+  const [page, setPage] = useState({ total: 0, nextCursor: null, loading: true });
+  const [filters, setFilters] = useState(CONTACT_FILTER_DEFAULTS);
+  const [labels, setLabels] = useState([]);
+  const [openThread, setOpenThread] = useState(null);   // Contact id with replies expanded
+  const [showLabels, setShowLabels] = useState(false);
+  const [newLabel, setNewLabel] = useState({ name: "", color: "#02d7f2" });
+  const [busy, setBusy] = useState(null);
+  const selection = useSelection(messages, page.total);
+  const clearSelection = selection.clear;
+
+  const request = useAdminRequest("", { headers, onLogout, showToast });
+
+  // No cursor → first page (replaces the list and the selection)
+  const loadMessages = useCallback(async (cursor = null) => {
+    setPage(prev => ({ ...prev, loading: true }));
+    const params = new URLSearchParams({ limit: CONTACT_PAGE_SIZE, ...filters });
+    if (cursor) params.set("cursor", cursor);
+    const data = await request(`/contacts?${params}`);
+    if (data) {
+      setMessages(prev => cursor ? [...prev, ...data.messages] : data.messages);
+      setPage({ total: data.total, nextCursor: data.nextCursor, loading: false });
+      if (!cursor) clearSelection();
+    } else {
+      setPage(prev => ({ ...prev, loading: false }));
+    }
+  }, [filters, headers, clearSelection]);
+
+  const loadLabels = async () => {
+    const data = await request("/contact-labels");
+    if (data) setLabels(data.labels);
+  };
+
+  useEffect(() => { loadMessages(); }, [loadMessages, refreshKey]);
+  useEffect(() => { loadLabels(); }, [refreshKey]);
+
+  const loadMore = useCallback(() => {
+    if (page.nextCursor && !page.loading) loadMessages(page.nextCursor);
+  }, [page, loadMessages]);
+
+  // Would this message still show up under the current filters?
+  const matchesFilters = (msg) => (
+    (filters.status === "all" || msg.status === filters.status)
+    && (filters.read === "all" || msg.read === (filters.read === "read"))
+    && (filters.archived === "all" || msg.archived === (filters.archived === "true"))
+    && (!filters.label || msg.labels.some(l => l.id === Number(filters.label)))
+  );
+
+  // Swaps in an updated message, or drops it if it left the filtered view
+  const applyUpdate = (updated) => {
+    const merged = { ...messages.find(m => m.id === updated.id), ...updated };
+    if (matchesFilters(merged)) {
+      setMessages(prev => prev.map(m => m.id === updated.id ? merged : m));
+    } else {
+      setMessages(prev => prev.filter(m => m.id !== updated.id));
+      setPage(prev => ({ ...prev, total: prev.total - 1 }));
+    }
+  };
+
+  const updateMessage = async (id, changes) => {
+    setBusy(`ct-${id}`);
+    const data = await request(`/contacts/${id}`, { method: "PATCH", body: JSON.stringify(changes) });
+    if (data) {
+      applyUpdate(data.contact);
+      refreshStats();
+      if (changes.archived !== undefined || changes.status !== undefined) showToast(data.message);
+    }
+    setBusy(null);
+  };
+
+  // Adds the sender's IP hash and email address to the blocklist
+  const blockSender = async (msg) => {
+    const data = await request("/blocklist/sender", {
+      method: "POST",
+      body: JSON.stringify({ source: "contact", id: msg.id, reason: `Contact message #${msg.id}` }),
+    });
+    if (data) showToast(data.message);
+  };
+
+  const deleteMessage = async (id) => {
+    const data = await request(`/contacts/${id}`, { method: "DELETE" });
+    if (!data) return;
+    setMessages(prev => prev.filter(m => m.id !== id));
+    setPage(prev => ({ ...prev, total: prev.total - 1 }));
+    refreshStats();
+    showToast(data.message);
+  };
+
+  // ── Bulk actions ──────────────────────────────────────────────
+  // Acts on the ticked messages, or on everything matching the filters
+  const runBulk = async (body) => {
+    setBusy("bulk");
+    const data = await request("/contacts/bulk", {
+      method: "POST", body: JSON.stringify({ ...selection.target(filters), ...body }),
+    });
+    if (data) {
+      showToast(data.message);
+      await Promise.all([loadMessages(), loadLabels()]);
+      refreshStats();
+    }
+    setBusy(null);
+  };
+
+  // ── Label management ──────────────────────────────────────────
+  const createLabel = async () => {
+    const data = await request("/contact-labels", { method: "POST", body: JSON.stringify(newLabel) });
+    if (!data) return;
+    setLabels(prev => [...prev, data.label].sort((a, b) => a.name.localeCompare(b.name)));
+    setNewLabel({ name: "", color: newLabel.color });
+    showToast(data.message);
+  };
+
+  const deleteLabel = async (label) => {
+    const data = await request(`/contact-labels/${label.id}`, { method: "DELETE" });
+    if (!data) return;
+    setLabels(prev => prev.filter(l => l.id !== label.id));
+    setMessages(prev => prev.map(m => ({ ...m, labels: m.labels.filter(l => l.id !== label.id) })));
+    if (Number(filters.label) === label.id) setFilters(f => ({ ...f, label: "" }));
+    showToast(data.message);
+  };
+
+  const filtersActive = Object.keys(CONTACT_FILTER_DEFAULTS).some(k => filters[k] !== CONTACT_FILTER_DEFAULTS[k]);
+
+  return (
+    <div>
+      {/* ── Filters ───────────────────────────────────────────── */}
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginBottom: 12, flexWrap: "wrap" }}>
+        <div style={{ color: AMBER, fontSize: 12, opacity: 0.6 }}>
+          {">"} {page.total} messages{filtersActive ? " (filtered)" : ""}
+        </div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+          <select value={filters.archived} onChange={(e) => setFilters(f => ({ ...f, archived: e.target.value }))} style={filterInput}>
+            <option value="false">Inbox</option>
+            <option value="true">Archived</option>
+            <option value="all">Inbox + archive</option>
+          </select>
+          <select value={filters.status} onChange={(e) => setFilters(f => ({ ...f, status: e.target.value }))} style={filterInput}>
+            <option value="all">Any status</option>
+            {CONTACT_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+          <select value={filters.label} onChange={(e) => setFilters(f => ({ ...f, label: e.target.value }))} style={filterInput}>
+            <option value="">Any label</option>
+            {labels.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+          <select value={filters.read} onChange={(e) => setFilters(f => ({ ...f, read: e.target.value }))} style={filterInput}>
+            <option value="all">Read & unread</option>
+            <option value="unread">Unread</option>
+            <option value="read">Read</option>
+          </select>
+          <select value={filters.spam} onChange={(e) => setFilters(f => ({ ...f, spam: e.target.value }))} style={filterInput}>
+            <option value="exclude">Hide spam</option>
+            <option value="include">Include spam</option>
+            <option value="only">Spam only</option>
+          </select>
+          <input type="date" value={filters.from} onChange={(e) => setFilters(f => ({ ...f, from: e.target.value }))} style={filterInput} title="From" />
+          <span style={{ color: TEXT_MUTED, fontSize: 11 }}>→</span>
+          <input type="date" value={filters.to} onChange={(e) => setFilters(f => ({ ...f, to: e.target.value }))} style={filterInput} title="To" />
+          {filtersActive && (
+            <button onClick={() => setFilters(CONTACT_FILTER_DEFAULTS)} style={{ ...btnBase, background: "transparent", color: TEXT_MUTED }}>
+              Clear
+            </button>
+          )}
+          <button
+            onClick={() => setShowLabels(v => !v)}
+            style={{ ...btnBase, background: `${CYAN}15`, color: CYAN }}
+          >
+            {showLabels ? "Done" : "Labels"}
+          </button>
+          <ExportMenu
+            resource="contacts"
+            filters={filters}
+            headers={headers}
+            onLogout={onLogout}
+            showToast={showToast}
+            color={AMBER}
+          />
+        </div>
+      </div>
+
+      {/* ── Label manager ─────────────────────────────────────── */}
+      {showLabels && (
+        <div style={{
+          background: BG_CARD, border: `1px solid ${CYAN}22`, borderRadius: 6,
+          padding: "12px 14px", marginBottom: 12,
+        }}>
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 10 }}>
+            {labels.length === 0 && <span style={{ color: TEXT_MUTED, fontSize: 11 }}>No labels yet.</span>}
+            {labels.map(label => (
+              <LabelChip
+                key={label.id}
+                label={{ ...label, name: `${label.name} (${label.messageCount})` }}
+                onRemove={() => setConfirmDelete({
+                  message: `Delete the label "${label.name}"? It will be removed from ${label.messageCount} message(s); the messages stay.`,
+                  confirmLabel: "Delete label",
+                  action: () => deleteLabel(label),
+                })}
+              />
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <input
+              value={newLabel.name}
+              onChange={(e) => setNewLabel({ ...newLabel, name: e.target.value })}
+              onKeyDown={(e) => e.key === "Enter" && newLabel.name.trim() && createLabel()}
+              placeholder="New label, e.g. hiring"
+              maxLength={40}
+              style={{ ...filterInput, width: 200 }}
+            />
+            <input
+              type="color"
+              value={newLabel.color}
+              onChange={(e) => setNewLabel({ ...newLabel, color: e.target.value })}
+              style={{ ...filterInput, width: 36, padding: 2 }}
+            />
+            <button
+              onClick={createLabel}
+              disabled={!newLabel.name.trim()}
+              style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT, opacity: newLabel.name.trim() ? 1 : 0.5 }}
+            >
+              Add label
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* ── Bulk bar ──────────────────────────────────────────── */}
+      {messages.length > 0 && (
+        <BulkBar selection={selection} loaded={messages.length} total={page.total} noun="messages">
+          <button onClick={() => runBulk({ action: "read" })} disabled={busy === "bulk"}
+            style={{ ...btnBase, background: `${CYAN}15`, color: CYAN }}>
+            Mark read
+          </button>
+          <button onClick={() => runBulk({ action: "unread" })} disabled={busy === "bulk"}
+            style={{ ...btnBase, background: `${CYAN}15`, color: CYAN }}>
+            Mark unread
+          </button>
+          <button onClick={() => runBulk({ action: "archive" })} disabled={busy === "bulk"}
+            style={{ ...btnBase, background: `${AMBER}22`, color: AMBER }}>
+            Archive
+          </button>
+          <button onClick={() => runBulk({ action: "unarchive" })} disabled={busy === "bulk"}
+            style={{ ...btnBase, background: `${AMBER}15`, color: AMBER }}>
+            Unarchive
+          </button>
+          <select value="" disabled={busy === "bulk"} style={filterInput}
+            onChange={(e) => runBulk({ action: "add_label", labelId: Number(e.target.value) })}>
+            <option value="" disabled>+ Label…</option>
+            {labels.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+          <select value="" disabled={busy === "bulk"} style={filterInput}
+            onChange={(e) => runBulk({ action: "remove_label", labelId: Number(e.target.value) })}>
+            <option value="" disabled>− Label…</option>
+            {labels.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+          <select value="" disabled={busy === "bulk"} style={filterInput}
+            onChange={(e) => runBulk({ action: "set_status", status: e.target.value })}>
+            <option value="" disabled>Set status…</option>
+            {CONTACT_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+          <button
+            onClick={() => setConfirmDelete({
+              message: `Move ${selection.count} message(s) and their replies to the trash?`,
+              confirmLabel: "Move to trash",
+              action: () => runBulk({ action: "delete" }),
+            })}
+            disabled={busy === "bulk"}
+            style={{ ...btnBase, background: `${RED}22`, color: RED }}
+          >
+            Delete
+          </button>
+        </BulkBar>
+      )}
+
+      {/* ── Message list ──────────────────────────────────────── */}
+      {messages.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
+          {page.loading ? "Loading..." : filtersActive ? "No messages match these filters." : "No contact messages yet."}
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+          {messages.map(msg => {
+            const unlabeled = labels.filter(l => !msg.labels.some(ml => ml.id === l.id));
+            return (
+              <div key={msg.id} style={{
+                background: BG_CARD,
+                border: `1px solid ${msg.read ? `${AMBER}15` : `${AMBER}44`}`,
+                borderLeft: msg.read ? `3px solid ${AMBER}22` : `3px solid ${AMBER}`,
+                borderRadius: 6,
+                padding: "14px 18px",
+                opacity: msg.spamVerdict === "spam" || msg.archived ? 0.6 : 1,
+              }}>
+                <div style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "flex-start",
+                  marginBottom: 8,
+                }}>
+                  <div style={{ display: "flex", gap: 10 }}>
+                    <input
+                      type="checkbox"
+                      checked={selection.isSelected(msg.id)}
+                      onChange={(e) => selection.toggle(msg.id, e.nativeEvent.shiftKey)}
+                      style={{ marginTop: 3 }}
+                    />
+                    <div>
+                      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                        <span style={{ color: AMBER, fontWeight: 600, fontSize: 13 }}>{msg.name}</span>
+                        {!msg.read && (
+                          <span style={{
+                            background: AMBER, color: BG_DEEP,
+                            fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700,
+                          }}>
+                            NEW
+                          </span>
+                        )}
+                        <StatusBadge
+                          status={msg.status}
+                          label={CONTACT_STATUSES.find(s => s.value === msg.status)?.label}
+                          colors={CONTACT_STATUS_COLORS}
+                        />
+                        {msg.archived && <StatusBadge status="archived" colors={{}} />}
+                        {msg.labels.map(label => (
+                          <LabelChip
+                            key={label.id}
+                            label={label}
+                            onRemove={() => updateMessage(msg.id, {
+                              labelIds: msg.labels.filter(l => l.id !== label.id).map(l => l.id),
+                            })}
+                          />
+                        ))}
+                        {unlabeled.length > 0 && (
+                          <select
+                            value=""
+                            onChange={(e) => updateMessage(msg.id, {
+                              labelIds: [...msg.labels.map(l => l.id), Number(e.target.value)],
+                            })}
+                            style={{ ...filterInput, fontSize: 10, padding: "0 4px" }}
+                          >
+                            <option value="" disabled>+ label</option>
+                            {unlabeled.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                          </select>
+                        )}
+                      </div>
+                      <div style={{ color: CYAN, fontSize: 11, marginTop: 2 }}>{msg.email}</div>
+                    </div>
+                  </div>
+                  <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+                    <select
+                      value={msg.status}
+                      onChange={(e) => updateMessage(msg.id, { status: e.target.value })}
+                      disabled={busy === `ct-${msg.id}`}
+                      style={filterInput}
+                    >
+                      {CONTACT_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                    </select>
+                    <button
+                      onClick={() => setOpenThread(openThread === msg.id ? null : msg.id)}
+                      style={{ ...btnBase, background: `${CYAN}22`, color: CYAN }}
+                    >
+                      {openThread === msg.id ? "Close" : msg.replyCount ? `Thread (${msg.replyCount})` : "Reply"}
+                    </button>
+                    <button
+                      onClick={() => updateMessage(msg.id, { read: !msg.read })}
+                      disabled={busy === `ct-${msg.id}`}
+                      style={{
+                        ...btnBase,
+                        background: msg.read ? `${AMBER}22` : `${ACCENT}22`,
+                        color: msg.read ? AMBER : ACCENT,
+                      }}
+                    >
+                      {msg.read ? "Unread" : "Read"}
+                    </button>
+                    <button
+                      onClick={() => updateMessage(msg.id, { archived: !msg.archived })}
+                      disabled={busy === `ct-${msg.id}`}
+                      style={{ ...btnBase, background: `${AMBER}15`, color: AMBER }}
+                    >
+                      {msg.archived ? "Unarchive" : "Archive"}
+                    </button>
+                    <button
+                      onClick={() => setConfirmDelete({
+                        message: `Block ${msg.email} and their IP from the guestbook, newsletter and contact forms? The IP block is temporary — it ends when IP tags rotate.`,
+                        confirmLabel: "Block sender",
+                        action: () => blockSender(msg),
+                      })}
+                      style={{ ...btnBase, background: `${MAGENTA}15`, color: MAGENTA }}
+                    >
+                      Block
+                    </button>
+                    <button
+                      onClick={() => setConfirmDelete({
+                        message: `Move the message from ${msg.name} (${msg.email}) to the trash?`,
+                        confirmLabel: "Move to trash",
+                        action: () => deleteMessage(msg.id),
+                      })}
+                      style={{ ...btnBase, background: `${RED}22`, color: RED }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                <div style={{
+                  color: TEXT_MUTED, fontSize: 11, fontWeight: 600,
+                  marginBottom: 6,
+                }}>
+                  Subject: {msg.subject}
+                </div>
+                <div style={{
+                  color: TEXT_PRIMARY, fontSize: 12, lineHeight: 1.6,
+                  opacity: 0.85,
+                  background: `${BG_TERMINAL}88`,
+                  padding: "10px 14px",
+                  borderRadius: 4,
+                  whiteSpace: "pre-wrap",
+                }}>
+                  {msg.message}
+                </div>
+                <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 8 }}>
+                  {formatDate(msg.createdAt)}
+                  {msg.ipTag && <span style={{ marginLeft: 8 }}>IP: {msg.ipTag}...</span>}
+                </div>
+                <SpamInfo item={msg} />
+                {openThread === msg.id && (
+                  <ContactThread
+                    contact={msg}
+                    headers={headers}
+                    onLogout={onLogout}
+                    showToast={showToast}
+                    onReplied={(updated) => {
+                      applyUpdate({ ...updated, replyCount: (msg.replyCount || 0) + 1 });
+                      refreshStats();
+                    }}
+                  />
+                )}
+              </div>
+            );
+          })}
+          {page.nextCursor && (
+            <LoadMore
+              onLoadMore={loadMore}
+              loading={page.loading}
+              remaining={page.total - messages.length}
+              color={AMBER}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  TRASH TAB — deleted entries, subscribers and messages
+//
+//  Deleting in the other tabs moves things here instead of removing
+//  them. From here they can be restored to their list or deleted for
+//  good; whatever is left is purged automatically once the server's
+//  retention period (TRASH_RETENTION_DAYS) has passed.
+// ═══════════════════════════════════════════════════════════════════
+const TRASH_PAGE_SIZE = 50;
+const TRASH_TYPES = [
+  { value: "guestbook", label: "Guestbook", color: MAGENTA, noun: "entries" },
+  { value: "newsletter", label: "Subscribers", color: CYAN, noun: "subscribers" },
+  { value: "contacts", label: "Messages", color: AMBER, noun: "messages" },
+];
+
+// The line that identifies a trashed row, whatever its type
+function TrashItemSummary({ type, item, color }) {
+  if (type === "newsletter") {
+    return <div style={{ color, fontSize: 13, fontWeight: 500 }}>{item.email}</div>;
+  }
+  return (
+    <>
+      <div style={{ display: "flex", gap: 8, alignItems: "baseline", flexWrap: "wrap" }}>
+        <span style={{ color, fontWeight: 600, fontSize: 13 }}>{item.name}</span>
+        {type === "contacts" && <span style={{ color: TEXT_MUTED, fontSize: 11 }}>{item.email} — {item.subject}</span>}
+      </div>
+      <div style={{
+        color: TEXT_PRIMARY, fontSize: 12, lineHeight: 1.5, marginTop: 4, opacity: 0.75,
+        overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+      }}>
+        {item.message}
+      </div>
+    </>
+  );
+}
+
+function TrashTab({ headers, onLogout, showToast, setConfirmDelete, refreshStats, onRestored, counts, canModerate, refreshKey }) {
+  const [type, setType] = useState("guestbook");
+  const [items, setItems] = useState([]);
+  const [page, setPage] = useState({ total: 0, nextCursor: null, loading: true });
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const selection = useSelection(items, page.total);
+  const clearSelection = selection.clear;
+  const { color, noun } = TRASH_TYPES.find(t => t.value === type);
+
+  const request = useAdminRequest("", { headers, onLogout, showToast });
+
+  // No cursor → first page (replaces the list and the selection)
+  const loadItems = useCallback(async (cursor = null) => {
+    setPage(prev => ({ ...prev, loading: true }));
+    const params = new URLSearchParams({ type, limit: TRASH_PAGE_SIZE });
+    if (cursor) params.set("cursor", cursor);
+    const data = await request(`/trash?${params}`);
+    if (data) {
+      setItems(prev => cursor ? [...prev, ...data.items] : data.items);
+      setPage({ total: data.total, nextCursor: data.nextCursor, loading: false });
+      setRetentionDays(data.retentionDays);
+      if (!cursor) clearSelection();
+    } else {
+      setPage(prev => ({ ...prev, loading: false }));
+    }
+  }, [type, headers, clearSelection]);
+
+  useEffect(() => { loadItems(); }, [loadItems, refreshKey]);
+
+  const loadMore = useCallback(() => {
+    if (page.nextCursor && !page.loading) loadItems(page.nextCursor);
+  }, [page, loadItems]);
+
+  // Restores or purges `target` ({ ids } or { all: true }), then reloads
+  const run = async (action, target) => {
+    setBusy(true);
+    const data = await request(`/trash/${action}`, {
+      method: "POST", body: JSON.stringify({ type, ...target }),
+    });
+    if (data) {
+      showToast(data.message);
+      await loadItems();
+      refreshStats();
+      if (action === "restore") onRestored(type);
+    }
+    setBusy(false);
+  };
+
+  // The selection as a request target — "all matching" is the whole trash of this type
+  const selectedTarget = () => {
+    const target = selection.target({});
+    return target.ids ? target : { all: true };
+  };
+
+  const confirmPurge = (target, what) => setConfirmDelete({
+    message: `Permanently delete ${what}? This cannot be undone.`,
+    action: () => run("purge", target),
+  });
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginBottom: 12, flexWrap: "wrap" }}>
+        <div style={{ display: "flex", gap: 6 }}>
+          {TRASH_TYPES.map(t => (
+            <button
+              key={t.value}
+              onClick={() => setType(t.value)}
+              style={{
+                ...btnBase,
+                background: type === t.value ? `${t.color}22` : "transparent",
+                color: type === t.value ? t.color : TEXT_MUTED,
+                border: `1px solid ${type === t.value ? `${t.color}44` : "transparent"}`,
+              }}
+            >
+              {t.label}{counts ? ` (${counts[t.value]})` : ""}
+            </button>
+          ))}
+        </div>
+        {canModerate && page.total > 0 && (
+          <button
+            onClick={() => confirmPurge({ all: true }, `all ${page.total} ${noun} in the trash`)}
+            disabled={busy}
+            style={{ ...btnBase, background: `${RED}22`, color: RED }}
+          >
+            Empty trash
+          </button>
+        )}
+      </div>
+      {retentionDays !== null && (
+        <div style={{ color: TEXT_MUTED, fontSize: 11, marginBottom: 12 }}>
+          Deleted items stay here for {retentionDays} days, then they're removed for good.
+        </div>
+      )}
+
+      {canModerate && items.length > 0 && (
+        <BulkBar selection={selection} loaded={items.length} total={page.total} noun={noun}>
+          <button
+            onClick={() => run("restore", selectedTarget())}
+            disabled={busy}
+            style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT }}
+          >
+            Restore
+          </button>
+          <button
+            onClick={() => confirmPurge(selectedTarget(), `${selection.count} ${noun}`)}
+            disabled={busy}
+            style={{ ...btnBase, background: `${RED}22`, color: RED }}
+          >
+            Delete forever
+          </button>
+        </BulkBar>
+      )}
+
+      {items.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
+          {page.loading ? "Loading..." : `No ${noun} in the trash.`}
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          {items.map(item => (
+            <div key={item.id} style={{
+              background: BG_CARD, border: `1px solid ${color}22`, borderRadius: 6,
+              padding: "12px 18px", display: "flex", alignItems: "flex-start", gap: 16,
+            }}>
+              {canModerate && (
+                <input
+                  type="checkbox"
+                  checked={selection.isSelected(item.id)}
+                  onChange={(e) => selection.toggle(item.id, e.nativeEvent.shiftKey)}
+                  style={{ marginTop: 3 }}
+                />
+              )}
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <TrashItemSummary type={type} item={item} color={color} />
+                <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 4 }}>
+                  Deleted {formatDate(item.deletedAt)}{item.deletedBy ? ` by ${item.deletedBy}` : ""}
+                  {" · "}gone for good {formatDate(item.purgeAt)}
+                </div>
+              </div>
+              {canModerate && (
+                <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+                  <button
+                    onClick={() => run("restore", { ids: [item.id] })}
+                    disabled={busy}
+                    style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT }}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => confirmPurge({ ids: [item.id] }, "this item")}
+                    disabled={busy}
+                    style={{ ...btnBase, background: `${RED}22`, color: RED }}
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+          {page.nextCursor && (
+            <LoadMore onLoadMore={loadMore} loading={page.loading} remaining={page.total - items.length} color={color} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  BLOCKLIST TAB — senders turned away from the public forms
+//
+//  Rules block an IP hash (by IP tag), an IP range, an email address
+//  or a whole email domain from the guestbook, newsletter and contact
+//  forms. "Block" on a guestbook entry or message adds its sender
+//  here. Each rule counts the submissions it has rejected.
+//
+//  IP tags rotate (a day by default), and an IP tag rule ends with its
+//  tag: the server caps its expiry there, and the tab labels it as
+//  temporary instead of offering longer durations.
+// ═══════════════════════════════════════════════════════════════════
+const BLOCK_KINDS = [
+  { value: "ip_hash", label: "IP tag", placeholder: "3e48ef9d", color: MAGENTA },
+  { value: "cidr", label: "IP range", placeholder: "203.0.113.0/24", color: CYAN },
+  { value: "email", label: "Email", placeholder: "someone@example.com", color: AMBER },
+  { value: "domain", label: "Domain", placeholder: "example.com", color: ACCENT },
+];
+const BLOCK_DURATIONS = [
+  { value: "", label: "Never expires" },
+  { value: "1", label: "1 day" },
+  { value: "7", label: "7 days" },
+  { value: "30", label: "30 days" },
+];
+
+// Days from now → ISO date for expiresAt (null = never)
+const expiryIn = (days) => (days ? new Date(Date.now() + Number(days) * 86400000).toISOString() : null);
+
+function BlocklistTab({ headers, onLogout, showToast, setConfirmDelete, canModerate, refreshKey }) {
+  const [rules, setRules] = useState(null);
+  const [totalHits, setTotalHits] = useState(0);
+  const [ipTagsRotateAt, setIpTagsRotateAt] = useState(null);
+  const [form, setForm] = useState({ kind: "ip_hash", value: "", reason: "", days: "" });
+  const [busy, setBusy] = useState(null);
+
+  const request = useAdminRequest("/blocklist", { headers, onLogout, showToast });
+
+  const loadRules = useCallback(async () => {
+    const data = await request("");
+    if (data) {
+      setRules(data.rules);
+      setTotalHits(data.totalHits);
+      setIpTagsRotateAt(data.ipTagsRotateAt);
+    }
+  }, [headers]);
+
+  useEffect(() => { loadRules(); }, [loadRules, refreshKey]);
+
+  const addRule = async (e) => {
+    e.preventDefault();
+    setBusy("add");
+    const data = await request("", {
+      method: "POST",
+      body: JSON.stringify({
+        kind: form.kind, value: form.value, reason: form.reason,
+        expiresAt: form.kind === "ip_hash" ? null : expiryIn(form.days),   // Ends when the tag rotates
+      }),
+    });
+    if (data) {
+      setRules(prev => [data.rule, ...prev]);
+      setForm({ ...form, value: "", reason: "" });
+      showToast(data.message);
+    }
+    setBusy(null);
+  };
+
+  const setExpiry = async (rule, days) => {
+    setBusy(`rule-${rule.id}`);
+    const data = await request(`/${rule.id}`, { method: "PATCH", body: JSON.stringify({ expiresAt: expiryIn(days) }) });
+    if (data) {
+      setRules(prev => prev.map(r => r.id === rule.id ? data.rule : r));
+      showToast(data.message);
+    }
+    setBusy(null);
+  };
+
+  const removeRule = async (rule) => {
+    const data = await request(`/${rule.id}`, { method: "DELETE" });
+    if (data) {
+      setRules(prev => prev.filter(r => r.id !== rule.id));
+      showToast(data.message);
+    }
+  };
+
+  if (!rules) {
+    return <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>Loading...</div>;
+  }
+
+  const kindInfo = (kind) => BLOCK_KINDS.find(k => k.value === kind) || BLOCK_KINDS[0];
+
+  return (
+    <div>
+      {canModerate && (
+        <form onSubmit={addRule} style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 14 }}>
+          <select value={form.kind} onChange={(e) => setForm({ ...form, kind: e.target.value })} style={filterInput}>
+            {BLOCK_KINDS.map(k => <option key={k.value} value={k.value}>{k.label}</option>)}
+          </select>
+          <input
+            value={form.value}
+            onChange={(e) => setForm({ ...form, value: e.target.value })}
+            placeholder={kindInfo(form.kind).placeholder}
+            style={{ ...filterInput, flex: 1, minWidth: 160 }}
+          />
+          <input
+            value={form.reason}
+            onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            placeholder="Reason (optional)"
+            maxLength={200}
+            style={{ ...filterInput, flex: 1, minWidth: 140 }}
+          />
+          {form.kind === "ip_hash" ? (
+            <span style={{ color: TEXT_MUTED, fontSize: 11, alignSelf: "center" }}>
+              Temporary — until the tag rotates{ipTagsRotateAt && ` (${formatDate(ipTagsRotateAt)})`}
+            </span>
+          ) : (
+            <select value={form.days} onChange={(e) => setForm({ ...form, days: e.target.value })} style={filterInput}>
+              {BLOCK_DURATIONS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+            </select>
+          )}
+          <button
+            type="submit"
+            disabled={busy === "add" || !form.value.trim()}
+            style={{ ...btnBase, background: `${RED}22`, color: RED }}
+          >
+            Block
+          </button>
+        </form>
+      )}
+
+      <div style={{ color: TEXT_MUTED, fontSize: 11, marginBottom: 12 }}>
+        {rules.filter(r => r.status === "active").length} active rules · {totalHits} submissions rejected so far
+      </div>
+
+      {rules.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>Nobody is blocked.</div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          {rules.map(rule => {
+            const { label, color } = kindInfo(rule.kind);
+            const expired = rule.status === "expired";
+            return (
+              <div key={rule.id} style={{
+                background: BG_CARD, border: `1px solid ${color}22`, borderRadius: 6,
+                padding: "10px 16px", display: "flex", alignItems: "center", gap: 14,
+                opacity: expired ? 0.55 : 1,
+              }}>
+                <StatusBadge status={rule.kind} label={label} colors={{ [rule.kind]: color }} />
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ color: TEXT_PRIMARY, fontSize: 13 }}>
+                    {rule.value}{rule.kind === "ip_hash" ? "..." : ""}
+                    {rule.reason && <span style={{ color: TEXT_MUTED, fontSize: 11, marginLeft: 10 }}>— {rule.reason}</span>}
+                  </div>
+                  <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 3 }}>
+                    Added {formatDate(rule.createdAt)} by {rule.createdBy}
+                    {" · "}{rule.expiresAt ? `${expired ? "expired" : "expires"} ${formatDate(rule.expiresAt)}` : "never expires"}
+                    {rule.rotatesAt && !expired && (
+                      <span style={{ color: MAGENTA }}> · temporary: IP tags rotate {formatDate(rule.rotatesAt)}</span>
+                    )}
+                  </div>
+                </div>
+                <div style={{ textAlign: "right", flexShrink: 0 }}>
+                  <div style={{ color: rule.hits ? RED : TEXT_MUTED, fontSize: 14, fontWeight: 700 }}>{rule.hits}</div>
+                  <div style={{ color: TEXT_MUTED, fontSize: 9 }}>
+                    {rule.lastHitAt ? `last ${formatDate(rule.lastHitAt)}` : "rejected"}
+                  </div>
+                </div>
+                {canModerate && (
+                  <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+                    {/* An IP tag rule can't outlast its tag — nothing to extend */}
+                    {rule.kind !== "ip_hash" && (
+                      <select
+                        value=""
+                        onChange={(e) => setExpiry(rule, e.target.value === "never" ? null : e.target.value)}
+                        disabled={busy === `rule-${rule.id}`}
+                        style={{ ...filterInput, fontSize: 10 }}
+                      >
+                        <option value="" disabled>{expired ? "Renew…" : "Expiry…"}</option>
+                        <option value="never">Never expire</option>
+                        {BLOCK_DURATIONS.slice(1).map(d => <option key={d.value} value={d.value}>{d.label} from now</option>)}
+                      </select>
+                    )}
+                    <button
+                      onClick={() => setConfirmDelete({
+                        message: `Unblock ${label.toLowerCase()} ${rule.value}${rule.kind === "ip_hash" ? "..." : ""}?`,
+                        confirmLabel: "Unblock",
+                        action: () => removeRule(rule),
+                      })}
+                      style={{ ...btnBase, background: `${RED}22`, color: RED }}
+                    >
+                      Unblock
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  ACTIVITY TAB — the admin audit log
+//
+//  Every login (and failed attempt) and every change made here, with
+//  who, when, from which IP, and what the target looked like before.
+//  Read-only: the API has no way to edit or remove entries.
+// ═══════════════════════════════════════════════════════════════════
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_FILTER_DEFAULTS = { action: "", actor: "", from: "", to: "" };
+
+// Action prefixes for the filter (matched with startsWith on the server)
+const AUDIT_ACTION_GROUPS = [
+  { value: "", label: "All activity" },
+  { value: "login", label: "Logins" },
+  { value: "login_failed", label: "Failed logins" },
+  { value: "guestbook.", label: "Guestbook" },
+  { value: "subscriber.", label: "Subscribers" },
+  { value: "contact.", label: "Messages" },
+  { value: "label.", label: "Labels" },
+  { value: "campaign.", label: "Campaigns" },
+  { value: "post.", label: "Posts" },
+  { value: "settings.", label: "Settings" },
+  { value: "user.", label: "Team" },
+  { value: "2fa.", label: "Two-factor" },
+  { value: "session.", label: "Sessions" },
+  { value: "trash.", label: "Trash auto-purge" },
+  { value: "rate_limit.", label: "Rate limit resets" },
+  { value: "blocklist.", label: "Blocklist" },
+  { value: "webhook.", label: "Webhooks" },
+];
+
+function auditColor(action) {
+  if (action === "login_failed") return AMBER;
+  if (action === "login") return CYAN;
+  if (action.endsWith("delete") || action.includes("purge") || action === "session.reuse") return RED;
+  return ACCENT;
+}
+
+function ActivityTab({ headers, onLogout, showToast, refreshKey }) {
+  const [events, setEvents] = useState([]);
+  const [page, setPage] = useState({ total: 0, nextCursor: null, loading: true });
+  const [filters, setFilters] = useState(AUDIT_FILTER_DEFAULTS);
+  const [actorInput, setActorInput] = useState("");
+  const [expanded, setExpanded] = useState(null);   // Event id with its snapshot shown
+
+  // Typing in the actor box only filters once it pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setFilters(f => ({ ...f, actor: actorInput.trim() })), 400);
+    return () => clearTimeout(timer);
+  }, [actorInput]);
+
+  const loadEvents = useCallback(async (cursor = null) => {
+    setPage(prev => ({ ...prev, loading: true }));
+    const params = new URLSearchParams({ limit: AUDIT_PAGE_SIZE, ...filters });
+    if (cursor) params.set("cursor", cursor);
+    try {
+      const res = await adminFetch(`${API_URL}/api/admin/audit?${params}`, { headers }, onLogout);
+      if (!res) return;
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(errorText(data.error, "Failed to load activity."), "error");
+        setPage(prev => ({ ...prev, loading: false }));
+        return;
+      }
+      setEvents(prev => cursor ? [...prev, ...data.events] : data.events);
+      setPage({ total: data.total, nextCursor: data.nextCursor, loading: false });
+    } catch {
+      showToast("Network error — is the API running?", "error");
+      setPage(prev => ({ ...prev, loading: false }));
+    }
+  }, [filters, headers]);
+
+  useEffect(() => { loadEvents(); }, [loadEvents, refreshKey]);
+
+  const loadMore = useCallback(() => {
+    if (page.nextCursor && !page.loading) loadEvents(page.nextCursor);
+  }, [page, loadEvents]);
+
+  const filtersActive = Object.keys(AUDIT_FILTER_DEFAULTS).some(k => filters[k] !== AUDIT_FILTER_DEFAULTS[k]);
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginBottom: 12, flexWrap: "wrap" }}>
+        <div style={{ color: ACCENT, fontSize: 12, opacity: 0.6 }}>
+          {">"} {page.total} events{filtersActive ? " (filtered)" : ""}
+        </div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+          <select value={filters.action} onChange={(e) => setFilters(f => ({ ...f, action: e.target.value }))} style={filterInput}>
+            {AUDIT_ACTION_GROUPS.map(g => <option key={g.value} value={g.value}>{g.label}</option>)}
+          </select>
+          <input
+            value={actorInput}
+            onChange={(e) => setActorInput(e.target.value)}
+            placeholder="Actor"
+            style={{ ...filterInput, width: 110 }}
+          />
+          <input type="date" value={filters.from} onChange={(e) => setFilters(f => ({ ...f, from: e.target.value }))} style={filterInput} title="From" />
+          <span style={{ color: TEXT_MUTED, fontSize: 11 }}>→</span>
+          <input type="date" value={filters.to} onChange={(e) => setFilters(f => ({ ...f, to: e.target.value }))} style={filterInput} title="To" />
+          {filtersActive && (
+            <button
+              onClick={() => { setFilters(AUDIT_FILTER_DEFAULTS); setActorInput(""); }}
+              style={{ ...btnBase, background: "transparent", color: TEXT_MUTED }}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {events.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
+          {page.loading ? "Loading..." : filtersActive ? "No activity matches these filters." : "No activity recorded yet."}
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+          {events.map(event => {
+            const color = auditColor(event.action);
+            const hasSnapshot = event.before || event.details;
+            return (
+              <div key={event.id} style={{
+                background: BG_CARD, border: `1px solid ${color}22`, borderLeft: `3px solid ${color}`,
+                borderRadius: 6, padding: "10px 14px",
+              }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", fontSize: 12 }}>
+                  <span style={{ color: TEXT_MUTED, fontSize: 10, minWidth: 130 }}>{formatDate(event.createdAt)}</span>
+                  <span style={{ color: TEXT_PRIMARY, fontWeight: 600 }}>{event.actor}</span>
+                  <span style={{ color, background: `${color}15`, padding: "1px 6px", borderRadius: 3, fontSize: 11 }}>
+                    {event.action}
+                  </span>
+                  {event.targetType && (
+                    <span style={{ color: TEXT_MUTED, fontSize: 11 }}>
+                      {event.targetType}{event.targetId ? ` #${event.targetId}` : ""}
+                    </span>
+                  )}
+                  <span style={{ flex: 1 }} />
+                  <span style={{ color: TEXT_MUTED, fontSize: 10 }} title={event.userAgent || ""}>
+                    {event.ip || "unknown IP"}
+                  </span>
+                  {hasSnapshot && (
+                    <button
+                      onClick={() => setExpanded(expanded === event.id ? null : event.id)}
+                      style={{ ...btnBase, background: "transparent", color: TEXT_MUTED, padding: "2px 8px", fontSize: 10 }}
+                    >
+                      {expanded === event.id ? "Hide" : "Details"}
+                    </button>
+                  )}
+                </div>
+                {expanded === event.id && (
+                  <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
+                    {[["Before", event.before], ["Details", event.details]].filter(([, value]) => value).map(([title, value]) => (
+                      <div key={title} style={{ flex: "1 1 300px", minWidth: 0 }}>
+                        <div style={{ color: TEXT_MUTED, fontSize: 10, marginBottom: 4 }}>{title}</div>
+                        <pre style={{
+                          background: BG_TERMINAL, color: TEXT_PRIMARY, fontSize: 10, lineHeight: 1.5,
+                          padding: 10, borderRadius: 4, margin: 0, maxHeight: 260, overflow: "auto",
+                          whiteSpace: "pre-wrap", wordBreak: "break-word",
+                        }}>
+                          {JSON.stringify(value, null, 2)}
+                        </pre>
+                      </div>
+                    ))}
+                    {event.userAgent && (
+                      <div style={{ flexBasis: "100%", color: TEXT_MUTED, fontSize: 10 }}>{event.userAgent}</div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {page.nextCursor && (
+            <LoadMore onLoadMore={loadMore} loading={page.loading} remaining={page.total - events.length} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  TEAM TAB — admin users, roles and invites (owners only)
+//
+//  Invites create an account without a password; the invite link
+//  lets the person choose one. The link is emailed when an address
+//  is given, and always shown here once so it can be passed on by
+//  hand. Nobody can change their own account, and the owner from the
+//  server config can't be changed at all.
+// ═══════════════════════════════════════════════════════════════════
+const ADMIN_ROLES = [
+  { value: "viewer", label: "Viewer", hint: "read-only" },
+  { value: "moderator", label: "Moderator", hint: "moderate, reply, campaigns" },
+  { value: "owner", label: "Owner", hint: "everything, incl. settings & team" },
+];
+const ROLE_RANK = { viewer: 1, moderator: 2, owner: 3 };
+const USER_STATUS_COLORS = { active: ACCENT, invited: AMBER, disabled: RED };
+const ROLE_COLORS = { owner: MAGENTA, moderator: CYAN, viewer: TEXT_MUTED };
+
+// Whether the signed-in admin has at least `minRole` — the server
+// enforces the same rule, this just hides what would be refused
+function hasRole(me, minRole) {
+  return Boolean(me) && (ROLE_RANK[me.role] || 0) >= ROLE_RANK[minRole];
+}
+
+function TeamTab({ headers, onLogout, showToast, setConfirmDelete, me, refreshKey }) {
+  const [users, setUsers] = useState(null);
+  const [invite, setInvite] = useState({ username: "", email: "", role: "moderator" });
+  const [inviteLink, setInviteLink] = useState(null);   // { username, url, emailed }
+  const [busy, setBusy] = useState(null);
+
+  const request = useAdminRequest("/team", { headers, onLogout, showToast });
+
+  const loadUsers = useCallback(async () => {
+    const data = await request("");
+    if (data) setUsers(data.users);
+  }, [headers]);
+
+  useEffect(() => { loadUsers(); }, [loadUsers, refreshKey]);
+
+  const replaceUser = (user) => setUsers(prev => prev.map(u => u.id === user.id ? user : u));
+
+  const sendInvite = async (e) => {
+    e.preventDefault();
+    setBusy("invite");
+    const data = await request("", { method: "POST", body: JSON.stringify(invite) });
+    if (data) {
+      setUsers(prev => [...prev, data.user]);
+      setInviteLink({ username: data.user.username, url: data.inviteUrl, emailed: data.emailed });
+      setInvite({ username: "", email: "", role: invite.role });
+      showToast(data.message);
+    }
+    setBusy(null);
+  };
+
+  const updateUser = async (user, changes) => {
+    setBusy(`user-${user.id}`);
+    const data = await request(`/${user.id}`, { method: "PATCH", body: JSON.stringify(changes) });
+    if (data) {
+      replaceUser(data.user);
+      showToast(data.message);
+    }
+    setBusy(null);
+  };
+
+  const renewInvite = async (user) => {
+    setBusy(`user-${user.id}`);
+    const data = await request(`/${user.id}/invite`, { method: "POST" });
+    if (data) {
+      replaceUser(data.user);
+      setInviteLink({ username: user.username, url: data.inviteUrl, emailed: data.emailed });
+      showToast(data.message);
+    }
+    setBusy(null);
+  };
+
+  const cancelInvite = async (user) => {
+    const data = await request(`/${user.id}`, { method: "DELETE" });
+    if (data) {
+      setUsers(prev => prev.filter(u => u.id !== user.id));
+      if (inviteLink?.username === user.username) setInviteLink(null);
+      showToast(data.message);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink.url);
+      showToast("Invite link copied.");
+    } catch {
+      showToast("Couldn't copy — select the link and copy it by hand.", "error");
+    }
+  };
+
+  if (!users) {
+    return <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>Loading team...</div>;
+  }
+
+  return (
+    <div>
+      {/* ── Invite form ── */}
+      <form onSubmit={sendInvite} style={{
+        display: "flex", gap: 8, alignItems: "flex-end", flexWrap: "wrap", marginBottom: 14,
+        background: BG_CARD, border: `1px solid ${ACCENT}22`, borderRadius: 6, padding: "12px 14px",
+      }}>
+        <div>
+          <label style={{ color: TEXT_MUTED, fontSize: 10, display: "block", marginBottom: 4 }}>Username</label>
+          <input
+            value={invite.username}
+            onChange={(e) => setInvite(i => ({ ...i, username: e.target.value }))}
+            placeholder="maria"
+            style={{ ...filterInput, width: 140 }}
+          />
+        </div>
+        <div>
+          <label style={{ color: TEXT_MUTED, fontSize: 10, display: "block", marginBottom: 4 }}>Email (optional)</label>
+          <input
+            type="email"
+            value={invite.email}
+            onChange={(e) => setInvite(i => ({ ...i, email: e.target.value }))}
+            placeholder="maria@example.com"
+            style={{ ...filterInput, width: 200 }}
+          />
+        </div>
+        <div>
+          <label style={{ color: TEXT_MUTED, fontSize: 10, display: "block", marginBottom: 4 }}>Role</label>
+          <select value={invite.role} onChange={(e) => setInvite(i => ({ ...i, role: e.target.value }))} style={filterInput}>
+            {ADMIN_ROLES.map(r => <option key={r.value} value={r.value}>{r.label} — {r.hint}</option>)}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={busy === "invite" || !invite.username.trim()}
+          style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT, opacity: invite.username.trim() ? 1 : 0.5 }}
+        >
+          {busy === "invite" ? "Inviting..." : "+ Invite"}
+        </button>
+      </form>
+
+      {/* ── The link from the latest invite ── */}
+      {inviteLink && (
+        <div style={{
+          background: `${AMBER}10`, border: `1px solid ${AMBER}33`, borderRadius: 6,
+          padding: "10px 14px", marginBottom: 14, fontSize: 11,
+        }}>
+          <div style={{ color: AMBER, marginBottom: 6 }}>
+            Invite link for {inviteLink.username}{inviteLink.emailed ? " (also emailed)" : ""} — it's only shown now:
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input readOnly value={inviteLink.url} onFocus={(e) => e.target.select()} style={{ ...filterInput, flex: 1 }} />
+            <button onClick={copyLink} style={{ ...btnBase, background: `${AMBER}22`, color: AMBER }}>Copy</button>
+            <button onClick={() => setInviteLink(null)} style={{ ...btnBase, background: "transparent", color: TEXT_MUTED }}>✕</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ color: ACCENT, fontSize: 12, opacity: 0.6, marginBottom: 10 }}>
+        {">"} {users.filter(u => u.status === "active").length} active · {users.filter(u => u.status === "invited").length} invited
+      </div>
+
+      {/* ── Users ── */}
+      <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+        {users.map(user => {
+          const isMe = user.username === me?.username;
+          return (
+            <div key={user.id} style={{
+              background: BG_CARD, border: `1px solid ${ROLE_COLORS[user.role]}22`, borderRadius: 6,
+              padding: "12px 18px", display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12,
+              opacity: user.status === "disabled" ? 0.6 : 1,
+            }}>
+              <div>
+                <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                  <span style={{ color: TEXT_PRIMARY, fontSize: 13, fontWeight: 600 }}>{user.username}</span>
+                  <StatusBadge status={user.role} colors={ROLE_COLORS} />
+                  <StatusBadge status={user.status} colors={USER_STATUS_COLORS} />
+                  {user.totpEnabledAt && (
+                    <span style={{ color: CYAN, fontSize: 10 }} title={`Since ${formatDate(user.totpEnabledAt)}`}>🔐 2FA</span>
+                  )}
+                  {isMe && <span style={{ color: TEXT_MUTED, fontSize: 10 }}>(you)</span>}
+                  {user.isBootstrap && <span style={{ color: TEXT_MUTED, fontSize: 10 }} title="ADMIN_USERNAME in the server config">server config</span>}
+                </div>
+                <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 3 }}>
+                  {user.email && <span style={{ marginRight: 8 }}>{user.email}</span>}
+                  {user.lastLoginAt ? `Last login: ${formatDate(user.lastLoginAt)}` : "Never logged in"}
+                  {user.invitedBy && <span style={{ marginLeft: 8 }}>· invited by {user.invitedBy}</span>}
+                  {user.status === "invited" && user.inviteExpiresAt && (
+                    <span style={{ marginLeft: 8, color: new Date(user.inviteExpiresAt) < new Date() ? RED : AMBER }}>
+                      · link {new Date(user.inviteExpiresAt) < new Date() ? "expired" : "expires"} {formatDate(user.inviteExpiresAt)}
+                    </span>
+                  )}
+                </div>
+              </div>
+              {!isMe && (
+                <div style={{ display: "flex", gap: 6, alignItems: "center", flexShrink: 0 }}>
+                  {user.totpEnabledAt && (
+                    <button
+                      onClick={() => setConfirmDelete({
+                        message: `Turn off two-factor login for ${user.username}? Do this when they've lost their phone and recovery codes — they log in with just the password until they set it up again.`,
+                        confirmLabel: "Reset 2FA",
+                        action: () => updateUser(user, { resetTwoFactor: true }),
+                      })}
+                      disabled={busy === `user-${user.id}`}
+                      style={{ ...btnBase, background: `${CYAN}22`, color: CYAN }}
+                    >
+                      Reset 2FA
+                    </button>
+                  )}
+                  {!user.isBootstrap && (
+                    <select
+                      value={user.role}
+                      onChange={(e) => updateUser(user, { role: e.target.value })}
+                      disabled={busy === `user-${user.id}`}
+                      style={filterInput}
+                    >
+                      {ADMIN_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                    </select>
+                  )}
+                  {user.status === "invited" && (
+                    <>
+                      <button
+                        onClick={() => renewInvite(user)}
+                        disabled={busy === `user-${user.id}`}
+                        style={{ ...btnBase, background: `${AMBER}22`, color: AMBER }}
+                      >
+                        New link
+                      </button>
+                      <button
+                        onClick={() => setConfirmDelete({
+                          message: `Cancel the invite for ${user.username}? Their link stops working.`,
+                          confirmLabel: "Cancel invite",
+                          action: () => cancelInvite(user),
+                        })}
+                        style={{ ...btnBase, background: `${RED}22`, color: RED }}
+                      >
+                        Cancel invite
+                      </button>
+                    </>
+                  )}
+                  {user.status !== "invited" && !user.isBootstrap && (
+                    <button
+                      onClick={() => user.status === "disabled"
+                        ? updateUser(user, { disabled: false })
+                        : setConfirmDelete({
+                          message: `Disable ${user.username}? They're logged out right away and can't log in until re-enabled.`,
+                          confirmLabel: "Disable",
+                          action: () => updateUser(user, { disabled: true }),
+                        })}
+                      disabled={busy === `user-${user.id}`}
+                      style={{
+                        ...btnBase,
+                        background: user.status === "disabled" ? `${ACCENT}22` : `${RED}22`,
+                        color: user.status === "disabled" ? ACCENT : RED,
+                      }}
+                    >
+                      {user.status === "disabled" ? "Enable" : "Disable"}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  RATE LIMITS TAB — who the limiters are counting (owners only)
+//
+//  Each row is one client (shown by IP tag) on one limiter, with its
+//  hits in the current window. "Throttled" rows are getting 429s until
+//  the window ends; "Reset" lets them straight back in — e.g. a
+//  teammate who mistyped their password too often.
+//
+//  Limiters have IP tags of their own, which don't rotate, so they
+//  won't match the tag on an entry. The per-account 2FA limiter shows
+//  the account instead.
+// ═══════════════════════════════════════════════════════════════════
+
+// "15 min", "1 h" — for the limiter windows
+function formatWindow(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes % 60 === 0 ? `${minutes / 60} h` : `${minutes} min`;
+}
+
+function RateLimitsTab({ headers, onLogout, showToast, refreshKey }) {
+  const [data, setData] = useState(null);       // { limiters, keys }
+  const [onlyThrottled, setOnlyThrottled] = useState(false);
+  const [busy, setBusy] = useState(null);
+
+  const request = useAdminRequest("/rate-limits", { headers, onLogout, showToast });
+
+  const loadLimits = useCallback(async () => {
+    const body = await request("");
+    if (body) setData(body);
+  }, [headers]);
+
+  useEffect(() => { loadLimits(); }, [loadLimits, refreshKey]);
+
+  const resetKey = async (row) => {
+    setBusy(`${row.limiter}:${row.tag}`);
+    const body = await request(`/${row.limiter}/${row.tag}`, { method: "DELETE" });
+    if (body) {
+      showToast(body.message);
+      setData(prev => ({
+        ...prev,
+        keys: prev.keys.filter(k => !(k.limiter === row.limiter && k.tag === row.tag)),
+      }));
+    }
+    setBusy(null);
+  };
+
+  if (!data) {
+    return <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>Loading...</div>;
+  }
+
+  const keys = onlyThrottled ? data.keys.filter(k => k.throttled) : data.keys;
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 16 }}>
+        {data.limiters.map(l => (
+          <div key={l.name} style={{
+            background: BG_CARD, border: `1px solid ${l.throttled ? RED : ACCENT}22`, borderRadius: 6,
+            padding: "8px 12px", fontSize: 11,
+          }}>
+            <div style={{ color: TEXT_PRIMARY, fontWeight: 600 }}>{l.name}</div>
+            <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 2 }}>
+              {l.limit} per {formatWindow(l.windowMs)} · {l.active} counted
+              {l.throttled > 0 && <span style={{ color: RED }}> · {l.throttled} throttled</span>}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <label style={{ display: "flex", alignItems: "center", gap: 6, color: TEXT_MUTED, fontSize: 11, marginBottom: 12 }}>
+        <input type="checkbox" checked={onlyThrottled} onChange={(e) => setOnlyThrottled(e.target.checked)} />
+        Only throttled
+      </label>
+
+      {keys.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
+          {onlyThrottled ? "Nobody is being throttled." : "No requests counted right now."}
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+          {keys.map(row => {
+            const color = row.throttled ? RED : row.limit && row.hits >= row.limit ? AMBER : ACCENT;
+            return (
+              <div key={`${row.limiter}:${row.tag}`} style={{
+                background: BG_CARD, border: `1px solid ${color}22`, borderRadius: 6,
+                padding: "8px 14px", display: "flex", alignItems: "center", gap: 14, fontSize: 12,
+              }}>
+                <span style={{ color: TEXT_PRIMARY, minWidth: 90 }}>{row.limiter}</span>
+                <span style={{ color: TEXT_MUTED, minWidth: 90 }}>
+                  {row.tag.startsWith("user:") ? `Account #${row.tag.slice(5)}` : `IP: ${row.tag}...`}
+                </span>
+                <span style={{ color, fontWeight: 600, minWidth: 70 }}>
+                  {row.hits}{row.limit !== null ? ` / ${row.limit}` : ""}
+                </span>
+                {row.throttled && <StatusBadge status="throttled" colors={{ throttled: RED }} />}
+                <span style={{ color: TEXT_MUTED, fontSize: 10, flex: 1 }}>resets {formatDate(row.resetAt)}</span>
+                <button
+                  onClick={() => resetKey(row)}
+                  disabled={busy === `${row.limiter}:${row.tag}`}
+                  style={{ ...btnBase, background: `${AMBER}22`, color: AMBER }}
+                >
+                  Reset
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  WEBHOOKS TAB — outbound event notifications (owners only)
+//
+//  Each endpoint gets the events it's subscribed to as signed JSON or
+//  as a Slack / Discord message. Failed deliveries are retried with a
+//  backoff; the history shows every attempt's outcome, and finished
+//  deliveries can be replayed. The signing secret is only shown when
+//  it's created.
+// ═══════════════════════════════════════════════════════════════════
+
+const WEBHOOK_PAGE_SIZE = 25;
+const WEBHOOK_FORMAT_LABELS = { json: "JSON", slack: "Slack", discord: "Discord" };
+const WEBHOOK_FORM_DEFAULTS = { name: "", url: "", format: "json", events: [] };
+const WEBHOOK_STATUS_COLORS = { pending: TEXT_MUTED, sending: CYAN, delivered: ACCENT, retrying: AMBER, failed: RED };
+
+// One endpoint's delivery history, newest first
+function WebhookDeliveries({ webhook, request, showToast, refreshKey }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [page, setPage] = useState({ total: 0, nextCursor: null, loading: true });
+  const [status, setStatus] = useState("");
+  const [expanded, setExpanded] = useState(null);   // Delivery id with its details shown
+  const [replaying, setReplaying] = useState(null);
+
+  const loadDeliveries = useCallback(async (cursor = null) => {
+    setPage(prev => ({ ...prev, loading: true }));
+    const params = new URLSearchParams({ limit: WEBHOOK_PAGE_SIZE, status });
+    if (cursor) params.set("cursor", cursor);
+    const data = await request(`/${webhook.id}/deliveries?${params}`);
+    if (data) {
+      setDeliveries(prev => cursor ? [...prev, ...data.deliveries] : data.deliveries);
+      setPage({ total: data.total, nextCursor: data.nextCursor, loading: false });
+    } else {
+      setPage(prev => ({ ...prev, loading: false }));
+    }
+  }, [webhook.id, status]);
+
+  useEffect(() => { loadDeliveries(); }, [loadDeliveries, refreshKey]);
+
+  const loadMore = useCallback(() => {
+    if (page.nextCursor && !page.loading) loadDeliveries(page.nextCursor);
+  }, [page, loadDeliveries]);
+
+  const replay = async (delivery) => {
+    setReplaying(delivery.id);
+    const data = await request(`/${webhook.id}/deliveries/${delivery.id}/replay`, { method: "POST" });
+    if (data) {
+      showToast(data.message);
+      setDeliveries(prev => [data.delivery, ...prev]);
+      setPage(prev => ({ ...prev, total: prev.total + 1 }));
+    }
+    setReplaying(null);
+  };
+
+  return (
+    <div style={{ marginTop: 10, borderTop: `1px solid ${CYAN}15`, paddingTop: 10 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <span style={{ color: TEXT_MUTED, fontSize: 11, flex: 1 }}>{page.total} deliveries</span>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} style={{ ...filterInput, fontSize: 10 }}>
+          <option value="">All statuses</option>
+          {Object.keys(WEBHOOK_STATUS_COLORS).map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <button onClick={() => loadDeliveries()} style={{ ...btnBase, background: "transparent", color: TEXT_MUTED, fontSize: 10 }}>
+          ↻ Refresh
+        </button>
+      </div>
+
+      {deliveries.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, fontSize: 11, textAlign: "center", padding: 16 }}>
+          {page.loading ? "Loading..." : "Nothing delivered yet."}
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+          {deliveries.map(delivery => {
+            const finished = delivery.status === "delivered" || delivery.status === "failed";
+            return (
+              <div key={delivery.id} style={{ background: BG_TERMINAL, borderRadius: 4, padding: "6px 10px", fontSize: 11 }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+                  <StatusBadge status={delivery.status} colors={WEBHOOK_STATUS_COLORS} />
+                  <span style={{ color: TEXT_PRIMARY }}>{delivery.event}</span>
+                  <span style={{ color: TEXT_MUTED, fontSize: 10 }}>#{delivery.id}{delivery.replayOf ? ` · replay of #${delivery.replayOf}` : ""}</span>
+                  <span style={{ color: TEXT_MUTED, fontSize: 10, flex: 1 }}>
+                    {formatDate(delivery.createdAt)}
+                    {delivery.attempts > 0 && ` · ${delivery.attempts} attempt${delivery.attempts === 1 ? "" : "s"}`}
+                    {delivery.responseStatus && ` · HTTP ${delivery.responseStatus}`}
+                    {delivery.durationMs !== null && delivery.durationMs !== undefined && ` · ${delivery.durationMs} ms`}
+                    {delivery.status === "retrying" && delivery.nextAttemptAt && ` · next try ${formatDate(delivery.nextAttemptAt)}`}
+                  </span>
+                  <button
+                    onClick={() => setExpanded(expanded === delivery.id ? null : delivery.id)}
+                    style={{ ...btnBase, background: "transparent", color: TEXT_MUTED, padding: "2px 8px", fontSize: 10 }}
+                  >
+                    {expanded === delivery.id ? "Hide" : "Details"}
+                  </button>
+                  {finished && (
+                    <button
+                      onClick={() => replay(delivery)}
+                      disabled={replaying === delivery.id}
+                      style={{ ...btnBase, background: `${CYAN}22`, color: CYAN, padding: "2px 8px", fontSize: 10 }}
+                    >
+                      Replay
+                    </button>
+                  )}
+                </div>
+                {delivery.lastError && (
+                  <div style={{ color: RED, fontSize: 10, marginTop: 4 }}>{delivery.lastError}</div>
+                )}
+                {expanded === delivery.id && (
+                  <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
+                    {[["Payload", JSON.stringify(delivery.payload, null, 2)], ["Response", delivery.responseBody]]
+                      .filter(([, value]) => value)
+                      .map(([title, value]) => (
+                        <div key={title} style={{ flex: "1 1 280px", minWidth: 0 }}>
+                          <div style={{ color: TEXT_MUTED, fontSize: 10, marginBottom: 4 }}>{title}</div>
+                          <pre style={{
+                            background: BG_CARD, color: TEXT_PRIMARY, fontSize: 10, lineHeight: 1.5,
+                            padding: 10, borderRadius: 4, margin: 0, maxHeight: 220, overflow: "auto",
+                            whiteSpace: "pre-wrap", wordBreak: "break-word",
+                          }}>
+                            {value}
+                          </pre>
+                        </div>
+                      ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {page.nextCursor && (
+            <LoadMore onLoadMore={loadMore} loading={page.loading} remaining={page.total - deliveries.length} color={CYAN} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function WebhooksTab({ headers, onLogout, showToast, setConfirmDelete, refreshKey }) {
+  const [data, setData] = useState(null);   // { webhooks, events, formats, maxAttempts }
+  const [form, setForm] = useState(WEBHOOK_FORM_DEFAULTS);
+  const [editingId, setEditingId] = useState(null);
+  const [shownSecret, setShownSecret] = useState(null);   // { name, secret } — only shown once
+  const [historyFor, setHistoryFor] = useState(null);     // Webhook id with its deliveries open
+  const [busy, setBusy] = useState(null);
+
+  const request = useAdminRequest("/webhooks", { headers, onLogout, showToast });
+
+  const loadWebhooks = useCallback(async () => {
+    const body = await request("");
+    if (body) setData(body);
+  }, [headers]);
+
+  useEffect(() => { loadWebhooks(); }, [loadWebhooks, refreshKey]);
+
+  const replaceWebhook = (webhook) => setData(prev => ({
+    ...prev,
+    webhooks: prev.webhooks.map(w => w.id === webhook.id ? webhook : w),
+  }));
+
+  const toggleEvent = (event) => setForm(f => ({
+    ...f,
+    events: f.events.includes(event) ? f.events.filter(e => e !== event) : [...f.events, event],
+  }));
+
+  const resetForm = () => {
+    setForm(WEBHOOK_FORM_DEFAULTS);
+    setEditingId(null);
+  };
+
+  const saveWebhook = async (e) => {
+    e.preventDefault();
+    setBusy("save");
+    const body = await request(editingId ? `/${editingId}` : "", {
+      method: editingId ? "PATCH" : "POST",
+      body: JSON.stringify(form),
+    });
+    if (body) {
+      if (editingId) {
+        replaceWebhook(body.webhook);
+      } else {
+        setData(prev => ({ ...prev, webhooks: [...prev.webhooks, body.webhook] }));
+        setShownSecret({ name: body.webhook.name, secret: body.secret });
+      }
+      resetForm();
+      showToast(body.message);
+    }
+    setBusy(null);
+  };
+
+  const startEditing = (webhook) => {
+    setEditingId(webhook.id);
+    setForm({ name: webhook.name, url: webhook.url, format: webhook.format, events: webhook.events });
+  };
+
+  const setActive = async (webhook, active) => {
+    setBusy(`webhook-${webhook.id}`);
+    const body = await request(`/${webhook.id}`, { method: "PATCH", body: JSON.stringify({ active }) });
+    if (body) {
+      replaceWebhook(body.webhook);
+      showToast(active ? `"${webhook.name}" resumed.` : `"${webhook.name}" paused.`);
+    }
+    setBusy(null);
+  };
+
+  const sendTest = async (webhook) => {
+    setBusy(`webhook-${webhook.id}`);
+    const body = await request(`/${webhook.id}/test`, { method: "POST" });
+    if (body) {
+      showToast(body.message);
+      setHistoryFor(webhook.id);
+    }
+    setBusy(null);
+  };
+
+  const rotateSecret = async (webhook) => {
+    const body = await request(`/${webhook.id}/secret`, { method: "POST" });
+    if (body) {
+      setShownSecret({ name: webhook.name, secret: body.secret });
+      showToast(body.message);
+    }
+  };
+
+  const removeWebhook = async (webhook) => {
+    const body = await request(`/${webhook.id}`, { method: "DELETE" });
+    if (body) {
+      setData(prev => ({ ...prev, webhooks: prev.webhooks.filter(w => w.id !== webhook.id) }));
+      if (editingId === webhook.id) resetForm();
+      showToast(body.message);
+    }
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(shownSecret.secret);
+      showToast("Signing secret copied.");
+    } catch {
+      showToast("Couldn't copy — select the secret and copy it by hand.", "error");
+    }
+  };
+
+  if (!data) {
+    return <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>Loading...</div>;
+  }
+
+  const formReady = form.name.trim() && form.url.trim() && form.events.length > 0;
+
+  return (
+    <div>
+      {/* ── Add / edit form ── */}
+      <form onSubmit={saveWebhook} style={{
+        background: BG_CARD, border: `1px solid ${editingId ? AMBER : ACCENT}22`, borderRadius: 6,
+        padding: "12px 14px", marginBottom: 14,
+      }}>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 10 }}>
+          <input
+            value={form.name}
+            onChange={(e) => setForm(f => ({ ...f, name: e.target.value }))}
+            placeholder="Name, e.g. Team Slack"
+            maxLength={80}
+            style={{ ...filterInput, width: 170 }}
+          />
+          <input
+            value={form.url}
+            onChange={(e) => setForm(f => ({ ...f, url: e.target.value }))}
+            placeholder="https://hooks.slack.com/services/..."
+            maxLength={500}
+            style={{ ...filterInput, flex: 1, minWidth: 220 }}
+          />
+          <select value={form.format} onChange={(e) => setForm(f => ({ ...f, format: e.target.value }))} style={filterInput}>
+            {data.formats.map(format => <option key={format} value={format}>{WEBHOOK_FORMAT_LABELS[format] || format}</option>)}
+          </select>
+        </div>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center" }}>
+          {data.events.map(event => (
+            <label key={event} style={{ display: "flex", alignItems: "center", gap: 5, color: TEXT_PRIMARY, fontSize: 11 }}>
+              <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+              {event}
+            </label>
+          ))}
+          <span style={{ flex: 1 }} />
+          {editingId && (
+            <button type="button" onClick={resetForm} style={{ ...btnBase, background: "transparent", color: TEXT_MUTED }}>
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={busy === "save" || !formReady}
+            style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT, opacity: formReady ? 1 : 0.5 }}
+          >
+            {editingId ? "Save changes" : "+ Add webhook"}
+          </button>
+        </div>
+      </form>
+
+      {/* ── The secret from the latest create / rotate ── */}
+      {shownSecret && (
+        <div style={{
+          background: `${AMBER}10`, border: `1px solid ${AMBER}33`, borderRadius: 6,
+          padding: "10px 14px", marginBottom: 14, fontSize: 11,
+        }}>
+          <div style={{ color: AMBER, marginBottom: 6 }}>
+            Signing secret for {shownSecret.name} — it's only shown now. Requests carry
+            X-Webhook-Signature: sha256=HMAC(secret, "timestamp.body").
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input readOnly value={shownSecret.secret} onFocus={(e) => e.target.select()} style={{ ...filterInput, flex: 1 }} />
+            <button onClick={copySecret} style={{ ...btnBase, background: `${AMBER}22`, color: AMBER }}>Copy</button>
+            <button onClick={() => setShownSecret(null)} style={{ ...btnBase, background: "transparent", color: TEXT_MUTED }}>✕</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ color: ACCENT, fontSize: 12, opacity: 0.6, marginBottom: 10 }}>
+        {">"} {data.webhooks.filter(w => w.active).length} active · failed deliveries are retried up to {data.maxAttempts} times
+      </div>
+
+      {/* ── Endpoints ── */}
+      {data.webhooks.length === 0 ? (
+        <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>No webhooks yet.</div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          {data.webhooks.map(webhook => {
+            const failing = (webhook.counts.failed || 0) + (webhook.counts.retrying || 0);
+            return (
+              <div key={webhook.id} style={{
+                background: BG_CARD, border: `1px solid ${failing ? AMBER : CYAN}22`, borderRadius: 6,
+                padding: "12px 18px", opacity: webhook.active ? 1 : 0.6,
+              }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+                  <div style={{ flex: 1, minWidth: 200 }}>
+                    <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                      <span style={{ color: TEXT_PRIMARY, fontSize: 13, fontWeight: 600 }}>{webhook.name}</span>
+                      <StatusBadge status={webhook.format} label={WEBHOOK_FORMAT_LABELS[webhook.format]} colors={{ [webhook.format]: MAGENTA }} />
+                      {!webhook.active && <StatusBadge status="paused" colors={{ paused: TEXT_MUTED }} />}
+                    </div>
+                    <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 3, wordBreak: "break-all" }}>{webhook.url}</div>
+                    <div style={{ color: CYAN, fontSize: 10, marginTop: 3 }}>{webhook.events.join(" · ")}</div>
+                    <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 3 }}>
+                      {webhook.counts.delivered || 0} delivered
+                      {webhook.counts.retrying > 0 && <span style={{ color: AMBER }}> · {webhook.counts.retrying} retrying</span>}
+                      {webhook.counts.failed > 0 && <span style={{ color: RED }}> · {webhook.counts.failed} failed</span>}
+                      {webhook.lastDeliveryAt && ` · last ${formatDate(webhook.lastDeliveryAt)}`}
+                    </div>
+                  </div>
+                  <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                    <button
+                      onClick={() => setHistoryFor(historyFor === webhook.id ? null : webhook.id)}
+                      style={{ ...btnBase, background: `${CYAN}22`, color: CYAN }}
+                    >
+                      {historyFor === webhook.id ? "Hide history" : "History"}
+                    </button>
+                    <button
+                      onClick={() => sendTest(webhook)}
+                      disabled={busy === `webhook-${webhook.id}`}
+                      style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT }}
+                    >
+                      Test
+                    </button>
+                    <button
+                      onClick={() => setActive(webhook, !webhook.active)}
+                      disabled={busy === `webhook-${webhook.id}`}
+                      style={{ ...btnBase, background: `${AMBER}22`, color: AMBER }}
+                    >
+                      {webhook.active ? "Pause" : "Resume"}
+                    </button>
+                    <button onClick={() => startEditing(webhook)} style={{ ...btnBase, background: "transparent", color: TEXT_MUTED }}>
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => setConfirmDelete({
+                        message: `Issue a new signing secret for "${webhook.name}"? The current one stops working at once.`,
+                        confirmLabel: "New secret",
+                        action: () => rotateSecret(webhook),
+                      })}
+                      style={{ ...btnBase, background: "transparent", color: TEXT_MUTED }}
+                    >
+                      New secret
+                    </button>
+                    <button
+                      onClick={() => setConfirmDelete({
+                        message: `Remove the webhook "${webhook.name}" and its delivery history?`,
+                        confirmLabel: "Remove",
+                        action: () => removeWebhook(webhook),
+                      })}
+                      style={{ ...btnBase, background: `${RED}22`, color: RED }}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+                {historyFor === webhook.id && (
+                  <WebhookDeliveries webhook={webhook} request={request} showToast={showToast} refreshKey={refreshKey} />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  GLOBAL SEARCH — one box in the top bar for every tab
+//
+//  Queries /api/admin/search as you type and lists the best matches
+//  from guestbook, subscribers and messages together. Titles and
+//  snippets arrive HTML-escaped from the server with the matches in
+//  <mark> tags. Picking a result switches to its tab.
+// ═══════════════════════════════════════════════════════════════════
+
+const SEARCH_TYPE_INFO = {
+  guestbook: { label: "Guestbook", color: MAGENTA, tab: "guestbook" },
+  subscribers: { label: "Subscriber", color: CYAN, tab: "newsletter" },
+  contacts: { label: "Message", color: AMBER, tab: "contacts" },
+};
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Give the server's <mark> tags the panel's colors instead of the
+// browser's yellow
+const markHits = (html) => html.replaceAll("<mark>", `<mark style="background:${ACCENT}33;color:${ACCENT};border-radius:2px">`);
+
+function GlobalSearch({ headers, onLogout, onOpen }) {
+  const [query, setQuery] = useState("");
+  const [result, setResult] = useState(null);     // { results, counts } for the current query
+  const [loading, setLoading] = useState(false);
+  const [open, setOpen] = useState(false);
+  const boxRef = useRef(null);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2) { setResult(null); setLoading(false); return; }
+
+    // Debounced, and stale responses are dropped if the query changed
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const res = await adminFetch(`${API_URL}/api/admin/search?q=${encodeURIComponent(q)}`, { headers }, onLogout);
+        if (!res) return;
+        const data = await res.json();
+        if (cancelled) return;
+        setResult(res.ok ? data : { error: errorText(data.error, "Search failed.") });
+      } catch {
+        if (!cancelled) setResult({ error: "Network error — is the API running?" });
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [query]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e) => {
+      if (boxRef.current && !boxRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [open]);
+
+  const pick = (item) => {
+    setOpen(false);
+    onOpen(item);
+  };
+
+  const showPanel = open && query.trim().length >= 2;
+
+  return (
+    <div ref={boxRef} style={{ position: "relative", flex: 1, maxWidth: 420, margin: "0 24px" }}>
+      <input
+        type="search"
+        value={query}
+        placeholder="Search entries, subscribers, messages..."
+        onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") setOpen(false);
+          if (e.key === "Enter" && result?.results?.length) pick(result.results[0]);
+        }}
+        style={{ ...inputStyle, padding: "7px 12px", fontSize: 12 }}
+      />
+
+      {showPanel && (
+        <div style={{
+          position: "absolute", top: "calc(100% + 6px)", left: 0, right: 0,
+          background: BG_CARD, border: `1px solid ${ACCENT}33`, borderRadius: 6,
+          boxShadow: "0 8px 30px rgba(0,0,0,0.5)",
+          maxHeight: 420, overflowY: "auto", zIndex: 200,
+        }}>
+          {loading && !result ? (
+            <div style={{ padding: 14, color: TEXT_MUTED, fontSize: 11 }}>Searching...</div>
+          ) : result?.error ? (
+            <div style={{ padding: 14, color: RED, fontSize: 11 }}>{result.error}</div>
+          ) : result && result.results.length === 0 ? (
+            <div style={{ padding: 14, color: TEXT_MUTED, fontSize: 11 }}>No matches.</div>
+          ) : result && (
+            <>
+              <div style={{ padding: "8px 12px", color: TEXT_MUTED, fontSize: 10, borderBottom: `1px solid ${ACCENT}11` }}>
+                {Object.entries(result.counts)
+                  .map(([type, count]) => `${count} ${SEARCH_TYPE_INFO[type].label.toLowerCase()}${count === 1 ? "" : "s"}`)
+                  .join(" · ")}
+                {loading && " · updating..."}
+              </div>
+              {result.results.map(item => {
+                const info = SEARCH_TYPE_INFO[item.type];
+                return (
+                  <button
+                    key={`${item.type}-${item.id}`}
+                    onClick={() => pick(item)}
+                    style={{
+                      display: "block", width: "100%", textAlign: "left",
+                      background: "transparent", border: "none", borderBottom: `1px solid ${ACCENT}0d`,
+                      padding: "10px 12px", cursor: "pointer", fontFamily: FONT,
+                    }}
+                  >
+                    <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 3 }}>
+                      <span style={{
+                        background: `${info.color}22`, color: info.color,
+                        fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700,
+                        textTransform: "uppercase",
+                      }}>
+                        {info.label}
+                      </span>
+                      <span
+                        style={{ color: TEXT_PRIMARY, fontSize: 12, flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+                        dangerouslySetInnerHTML={{ __html: markHits(item.title) }}
+                      />
+                      <span style={{ color: TEXT_MUTED, fontSize: 10 }}>{formatDate(item.createdAt)}</span>
+                    </div>
+                    {item.snippet && (
+                      <div
+                        style={{ color: TEXT_MUTED, fontSize: 11, lineHeight: 1.5 }}
+                        dangerouslySetInnerHTML={{ __html: markHits(item.snippet) }}
+                      />
+                    )}
+                  </button>
+                );
+              })}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  EXPORT MENU — download a tab's data as CSV, JSON or NDJSON
+//
+//  Uses the tab's current filters. The column list comes from
+//  GET /api/admin/export, so the server stays the one place that
+//  defines what can be exported. The file is fetched with the auth
+//  header and handed to the browser as a download.
+// ═══════════════════════════════════════════════════════════════════
+
+const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "json", label: "JSON" },
+  { value: "ndjson", label: "NDJSON" },
+];
+
+function ExportMenu({ resource, filters, headers, onLogout, showToast, color = ACCENT }) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("csv");
+  const [available, setAvailable] = useState(null);   // All column names for this resource
+  const [columns, setColumns] = useState([]);          // The ones ticked
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    if (!open || available) return;
+    (async () => {
+      try {
+        const res = await adminFetch(`${API_URL}/api/admin/export`, { headers }, onLogout);
+        if (!res) return;
+        const data = await res.json();
+        const names = data.resources?.[resource]?.columns || [];
+        setAvailable(names);
+        setColumns(names);
+      } catch {
+        showToast("Network error — is the API running?", "error");
+      }
+    })();
+  }, [open]);
+
+  const toggleColumn = (name) => {
+    // Keep the server's column order whatever order they're ticked in
+    setColumns(cols => cols.includes(name)
+      ? cols.filter(c => c !== name)
+      : available.filter(c => c === name || cols.includes(c)));
+  };
+
+  const download = async () => {
+    setDownloading(true);
+    try {
+      const params = new URLSearchParams({ ...filters, format });
+      if (columns.length !== available.length) params.set("columns", columns.join(","));
+
+      const res = await adminFetch(`${API_URL}/api/admin/export/${resource}?${params}`, { headers }, onLogout);
+      if (!res) return;
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        showToast(errorText(data.error, "Export failed."), "error");
+        return;
+      }
+
+      const disposition = res.headers.get("Content-Disposition") || "";
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${resource}.${format}`;
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setOpen(false);
+    } catch {
+      showToast("Export failed — the download was interrupted.", "error");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button onClick={() => setOpen(v => !v)} style={{ ...btnBase, background: `${color}15`, color }}>
+        ⬇ Export
+      </button>
+
+      {open && (
+        <div style={{
+          position: "absolute", top: "calc(100% + 6px)", right: 0, width: 260, zIndex: 50,
+          background: BG_CARD, border: `1px solid ${color}33`, borderRadius: 6,
+          boxShadow: "0 8px 30px rgba(0,0,0,0.5)", padding: 12,
+        }}>
+          <div style={{ display: "flex", gap: 4, marginBottom: 10 }}>
+            {EXPORT_FORMATS.map(f => (
+              <button
+                key={f.value}
+                onClick={() => setFormat(f.value)}
+                style={{
+                  ...btnBase, flex: 1,
+                  background: format === f.value ? `${color}33` : "transparent",
+                  color: format === f.value ? color : TEXT_MUTED,
+                }}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+
+          <div style={{ color: TEXT_MUTED, fontSize: 10, marginBottom: 6 }}>
+            Columns
+            {available && (
+              <button
+                onClick={() => setColumns(columns.length === available.length ? [] : available)}
+                style={{ ...btnBase, background: "transparent", color: TEXT_MUTED, padding: "0 6px", fontSize: 10 }}
+              >
+                {columns.length === available.length ? "none" : "all"}
+              </button>
+            )}
+          </div>
+          {!available ? (
+            <div style={{ color: TEXT_MUTED, fontSize: 11, padding: "6px 0" }}>Loading...</div>
+          ) : (
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "2px 8px", marginBottom: 12 }}>
+              {available.map(name => (
+                <label key={name} style={{ color: TEXT_PRIMARY, fontSize: 11, display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+                  <input type="checkbox" checked={columns.includes(name)} onChange={() => toggleColumn(name)} />
+                  {name}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={download}
+            disabled={downloading || !available || columns.length === 0}
+            style={{
+              ...btnBase, width: "100%", background: `${color}22`, color,
+              opacity: downloading || !available || columns.length === 0 ? 0.5 : 1,
+            }}
+          >
+            {downloading ? "Preparing..." : "Download with current filters"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  SUBSCRIBER IMPORT DIALOG — CSV upload with a dry run first
+//
+//  "Check file" sends the CSV with dryRun=true and shows what would
+//  happen to each row; "Import" then does it for real. The report
+//  lists every row that won't be (or wasn't) imported and why.
+// ═══════════════════════════════════════════════════════════════════
+
+const IMPORT_RESULT_COLORS = { imported: ACCENT, skipped: AMBER, invalid: RED };
+
+function SubscriberImportDialog({ headers, onLogout, showToast, onClose, onImported }) {
+  const [csv, setCsv] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [mode, setMode] = useState("pending");
+  const [consentSource, setConsentSource] = useState("");
+  const [report, setReport] = useState(null);     // Last response: { dryRun, summary, rows }
+  const [busy, setBusy] = useState(false);
+
+  // Any change to the input invalidates the previous check
+  const change = (setter) => (value) => { setter(value); setReport(null); };
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setFileName(file.name);
+    change(setCsv)(await file.text());
+  };
+
+  const run = async (dryRun) => {
+    setBusy(true);
+    try {
+      const params = new URLSearchParams({ mode, consentSource, dryRun: String(dryRun) });
+      const res = await adminFetch(`${API_URL}/api/admin/newsletter/import?${params}`, {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "text/csv" },
+        body: csv,
+      }, onLogout);
+      if (!res) return;
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(errorText(data.error, "Import failed."), "error");
+        return;
+      }
+      setReport(data);
+      if (!dryRun) {
+        showToast(`Imported ${data.summary.imported} subscriber${data.summary.imported === 1 ? "" : "s"}`);
+        onImported();
+      }
+    } catch {
+      showToast("Network error — is the API running?", "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const problems = report ? report.rows.filter(r => r.result !== "imported") : [];
+  const done = report && !report.dryRun;
+
+  return (
+    <div style={{
+      position: "fixed", top: 0, left: 0, right: 0, bottom: 0,
+      background: "rgba(0,0,0,0.7)",
+      display: "flex", alignItems: "center", justifyContent: "center",
+      zIndex: 1000,
+      backdropFilter: "blur(4px)",
+    }}>
+      <div style={{
+        background: BG_CARD, border: `1px solid ${CYAN}44`, borderRadius: 8,
+        padding: 28, maxWidth: 560, width: "90%", maxHeight: "90vh", overflowY: "auto",
+        boxShadow: "0 8px 40px rgba(0,0,0,0.5)",
+      }}>
+        <div style={{ color: CYAN, fontSize: 13, fontWeight: 700, marginBottom: 14 }}>
+          ⬆ Import subscribers
+        </div>
+
+        {!done && (
+          <>
+            <div style={{ color: TEXT_MUTED, fontSize: 11, lineHeight: 1.6, marginBottom: 10 }}>
+              A CSV with an <span style={{ color: TEXT_PRIMARY }}>email</span> column (other columns are ignored),
+              or one address per line. Duplicates, existing subscribers and anyone who unsubscribed are skipped.
+            </div>
+            <input
+              type="file"
+              accept=".csv,text/csv,text/plain"
+              onChange={(e) => readFile(e.target.files[0])}
+              style={{ color: TEXT_MUTED, fontSize: 11, marginBottom: 8 }}
+            />
+            <textarea
+              value={csv}
+              onChange={(e) => { setFileName(""); change(setCsv)(e.target.value); }}
+              placeholder={"email\nana@example.com\nivan@example.bg"}
+              rows={6}
+              style={{ ...inputStyle, fontSize: 11, resize: "vertical", marginBottom: 12 }}
+            />
+            {fileName && (
+              <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: -8, marginBottom: 12 }}>
+                {fileName} · {csv.split(/\r?\n/).filter(Boolean).length} lines
+              </div>
+            )}
+
+            <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 12 }}>
+              <label style={{ color: TEXT_PRIMARY, fontSize: 12, display: "flex", gap: 8, alignItems: "baseline", cursor: "pointer" }}>
+                <input type="radio" checked={mode === "pending"} onChange={() => change(setMode)("pending")} />
+                <span>
+                  Ask them to confirm
+                  <span style={{ color: TEXT_MUTED, fontSize: 11 }}> — each gets the double opt-in email, sent gradually</span>
+                </span>
+              </label>
+              <label style={{ color: TEXT_PRIMARY, fontSize: 12, display: "flex", gap: 8, alignItems: "baseline", cursor: "pointer" }}>
+                <input type="radio" checked={mode === "confirmed"} onChange={() => change(setMode)("confirmed")} />
+                <span>
+                  Already confirmed
+                  <span style={{ color: TEXT_MUTED, fontSize: 11 }}> — they opted in elsewhere; no email is sent</span>
+                </span>
+              </label>
+            </div>
+            <input
+              value={consentSource}
+              onChange={(e) => change(setConsentSource)(e.target.value)}
+              placeholder={mode === "confirmed"
+                ? "Where they opted in (required), e.g. Mailchimp list, 2023 signup form"
+                : "Where the list came from (optional)"}
+              maxLength={255}
+              style={{ ...inputStyle, fontSize: 12, marginBottom: 16 }}
+            />
+          </>
+        )}
+
+        {/* ── Report ───────────────────────────────────────────── */}
+        {report && (
+          <div style={{ marginBottom: 16 }}>
+            <div style={{ display: "flex", gap: 14, fontSize: 12, marginBottom: 8 }}>
+              <span style={{ color: TEXT_MUTED }}>{report.summary.total} rows:</span>
+              <span style={{ color: ACCENT }}>{report.summary.imported} {done ? "imported" : "to import"}</span>
+              <span style={{ color: AMBER }}>{report.summary.skipped} skipped</span>
+              <span style={{ color: RED }}>{report.summary.invalid} invalid</span>
+            </div>
+            {problems.length > 0 && (
+              <div style={{ background: BG_TERMINAL, borderRadius: 4, padding: "8px 10px", maxHeight: 200, overflowY: "auto" }}>
+                {problems.map(row => (
+                  <div key={row.line} style={{ display: "flex", gap: 8, fontSize: 11, lineHeight: 1.8 }}>
+                    <span style={{ color: TEXT_MUTED, minWidth: 52 }}>line {row.line}</span>
+                    <span style={{ color: IMPORT_RESULT_COLORS[row.result], minWidth: 56 }}>{row.result}</span>
+                    <span style={{ color: TEXT_PRIMARY, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", maxWidth: 200 }}>
+                      {row.email || "(empty)"}
+                    </span>
+                    <span style={{ color: TEXT_MUTED }}>{row.reason}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button onClick={onClose} style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}>
+            {done ? "Close" : "Cancel"}
+          </button>
+          {!done && (
+            report ? (
+              <button
+                onClick={() => run(false)}
+                disabled={busy || report.summary.imported === 0}
+                style={{ ...btnBase, background: CYAN, color: BG_DEEP, opacity: busy || report.summary.imported === 0 ? 0.5 : 1 }}
+              >
+                {busy ? "Importing..." : `Import ${report.summary.imported} subscriber${report.summary.imported === 1 ? "" : "s"}`}
+              </button>
+            ) : (
+              <button
+                onClick={() => run(true)}
+                disabled={busy || !csv.trim()}
+                style={{ ...btnBase, background: `${CYAN}22`, color: CYAN, opacity: busy || !csv.trim() ? 0.5 : 1 }}
+              >
+                {busy ? "Checking..." : "Check file"}
+              </button>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  TWO-FACTOR DIALOG — each admin's own TOTP login setup
+//
+//  Setup is scan → type the first code → save the recovery codes,
+//  which are only ever shown right after they're created. Turning it
+//  off takes the password and a code, so a session left open isn't
+//  enough on its own.
+// ═══════════════════════════════════════════════════════════════════
+function TwoFactorDialog({ headers, onLogout, showToast, onClose }) {
+  const [status, setStatus] = useState(null);          // { enabled, enabledAt, recoveryCodesLeft }
+  const [step, setStep] = useState("status");          // status | setup | disable | regenerate | codes
+  const [enrollment, setEnrollment] = useState(null);  // { secret, uri, qr }
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  // Field errors come back as { code: "..." } and show under the input
+  const request = async (path, options = {}) => {
+    setBusy(true);
+    setFieldErrors({});
+    try {
+      const res = await adminFetch(`${API_URL}/api/admin/2fa${path}`, { headers, ...options }, onLogout);
+      if (!res) return null;
+      const data = await res.json();
+      if (!res.ok) {
+        if (data.error && typeof data.error === "object") setFieldErrors(data.error);
+        else showToast(errorText(data.error, "Request failed."), "error");
+        return null;
+      }
+      return data;
+    } catch {
+      showToast("Network error — is the API running?", "error");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadStatus = async () => {
+    const data = await request("");
+    if (data) setStatus(data);
+  };
+
+  useEffect(() => { loadStatus(); }, []);
+
+  const goTo = (next) => {
+    setStep(next);
+    setCode("");
+    setPassword("");
+    setFieldErrors({});
+  };
+
+  const startSetup = async () => {
+    const data = await request("/setup", { method: "POST" });
+    if (data) {
+      setEnrollment(data);
+      goTo("setup");
+    }
+  };
+
+  // /enable and /recovery-codes both answer with a fresh set of codes
+  const submitCode = async (e) => {
+    e.preventDefault();
+    const path = step === "setup" ? "/enable" : "/recovery-codes";
+    const data = await request(path, { method: "POST", body: JSON.stringify({ code }) });
+    if (data) {
+      setRecoveryCodes(data.recoveryCodes);
+      setEnrollment(null);
+      showToast(data.message);
+      goTo("codes");
+      loadStatus();
+    }
+  };
+
+  const disable = async (e) => {
+    e.preventDefault();
+    const data = await request("/disable", { method: "POST", body: JSON.stringify({ password, code }) });
+    if (data) {
+      showToast(data.message);
+      goTo("status");
+      loadStatus();
+    }
+  };
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join("\n"));
+      showToast("Recovery codes copied.");
+    } catch {
+      showToast("Couldn't copy — select the codes and copy them by hand.", "error");
+    }
+  };
+
+  const fieldError = (name) => fieldErrors[name] && (
+    <div style={{ color: RED, fontSize: 10, marginTop: 4 }}>{fieldErrors[name]}</div>
+  );
+
+  const codeInput = (
+    <div style={{ marginBottom: 14 }}>
+      <label style={{ color: TEXT_MUTED, fontSize: 11, display: "block", marginBottom: 4 }}>
+        {step === "setup" ? "Code from the app" : "Code from the app, or a recovery code"}
+      </label>
+      <input
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="123456"
+        maxLength={20}
+        autoFocus={step !== "disable"}
+        autoComplete="one-time-code"
+        style={{ ...inputStyle, letterSpacing: 4, textAlign: "center", fontSize: 15 }}
+      />
+      {fieldError("code")}
+    </div>
+  );
+
+  const muted = { color: TEXT_MUTED, fontSize: 11, lineHeight: 1.6, marginBottom: 12 };
+
+  return (
+    <div style={{
+      position: "fixed", top: 0, left: 0, right: 0, bottom: 0,
+      background: "rgba(0,0,0,0.7)",
+      display: "flex", alignItems: "center", justifyContent: "center",
+      zIndex: 1000,
+      backdropFilter: "blur(4px)",
+    }}>
+      <div style={{
+        background: BG_CARD, border: `1px solid ${CYAN}44`, borderRadius: 8,
+        padding: 28, maxWidth: 440, width: "90%", maxHeight: "90vh", overflowY: "auto",
+        boxShadow: "0 8px 40px rgba(0,0,0,0.5)",
+      }}>
+        <div style={{ color: CYAN, fontSize: 13, fontWeight: 700, marginBottom: 14 }}>
+          🔐 Two-factor login
+        </div>
+
+        {!status && <div style={muted}>Loading...</div>}
+
+        {/* ── Current state ─────────────────────────────────────── */}
+        {status && step === "status" && (
+          <>
+            {status.enabled ? (
+              <div style={muted}>
+                <span style={{ color: ACCENT }}>On</span> since {formatDate(status.enabledAt)}.
+                Logging in asks for a code from your authenticator app after the password.
+                <div style={{ color: status.recoveryCodesLeft <= 3 ? AMBER : TEXT_MUTED, marginTop: 6 }}>
+                  {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? "" : "s"} left.
+                </div>
+              </div>
+            ) : (
+              <div style={muted}>
+                <span style={{ color: AMBER }}>Off.</span> With it on, logging in also needs a 6-digit
+                code from an authenticator app on your phone — a leaked password alone won't get anyone in.
+              </div>
+            )}
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", flexWrap: "wrap" }}>
+              <button onClick={onClose} style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}>
+                Close
+              </button>
+              {status.enabled ? (
+                <>
+                  <button onClick={() => goTo("regenerate")} style={{ ...btnBase, background: `${CYAN}22`, color: CYAN }}>
+                    New recovery codes
+                  </button>
+                  <button onClick={() => goTo("disable")} style={{ ...btnBase, background: `${RED}22`, color: RED }}>
+                    Turn off
+                  </button>
+                </>
+              ) : (
+                <button onClick={startSetup} disabled={busy} style={{ ...btnBase, background: CYAN, color: BG_DEEP }}>
+                  {busy ? "Starting..." : "Set up"}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+
+        {/* ── Enrollment: scan, then confirm one code ───────────── */}
+        {step === "setup" && enrollment && (
+          <form onSubmit={submitCode}>
+            <div style={muted}>
+              Scan this with your authenticator app, then type the code it shows.
+            </div>
+            <div style={{ textAlign: "center", marginBottom: 12 }}>
+              <img src={enrollment.qr} alt="QR code for the authenticator app" width={200} height={200} style={{ borderRadius: 4 }} />
+            </div>
+            <div style={{ ...muted, marginBottom: 14 }}>
+              Can't scan? Enter this key instead:
+              <input
+                readOnly
+                value={enrollment.secret}
+                onFocus={(e) => e.target.select()}
+                style={{ ...filterInput, width: "100%", marginTop: 4, letterSpacing: 1 }}
+              />
+            </div>
+            {codeInput}
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+              <button type="button" onClick={() => goTo("status")} style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}>
+                Cancel
+              </button>
+              <button type="submit" disabled={busy || !code.trim()} style={{ ...btnBase, background: CYAN, color: BG_DEEP, opacity: code.trim() ? 1 : 0.5 }}>
+                {busy ? "Checking..." : "Turn on"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* ── Replace the recovery codes ────────────────────────── */}
+        {step === "regenerate" && (
+          <form onSubmit={submitCode}>
+            <div style={muted}>
+              Creates ten new recovery codes. The ones you have now stop working.
+            </div>
+            {codeInput}
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+              <button type="button" onClick={() => goTo("status")} style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}>
+                Cancel
+              </button>
+              <button type="submit" disabled={busy || !code.trim()} style={{ ...btnBase, background: CYAN, color: BG_DEEP, opacity: code.trim() ? 1 : 0.5 }}>
+                {busy ? "Creating..." : "Create new codes"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* ── Turn off ──────────────────────────────────────────── */}
+        {step === "disable" && (
+          <form onSubmit={disable}>
+            <div style={{ marginBottom: 10 }}>
+              <label style={{ color: TEXT_MUTED, fontSize: 11, display: "block", marginBottom: 4 }}>Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoFocus
+                autoComplete="current-password"
+                style={inputStyle}
+              />
+              {fieldError("password")}
+            </div>
+            {codeInput}
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+              <button type="button" onClick={() => goTo("status")} style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}>
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={busy || !password || !code.trim()}
+                style={{ ...btnBase, background: RED, color: "#fff", opacity: password && code.trim() ? 1 : 0.5 }}
+              >
+                {busy ? "Turning off..." : "Turn off"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* ── Recovery codes, shown once ────────────────────────── */}
+        {step === "codes" && recoveryCodes && (
+          <>
+            <div style={{ ...muted, color: AMBER }}>
+              Save these somewhere safe — a password manager or on paper. Each works once,
+              in place of a code from the app. They won't be shown again.
+            </div>
+            <div style={{
+              background: BG_TERMINAL, borderRadius: 4, padding: "12px 16px", marginBottom: 14,
+              display: "grid", gridTemplateColumns: "1fr 1fr", gap: "6px 20px",
+              color: TEXT_PRIMARY, fontSize: 13, letterSpacing: 1,
+            }}>
+              {recoveryCodes.map(c => <span key={c}>{c}</span>)}
+            </div>
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+              <button onClick={copyCodes} style={{ ...btnBase, background: `${CYAN}22`, color: CYAN }}>
+                Copy
+              </button>
+              <button onClick={() => { setRecoveryCodes(null); goTo("status"); }} style={{ ...btnBase, background: CYAN, color: BG_DEEP }}>
+                I've saved them
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  SESSIONS DIALOG — everywhere you're logged in
+//
+//  One row per login (each browser tab is its own), newest activity
+//  first. Ending a session logs that tab out on its next request;
+//  ending this one is the same as Logout.
+// ═══════════════════════════════════════════════════════════════════
+function SessionsDialog({ headers, onLogout, onSignOut, showToast, onClose }) {
+  const [sessions, setSessions] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const request = useAdminRequest("/sessions", { headers, onLogout, showToast });
+
+  const loadSessions = async () => {
+    const data = await request("");
+    if (data) setSessions(data.sessions);
+  };
+
+  useEffect(() => { loadSessions(); }, []);
+
+  const endSession = async (session) => {
+    setBusy(session.id);
+    const data = await request(`/${session.id}`, { method: "DELETE" });
+    setBusy(null);
+    if (!data) return;
+    if (data.current) {
+      onSignOut();
+      return;
+    }
+    setSessions(prev => prev.filter(s => s.id !== session.id));
+    showToast(data.message);
+  };
+
+  const endOthers = async () => {
+    setBusy("others");
+    const data = await request("/revoke-others", { method: "POST" });
+    setBusy(null);
+    if (data) {
+      setSessions(prev => prev.filter(s => s.current));
+      showToast(data.message);
+    }
+  };
+
+  const others = sessions ? sessions.filter(s => !s.current).length : 0;
+
+  return (
+    <div style={{
+      position: "fixed", top: 0, left: 0, right: 0, bottom: 0,
+      background: "rgba(0,0,0,0.7)",
+      display: "flex", alignItems: "center", justifyContent: "center",
+      zIndex: 1000,
+      backdropFilter: "blur(4px)",
+    }}>
+      <div style={{
+        background: BG_CARD, border: `1px solid ${CYAN}44`, borderRadius: 8,
+        padding: 28, maxWidth: 520, width: "90%", maxHeight: "90vh", overflowY: "auto",
+        boxShadow: "0 8px 40px rgba(0,0,0,0.5)",
+      }}>
+        <div style={{ color: CYAN, fontSize: 13, fontWeight: 700, marginBottom: 14 }}>
+          🖥 Your sessions
         </div>
-        <p style={{ color: TEXT_PRIMARY, fontSize: 13, lineHeight: 1.6, marginBottom: 20 }}>
-          {message}
-        </p>
+
+        {!sessions && <div style={{ color: TEXT_MUTED, fontSize: 11 }}>Loading...</div>}
+
+        {sessions && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 16 }}>
+            {sessions.map(session => (
+              <div key={session.id} style={{
+                background: BG_TERMINAL, borderRadius: 4, padding: "10px 14px",
+                border: `1px solid ${session.current ? `${ACCENT}44` : "transparent"}`,
+                display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12,
+              }}>
+                <div>
+                  <div style={{ color: TEXT_PRIMARY, fontSize: 12 }} title={session.userAgent || ""}>
+                    {session.device}
+                    {session.current && <span style={{ color: ACCENT, fontSize: 10, marginLeft: 8 }}>this tab</span>}
+                  </div>
+                  <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 3 }}>
+                    {session.ip || "unknown IP"} · last seen {formatDate(session.lastSeenAt)} · logged in {formatDate(session.createdAt)}
+                  </div>
+                </div>
+                <button
+                  onClick={() => endSession(session)}
+                  disabled={busy === session.id}
+                  style={{ ...btnBase, background: `${RED}22`, color: RED, flexShrink: 0 }}
+                >
+                  {session.current ? "Log out" : "End"}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
         <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
-          <button
-            onClick={onCancel}
-            style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}
-          >
-            Cancel
+          <button onClick={onClose} style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}>
+            Close
           </button>
           <button
-            onClick={onConfirm}
-            style={{ ...btnBase, background: RED, color: "#fff" }}
+            onClick={endOthers}
+            disabled={busy === "others" || others === 0}
+            style={{ ...btnBase, background: RED, color: "#fff", opacity: others === 0 ? 0.5 : 1 }}
           >
-            Delete Permanently
+            {busy === "others" ? "Ending..." : `Log out all other sessions${others ? ` (${others})` : ""}`}
           </button>
         </div>
       </div>
@@ -287,22 +4446,34 @@ function ConfirmDialog({ message, onConfirm, onCancel }) {
 // ═══════════════════════════════════════════════════════════════════
 //  MAIN ADMIN DASHBOARD
 // ═══════════════════════════════════════════════════════════════════
-function Dashboard({ token, onLogout }) {
+// onLogout is for a 401 from the API (it renews the session if it
+// can); onSignOut is the Logout button.
+function Dashboard({ token, me, onLogout, onSignOut }) {
   const [tab, setTab] = useState("guestbook");
   const [stats, setStats] = useState(null);
   const [guestbook, setGuestbook] = useState([]);
+  const [guestbookPage, setGuestbookPage] = useState({ total: 0, nextCursor: null, loading: false });
+  const [guestbookFilters, setGuestbookFilters] = useState(GUESTBOOK_FILTER_DEFAULTS);
+  const [settings, setSettings] = useState(null);
   const [newsletter, setNewsletter] = useState([]);
-  const [contacts, setContacts] = useState([]);
+  const [newsletterStatus, setNewsletterStatus] = useState("all");
+  const [showImport, setShowImport] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);     // Bumped by ↻ Refresh for tabs that load their own data
+  const [trendInterval, setTrendInterval] = useState("day");
+  const [trends, setTrends] = useState(null);          // GET /stats/timeseries for the charts
+  const [campaigns, setCampaigns] = useState([]);
   const [loading, setLoading] = useState(true);
   const [actionLoading, setActionLoading] = useState(null);  // Track which item is being actioned
-  const [confirmDelete, setConfirmDelete] = useState(null);   // { type, id, name }
+  const [confirmDelete, setConfirmDelete] = useState(null);   // { type, id, message } or { message, action }
   const [toast, setToast] = useState(null);
 
-  // Auth headers for all admin API calls
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${token}`,
-  };
+  // Auth headers for all admin API calls. One object for the whole
+  // session: the access token in it is swapped when it's renewed, so
+  // lists that load with it don't all reload every few minutes.
+  const headers = useRef({ "Content-Type": "application/json" }).current;
+  headers.Authorization = `Bearer ${token}`;
 
   // Show a temporary toast notification
   const showToast = useCallback((message, type = "success") => {
@@ -310,49 +4481,112 @@ function Dashboard({ token, onLogout }) {
     setTimeout(() => setToast(null), 3000);
   }, []);
 
+  // ── Guestbook pages ───────────────────────────────────────────
+  // The guestbook can hold thousands of entries, so it's loaded one
+  // page at a time. No cursor → first page (replaces the list and
+  // the selection).
+  const guestbookSelection = useSelection(guestbook, guestbookPage.total);
+  const clearGuestbookSelection = guestbookSelection.clear;
+
+  const loadGuestbook = useCallback(async (cursor = null) => {
+    setGuestbookPage(prev => ({ ...prev, loading: true }));
+    try {
+      const params = new URLSearchParams({ limit: GUESTBOOK_PAGE_SIZE, ...guestbookFilters });
+      if (cursor) params.set("cursor", cursor);
+
+      const res = await adminFetch(`${API_URL}/api/admin/guestbook?${params}`, { headers }, onLogout);
+      if (!res) return;
+      const data = await res.json();
+
+      if (!res.ok) {
+        showToast(errorText(data.error, "Failed to fetch guestbook entries."), "error");
+      } else {
+        setGuestbook(prev => cursor ? [...prev, ...data.entries] : data.entries);
+        setGuestbookPage({ total: data.total, nextCursor: data.nextCursor, loading: false });
+        if (!cursor) clearGuestbookSelection();
+        return;
+      }
+    } catch (err) {
+      showToast("Failed to fetch guestbook: " + err.message, "error");
+    }
+    setGuestbookPage(prev => ({ ...prev, loading: false }));
+  }, [headers, guestbookFilters, onLogout, showToast, clearGuestbookSelection]);
+
+  useEffect(() => { loadGuestbook(); }, [loadGuestbook]);
+
+  const loadMoreGuestbook = useCallback(() => {
+    if (guestbookPage.nextCursor && !guestbookPage.loading) loadGuestbook(guestbookPage.nextCursor);
+  }, [guestbookPage, loadGuestbook]);
+
   // ── Fetch all data on mount ───────────────────────────────────
   const fetchAll = useCallback(async () => {
     setLoading(true);
     try {
-      const [statsRes, gbRes, nlRes, ctRes] = await Promise.all([
-        fetch(`${API_URL}/api/admin/stats`, { headers }),
-        fetch(`${API_URL}/api/admin/guestbook`, { headers }),
-        fetch(`${API_URL}/api/admin/newsletter`, { headers }),
-        fetch(`${API_URL}/api/admin/contacts`, { headers }),
+      // Concurrent 401s share one renewal (see refreshSession)
+      const responses = await Promise.all([
+        adminFetch(`${API_URL}/api/admin/stats`, { headers }, onLogout),
+        adminFetch(`${API_URL}/api/admin/newsletter`, { headers }, onLogout),
+        adminFetch(`${API_URL}/api/admin/campaigns`, { headers }, onLogout),
+        adminFetch(`${API_URL}/api/admin/settings`, { headers }, onLogout),
       ]);
 
-      // If any request returns 401, the token is expired
-      if (statsRes.status === 401 || gbRes.status === 401) {
-        onLogout();
-        return;
-      }
+      // Null if the session has ended
+      if (responses.includes(null)) return;
+      const [statsRes, nlRes, cpRes, setRes] = responses;
 
-      const [statsData, gbData, nlData, ctData] = await Promise.all([
-        statsRes.json(), gbRes.json(), nlRes.json(), ctRes.json(),
+      const [statsData, nlData, cpData, setData] = await Promise.all([
+        statsRes.json(), nlRes.json(), cpRes.json(), setRes.json(),
       ]);
 
       setStats(statsData);
-      setGuestbook(gbData.entries || []);
       setNewsletter(nlData.subscribers || []);
-      setContacts(ctData.messages || []);
+      setCampaigns(cpData.campaigns || []);
+      setSettings(setData.settings || null);
     } catch (err) {
       showToast("Failed to fetch data: " + err.message, "error");
     }
     setLoading(false);
-  }, [token, onLogout, showToast]);
+  }, [headers, onLogout, showToast]);
 
   useEffect(() => { fetchAll(); }, [fetchAll]);
 
+  // Re-reads just the stat cards (after changes made inside a tab)
+  const refreshStats = useCallback(async () => {
+    try {
+      const res = await adminFetch(`${API_URL}/api/admin/stats`, { headers }, onLogout);
+      if (res?.ok) setStats(await res.json());
+    } catch { /* the cards just stay as they were */ }
+  }, [headers, onLogout]);
+
+  // Trend charts: reloaded when the interval changes and on ↻ Refresh
+  useEffect(() => {
+    let cancelled = false;
+    setTrends(null);
+    adminFetch(`${API_URL}/api/admin/stats/timeseries?interval=${trendInterval}`, { headers }, onLogout)
+      .then(res => (res?.ok ? res.json() : null))
+      .then(data => { if (!cancelled && data) setTrends(data); })
+      .catch(() => { /* the charts just stay empty */ });
+    return () => { cancelled = true; };
+  }, [headers, onLogout, trendInterval, refreshKey]);
+
+  // Re-reads the subscriber list (after restoring some from the trash)
+  const loadSubscribers = useCallback(async () => {
+    try {
+      const res = await adminFetch(`${API_URL}/api/admin/newsletter`, { headers }, onLogout);
+      if (res?.ok) setNewsletter((await res.json()).subscribers);
+    } catch { /* the list just stays as it was */ }
+  }, [headers, onLogout]);
+
   // ── Action handlers ───────────────────────────────────────────
 
   // Toggle guestbook entry visibility
   const toggleGuestbookVisibility = async (id) => {
     setActionLoading(`gb-vis-${id}`);
     try {
-      const res = await fetch(`${API_URL}/api/admin/guestbook/${id}`, {
+      const res = await adminFetch(`${API_URL}/api/admin/guestbook/${id}`, {
         method: "PATCH", headers,
-      });
-      if (res.status === 401) { onLogout(); return; }
+      }, onLogout);
+      if (!res) return;
       const data = await res.json();
       if (res.ok) {
         setGuestbook(prev => prev.map(e =>
@@ -364,81 +4598,182 @@ function Dashboard({ token, onLogout }) {
     setActionLoading(null);
   };
 
-  // Delete guestbook entry (after confirmation)
+  // Approve or reject a held guestbook entry
+  const moderateGuestbookEntry = async (id, action) => {
+    setActionLoading(`gb-mod-${id}`);
+    try {
+      const res = await adminFetch(`${API_URL}/api/admin/guestbook/${id}/${action}`, {
+        method: "POST", headers,
+      }, onLogout);
+      if (!res) return;
+      const data = await res.json();
+      if (res.ok) {
+        const wasPending = guestbook.find(e => e.id === id)?.status === "pending";
+        if (guestbookFilters.status !== "all" && guestbookFilters.status !== data.entry.status) {
+          // No longer matches the filter (e.g. approved from the pending queue)
+          setGuestbook(prev => prev.filter(e => e.id !== id));
+          setGuestbookPage(prev => ({ ...prev, total: prev.total - 1 }));
+        } else {
+          setGuestbook(prev => prev.map(e => e.id === id ? { ...e, ...data.entry } : e));
+        }
+        if (wasPending) {
+          setStats(prev => prev && { ...prev, guestbook: { ...prev.guestbook, pending: prev.guestbook.pending - 1 } });
+        }
+        showToast(data.message);
+      } else {
+        showToast(errorText(data.error, "Action failed."), "error");
+      }
+    } catch { showToast("Action failed.", "error"); }
+    setActionLoading(null);
+  };
+
+  // Switch a site setting (e.g. the guestbook moderation mode).
+  // Resolves to whether the server accepted it.
+  const updateSetting = async (key, value) => {
+    setActionLoading(`setting-${key}`);
+    let saved = false;
+    try {
+      const res = await adminFetch(`${API_URL}/api/admin/settings`, {
+        method: "PATCH", headers, body: JSON.stringify({ [key]: value }),
+      }, onLogout);
+      if (!res) return false;
+      const data = await res.json();
+      if (res.ok) {
+        setSettings(data.settings);
+        showToast(data.message);
+        saved = true;
+      } else {
+        showToast(errorText(data.error, "Failed to save settings."), "error");
+      }
+    } catch { showToast("Failed to save settings.", "error"); }
+    setActionLoading(null);
+    return saved;
+  };
+
+  // Move a guestbook entry to the trash (after confirmation)
   const deleteGuestbookEntry = async (id) => {
     setActionLoading(`gb-del-${id}`);
     try {
-      const res = await fetch(`${API_URL}/api/admin/guestbook/${id}`, {
+      const res = await adminFetch(`${API_URL}/api/admin/guestbook/${id}`, {
         method: "DELETE", headers,
-      });
-      if (res.status === 401) { onLogout(); return; }
+      }, onLogout);
+      if (!res) return;
       if (res.ok) {
         setGuestbook(prev => prev.filter(e => e.id !== id));
-        showToast("Entry deleted.");
+        setGuestbookPage(prev => ({ ...prev, total: prev.total - 1 }));
+        refreshStats();
+        showToast("Entry moved to the trash.");
       }
     } catch { showToast("Delete failed.", "error"); }
     setActionLoading(null);
     setConfirmDelete(null);
   };
 
-  // Delete newsletter subscriber
+  // Add a guestbook entry's sender (their IP hash) to the blocklist
+  const blockGuestbookSender = async (entry) => {
+    setActionLoading(`gb-block-${entry.id}`);
+    try {
+      const res = await adminFetch(`${API_URL}/api/admin/blocklist/sender`, {
+        method: "POST", headers,
+        body: JSON.stringify({ source: "guestbook", id: entry.id, reason: `Guestbook entry #${entry.id}` }),
+      }, onLogout);
+      if (!res) return;
+      const data = await res.json();
+      if (res.ok) showToast(data.message);
+      else showToast(errorText(data.error, "Block failed."), "error");
+    } catch { showToast("Block failed.", "error"); }
+    setActionLoading(null);
+  };
+
+  // Move a newsletter subscriber to the trash
   const deleteSubscriber = async (id) => {
     setActionLoading(`nl-del-${id}`);
     try {
-      const res = await fetch(`${API_URL}/api/admin/newsletter/${id}`, {
+      const res = await adminFetch(`${API_URL}/api/admin/newsletter/${id}`, {
         method: "DELETE", headers,
-      });
-      if (res.status === 401) { onLogout(); return; }
+      }, onLogout);
+      if (!res) return;
       if (res.ok) {
         setNewsletter(prev => prev.filter(s => s.id !== id));
-        showToast("Subscriber removed.");
+        refreshStats();
+        showToast("Subscriber moved to the trash.");
       }
     } catch { showToast("Delete failed.", "error"); }
     setActionLoading(null);
     setConfirmDelete(null);
   };
 
-  // Toggle contact message read status
-  const toggleContactRead = async (id) => {
-    setActionLoading(`ct-read-${id}`);
+  // ── Bulk actions ──────────────────────────────────────────────
+  // POSTs to /api/admin/<list>/bulk and toasts the summary. Resolves
+  // to the response body, or null if it didn't go through.
+  const runBulk = async (list, body) => {
+    setActionLoading(`${list}-bulk`);
+    let result = null;
     try {
-      const res = await fetch(`${API_URL}/api/admin/contacts/${id}`, {
-        method: "PATCH", headers,
-      });
-      if (res.status === 401) { onLogout(); return; }
+      const res = await adminFetch(`${API_URL}/api/admin/${list}/bulk`, {
+        method: "POST", headers, body: JSON.stringify(body),
+      }, onLogout);
+      if (!res) return null;
       const data = await res.json();
       if (res.ok) {
-        setContacts(prev => prev.map(m =>
-          m.id === id ? { ...m, read: data.contact.read } : m
-        ));
+        showToast(data.message);
+        result = data;
+      } else {
+        showToast(errorText(data.error, "Bulk action failed."), "error");
       }
-    } catch { showToast("Action failed.", "error"); }
+    } catch { showToast("Bulk action failed.", "error"); }
     setActionLoading(null);
+    return result;
   };
 
-  // Delete contact message
-  const deleteContact = async (id) => {
-    setActionLoading(`ct-del-${id}`);
-    try {
-      const res = await fetch(`${API_URL}/api/admin/contacts/${id}`, {
-        method: "DELETE", headers,
-      });
-      if (res.status === 401) { onLogout(); return; }
-      if (res.ok) {
-        setContacts(prev => prev.filter(m => m.id !== id));
-        showToast("Message deleted.");
-      }
-    } catch { showToast("Delete failed.", "error"); }
-    setActionLoading(null);
-    setConfirmDelete(null);
+  const bulkGuestbook = async (action) => {
+    const data = await runBulk("guestbook", { action, ...guestbookSelection.target(guestbookFilters) });
+    if (data) {
+      loadGuestbook();
+      refreshStats();
+    }
   };
 
-
   // ── Tab definitions ───────────────────────────────────────────
+  // The subscriber list is loaded whole, so its status filter runs here
+  const shownSubscribers = newsletterStatus === "all"
+    ? newsletter
+    : newsletter.filter(sub => sub.status === newsletterStatus);
+
+  const newsletterSelection = useSelection(shownSubscribers, shownSubscribers.length);
+  const clearNewsletterSelection = newsletterSelection.clear;
+  useEffect(() => { clearNewsletterSelection(); }, [newsletterStatus, clearNewsletterSelection]);
+
+  const bulkRemoveSubscribers = async () => {
+    const target = newsletterSelection.target({ status: newsletterStatus });
+    const data = await runBulk("newsletter", { action: "delete", ...target });
+    if (data) {
+      const removed = new Set(data.ids);
+      setNewsletter(prev => prev.filter(s => !removed.has(s.id)));
+      newsletterSelection.clear();
+      refreshStats();
+    }
+  };
+
+  // What this role may do — the server enforces the same rules,
+  // this just hides the buttons it would refuse
+  const canModerate = hasRole(me, "moderator");
+  const isOwner = hasRole(me, "owner");
+
   const tabs = [
-    { key: "guestbook", label: "Guestbook", icon: "📝", count: guestbook.length },
+    { key: "guestbook", label: "Guestbook", icon: "📝", count: stats ? stats.guestbook.pending : 0 },
     { key: "newsletter", label: "Newsletter", icon: "📬", count: newsletter.length },
-    { key: "contacts", label: "Messages", icon: "💬", count: contacts.filter(c => !c.read).length },
+    { key: "contacts", label: "Messages", icon: "💬", count: stats ? stats.contacts.unread : 0 },
+    { key: "campaigns", label: "Campaigns", icon: "✉️", count: campaigns.filter(c => c.status === "draft").length },
+    { key: "posts", label: "Posts", icon: "📰", count: 0 },
+    { key: "trash", label: "Trash", icon: "🗑", count: stats ? stats.trash.total : 0 },
+    { key: "blocklist", label: "Blocklist", icon: "⛔", count: 0 },
+    ...(isOwner ? [
+      { key: "activity", label: "Activity", icon: "🛡", count: 0 },
+      { key: "team", label: "Team", icon: "👥", count: 0 },
+      { key: "limits", label: "Limits", icon: "⏱", count: 0 },
+      { key: "webhooks", label: "Webhooks", icon: "🔗", count: 0 },
+    ] : []),
   ];
 
 
@@ -473,15 +4808,52 @@ function Dashboard({ token, onLogout }) {
       {confirmDelete && (
         <ConfirmDialog
           message={confirmDelete.message}
+          confirmLabel={confirmDelete.confirmLabel}
           onCancel={() => setConfirmDelete(null)}
           onConfirm={() => {
-            if (confirmDelete.type === "guestbook") deleteGuestbookEntry(confirmDelete.id);
+            // Tabs with their own handlers pass an action callback
+            if (confirmDelete.action) {
+              confirmDelete.action();
+              setConfirmDelete(null);
+            }
+            else if (confirmDelete.type === "guestbook") deleteGuestbookEntry(confirmDelete.id);
             else if (confirmDelete.type === "newsletter") deleteSubscriber(confirmDelete.id);
-            else if (confirmDelete.type === "contact") deleteContact(confirmDelete.id);
           }}
         />
       )}
 
+      {/* ── Subscriber import dialog ──────────────────────────── */}
+      {showImport && (
+        <SubscriberImportDialog
+          headers={headers}
+          onLogout={onLogout}
+          showToast={showToast}
+          onClose={() => setShowImport(false)}
+          onImported={fetchAll}
+        />
+      )}
+
+      {/* ── Two-factor setup dialog ───────────────────────────── */}
+      {showTwoFactor && (
+        <TwoFactorDialog
+          headers={headers}
+          onLogout={onLogout}
+          showToast={showToast}
+          onClose={() => setShowTwoFactor(false)}
+        />
+      )}
+
+      {/* ── Sessions dialog ───────────────────────────────────── */}
+      {showSessions && (
+        <SessionsDialog
+          headers={headers}
+          onLogout={onLogout}
+          onSignOut={onSignOut}
+          showToast={showToast}
+          onClose={() => setShowSessions(false)}
+        />
+      )}
+
       {/* ── Top bar ────────────────────────────────────────────── */}
       <div style={{
         background: `${BG_CARD}ee`,
@@ -499,14 +4871,30 @@ function Dashboard({ token, onLogout }) {
             <span style={{ color: ACCENT, fontSize: 16, fontWeight: 700 }}>{"<TT />"}</span>
             <span style={{ color: TEXT_MUTED, fontSize: 12 }}>admin panel</span>
           </div>
+          <GlobalSearch
+            headers={headers}
+            onLogout={onLogout}
+            onOpen={(item) => setTab(SEARCH_TYPE_INFO[item.type].tab)}
+          />
           <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
-            <button onClick={fetchAll} style={{ ...btnBase, background: `${CYAN}22`, color: CYAN, fontSize: 10 }}>
+            <button onClick={() => { fetchAll(); loadGuestbook(); setRefreshKey(k => k + 1); }} style={{ ...btnBase, background: `${CYAN}22`, color: CYAN, fontSize: 10 }}>
               ↻ Refresh
             </button>
             <a href="/" style={{ ...btnBase, background: `${ACCENT}15`, color: ACCENT, textDecoration: "none", fontSize: 10 }}>
               ← Back to Site
             </a>
-            <button onClick={onLogout} style={{ ...btnBase, background: `${RED}22`, color: RED, fontSize: 10 }}>
+            {me && (
+              <span style={{ color: TEXT_MUTED, fontSize: 10 }}>
+                {me.username} · <span style={{ color: ROLE_COLORS[me.role] || TEXT_MUTED }}>{me.role}</span>
+              </span>
+            )}
+            <button onClick={() => setShowTwoFactor(true)} style={{ ...btnBase, background: `${CYAN}15`, color: CYAN, fontSize: 10 }} title="Two-factor login">
+              🔐 2FA
+            </button>
+            <button onClick={() => setShowSessions(true)} style={{ ...btnBase, background: `${CYAN}15`, color: CYAN, fontSize: 10 }} title="Where you're logged in">
+              🖥 Sessions
+            </button>
+            <button onClick={onSignOut} style={{ ...btnBase, background: `${RED}22`, color: RED, fontSize: 10 }}>
               Logout
             </button>
           </div>
@@ -522,24 +4910,40 @@ function Dashboard({ token, onLogout }) {
             <StatCard
               label="Guestbook Entries"
               value={stats.guestbook.total}
-              sub={`${stats.guestbook.visible} visible`}
+              sub={`${stats.guestbook.visible} public · ${stats.guestbook.pending} awaiting review`}
               color={MAGENTA}
+              trend={trends && trends.series.guestbook}
             />
             <StatCard
               label="Newsletter Subs"
               value={stats.newsletter.total}
-              sub={`${stats.newsletter.confirmed} confirmed`}
+              sub={`${stats.newsletter.confirmed} confirmed · ${stats.newsletter.pending} pending · ${stats.newsletter.pendingExpired} expired`}
               color={CYAN}
+              trend={trends && trends.series.subscriptions}
             />
             <StatCard
               label="Contact Messages"
               value={stats.contacts.total}
-              sub={`${stats.contacts.unread} unread`}
+              sub={`${stats.contacts.unread} unread · ${stats.contacts.open} open${stats.contacts.spam ? ` · ${stats.contacts.spam} spam` : ""}`}
               color={AMBER}
+              trend={trends && trends.series.contacts}
             />
           </div>
         )}
 
+        {/* ── Trend charts ─────────────────────────────────────── */}
+        {stats && <TrendsPanel trends={trends} interval={trendInterval} onIntervalChange={setTrendInterval} />}
+
+        {/* ── Read-only notice for viewers ─────────────────────── */}
+        {me && !canModerate && (
+          <div style={{
+            background: `${CYAN}10`, border: `1px solid ${CYAN}33`, borderRadius: 6,
+            padding: "8px 14px", marginBottom: 16, color: CYAN, fontSize: 11,
+          }}>
+            Read-only access — you're signed in as a viewer. Ask an owner if you need to make changes.
+          </div>
+        )}
+
         {/* ── Tab navigation ───────────────────────────────────── */}
         <div style={{
           display: "flex", gap: 4, marginBottom: 20,
@@ -587,27 +4991,155 @@ function Dashboard({ token, onLogout }) {
             {/* ═══ GUESTBOOK TAB ═══ */}
             {tab === "guestbook" && (
               <div>
-                <div style={{ color: ACCENT, fontSize: 12, marginBottom: 16, opacity: 0.6 }}>
-                  {">"} Showing all {guestbook.length} entries (including hidden)
+                {settings && (
+                  <div style={{
+                    display: "flex", alignItems: "center", gap: 10, marginBottom: 14,
+                    background: BG_CARD, border: `1px solid ${MAGENTA}22`, borderRadius: 6, padding: "10px 14px",
+                  }}>
+                    <span style={{ color: TEXT_MUTED, fontSize: 11 }}>Moderation mode:</span>
+                    <select
+                      value={settings["guestbook.moderationMode"]}
+                      onChange={(e) => updateSetting("guestbook.moderationMode", e.target.value)}
+                      disabled={!isOwner || actionLoading === "setting-guestbook.moderationMode"}
+                      title={isOwner ? undefined : "Only owners can change settings"}
+                      style={filterInput}
+                    >
+                      {MODERATION_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                    </select>
+                    <ThresholdInput
+                      label="Flag at score"
+                      value={settings["spam.flagThreshold"]}
+                      onSave={(v) => updateSetting("spam.flagThreshold", v)}
+                      disabled={!isOwner || actionLoading === "setting-spam.flagThreshold"}
+                    />
+                    <ThresholdInput
+                      label="Hide at"
+                      value={settings["spam.hideThreshold"]}
+                      onSave={(v) => updateSetting("spam.hideThreshold", v)}
+                      disabled={!isOwner || actionLoading === "setting-spam.hideThreshold"}
+                    />
+                    {stats && stats.guestbook.pending > 0 && guestbookFilters.status !== "pending" && (
+                      <button
+                        onClick={() => setGuestbookFilters({ ...GUESTBOOK_FILTER_DEFAULTS, status: "pending" })}
+                        style={{ ...btnBase, background: `${AMBER}22`, color: AMBER, marginLeft: "auto" }}
+                      >
+                        Review queue ({stats.guestbook.pending}) →
+                      </button>
+                    )}
+                  </div>
+                )}
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginBottom: 16, flexWrap: "wrap" }}>
+                  <div style={{ color: ACCENT, fontSize: 12, opacity: 0.6 }}>
+                    {">"} Showing {guestbook.length} of {guestbookPage.total} entries
+                    {guestbookFilters.visibility === "all" && " (including hidden)"}
+                  </div>
+                  <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    <select
+                      value={guestbookFilters.status}
+                      onChange={(e) => setGuestbookFilters(f => ({ ...f, status: e.target.value }))}
+                      style={filterInput}
+                    >
+                      <option value="all">Any status</option>
+                      <option value="pending">Pending review</option>
+                      <option value="approved">Approved</option>
+                      <option value="rejected">Rejected</option>
+                    </select>
+                    <select
+                      value={guestbookFilters.visibility}
+                      onChange={(e) => setGuestbookFilters(f => ({ ...f, visibility: e.target.value }))}
+                      style={filterInput}
+                    >
+                      <option value="all">Shown & hidden</option>
+                      <option value="visible">Visible</option>
+                      <option value="hidden">Hidden</option>
+                    </select>
+                    <input
+                      type="date" value={guestbookFilters.from} title="From"
+                      onChange={(e) => setGuestbookFilters(f => ({ ...f, from: e.target.value }))}
+                      style={filterInput}
+                    />
+                    <span style={{ color: TEXT_MUTED, fontSize: 11 }}>→</span>
+                    <input
+                      type="date" value={guestbookFilters.to} title="To"
+                      onChange={(e) => setGuestbookFilters(f => ({ ...f, to: e.target.value }))}
+                      style={filterInput}
+                    />
+                    {Object.keys(GUESTBOOK_FILTER_DEFAULTS).some(k => guestbookFilters[k] !== GUESTBOOK_FILTER_DEFAULTS[k]) && (
+                      <button
+                        onClick={() => setGuestbookFilters(GUESTBOOK_FILTER_DEFAULTS)}
+                        style={{ ...btnBase, background: `${TEXT_MUTED}33`, color: TEXT_PRIMARY }}
+                      >
+                        Clear
+                      </button>
+                    )}
+                    {canModerate && (
+                      <ExportMenu
+                        resource="guestbook"
+                        filters={guestbookFilters}
+                        headers={headers}
+                        onLogout={onLogout}
+                        showToast={showToast}
+                        color={MAGENTA}
+                      />
+                    )}
+                  </div>
                 </div>
+                {canModerate && guestbook.length > 0 && (
+                  <BulkBar selection={guestbookSelection} loaded={guestbook.length} total={guestbookPage.total} noun="entries">
+                    {[
+                      { action: "approve", label: "Approve", color: ACCENT },
+                      { action: "reject", label: "Reject", color: AMBER },
+                      { action: "hide", label: "Hide", color: AMBER },
+                      { action: "show", label: "Show", color: ACCENT },
+                    ].map(({ action, label, color }) => (
+                      <button
+                        key={action}
+                        onClick={() => bulkGuestbook(action)}
+                        disabled={actionLoading === "guestbook-bulk"}
+                        style={{ ...btnBase, background: `${color}22`, color }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                    <button
+                      onClick={() => setConfirmDelete({
+                        message: `Move ${guestbookSelection.count} guestbook entr${guestbookSelection.count === 1 ? "y" : "ies"} to the trash?`,
+                        confirmLabel: "Move to trash",
+                        action: () => bulkGuestbook("delete"),
+                      })}
+                      disabled={actionLoading === "guestbook-bulk"}
+                      style={{ ...btnBase, background: `${RED}22`, color: RED }}
+                    >
+                      Delete
+                    </button>
+                  </BulkBar>
+                )}
                 {guestbook.length === 0 ? (
                   <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
-                    No guestbook entries yet.
+                    {guestbookPage.loading ? "Loading entries..." : "No guestbook entries match."}
                   </div>
                 ) : (
                   <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
                     {guestbook.map(entry => (
                       <div key={entry.id} style={{
                         background: BG_CARD,
-                        border: `1px solid ${entry.visible ? `${MAGENTA}22` : `${RED}22`}`,
+                        border: `1px solid ${entry.status === "pending" ? `${AMBER}44` : entry.visible ? `${MAGENTA}22` : `${RED}22`}`,
                         borderRadius: 6,
                         padding: "14px 18px",
-                        opacity: entry.visible ? 1 : 0.6,
+                        opacity: entry.visible && entry.status !== "rejected" ? 1 : 0.6,
                         display: "flex",
                         justifyContent: "space-between",
                         alignItems: "flex-start",
                         gap: 16,
                       }}>
+                        {canModerate && (
+                          <input
+                            type="checkbox"
+                            checked={guestbookSelection.isSelected(entry.id)}
+                            onChange={(e) => guestbookSelection.toggle(entry.id, e.nativeEvent.shiftKey)}
+                            style={{ marginTop: 3 }}
+                          />
+                        )}
                         <div style={{ flex: 1 }}>
                           <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
                             <span style={{ color: MAGENTA, fontWeight: 600, fontSize: 13 }}>{entry.name}</span>
@@ -620,39 +5152,91 @@ function Dashboard({ token, onLogout }) {
                                 HIDDEN
                               </span>
                             )}
+                            {entry.status !== "approved" && (
+                              <span style={{
+                                background: entry.status === "pending" ? AMBER : `${RED}22`,
+                                color: entry.status === "pending" ? BG_DEEP : RED,
+                                fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700,
+                              }}>
+                                {entry.status === "pending" ? "AWAITING REVIEW" : "REJECTED"}
+                              </span>
+                            )}
                           </div>
                           <div style={{ color: TEXT_PRIMARY, fontSize: 12, lineHeight: 1.5, marginBottom: 4, opacity: 0.85 }}>
                             {entry.message}
                           </div>
                           <div style={{ color: TEXT_MUTED, fontSize: 10 }}>
                             {formatDate(entry.createdAt)}
-                            {entry.ipHash && <span style={{ marginLeft: 8 }}>IP: {entry.ipHash.slice(0, 8)}...</span>}
+                            {entry.ipTag && <span style={{ marginLeft: 8 }}>IP: {entry.ipTag}...</span>}
                           </div>
+                          <SpamInfo item={entry} />
                         </div>
-                        <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
-                          <button
-                            onClick={() => toggleGuestbookVisibility(entry.id)}
-                            disabled={actionLoading === `gb-vis-${entry.id}`}
-                            style={{
-                              ...btnBase,
-                              background: entry.visible ? `${AMBER}22` : `${ACCENT}22`,
-                              color: entry.visible ? AMBER : ACCENT,
-                            }}
-                          >
-                            {entry.visible ? "Hide" : "Show"}
-                          </button>
-                          <button
-                            onClick={() => setConfirmDelete({
-                              type: "guestbook", id: entry.id,
-                              message: `Permanently delete "${entry.name}"'s guestbook entry? This cannot be undone.`,
-                            })}
-                            style={{ ...btnBase, background: `${RED}22`, color: RED }}
-                          >
-                            Delete
-                          </button>
-                        </div>
+                        {canModerate && (
+                          <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+                            {entry.status !== "approved" && (
+                              <button
+                                onClick={() => moderateGuestbookEntry(entry.id, "approve")}
+                                disabled={actionLoading === `gb-mod-${entry.id}`}
+                                style={{ ...btnBase, background: `${ACCENT}22`, color: ACCENT }}
+                              >
+                                Approve
+                              </button>
+                            )}
+                            {entry.status === "pending" && (
+                              <button
+                                onClick={() => moderateGuestbookEntry(entry.id, "reject")}
+                                disabled={actionLoading === `gb-mod-${entry.id}`}
+                                style={{ ...btnBase, background: `${AMBER}22`, color: AMBER }}
+                              >
+                                Reject
+                              </button>
+                            )}
+                            <button
+                              onClick={() => toggleGuestbookVisibility(entry.id)}
+                              disabled={actionLoading === `gb-vis-${entry.id}`}
+                              style={{
+                                ...btnBase,
+                                background: entry.visible ? `${AMBER}22` : `${ACCENT}22`,
+                                color: entry.visible ? AMBER : ACCENT,
+                              }}
+                            >
+                              {entry.visible ? "Hide" : "Show"}
+                            </button>
+                            {entry.ipTag && (
+                              <button
+                                onClick={() => setConfirmDelete({
+                                  message: `Block the sender of "${entry.name}"'s entry (IP ${entry.ipTag}...) from the public forms until IP tags rotate?`,
+                                  confirmLabel: "Block sender",
+                                  action: () => blockGuestbookSender(entry),
+                                })}
+                                disabled={actionLoading === `gb-block-${entry.id}`}
+                                style={{ ...btnBase, background: `${MAGENTA}15`, color: MAGENTA }}
+                              >
+                                Block
+                              </button>
+                            )}
+                            <button
+                              onClick={() => setConfirmDelete({
+                                type: "guestbook", id: entry.id,
+                                message: `Move "${entry.name}"'s guestbook entry to the trash?`,
+                                confirmLabel: "Move to trash",
+                              })}
+                              style={{ ...btnBase, background: `${RED}22`, color: RED }}
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        )}
                       </div>
                     ))}
+                    {guestbookPage.nextCursor && (
+                      <LoadMore
+                        onLoadMore={loadMoreGuestbook}
+                        loading={guestbookPage.loading}
+                        remaining={guestbookPage.total - guestbook.length}
+                        color={MAGENTA}
+                      />
+                    )}
                   </div>
                 )}
               </div>
@@ -661,16 +5245,61 @@ function Dashboard({ token, onLogout }) {
             {/* ═══ NEWSLETTER TAB ═══ */}
             {tab === "newsletter" && (
               <div>
-                <div style={{ color: CYAN, fontSize: 12, marginBottom: 16, opacity: 0.6 }}>
-                  {">"} {newsletter.length} total subscribers
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginBottom: 16 }}>
+                  <div style={{ color: CYAN, fontSize: 12, opacity: 0.6 }}>
+                    {">"} {newsletter.length} total subscribers
+                    {newsletterStatus !== "all" && ` · ${shownSubscribers.length} shown`}
+                  </div>
+                  <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    <select value={newsletterStatus} onChange={(e) => setNewsletterStatus(e.target.value)} style={filterInput}>
+                      <option value="all">Any status</option>
+                      <option value="confirmed">Confirmed</option>
+                      <option value="pending">Pending</option>
+                      <option value="pending_expired">Pending (expired)</option>
+                      <option value="unsubscribed">Unsubscribed</option>
+                    </select>
+                    {isOwner && (
+                      <button
+                        onClick={() => setShowImport(true)}
+                        style={{ ...btnBase, background: `${CYAN}15`, color: CYAN }}
+                      >
+                        ⬆ Import
+                      </button>
+                    )}
+                    {canModerate && (
+                      <ExportMenu
+                        resource="newsletter"
+                        filters={{ status: newsletterStatus }}
+                        headers={headers}
+                        onLogout={onLogout}
+                        showToast={showToast}
+                        color={CYAN}
+                      />
+                    )}
+                  </div>
                 </div>
-                {newsletter.length === 0 ? (
+                {canModerate && shownSubscribers.length > 0 && (
+                  <BulkBar selection={newsletterSelection} loaded={shownSubscribers.length} total={shownSubscribers.length} noun="subscribers">
+                    <button
+                      onClick={() => setConfirmDelete({
+                        message: `Move ${newsletterSelection.count} subscriber(s) to the trash? They'll get no more emails.`,
+                        confirmLabel: "Move to trash",
+                        action: bulkRemoveSubscribers,
+                      })}
+                      disabled={actionLoading === "newsletter-bulk"}
+                      style={{ ...btnBase, background: `${RED}22`, color: RED }}
+                    >
+                      Remove
+                    </button>
+                  </BulkBar>
+                )}
+                {shownSubscribers.length === 0 ? (
                   <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
-                    No newsletter subscribers yet.
+                    {newsletter.length === 0 ? "No newsletter subscribers yet." : "No subscribers with this status."}
                   </div>
                 ) : (
                   <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
-                    {newsletter.map(sub => (
+                    {shownSubscribers.map(sub => (
                       <div key={sub.id} style={{
                         background: BG_CARD,
                         border: `1px solid ${CYAN}22`,
@@ -679,24 +5308,42 @@ function Dashboard({ token, onLogout }) {
                         display: "flex",
                         justifyContent: "space-between",
                         alignItems: "center",
+                        gap: 16,
                       }}>
-                        <div>
+                        {canModerate && (
+                          <input
+                            type="checkbox"
+                            checked={newsletterSelection.isSelected(sub.id)}
+                            onChange={(e) => newsletterSelection.toggle(sub.id, e.nativeEvent.shiftKey)}
+                          />
+                        )}
+                        <div style={{ flex: 1 }}>
                           <div style={{ color: CYAN, fontSize: 13, fontWeight: 500 }}>{sub.email}</div>
                           <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 2 }}>
                             Signed up: {formatDate(sub.createdAt)}
                             {sub.confirmed && <span style={{ color: ACCENT, marginLeft: 8 }}>✓ Confirmed</span>}
+                            {sub.status === "pending" && <span style={{ color: AMBER, marginLeft: 8 }}>Pending</span>}
+                            {sub.status === "pending_expired" && <span style={{ color: TEXT_MUTED, marginLeft: 8 }}>Pending (expired)</span>}
                             {sub.unsubAt && <span style={{ color: RED, marginLeft: 8 }}>Unsubscribed</span>}
+                            {sub.importedAt && (
+                              <span style={{ color: TEXT_MUTED, marginLeft: 8 }} title={sub.consentSource || ""}>
+                                · imported{sub.consentSource ? ` (${sub.consentSource})` : ""}
+                              </span>
+                            )}
                           </div>
                         </div>
-                        <button
-                          onClick={() => setConfirmDelete({
-                            type: "newsletter", id: sub.id,
-                            message: `Remove ${sub.email} from the newsletter? This cannot be undone.`,
-                          })}
-                          style={{ ...btnBase, background: `${RED}22`, color: RED }}
-                        >
-                          Remove
-                        </button>
+                        {canModerate && (
+                          <button
+                            onClick={() => setConfirmDelete({
+                              type: "newsletter", id: sub.id,
+                              message: `Move ${sub.email} to the trash? They'll get no more emails.`,
+                              confirmLabel: "Move to trash",
+                            })}
+                            style={{ ...btnBase, background: `${RED}22`, color: RED }}
+                          >
+                            Remove
+                          </button>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -706,91 +5353,111 @@ function Dashboard({ token, onLogout }) {
 
             {/* ═══ CONTACTS TAB ═══ */}
             {tab === "contacts" && (
-              <div>
-                <div style={{ color: AMBER, fontSize: 12, marginBottom: 16, opacity: 0.6 }}>
-                  {">"} {contacts.length} messages ({contacts.filter(c => !c.read).length} unread)
-                </div>
-                {contacts.length === 0 ? (
-                  <div style={{ color: TEXT_MUTED, textAlign: "center", padding: 40 }}>
-                    No contact messages yet.
-                  </div>
-                ) : (
-                  <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
-                    {contacts.map(msg => (
-                      <div key={msg.id} style={{
-                        background: BG_CARD,
-                        border: `1px solid ${msg.read ? `${AMBER}15` : `${AMBER}44`}`,
-                        borderLeft: msg.read ? `3px solid ${AMBER}22` : `3px solid ${AMBER}`,
-                        borderRadius: 6,
-                        padding: "14px 18px",
-                      }}>
-                        <div style={{
-                          display: "flex",
-                          justifyContent: "space-between",
-                          alignItems: "flex-start",
-                          marginBottom: 8,
-                        }}>
-                          <div>
-                            <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                              <span style={{ color: AMBER, fontWeight: 600, fontSize: 13 }}>{msg.name}</span>
-                              {!msg.read && (
-                                <span style={{
-                                  background: AMBER, color: BG_DEEP,
-                                  fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700,
-                                }}>
-                                  NEW
-                                </span>
-                              )}
-                            </div>
-                            <div style={{ color: CYAN, fontSize: 11, marginTop: 2 }}>{msg.email}</div>
-                          </div>
-                          <div style={{ display: "flex", gap: 6 }}>
-                            <button
-                              onClick={() => toggleContactRead(msg.id)}
-                              disabled={actionLoading === `ct-read-${msg.id}`}
-                              style={{
-                                ...btnBase,
-                                background: msg.read ? `${AMBER}22` : `${ACCENT}22`,
-                                color: msg.read ? AMBER : ACCENT,
-                              }}
-                            >
-                              {msg.read ? "Unread" : "Read"}
-                            </button>
-                            <button
-                              onClick={() => setConfirmDelete({
-                                type: "contact", id: msg.id,
-                                message: `Delete the message from ${msg.name} (${msg.email})? This cannot be undone.`,
-                              })}
-                              style={{ ...btnBase, background: `${RED}22`, color: RED }}
-                            >
-                              Delete
-                            </button>
-                          </div>
-                        </div>
-                        <div style={{
-                          color: TEXT_MUTED, fontSize: 11, fontWeight: 600,
-                          marginBottom: 6,
-                        }}>
-                          Subject: {msg.subject}
-                        </div>
-                        <div style={{
-                          color: TEXT_PRIMARY, fontSize: 12, lineHeight: 1.6,
-                          opacity: 0.85,
-                          background: `${BG_TERMINAL}88`,
-                          padding: "10px 14px",
-                          borderRadius: 4,
-                          whiteSpace: "pre-wrap",
-                        }}>
-                          {msg.message}
-                        </div>
-                        <div style={{ color: TEXT_MUTED, fontSize: 10, marginTop: 8 }}>
-                          {formatDate(msg.createdAt)}
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                )}
-              </div>
+              <ContactsTab
+                headers={headers}
+                onLogout={onLogout}
+                showToast={showToast}
+                setConfirmDelete={setConfirmDelete}
+                refreshStats={refreshStats}
+                refreshKey={refreshKey}
+              />
+            )}
+
+            {/* ═══ TRASH TAB ═══ */}
+            {tab === "trash" && (
+              <TrashTab
+                headers={headers}
+                onLogout={onLogout}
+                showToast={showToast}
+                setConfirmDelete={setConfirmDelete}
+                refreshStats={refreshStats}
+                onRestored={(type) => {
+                  if (type === "guestbook") loadGuestbook();
+                  if (type === "newsletter") loadSubscribers();
+                }}
+                counts={stats && stats.trash}
+                canModerate={canModerate}
+                refreshKey={refreshKey}
+              />
+            )}
+
+            {/* ═══ BLOCKLIST TAB ═══ */}
+            {tab === "blocklist" && (
+              <BlocklistTab
+                headers={headers}
+                onLogout={onLogout}
+                showToast={showToast}
+                setConfirmDelete={setConfirmDelete}
+                canModerate={canModerate}
+                refreshKey={refreshKey}
+              />
+            )}
+
+            {/* ═══ ACTIVITY TAB ═══ */}
+            {tab === "activity" && isOwner && (
+              <ActivityTab
+                headers={headers}
+                onLogout={onLogout}
+                showToast={showToast}
+                refreshKey={refreshKey}
+              />
+            )}
+
+            {/* ═══ TEAM TAB ═══ */}
+            {tab === "team" && isOwner && (
+              <TeamTab
+                headers={headers}
+                onLogout={onLogout}
+                showToast={showToast}
+                setConfirmDelete={setConfirmDelete}
+                me={me}
+                refreshKey={refreshKey}
+              />
+            )}
+
+            {/* ═══ RATE LIMITS TAB ═══ */}
+            {tab === "limits" && isOwner && (
+              <RateLimitsTab
+                headers={headers}
+                onLogout={onLogout}
+                showToast={showToast}
+                refreshKey={refreshKey}
+              />
+            )}
+
+            {/* ═══ WEBHOOKS TAB ═══ */}
+            {tab === "webhooks" && isOwner && (
+              <WebhooksTab
+                headers={headers}
+                onLogout={onLogout}
+                showToast={showToast}
+                setConfirmDelete={setConfirmDelete}
+                refreshKey={refreshKey}
+              />
+            )}
+
+            {/* ═══ POSTS TAB ═══ */}
+            {tab === "posts" && (
+              <PostsTab
+                headers={headers}
+                onLogout={onLogout}
+                showToast={showToast}
+                setConfirmDelete={setConfirmDelete}
+                canModerate={canModerate}
+                refreshKey={refreshKey}
+              />
+            )}
+
+            {/* ═══ CAMPAIGNS TAB ═══ */}
+            {tab === "campaigns" && (
+              <CampaignsTab
+                headers={headers}
+                campaigns={campaigns}
+                setCampaigns={setCampaigns}
+                onLogout={onLogout}
+                showToast={showToast}
+                setConfirmDelete={setConfirmDelete}
+              />
             )}
           </>
         )}
@@ -804,50 +5471,175 @@ function Dashboard({ token, onLogout }) {
 //  ADMIN PANEL — Main Export
 //
 //  Manages auth state with sessionStorage persistence.
-//  sessionStorage is used (not localStorage) so the token
-//  is automatically cleared when the browser tab closes —
+//  sessionStorage is used (not localStorage) so the tokens
+//  are automatically cleared when the browser tab closes —
 //  an extra security layer for admin sessions.
+//
+//  The access token is short-lived: a minute before it expires it's
+//  renewed with the refresh token (which is replaced each time), and
+//  a 401 from the API gets one renewal attempt (and the request is
+//  sent again — see adminFetch) before the login screen. Logout ends
+//  the session on the server too.
 // ═══════════════════════════════════════════════════════════════════
+
+const ACCESS_TOKEN_KEY = "admin_token";
+const REFRESH_TOKEN_KEY = "admin_refresh";
+const REFRESH_MARGIN_MS = 60 * 1000;   // Renew this long before the access token expires
+
+function readStored(key) {
+  try { return sessionStorage.getItem(key) || null; }
+  catch { return null; }
+}
+
+// When a JWT expires (ms), read from its payload. Not verified —
+// that's the server's job; this only schedules the renewal.
+function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return payload.exp * 1000;
+  } catch {
+    return null;
+  }
+}
+
 export default function AdminPanel() {
-  const [token, setToken] = useState(() => {
-    // Restore token from sessionStorage on initial load
-    try { return sessionStorage.getItem("admin_token") || null; }
-    catch { return null; }
-  });
+  // Restore the session from sessionStorage on initial load
+  const [token, setToken] = useState(() => readStored(ACCESS_TOKEN_KEY));
+  const [me, setMe] = useState(null);   // { username, role } of whoever is logged in
+  const refreshing = useRef(null);      // The renewal in flight, shared by everyone who needs it
+  const latestToken = useRef(token);    // For retries: the token as of the last renewal
+
+  // An invite link (/admin?invite=...) opens the "choose a password" screen
+  const [inviteToken, setInviteToken] = useState(() => new URLSearchParams(window.location.search).get("invite"));
+  const [invitedUser, setInvitedUser] = useState(null);
+
+  // Takes the response of /login, /login/2fa or /refresh
+  const startSession = useCallback((data) => {
+    setMe({ username: data.username, role: data.role });
+    setToken(data.token);
+    latestToken.current = data.token;
+    try {
+      sessionStorage.setItem(ACCESS_TOKEN_KEY, data.token);
+      sessionStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+    } catch {}
+  }, []);
+
+  const clearSession = useCallback(() => {
+    setToken(null);
+    setMe(null);
+    try {
+      sessionStorage.removeItem(ACCESS_TOKEN_KEY);
+      sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+    } catch {}
+  }, []);
+
+  // Trades the refresh token for a new pair. Resolves to "ok",
+  // "ended" (log in again) or "offline" (try again later). Callers
+  // arriving while a renewal is running share it — a refresh token
+  // only works once.
+  const refreshSession = useCallback(() => {
+    if (refreshing.current) return refreshing.current;
 
-  // Verify that a stored token is still valid on mount
+    const renew = async () => {
+      const refreshToken = readStored(REFRESH_TOKEN_KEY);
+      if (!refreshToken) return "ended";
+      try {
+        const res = await fetch(`${API_URL}/api/admin/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken }),
+        });
+        if (res.status === 400 || res.status === 401) return "ended";
+        if (!res.ok) return "offline";
+        startSession(await res.json());
+        return "ok";
+      } catch {
+        return "offline";
+      }
+    };
+
+    refreshing.current = renew().finally(() => { refreshing.current = null; });
+    return refreshing.current;
+  }, [startSession]);
+
+  // A 401 from the API: the access token may just have expired
+  // (e.g. the laptop slept through the renewal) — renew once, and
+  // only show the login screen if that fails too. Resolves to the new
+  // access token, so adminFetch() can retry the request, or null.
+  const handleUnauthorized = useCallback(async () => {
+    if (await refreshSession() === "ok") return latestToken.current;
+    clearSession();
+    return null;
+  }, [refreshSession, clearSession]);
+
+  // Renew shortly before the access token expires
+  useEffect(() => {
+    const expiresAt = token && tokenExpiry(token);
+    if (!expiresAt) return;
+
+    const timer = setTimeout(async () => {
+      if (await refreshSession() === "ended") clearSession();
+    }, Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+    return () => clearTimeout(timer);
+  }, [token, refreshSession, clearSession]);
+
+  // Verify that a stored session is still valid on mount
   useEffect(() => {
     if (!token) return;
 
     fetch(`${API_URL}/api/admin/verify`, {
       headers: { Authorization: `Bearer ${token}` },
     })
-      .then(res => {
+      .then(async res => {
         if (!res.ok) {
-          // Token is expired or invalid — clear it
-          setToken(null);
-          try { sessionStorage.removeItem("admin_token"); } catch {}
+          // Expired, ended, or the account was disabled
+          handleUnauthorized();
+          return;
         }
+        const data = await res.json();
+        setMe({ username: data.username, role: data.role });
       })
       .catch(() => {
-        // Network error — keep the token and let the dashboard
+        // Network error — keep the session and let the dashboard
         // handle the error on its own API calls
       });
-  }, [token]);
+  }, []);
 
-  const handleLogin = (newToken) => {
-    setToken(newToken);
-    try { sessionStorage.setItem("admin_token", newToken); } catch {}
-  };
+  // Ends the session on the server as well, so a copied token is
+  // worthless. The local logout doesn't wait for it.
+  const handleLogout = useCallback(() => {
+    const refreshToken = readStored(REFRESH_TOKEN_KEY);
+    if (refreshToken) {
+      fetch(`${API_URL}/api/admin/logout`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+        keepalive: true,
+      }).catch(() => {});
+    }
+    clearSession();
+  }, [clearSession]);
 
-  const handleLogout = () => {
-    setToken(null);
-    try { sessionStorage.removeItem("admin_token"); } catch {}
+  // Drops ?invite= from the address bar so a reload doesn't reopen it
+  const finishInvite = (username) => {
+    window.history.replaceState(null, "", window.location.pathname);
+    setInviteToken(null);
+    setInvitedUser(username);
   };
 
+  if (inviteToken) {
+    return <AcceptInviteScreen token={inviteToken} onDone={finishInvite} />;
+  }
+
   if (!token) {
-    return <LoginScreen onLogin={handleLogin} />;
+    return (
+      <LoginScreen
+        onLogin={startSession}
+        initialUsername={invitedUser || ""}
+        notice={invitedUser ? "Password set — log in to continue." : ""}
+      />
+    );
   }
 
-  return <Dashboard token={token} onLogout={handleLogout} />;
+  return <Dashboard token={token} me={me} onLogout={handleUnauthorized} onSignOut={handleLogout} />;
 }
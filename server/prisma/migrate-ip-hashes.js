@@ -0,0 +1,148 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ONE-TIME MIGRATION — Re-Key Legacy IP Hashes
+//
+//  Guestbook entries and contact messages created before IP hashes
+//  became keyed pseudonyms (see src/utils/ipHash.js) still hold a
+//  plain SHA-256 of the sender's IP, which can be brute-forced back to
+//  the address. This script replaces each one with the pseudonym the
+//  sender would have had on the day the row was created — same-day
+//  correlation (IP tags, spam history) carries on, and nothing links
+//  to the address without the secret. IP_HASH_SECRET must be set as
+//  it is on the server.
+//
+//  ip_hash blocklist rules holding a full hash are re-keyed the same
+//  way and expire when their period ends. Rules holding only a tag
+//  can't be re-keyed and no longer match; they're listed for removal.
+//
+//  Run with: npm run db:migrate-ip-hashes
+//  (after `npx prisma db push`, before the new version takes traffic)
+//
+//  Options:
+//    --before <date>  Only rows created before this time count as
+//                     legacy — the moment the new version went live,
+//                     if it has already been writing pseudonyms.
+//                     Defaults to now.
+//    --clear          Remove legacy hashes instead of re-keying them.
+//
+//  Idempotent — everything, including a marker in site_settings, is
+//  written in one transaction: a run that fails part-way changes
+//  nothing and can simply be repeated, and once the marker is there
+//  later runs stop without touching anything.
+// ═══════════════════════════════════════════════════════════════════
+
+const { PrismaClient } = require("@prisma/client");
+const { periodEnd, pseudonymFromHash } = require("../src/utils/ipHash");
+
+const MARKER_KEY = "ip_hash_migration";
+const FULL_HASH = /^[0-9a-f]{64}$/;
+
+// One update per row, all inside the transaction — allow for big tables
+const TRANSACTION_TIMEOUT_MS = 10 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = { before: new Date(), clear: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--clear") options.clear = true;
+    else if (argv[i] === "--before") options.before = new Date(argv[++i]);
+    else throw new Error(`Unknown option "${argv[i]}".`);
+  }
+  if (isNaN(options.before.getTime())) throw new Error("--before must be a valid date.");
+  return options;
+}
+
+// Re-keys (or clears) the legacy hashes of one model. `delegate` is
+// the transaction's model, e.g. tx.guestbookEntry.
+async function migrateModel(delegate, label, { before, clear }) {
+  const rows = await delegate.findMany({
+    where: { ipHash: { not: null }, createdAt: { lt: before } },
+    select: { id: true, ipHash: true, createdAt: true },
+  });
+
+  for (const row of rows) {
+    await delegate.update({
+      where: { id: row.id },
+      data: { ipHash: clear ? null : pseudonymFromHash(row.ipHash, row.createdAt) },
+    });
+  }
+  console.log(`  ✅ ${label}: ${rows.length} ${clear ? "cleared" : "re-keyed"}`);
+  return rows.length;
+}
+
+async function migrateBlockRules(tx, { before, clear }) {
+  const rules = await tx.blockRule.findMany({
+    where: { kind: "ip_hash", createdAt: { lt: before } },
+  });
+
+  let rekeyed = 0;
+  for (const rule of rules) {
+    if (clear || !FULL_HASH.test(rule.value)) {
+      console.log(`  ⚠️  Blocklist rule #${rule.id} (${rule.value.slice(0, 8)}) no longer matches anyone — remove it in the admin panel`);
+      continue;
+    }
+    const rotatesAt = periodEnd(rule.createdAt);
+    await tx.blockRule.update({
+      where: { id: rule.id },
+      data: {
+        value: pseudonymFromHash(rule.value, rule.createdAt),
+        expiresAt: rule.expiresAt && rule.expiresAt < rotatesAt ? rule.expiresAt : rotatesAt,
+      },
+    });
+    rekeyed++;
+  }
+  console.log(`  ✅ Blocklist rules: ${rekeyed} re-keyed`);
+}
+
+/**
+ * migrate — runs the migration on `client` (a PrismaClient). Returns
+ * false if it had already run.
+ */
+async function migrate(client, options) {
+  return client.$transaction(async (tx) => {
+    // Checked inside the transaction, so two runs at once can't both
+    // re-key: the second one's marker insert fails and rolls it back
+    const marker = await tx.siteSetting.findUnique({ where: { key: MARKER_KEY } });
+    if (marker) {
+      console.log(`🐾 Already migrated on ${marker.updatedAt.toISOString()} — nothing to do.\n`);
+      return false;
+    }
+
+    console.log(`🔐 ${options.clear ? "Clearing" : "Re-keying"} IP hashes from before ${options.before.toISOString()}...\n`);
+
+    await migrateModel(tx.guestbookEntry, "Guestbook entries", options);
+    await migrateModel(tx.contactMessage, "Contact messages", options);
+    await migrateBlockRules(tx, options);
+
+    await tx.siteSetting.create({
+      data: {
+        key: MARKER_KEY,
+        value: { migratedAt: new Date().toISOString(), before: options.before.toISOString(), clear: options.clear },
+      },
+    });
+    return true;
+  }, { maxWait: 10000, timeout: TRANSACTION_TIMEOUT_MS });
+}
+
+async function main(prisma) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!process.env.IP_HASH_SECRET) {
+    console.log("⚠️  IP_HASH_SECRET isn't set — using the key derived from JWT_SECRET.\n");
+  }
+
+  if (await migrate(prisma, options)) console.log("\n🐾 Done.\n");
+}
+
+module.exports = { migrate, parseArgs };
+
+// Run directly, not when required (the tests call migrate() with a fake)
+if (require.main === module) {
+  const prisma = new PrismaClient();
+  main(prisma)
+    .catch((e) => {
+      console.error("❌ Migration failed:", e.message);
+      process.exit(1);
+    })
+    .finally(async () => {
+      await prisma.$disconnect();
+    });
+}
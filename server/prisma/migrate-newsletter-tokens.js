@@ -0,0 +1,53 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ONE-TIME MIGRATION — Hash Existing Newsletter Tokens
+//
+//  Subscribers created before tokens were hashed still have their
+//  confirm and unsubscribe tokens in plaintext. This script:
+//    • Replaces each plaintext confirmToken with its SHA-256 hash.
+//      confirmTokenIssuedAt is set to the signup date, so old links
+//      keep the same age — most will already count as expired.
+//    • Issues every subscriber a derived unsubscribe token (nonce +
+//      hash). Old plaintext unsubscribe links stop working; campaign
+//      emails carry the new ones.
+//
+//  Run with: npm run db:migrate-tokens
+//  (after `npx prisma db push` has added the new columns)
+//
+//  Idempotent — rows that already have an unsubNonce are skipped.
+// ═══════════════════════════════════════════════════════════════════
+
+const { PrismaClient } = require("@prisma/client");
+const { hashToken, issueUnsubToken } = require("../src/utils/newsletterTokens");
+
+const prisma = new PrismaClient();
+
+async function main() {
+  console.log("🔐 Hashing legacy newsletter tokens...\n");
+
+  const legacy = await prisma.newsletterSub.findMany({
+    where: { unsubNonce: null },
+  });
+
+  for (const sub of legacy) {
+    await prisma.newsletterSub.update({
+      where: { id: sub.id },
+      data: {
+        confirmToken: sub.confirmToken ? hashToken(sub.confirmToken) : null,
+        confirmTokenIssuedAt: sub.confirmToken ? sub.createdAt : null,
+        ...issueUnsubToken(sub.email),
+      },
+    });
+    console.log(`  ✅ ${sub.email}`);
+  }
+
+  console.log(`\n🐾 Done — ${legacy.length} subscriber(s) migrated.\n`);
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Migration failed:", e.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
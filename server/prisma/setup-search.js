@@ -0,0 +1,79 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ONE-TIME SETUP — Full-Text Search Columns
+//
+//  schema.prisma declares a `search_vector` tsvector column (with a GIN
+//  index) on guestbook entries, subscribers and contact messages, but
+//  Prisma can't describe how that column is filled. This script turns
+//  each one into a generated column, so PostgreSQL keeps it up to date
+//  on every insert and update — no application code involved.
+//
+//  Weights: A = names, emails, subjects · B = message bodies.
+//  The "simple" config is used (no stemming), which works the same
+//  for English and Bulgarian text. Emails are indexed whole and split
+//  on @ . + _ - so "recruiter" finds "jane.recruiter@corp.com".
+//
+//  Run with: npm run db:setup-search
+//  (after `npx prisma db push` has created the tables)
+//
+//  Idempotent — columns that are already generated are left alone.
+// ═══════════════════════════════════════════════════════════════════
+
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+const emailTerms = (column) =>
+  `to_tsvector('simple', coalesce(${column}, '')) || to_tsvector('simple', translate(coalesce(${column}, ''), '@.+_-', '     '))`;
+
+const SEARCH_COLUMNS = {
+  guestbook_entries: `
+    setweight(to_tsvector('simple', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(message, '')), 'B')`,
+  newsletter_subscribers: `
+    setweight(${emailTerms("email")}, 'A')`,
+  contact_messages: `
+    setweight(to_tsvector('simple', coalesce(name, '')), 'A') ||
+    setweight(${emailTerms("email")}, 'A') ||
+    setweight(to_tsvector('simple', coalesce(subject, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(message, '')), 'B')`,
+};
+
+async function main() {
+  console.log("🔎 Setting up full-text search columns...\n");
+
+  for (const [table, expression] of Object.entries(SEARCH_COLUMNS)) {
+    const [column] = await prisma.$queryRaw`
+      SELECT is_generated FROM information_schema.columns
+      WHERE table_name = ${table} AND column_name = 'search_vector'
+    `;
+
+    if (column && column.is_generated === "ALWAYS") {
+      console.log(`  ⏭️  ${table} — already set up`);
+      continue;
+    }
+
+    // Dropping the plain column Prisma created also drops its index,
+    // so the index is recreated under the name schema.prisma expects.
+    await prisma.$transaction([
+      prisma.$executeRawUnsafe(`ALTER TABLE ${table} DROP COLUMN IF EXISTS search_vector`),
+      prisma.$executeRawUnsafe(
+        `ALTER TABLE ${table} ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (${expression}) STORED`
+      ),
+      prisma.$executeRawUnsafe(
+        `CREATE INDEX IF NOT EXISTS ${table}_search_idx ON ${table} USING GIN (search_vector)`
+      ),
+    ]);
+    console.log(`  ✅ ${table}`);
+  }
+
+  console.log("\n🐾 Done — search is ready.\n");
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Search setup failed:", e.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
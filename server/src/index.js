@@ -3,11 +3,15 @@
 //
 //  Main entry point for the backend API. Sets up:
 //    1. Express with JSON parsing and CORS
-//    2. General rate limiting on all /api routes
-//    3. Individual route handlers (guestbook, newsletter, contact)
+//    2. General rate limiting on all /api routes (counters in Postgres)
+//    3. Individual route handlers (guestbook, newsletter, contact,
+//       blog posts, plus the form challenge that guards their POSTs)
 //    4. Admin panel routes (JWT-protected management endpoints)
 //    5. Health check endpoint for Railway monitoring
-//    6. Graceful shutdown with Prisma disconnect
+//    6. Background workers: email retries, campaign sending,
+//       emptying the trash, sweeping expired rate-limit counters and
+//       spent form challenges, and retrying webhook deliveries
+//    7. Graceful shutdown with Prisma disconnect
 //
 //  The server trusts proxies (important for Railway/Vercel) so that
 //  rate limiting uses the real client IP, not the proxy's IP.
@@ -17,12 +21,22 @@ const express = require("express");
 const cors = require("cors");
 const prisma = require("./utils/prisma");                  // AUDIT FIX: shared instance
 const { generalLimiter } = require("./middleware/rateLimiter");
+const { jsonBody } = require("./middleware/jsonBody");
+const { startMailWorker } = require("./utils/mailer");
+const { startCampaignWorker } = require("./utils/campaignSender");
+const { startTrashWorker } = require("./utils/trash");
+const { startRateLimitSweeper } = require("./utils/rateLimitStore");
+const { startWebhookWorker } = require("./utils/webhooks");
+const { startChallengeSweeper } = require("./utils/challenge");
+const { apiUrl } = require("./utils/emailTemplates");
 
 // ─── Route Imports ──────────────────────────────────────────────
 const healthRoutes = require("./routes/health");
 const guestbookRoutes = require("./routes/guestbook");
+const postRoutes = require("./routes/posts");
 const newsletterRoutes = require("./routes/newsletter");
 const contactRoutes = require("./routes/contact");
+const challengeRoutes = require("./routes/challenge");
 const adminRoutes = require("./routes/admin");
 
 // ─── Initialize ─────────────────────────────────────────────────
@@ -37,6 +51,9 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
   ? process.env.ALLOWED_ORIGINS.split(",").map(s => s.trim())
   : ["http://localhost:5173", "http://localhost:3000"];
 
+// The API's own origin too: the unsubscribe page it serves posts back to it
+allowedOrigins.push(new URL(apiUrl("/")).origin);
+
 app.use(cors({
   origin: (origin, callback) => {
     // Allow requests with no origin (mobile apps, Postman, curl)
@@ -50,7 +67,7 @@ app.use(cors({
 }));
 
 // ─── Middleware ──────────────────────────────────────────────────
-app.use(express.json({ limit: "10kb" }));   // Parse JSON, cap body size at 10KB
+app.use(jsonBody);                           // Parse JSON — 10KB, more where long text is written
 app.set("trust proxy", 1);                   // Trust first proxy (Railway/Vercel)
 
 // ─── Routes ─────────────────────────────────────────────────────
@@ -68,6 +85,8 @@ app.use("/api", generalLimiter);
 app.use("/api/guestbook", guestbookRoutes);
 app.use("/api/newsletter", newsletterRoutes);
 app.use("/api/contact", contactRoutes);
+app.use("/api/posts", postRoutes);
+app.use("/api/challenge", challengeRoutes);
 
 // ─── Root Route ─────────────────────────────────────────────────
 app.get("/", (req, res) => {
@@ -83,7 +102,7 @@ app.get("/", (req, res) => {
 app.use((req, res) => {
   res.status(404).json({
     error: "Route not found",
-    hint: "Try /api/health, /api/guestbook, /api/newsletter, or /api/contact",
+    hint: "Try /api/health, /api/guestbook, /api/posts, /api/newsletter, /api/contact, or /api/challenge",
   });
 });
 
@@ -114,6 +133,16 @@ app.listen(PORT, () => {
   ║                                                   ║
   ╚═══════════════════════════════════════════════════╝
   `);
+
+  // Background workers (see utils/mailer.js, utils/campaignSender.js,
+  // utils/trash.js, utils/rateLimitStore.js, utils/challenge.js and
+  // utils/webhooks.js)
+  startMailWorker();
+  startCampaignWorker();
+  startTrashWorker();
+  startRateLimitSweeper();
+  startChallengeSweeper();
+  startWebhookWorker();
 });
 
 // ─── Graceful Shutdown ──────────────────────────────────────────
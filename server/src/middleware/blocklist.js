@@ -0,0 +1,38 @@
+// ═══════════════════════════════════════════════════════════════════
+//  BLOCKLIST MIDDLEWARE
+//
+//  Turns away submissions from senders on the admin blocklist (see
+//  utils/blocklist.js). Place it after the challenge, so bots that
+//  fail the cheap checks never cost a database query.
+//
+//  Usage in route files:
+//    const { rejectBlocked } = require("../middleware/blocklist");
+//    router.post("/", contactLimiter, requireChallenge("contact"), rejectBlocked, async (req, res) => { ... });
+//
+//  Rejections are 403s with code "blocked". The message doesn't say
+//  which rule matched.
+// ═══════════════════════════════════════════════════════════════════
+
+const { findBlockingRule } = require("../utils/blocklist");
+const { ipHashFor } = require("../utils/ipHash");
+
+// The 403 every blocked submission gets
+const sendBlocked = (res) => res.status(403).json({ error: "Sorry, this submission can't be accepted.", code: "blocked" });
+
+async function rejectBlocked(req, res, next) {
+  try {
+    const rule = await findBlockingRule({
+      ip: req.ip,
+      ipHash: ipHashFor(req),
+      email: req.body && typeof req.body.email === "string" ? req.body.email : null,
+    });
+    if (rule) {
+      return sendBlocked(res);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { rejectBlocked, sendBlocked };
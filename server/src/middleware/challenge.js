@@ -0,0 +1,71 @@
+// ═══════════════════════════════════════════════════════════════════
+//  FORM CHALLENGE MIDDLEWARE
+//
+//  Guards the public POST endpoints with the proof-of-work + honeypot
+//  challenge from utils/challenge.js. Place it after the rate limiter
+//  so throttled clients don't cost any hashing.
+//
+//  requireChallenge() checks the token but doesn't spend it; the route
+//  calls spendChallenge() once the submission is valid and about to be
+//  accepted, so a visitor who fixes a rejected field can resubmit with
+//  the same solved challenge.
+//
+//  Usage in route files:
+//    const { requireChallenge, spendChallenge } = require("../middleware/challenge");
+//    router.post("/", contactLimiter, requireChallenge("contact"), async (req, res) => {
+//      ...validate...
+//      if (!(await spendChallenge(req, res))) return;
+//      ...
+//    });
+//
+//  Rejections are 400s with a machine-readable code next to the
+//  message, e.g. { error: "...", code: "challenge_expired" }:
+//    challenge_required · challenge_invalid · challenge_expired
+//    challenge_unsolved · challenge_reused · submitted_too_fast
+//    honeypot_filled
+// ═══════════════════════════════════════════════════════════════════
+
+const { ChallengeError, markChallengeUsed, verifyChallenge } = require("../utils/challenge");
+
+const challengeRejection = (res, err) => res.status(400).json({ error: err.message, code: err.code });
+
+/**
+ * requireChallenge — Express middleware factory
+ *
+ * `form` must match the form the challenge was issued for, so a
+ * token fetched for the newsletter can't be spent on the guestbook.
+ * The verified claims are left on req.challenge.
+ */
+function requireChallenge(form) {
+  return (req, res, next) => {
+    try {
+      req.challenge = verifyChallenge(form, req.body || {});
+      next();
+    } catch (err) {
+      if (err instanceof ChallengeError) {
+        return challengeRejection(res, err);
+      }
+      next(err);
+    }
+  };
+}
+
+/**
+ * spendChallenge — marks the request's token used. Resolves to true,
+ * or sends the 400 (challenge_reused) and resolves to false. Other
+ * errors are thrown for the route's catch.
+ */
+async function spendChallenge(req, res) {
+  try {
+    await markChallengeUsed(req.challenge);
+    return true;
+  } catch (err) {
+    if (err instanceof ChallengeError) {
+      challengeRejection(res, err);
+      return false;
+    }
+    throw err;
+  }
+}
+
+module.exports = { requireChallenge, spendChallenge };
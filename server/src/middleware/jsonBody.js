@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════════════════════════════
+//  JSON BODY PARSER — Size Limits per Route
+//
+//  Every request body is capped at 10KB, which is plenty for the
+//  public forms and most admin actions. The admin routes where long
+//  text is written get a limit sized to their schema's maximum
+//  instead, so a 100,000-character campaign isn't refused with a 413
+//  before validation can give a proper message.
+//
+//  Usage (index.js):
+//    app.use(jsonBody);
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const { BODY_MARKDOWN_MAX, REPLY_BODY_MAX } = require("../utils/validation");
+
+const DEFAULT_LIMIT = "10kb";
+
+/**
+ * jsonLimitFor — bytes needed for a body with `maxChars` characters
+ * of text: up to 3 bytes per character in UTF-8 (Cyrillic takes 2,
+ * CJK 3; emoji are 4 bytes but count as 2 characters), plus room for
+ * the other fields.
+ */
+function jsonLimitFor(maxChars) {
+  return maxChars * 3 + 16 * 1024;
+}
+
+// Paths (as mounted in index.js) whose schemas allow long text
+const LONG_BODIES = [
+  { path: ["/api/admin/campaigns", "/api/admin/posts"], maxChars: BODY_MARKDOWN_MAX },
+  { path: "/api/admin/contacts/:id/replies", maxChars: REPLY_BODY_MAX },
+];
+
+// The first parser to match reads the body; later ones skip it
+const jsonBody = express.Router();
+for (const { path, maxChars } of LONG_BODIES) {
+  jsonBody.use(path, express.json({ limit: jsonLimitFor(maxChars) }));
+}
+jsonBody.use(express.json({ limit: DEFAULT_LIMIT }));
+
+module.exports = { jsonBody, jsonLimitFor };
@@ -2,18 +2,56 @@
 //  RATE LIMITER — Express Middleware
 //  Protects public endpoints from spam and abuse.
 //  Uses express-rate-limit with different tiers for different routes.
+//
+//  Every limiter — these and the admin ones in routes/admin.js — is
+//  made with createLimiter(), which keeps its counters in Postgres
+//  (utils/rateLimitStore.js): they survive restarts and are shared by
+//  all instances. Clients are told apart by a keyed hash of their IP
+//  that, unlike the stored pseudonyms, doesn't rotate (limiterKeyFor()
+//  in utils/ipHash.js), so counts carry over when the period turns.
 // ═══════════════════════════════════════════════════════════════════
 
 const rateLimit = require("express-rate-limit");
+const { PrismaStore } = require("../utils/rateLimitStore");
+const { limiterKeyFor } = require("../utils/ipHash");
+
+/**
+ * createLimiter — a rate limiter backed by the shared store.
+ * `name` identifies its counters (and shows in the admin panel);
+ * `options` are express-rate-limit's (windowMs, max, message, ...).
+ *
+ * If the database can't be reached the request is let through rather
+ * than failing — the route it guards would report the outage anyway.
+ * Limiters guarding credentials pass `passOnStoreError: false` to fail
+ * closed instead: with no counter there's no brute-force cap, so the
+ * request gets a 503 rather than an unlimited try.
+ */
+function createLimiter(name, options) {
+  const limiter = rateLimit({
+    standardHeaders: true,        // Return rate limit info in headers (RateLimit-*)
+    legacyHeaders: false,         // Disable X-RateLimit-* headers
+    keyGenerator: limiterKeyFor,
+    store: new PrismaStore(name),
+    passOnStoreError: true,
+    ...options,
+  });
+  if (options.passOnStoreError !== false) return limiter;
+
+  // Only the limiter itself calls this next(), so an error here is
+  // always the store's
+  return (req, res, next) => limiter(req, res, (err) => {
+    if (!err) return next();
+    console.error(`[RateLimit ${name}] Store error:`, err.message);
+    res.status(503).json({ error: "Temporarily unavailable. Please try again in a minute." });
+  });
+}
 
 // ─── General API Limiter ────────────────────────────────────────
 // Applied to all /api routes as a baseline protection.
 // 100 requests per 15 minutes per IP — generous for normal browsing.
-const generalLimiter = rateLimit({
+const generalLimiter = createLimiter("general", {
   windowMs: 15 * 60 * 1000,    // 15 minutes
   max: 100,                     // 100 requests per window
-  standardHeaders: true,        // Return rate limit info in headers (RateLimit-*)
-  legacyHeaders: false,         // Disable X-RateLimit-* headers
   message: {
     error: "Too many requests. Please try again in a few minutes.",
   },
@@ -23,11 +61,9 @@ const generalLimiter = rateLimit({
 // Stricter limit for POST /api/guestbook — prevents spam entries.
 // 3 entries per hour per IP. That's plenty for a legitimate visitor,
 // but stops bots from flooding the guestbook.
-const guestbookWriteLimiter = rateLimit({
+const guestbookWriteLimiter = createLimiter("guestbook", {
   windowMs: 60 * 60 * 1000,    // 1 hour
   max: 3,                       // 3 entries per hour
-  standardHeaders: true,
-  legacyHeaders: false,
   message: {
     error: "You've signed the guestbook recently. Come back in a bit!",
   },
@@ -36,11 +72,9 @@ const guestbookWriteLimiter = rateLimit({
 // ─── Newsletter Subscribe Limiter ───────────────────────────────
 // 5 subscribe attempts per hour per IP. Handles typos gracefully
 // while preventing mass signup abuse.
-const newsletterLimiter = rateLimit({
+const newsletterLimiter = createLimiter("newsletter", {
   windowMs: 60 * 60 * 1000,    // 1 hour
   max: 5,                       // 5 attempts per hour
-  standardHeaders: true,
-  legacyHeaders: false,
   message: {
     error: "Too many subscribe attempts. Please try again later.",
   },
@@ -48,17 +82,16 @@ const newsletterLimiter = rateLimit({
 
 // ─── Contact Form Limiter ───────────────────────────────────────
 // 3 contact submissions per hour per IP. Prevents inbox flooding.
-const contactLimiter = rateLimit({
+const contactLimiter = createLimiter("contact", {
   windowMs: 60 * 60 * 1000,    // 1 hour
   max: 3,                       // 3 submissions per hour
-  standardHeaders: true,
-  legacyHeaders: false,
   message: {
     error: "You've sent a few messages already. I'll get back to you soon!",
   },
 });
 
 module.exports = {
+  createLimiter,
   generalLimiter,
   guestbookWriteLimiter,
   newsletterLimiter,
@@ -1,59 +1,205 @@
 // ═══════════════════════════════════════════════════════════════════
 //  ADMIN ROUTES — /api/admin
 //
-//  Authentication & management endpoints for the site admin (you).
-//  All routes except POST /login require a valid JWT token.
+//  Authentication & management endpoints for the admin team.
+//  All routes except login, refresh, logout and the invite links
+//  require a valid access token (see utils/adminSessions.js).
+//  Reading needs any role; changes need moderator, and settings,
+//  imports, the audit log, the team, rate limits and webhooks need owner
+//  (utils/adminUsers.js).
+//  Logins and every change are recorded in the audit log (utils/audit.js).
 //
-//  POST /api/admin/login              → Authenticate, receive JWT
-//  GET  /api/admin/guestbook          → List ALL entries (incl. hidden)
-//  DELETE /api/admin/guestbook/:id    → Delete a guestbook entry
+//  POST /api/admin/login              → Authenticate, receive JWT (or a 2FA challenge)
+//  POST /api/admin/login/2fa          → Second step: TOTP / recovery code → JWT
+//  POST /api/admin/refresh            → New access + refresh token (rotation)
+//  POST /api/admin/logout             → End this session
+//  GET  /api/admin/invite/:token      → Who an invite link is for
+//  POST /api/admin/invite/:token      → Accept an invite (choose a password)
+//  GET  /api/admin/guestbook          → List entries (paginated, filterable)
+//  DELETE /api/admin/guestbook/:id    → Move a guestbook entry to the trash
 //  PATCH  /api/admin/guestbook/:id    → Toggle visibility
-//  GET  /api/admin/newsletter         → List all subscribers
-//  DELETE /api/admin/newsletter/:id   → Remove a subscriber
-//  GET  /api/admin/contacts           → List all contact messages
-//  PATCH  /api/admin/contacts/:id     → Mark as read/unread
-//  DELETE /api/admin/contacts/:id     → Delete a contact message
+//  POST   /api/admin/guestbook/:id/approve → Approve a pending entry
+//  POST   /api/admin/guestbook/:id/reject  → Reject a pending entry
+//  POST   /api/admin/guestbook/bulk   → Hide / show / approve / reject / delete many
+//  GET  /api/admin/newsletter         → List subscribers (filterable)
+//  POST /api/admin/newsletter/import  → Bulk import subscribers from CSV
+//  DELETE /api/admin/newsletter/:id   → Move a subscriber to the trash
+//  POST /api/admin/newsletter/bulk    → Move many subscribers to the trash
+//  GET  /api/admin/contacts           → List messages (paginated, filterable)
+//  POST /api/admin/contacts/bulk      → Archive / read / label / status / delete many
+//  PATCH  /api/admin/contacts/:id     → Read, status, archived, labels
+//  GET  /api/admin/contacts/:id/replies → Message + reply thread
+//  POST /api/admin/contacts/:id/replies → Send a reply by email
+//  DELETE /api/admin/contacts/:id     → Move a contact message to the trash
 //  GET  /api/admin/stats              → Dashboard overview stats
+//  GET  /api/admin/stats/timeseries   → Counts per day/week/month for the charts
+//  GET  /api/admin/settings           → Site settings (moderation mode, ...)
+//  PATCH /api/admin/settings          → Update site settings
+//  GET  /api/admin/search?q=          → Full-text search (see adminSearch.js)
+//  GET  /api/admin/export/:resource   → CSV/JSON/NDJSON download (see adminExport.js)
+//  GET  /api/admin/audit              → Audit log of logins & changes (see adminAudit.js)
+//  *    /api/admin/contact-labels/... → Contact labels (see adminContactLabels.js)
+//  *    /api/admin/campaigns/...      → Newsletter campaigns (see adminCampaigns.js)
+//  *    /api/admin/posts/...          → Blog posts and the editor preview (see adminPosts.js)
+//  *    /api/admin/team/...           → Invite / manage admin users (see adminTeam.js)
+//  *    /api/admin/2fa/...            → Your own two-factor setup (see adminTwoFactor.js)
+//  *    /api/admin/sessions/...       → Your logged-in sessions (see adminSessions.js)
+//  *    /api/admin/trash/...          → Restore or permanently delete (see adminTrash.js)
+//  *    /api/admin/rate-limits/...    → Who is being throttled, reset (see adminRateLimits.js)
+//  *    /api/admin/blocklist/...      → Blocked IPs, ranges, emails, domains (see adminBlocklist.js)
+//  *    /api/admin/webhooks/...       → Outbound webhooks, delivery history (see adminWebhooks.js)
+//
+//  Deleting never removes a row straight away — it goes to the trash
+//  first (utils/trash.js), and everything here ignores trashed rows.
 // ═══════════════════════════════════════════════════════════════════
 
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
-const rateLimit = require("express-rate-limit");
+const crypto = require("crypto");
 const prisma = require("../utils/prisma");
-const { requireAdmin } = require("../middleware/auth");
+const { requireAdmin, requireRole } = require("../middleware/auth");
+const { createLimiter } = require("../middleware/rateLimiter");
+const campaignRoutes = require("./adminCampaigns");
+const postRoutes = require("./adminPosts");
+const contactLabelRoutes = require("./adminContactLabels");
+const searchRoutes = require("./adminSearch");
+const exportRoutes = require("./adminExport");
+const auditRoutes = require("./adminAudit");
+const teamRoutes = require("./adminTeam");
+const twoFactorRoutes = require("./adminTwoFactor");
+const sessionRoutes = require("./adminSessions");
+const trashRoutes = require("./adminTrash");
+const rateLimitRoutes = require("./adminRateLimits");
+const blocklistRoutes = require("./adminBlocklist");
+const webhookRoutes = require("./adminWebhooks");
+const { confirmExpiryCutoff, subscriberStatus } = require("../utils/newsletterTokens");
+const {
+  adminGuestbookListSchema, adminContactListSchema, adminNewsletterListSchema, subscriberImportSchema,
+  contactReplySchema, contactUpdateSchema, contactBulkSchema, guestbookBulkSchema, newsletterBulkSchema, settingsSchema, timeseriesSchema, inviteAcceptSchema, loginTwoFactorSchema, refreshSchema, validate,
+} = require("../utils/validation");
+const { sendMail } = require("../utils/mailer");
+const { contactReplyEmail } = require("../utils/emailTemplates");
+const { getAllSettings, setSetting } = require("../utils/settings");
+const { paginate } = require("../utils/pagination");
+const { guestbookWhere, contactWhere, subscriberWhere } = require("../utils/listFilters");
+const { importSubscribers, ImportError } = require("../utils/subscriberImport");
+const { auditEntry, recordAudit } = require("../utils/audit");
+const { BulkError, resolveBulkIds, bulkResult } = require("../utils/bulkActions");
+const { NOT_TRASHED, trashFields } = require("../utils/trash");
+const { MAX_BUCKETS, defaultRange, timeseries } = require("../utils/timeseries");
+const {
+  findByUsername, ensureBootstrapOwner, findInvite, consumeSecondFactor,
+} = require("../utils/adminUsers");
+const { hashPassword } = require("../utils/hashPassword");
+const {
+  tokenResponse, createSession, rotateSession, findSessionByToken, revokeSessions,
+} = require("../utils/adminSessions");
 
 // ─── Environment Variables ──────────────────────────────────────
-// ADMIN_USERNAME and ADMIN_PASSWORD_HASH are set in .env
+// ADMIN_USERNAME and ADMIN_PASSWORD_HASH are set in .env — the
+// bootstrap owner account (see utils/adminUsers.js). Everyone else
+// is invited from the Team tab.
 // Generate the hash with: node server/src/utils/hashPassword.js
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME || "admin";
 const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD_HASH;
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "8h";
+// Reply-To on contact replies, so the visitor's answer reaches a real
+// inbox rather than MAIL_FROM
+const CONTACT_REPLY_TO = process.env.CONTACT_REPLY_TO || process.env.CONTACT_NOTIFY_EMAIL;
+// Largest subscriber CSV accepted by the import (the JSON body limits
+// in middleware/jsonBody.js are far too small for a file)
+const IMPORT_MAX_BYTES = "2mb";
+
+// Compared against when there's no real hash to check (unknown user,
+// invite not accepted), so those logins take as long as a wrong
+// password and response times don't reveal which usernames exist.
+// A bcrypt hash of random bytes nobody kept, at the cost hashPassword
+// uses (SALT_ROUNDS = 12).
+const DUMMY_PASSWORD_HASH = "$2b$12$7mL/NwGwzommD0OSU53xGuHEDkr6/xUKemUGm.S4BG05tuH.aAOAO";
 
 // ─── Login Rate Limiter ─────────────────────────────────────────
 // 5 login attempts per 15 minutes per IP — prevents brute force.
-// This is deliberately strict because there's only one admin user.
-const loginLimiter = rateLimit({
+// Deliberately strict: a real team member rarely mistypes five times.
+const loginLimiter = createLimiter("login", {
   windowMs: 15 * 60 * 1000,    // 15 minutes
   max: 5,                       // 5 attempts
-  standardHeaders: true,
-  legacyHeaders: false,
   message: { error: "Too many login attempts. Try again in 15 minutes." },
+  passOnStoreError: false,      // Fail closed — see createLimiter()
+});
+
+// ─── Invite Rate Limiter ────────────────────────────────────────
+// Invite links are guessable only in theory, but checking them is
+// still capped — separately, so opening an invite doesn't use up
+// login attempts.
+const inviteLimiter = createLimiter("invite", {
+  windowMs: 15 * 60 * 1000,    // 15 minutes
+  max: 10,
+  message: { error: "Too many attempts. Try again in 15 minutes." },
+  passOnStoreError: false,
+});
+
+// ─── Two-Factor Rate Limiter ────────────────────────────────────
+// The code step of a 2FA login. Separate from loginLimiter: the
+// password was already right, and a mistyped code shouldn't eat into
+// the password attempts (or the other way round).
+const twoFactorLimiter = createLimiter("two_factor", {
+  windowMs: 15 * 60 * 1000,    // 15 minutes
+  max: 10,
+  message: { error: "Too many code attempts. Try again in 15 minutes." },
+  passOnStoreError: false,
+});
+
+// Per account too: the IP limit alone lets someone with the password
+// spread code guesses over many addresses, each reusing a challenge
+// for its full 5 minutes. After 5 wrong codes the account's code step
+// closes for 15 minutes, which outlives any challenge already issued,
+// so they have to start over with the password. Right codes don't
+// count. Keyed on the user the challenge was issued to — see
+// readTwoFactorChallenge().
+const twoFactorUserLimiter = createLimiter("two_factor_user", {
+  windowMs: 15 * 60 * 1000,    // 15 minutes
+  max: 5,                       // 5 wrong codes
+  keyGenerator: (req) => `user:${req.twoFactor.userId}`,
+  skipSuccessfulRequests: true,
+  message: { error: "Too many wrong codes. Log in with your password again in 15 minutes.", restart: true },
+  passOnStoreError: false,
 });
 
+// ─── Sessions ───────────────────────────────────────────────────
+// With 2FA on, the password step only earns a short-lived challenge.
+// It's signed with a key derived from JWT_SECRET, so it can never pass
+// as a session token in requireAdmin.
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const challengeKey = () => crypto.createHmac("sha256", JWT_SECRET).update("admin-2fa-challenge").digest();
+
+// Starts the session, records the login and sends the tokens
+async function completeLogin(req, res, user, details) {
+  const { session, refreshToken } = await createSession(req, user);
+
+  await prisma.adminUser.update({ where: { id: user.id }, data: { lastLoginAt: new Date() } });
+  await recordAudit(req, { action: "login", actor: user.username, details: { ...details, sessionId: session.id } });
+
+  res.json({
+    ...tokenResponse(user, session, refreshToken),
+    message: `Welcome back, ${user.username}. 🐾`,
+  });
+}
+
 
 // ═══════════════════════════════════════════════════════════════════
 //  AUTHENTICATION
 // ═══════════════════════════════════════════════════════════════════
 
 // POST /api/admin/login
-// Validates username + password against env vars, returns a JWT.
+// Validates username + password against the bootstrap owner in .env
+// or a team account in the database, returns a JWT — or, for users
+// with 2FA on, { twoFactorRequired, challenge } for POST /login/2fa.
 router.post("/login", loginLimiter, async (req, res) => {
-  // Guard: Admin credentials must be configured
-  if (!ADMIN_PASSWORD_HASH || !JWT_SECRET) {
-    console.error("[Admin] ADMIN_PASSWORD_HASH or JWT_SECRET not configured.");
+  // Guard: tokens can't be signed without a secret
+  if (!JWT_SECRET) {
+    console.error("[Admin] JWT_SECRET not configured.");
     return res.status(500).json({
       error: "Admin login is not configured on this server.",
     });
@@ -62,46 +208,185 @@ router.post("/login", loginLimiter, async (req, res) => {
   const { username, password } = req.body;
 
   // Validate input exists
-  if (!username || !password) {
+  if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
     return res.status(400).json({ error: "Username and password are required." });
   }
 
-  // Check username (case-insensitive)
-  if (username.toLowerCase() !== ADMIN_USERNAME.toLowerCase()) {
-    // Intentionally vague error to prevent username enumeration
-    return res.status(401).json({ error: "Invalid credentials." });
-  }
+  // Intentionally vague error to prevent username enumeration
+  const reject = async (reason) => {
+    await recordAudit(req, { action: "login_failed", actor: username, details: { reason } });
+    res.status(401).json({ error: "Invalid credentials." });
+  };
 
   try {
-    // Compare the plaintext password against the bcrypt hash from .env
-    const valid = await bcrypt.compare(password, ADMIN_PASSWORD_HASH);
-    if (!valid) {
-      return res.status(401).json({ error: "Invalid credentials." });
+    let user;
+
+    // Bootstrap owner (case-insensitive): always checked against .env
+    if (ADMIN_PASSWORD_HASH && username.toLowerCase() === ADMIN_USERNAME.toLowerCase()) {
+      const valid = await bcrypt.compare(password, ADMIN_PASSWORD_HASH);
+      if (!valid) return reject("wrong password");
+      user = await ensureBootstrapOwner(ADMIN_USERNAME, ADMIN_PASSWORD_HASH);
+    } else {
+      user = await findByUsername(username);
+      const valid = await bcrypt.compare(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+      if (!user) return reject("unknown user");
+      if (!user.passwordHash) return reject("invite not accepted");
+      if (!valid) return reject("wrong password");
+      if (user.disabledAt) return reject("account disabled");
     }
 
-    // Issue a JWT with the admin username in the payload
-    const token = jwt.sign(
-      { username: ADMIN_USERNAME, role: "admin" },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // Second step needed — no session until the code checks out
+    if (user.totpEnabledAt) {
+      const challenge = jwt.sign({ sub: String(user.id) }, challengeKey(), { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+      return res.json({ twoFactorRequired: true, challenge });
+    }
 
-    res.json({
-      token,
-      expiresIn: JWT_EXPIRES_IN,
-      message: "Welcome back, admin. 🐾",
-    });
+    await completeLogin(req, res, user);
   } catch (err) {
     console.error("[Admin Login] Error:", err.message);
     res.status(500).json({ error: "Login failed. Please try again." });
   }
 });
 
+// Checks the { challenge, code } body of POST /login/2fa and leaves
+// req.twoFactor = { userId, code } for twoFactorUserLimiter and the route
+function readTwoFactorChallenge(req, res, next) {
+  const { data, error } = validate(loginTwoFactorSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const userId = parseInt(jwt.verify(data.challenge, challengeKey()).sub, 10);
+    req.twoFactor = { userId, code: data.code };
+  } catch {
+    return res.status(401).json({ error: "That took too long — log in with your password again.", restart: true });
+  }
+  next();
+}
+
+// POST /api/admin/login/2fa
+// { challenge, code } — the code is from the authenticator app, or
+// one of the recovery codes (each works once). Returns the JWT.
+router.post("/login/2fa", twoFactorLimiter, readTwoFactorChallenge, twoFactorUserLimiter, async (req, res) => {
+  const { userId, code } = req.twoFactor;
+  try {
+    const user = await prisma.adminUser.findUnique({ where: { id: userId } });
+    if (!user || user.disabledAt || !user.totpEnabledAt) {
+      return res.status(401).json({ error: "Log in with your password again.", restart: true });
+    }
+
+    const method = await consumeSecondFactor(user, code);
+    if (!method) {
+      await recordAudit(req, { action: "login_failed", actor: user.username, details: { reason: "wrong 2fa code" } });
+      return res.status(401).json({ error: "That code didn't work. Check your authenticator app and try again." });
+    }
+
+    const recoveryCodesLeft = method === "recovery_code" ? user.recoveryCodes.length - 1 : undefined;
+    await completeLogin(req, res, user, { method, recoveryCodesLeft });
+  } catch (err) {
+    console.error("[Admin Login 2FA] Error:", err.message);
+    res.status(500).json({ error: "Login failed. Please try again." });
+  }
+});
+
+// POST /api/admin/refresh
+// { refreshToken } → a new access token and a new refresh token; the
+// one sent stops working. The panel calls this shortly before the
+// access token expires.
+router.post("/refresh", async (req, res) => {
+  const { data, error } = validate(refreshSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const result = await rotateSession(data.refreshToken);
+
+    if (result.status === "reused") {
+      const user = await prisma.adminUser.findUnique({ where: { id: result.session.userId }, select: { username: true } });
+      await recordAudit(req, {
+        action: "session.reuse", actor: user?.username, targetType: "admin_session", targetId: result.session.id,
+        details: { reason: "a replaced refresh token was used again — session revoked" },
+      });
+    }
+    if (result.status !== "ok") {
+      return res.status(401).json({ error: "Session ended. Please log in again." });
+    }
+
+    res.json(tokenResponse(result.user, result.session, result.refreshToken));
+  } catch (err) {
+    console.error("[Admin Refresh] Error:", err.message);
+    res.status(500).json({ error: "Couldn't renew your session." });
+  }
+});
+
+// POST /api/admin/logout
+// { refreshToken } — ends the session it belongs to, so neither token
+// works afterwards. Doesn't need a valid access token (it may already
+// have expired), and succeeds even if the session is already gone.
+router.post("/logout", async (req, res) => {
+  const { data, error } = validate(refreshSchema, req.body);
+  if (error) return res.json({ message: "Logged out." });
+
+  try {
+    const session = await findSessionByToken(data.refreshToken);
+    if (session && await revokeSessions({ id: session.id })) {
+      await recordAudit(req, {
+        action: "session.logout", actor: session.user.username, targetType: "admin_session", targetId: session.id,
+      });
+    }
+    res.json({ message: "Logged out." });
+  } catch (err) {
+    console.error("[Admin Logout] Error:", err.message);
+    res.status(500).json({ error: "Failed to log out." });
+  }
+});
+
 // GET /api/admin/verify
 // Quick token validation check — used by the frontend to verify
 // that a stored token is still valid without making a full request.
 router.get("/verify", requireAdmin, (req, res) => {
-  res.json({ valid: true, username: req.admin.username });
+  res.json({ valid: true, username: req.admin.username, role: req.admin.role });
+});
+
+// GET /api/admin/invite/:token
+// Who an invite link is for — shown on the "choose a password" screen.
+router.get("/invite/:token", inviteLimiter, async (req, res) => {
+  try {
+    const user = await findInvite(req.params.token);
+    if (!user) {
+      return res.status(404).json({ error: "This invite link is invalid or has expired. Ask an owner for a new one." });
+    }
+    res.json({ username: user.username, role: user.role, expiresAt: user.inviteExpiresAt });
+  } catch (err) {
+    console.error("[Admin Invite GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to check the invite." });
+  }
+});
+
+// POST /api/admin/invite/:token
+// Accepts an invite: sets the password and makes the account active.
+// The user then logs in normally.
+router.post("/invite/:token", inviteLimiter, async (req, res) => {
+  const { data, error } = validate(inviteAcceptSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const user = await findInvite(req.params.token);
+    if (!user) {
+      return res.status(404).json({ error: "This invite link is invalid or has expired. Ask an owner for a new one." });
+    }
+
+    await prisma.adminUser.update({
+      where: { id: user.id },
+      data: { passwordHash: await hashPassword(data.password), inviteToken: null, inviteExpiresAt: null },
+    });
+    await recordAudit(req, {
+      action: "user.accept_invite", actor: user.username, targetType: "admin_user", targetId: user.id,
+    });
+
+    res.json({ username: user.username, message: "Password set — you can log in now." });
+  } catch (err) {
+    console.error("[Admin Invite POST] Error:", err.message);
+    res.status(500).json({ error: "Failed to accept the invite." });
+  }
 });
 
 
@@ -113,20 +398,57 @@ router.get("/verify", requireAdmin, (req, res) => {
 // Returns aggregate counts for the admin dashboard overview.
 router.get("/stats", requireAdmin, async (req, res) => {
   try {
-    const [guestbookTotal, guestbookVisible, newsletterTotal, newsletterConfirmed, contactsTotal, contactsUnread] =
-      await Promise.all([
-        prisma.guestbookEntry.count(),
-        prisma.guestbookEntry.count({ where: { visible: true } }),
-        prisma.newsletterSub.count(),
-        prisma.newsletterSub.count({ where: { confirmed: true } }),
-        prisma.contactMessage.count(),
-        prisma.contactMessage.count({ where: { read: false } }),
-      ]);
+    // Pending subscribers are split by whether their confirm link is still usable
+    const pendingWhere = { ...NOT_TRASHED, confirmed: false, unsubAt: null };
+    const expiredWhere = {
+      ...pendingWhere,
+      OR: [
+        { confirmTokenIssuedAt: null },
+        { confirmTokenIssuedAt: { lt: confirmExpiryCutoff() } },
+      ],
+    };
+    // Contact counts only look at the inbox: not archived, not spam
+    const INBOX = { ...NOT_TRASHED, archived: false, spamVerdict: { not: "spam" } };
+    // Everything else leaves the trash out too — it has its own counts
+    const TRASHED = { deletedAt: { not: null } };
+
+    const [
+      guestbookTotal, guestbookVisible, guestbookPending,
+      newsletterTotal, newsletterConfirmed, newsletterPending, newsletterExpired,
+      contactsTotal, contactsUnread, contactsOpen, contactsSpam,
+      trashGuestbook, trashNewsletter, trashContacts,
+    ] = await Promise.all([
+      prisma.guestbookEntry.count({ where: NOT_TRASHED }),
+      prisma.guestbookEntry.count({ where: { ...NOT_TRASHED, visible: true, status: "approved" } }),
+      prisma.guestbookEntry.count({ where: { ...NOT_TRASHED, status: "pending" } }),
+      prisma.newsletterSub.count({ where: NOT_TRASHED }),
+      prisma.newsletterSub.count({ where: { ...NOT_TRASHED, confirmed: true } }),
+      prisma.newsletterSub.count({ where: pendingWhere }),
+      prisma.newsletterSub.count({ where: expiredWhere }),
+      prisma.contactMessage.count({ where: NOT_TRASHED }),
+      prisma.contactMessage.count({ where: { ...INBOX, read: false } }),
+      prisma.contactMessage.count({ where: { ...INBOX, status: { in: ["new", "in_progress"] } } }),
+      prisma.contactMessage.count({ where: { ...NOT_TRASHED, spamVerdict: "spam" } }),
+      prisma.guestbookEntry.count({ where: TRASHED }),
+      prisma.newsletterSub.count({ where: TRASHED }),
+      prisma.contactMessage.count({ where: TRASHED }),
+    ]);
 
     res.json({
-      guestbook: { total: guestbookTotal, visible: guestbookVisible },
-      newsletter: { total: newsletterTotal, confirmed: newsletterConfirmed },
-      contacts: { total: contactsTotal, unread: contactsUnread },
+      guestbook: { total: guestbookTotal, visible: guestbookVisible, pending: guestbookPending },
+      newsletter: {
+        total: newsletterTotal,
+        confirmed: newsletterConfirmed,
+        pending: newsletterPending - newsletterExpired,
+        pendingExpired: newsletterExpired,
+      },
+      contacts: { total: contactsTotal, unread: contactsUnread, open: contactsOpen, spam: contactsSpam },
+      trash: {
+        guestbook: trashGuestbook,
+        newsletter: trashNewsletter,
+        contacts: trashContacts,
+        total: trashGuestbook + trashNewsletter + trashContacts,
+      },
     });
   } catch (err) {
     console.error("[Admin Stats] Error:", err.message);
@@ -134,27 +456,111 @@ router.get("/stats", requireAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/stats/timeseries?metric=&interval=day|week|month&from=&to=
+// metric is "all" (the default) or a comma-separated list; without
+// from/to it covers the last 30 days, 12 weeks or 12 months.
+// → { interval, from, to, buckets, series: { metric: [counts] }, totals }
+router.get("/stats/timeseries", requireAdmin, async (req, res) => {
+  const { data, error } = validate(timeseriesSchema, req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const body = await timeseries({ metrics: data.metric, interval: data.interval, ...defaultRange(data) });
+    if (!body) {
+      return res.status(400).json({ error: { from: `That range has more than ${MAX_BUCKETS} buckets — use a longer interval.` } });
+    }
+    res.json(body);
+  } catch (err) {
+    console.error("[Admin Stats timeseries] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch the time series." });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  SITE SETTINGS
+// ═══════════════════════════════════════════════════════════════════
+
+// GET /api/admin/settings
+router.get("/settings", requireAdmin, async (req, res) => {
+  try {
+    res.json({ settings: await getAllSettings() });
+  } catch (err) {
+    console.error("[Admin Settings GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch settings." });
+  }
+});
+
+// PATCH /api/admin/settings
+// Body: any subset of the known keys, e.g. { "guestbook.moderationMode": "hold_all" }
+router.patch("/settings", requireRole("owner"), async (req, res) => {
+  const { data, error } = validate(settingsSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    // The two spam thresholds only make sense in order
+    const current = await getAllSettings();
+    const flagAt = data["spam.flagThreshold"] ?? current["spam.flagThreshold"];
+    const hideAt = data["spam.hideThreshold"] ?? current["spam.hideThreshold"];
+    if (hideAt <= flagAt) {
+      return res.status(400).json({ error: "The hide threshold must be higher than the flag threshold." });
+    }
+
+    for (const [key, value] of Object.entries(data)) {
+      if (value !== undefined) await setSetting(key, value);
+    }
+    await recordAudit(req, {
+      action: "settings.update",
+      targetType: "settings",
+      before: Object.fromEntries(Object.keys(data).map(key => [key, current[key]])),
+      details: data,
+    });
+    res.json({ settings: await getAllSettings(), message: "Settings saved." });
+  } catch (err) {
+    console.error("[Admin Settings PATCH] Error:", err.message);
+    res.status(500).json({ error: "Failed to save settings." });
+  }
+});
+
 
 // ═══════════════════════════════════════════════════════════════════
 //  GUESTBOOK MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════
 
-// GET /api/admin/guestbook
-// Returns ALL guestbook entries (including hidden ones), newest first.
+// GET /api/admin/guestbook?cursor=&limit=&from=&to=&visibility=all|visible|hidden
+// Returns { entries, total, nextCursor }, newest first, hidden entries
+// included. Only the first 8 characters of the IP hash are exposed —
+// enough to spot repeat posters, not enough to be worth leaking.
 router.get("/guestbook", requireAdmin, async (req, res) => {
+  const { data: query, error } = validate(adminGuestbookListSchema, req.query);
+  if (error) return res.status(400).json({ error });
+
   try {
-    const entries = await prisma.guestbookEntry.findMany({
-      orderBy: { createdAt: "desc" },
+    const page = await paginate(prisma.guestbookEntry, {
+      where: guestbookWhere(query),
       select: {
         id: true,
         name: true,
         message: true,
         visible: true,
+        status: true,
+        spamScore: true,
+        spamVerdict: true,
+        flagReasons: true,
+        moderatedAt: true,
         ipHash: true,
         createdAt: true,
       },
+      limit: query.limit,
+      cursor: query.cursor,
     });
-    res.json({ entries });
+
+    page.entries = page.entries.map(({ ipHash, ...entry }) => ({
+      ...entry,
+      ipTag: ipHash ? ipHash.slice(0, 8) : null,
+    }));
+
+    res.json(page);
   } catch (err) {
     console.error("[Admin Guestbook GET] Error:", err.message);
     res.status(500).json({ error: "Failed to fetch guestbook entries." });
@@ -164,20 +570,26 @@ router.get("/guestbook", requireAdmin, async (req, res) => {
 // PATCH /api/admin/guestbook/:id
 // Toggle visibility (soft-hide instead of delete). This keeps the
 // data for audit purposes but removes it from the public view.
-router.patch("/guestbook/:id", requireAdmin, async (req, res) => {
+router.patch("/guestbook/:id", requireRole("moderator"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) return res.status(400).json({ error: "Invalid entry ID." });
 
   try {
     // Fetch current visibility state, then flip it
-    const entry = await prisma.guestbookEntry.findUnique({ where: { id } });
+    const entry = await prisma.guestbookEntry.findFirst({ where: { id, ...NOT_TRASHED } });
     if (!entry) return res.status(404).json({ error: "Entry not found." });
 
-    const updated = await prisma.guestbookEntry.update({
-      where: { id },
-      data: { visible: !entry.visible },
-      select: { id: true, name: true, visible: true },
-    });
+    const [updated] = await prisma.$transaction([
+      prisma.guestbookEntry.update({
+        where: { id },
+        data: { visible: !entry.visible },
+        select: { id: true, name: true, visible: true },
+      }),
+      auditEntry(req, {
+        action: entry.visible ? "guestbook.hide" : "guestbook.show",
+        targetType: "guestbook", targetId: id, before: entry,
+      }),
+    ]);
 
     res.json({
       entry: updated,
@@ -189,15 +601,65 @@ router.patch("/guestbook/:id", requireAdmin, async (req, res) => {
   }
 });
 
+// POST /api/admin/guestbook/:id/approve
+// POST /api/admin/guestbook/:id/reject
+// Moderation decisions for held entries. Either can also be used to
+// reverse an earlier decision (e.g. approve something rejected).
+// Approving also un-hides, so auto-hidden spam can be published in one step.
+const MODERATION_ACTIONS = { approve: "approved", reject: "rejected" };
+
+router.post("/guestbook/:id/:action(approve|reject)", requireRole("moderator"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: "Invalid entry ID." });
+
+  const status = MODERATION_ACTIONS[req.params.action];
+
+  try {
+    const entry = await prisma.guestbookEntry.findFirst({ where: { id, ...NOT_TRASHED } });
+    if (!entry) return res.status(404).json({ error: "Entry not found." });
+
+    const [updated] = await prisma.$transaction([
+      prisma.guestbookEntry.update({
+        where: { id },
+        data: {
+          status,
+          moderatedAt: new Date(),
+          ...(status === "approved" && { visible: true }),
+        },
+        select: { id: true, name: true, visible: true, status: true, moderatedAt: true },
+      }),
+      auditEntry(req, { action: `guestbook.${req.params.action}`, targetType: "guestbook", targetId: id, before: entry }),
+    ]);
+
+    res.json({
+      entry: updated,
+      message: status === "approved" ? "Entry approved and published." : "Entry rejected.",
+    });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Entry not found." });
+    }
+    console.error("[Admin Guestbook MODERATE] Error:", err.message);
+    res.status(500).json({ error: "Failed to update entry." });
+  }
+});
+
 // DELETE /api/admin/guestbook/:id
-// Permanent deletion — use PATCH to toggle visibility for soft-hide.
-router.delete("/guestbook/:id", requireAdmin, async (req, res) => {
+// Moves the entry to the trash (see adminTrash.js to restore it or
+// delete it for good). Use PATCH to just hide it from the public.
+router.delete("/guestbook/:id", requireRole("moderator"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) return res.status(400).json({ error: "Invalid entry ID." });
 
   try {
-    await prisma.guestbookEntry.delete({ where: { id } });
-    res.json({ message: "Entry permanently deleted.", id });
+    const entry = await prisma.guestbookEntry.findFirst({ where: { id, ...NOT_TRASHED } });
+    if (!entry) return res.status(404).json({ error: "Entry not found." });
+
+    await prisma.$transaction([
+      prisma.guestbookEntry.update({ where: { id }, data: trashFields(req) }),
+      auditEntry(req, { action: "guestbook.delete", targetType: "guestbook", targetId: id, before: entry }),
+    ]);
+    res.json({ message: "Entry moved to the trash.", id });
   } catch (err) {
     if (err.code === "P2025") {
       return res.status(404).json({ error: "Entry not found." });
@@ -207,26 +669,102 @@ router.delete("/guestbook/:id", requireAdmin, async (req, res) => {
   }
 });
 
+// POST /api/admin/guestbook/bulk
+// Body: { action, ids } or { action, filter } — action is one of
+// hide | show | approve | reject | delete, and filter takes the same
+// fields as GET /guestbook ("everything matching"). All-or-nothing:
+// one transaction, one audit entry. Responds with counts and a summary.
+//
+// `pending` narrows the update to the rows it would actually change,
+// so the counts can tell "hidden" from "already hidden".
+const GUESTBOOK_BULK = {
+  hide: { data: () => ({ visible: false }), pending: { visible: true }, done: "hidden", already: "already hidden" },
+  show: { data: () => ({ visible: true }), pending: { visible: false }, done: "shown", already: "already visible" },
+  approve: {
+    data: () => ({ status: "approved", visible: true, moderatedAt: new Date() }),
+    pending: { OR: [{ status: { not: "approved" } }, { visible: false }] },
+    done: "approved", already: "already approved",
+  },
+  reject: {
+    data: () => ({ status: "rejected", moderatedAt: new Date() }),
+    pending: { status: { not: "rejected" } },
+    done: "rejected", already: "already rejected",
+  },
+  delete: { done: "moved to the trash" },
+};
+
+router.post("/guestbook/bulk", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(guestbookBulkSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const ids = await resolveBulkIds(prisma.guestbookEntry, data, guestbookWhere);
+    const requested = data.ids ? new Set(data.ids).size : ids.length;
+    const { done, already } = GUESTBOOK_BULK[data.action];
+    const where = { id: { in: ids } };
+
+    let updated = 0;
+    if (ids.length > 0) {
+      const audit = {
+        action: `guestbook.bulk_${data.action}`, targetType: "guestbook",
+        details: { ids, filter: data.filter },
+      };
+
+      let operation;
+      if (data.action === "delete") {
+        // Every trashed entry stays readable in the audit snapshot, even after the purge
+        audit.before = await prisma.guestbookEntry.findMany({ where });
+        operation = prisma.guestbookEntry.updateMany({ where, data: trashFields(req) });
+      } else {
+        const change = GUESTBOOK_BULK[data.action];
+        operation = prisma.guestbookEntry.updateMany({ where: { ...where, ...change.pending }, data: change.data() });
+      }
+
+      const [result] = await prisma.$transaction([operation, auditEntry(req, audit)]);
+      updated = result.count;
+    }
+
+    res.json(bulkResult({ ids, requested, updated, nouns: ["entry", "entries"], done, already }));
+  } catch (err) {
+    if (err instanceof BulkError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("[Admin Guestbook BULK] Error:", err.message);
+    res.status(500).json({ error: "Bulk update failed." });
+  }
+});
+
 
 // ═══════════════════════════════════════════════════════════════════
 //  NEWSLETTER MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════
 
 // GET /api/admin/newsletter
-// Returns all newsletter subscribers with their status.
+// Returns all newsletter subscribers with their status:
+// confirmed | unsubscribed | pending | pending_expired
+// Optional filters: ?status=&from=&to=
 router.get("/newsletter", requireAdmin, async (req, res) => {
+  const { data: query, error } = validate(adminNewsletterListSchema, req.query);
+  if (error) return res.status(400).json({ error });
+
   try {
-    const subscribers = await prisma.newsletterSub.findMany({
+    const rows = await prisma.newsletterSub.findMany({
+      where: subscriberWhere(query),
       orderBy: { createdAt: "desc" },
       select: {
         id: true,
         email: true,
         confirmed: true,
+        confirmTokenIssuedAt: true,
         createdAt: true,
         confirmedAt: true,
         unsubAt: true,
+        consentSource: true,
+        importedAt: true,
       },
     });
+    const now = new Date();
+    const subscribers = rows.map(sub => ({ ...sub, status: subscriberStatus(sub, now) }));
     res.json({ subscribers });
   } catch (err) {
     console.error("[Admin Newsletter GET] Error:", err.message);
@@ -234,15 +772,58 @@ router.get("/newsletter", requireAdmin, async (req, res) => {
   }
 });
 
+// POST /api/admin/newsletter/import?mode=confirmed|pending&consentSource=&dryRun=
+// Body: the CSV file itself (Content-Type: text/csv). Returns a
+// per-row report — see utils/subscriberImport.js. The public route's
+// newsletterLimiter and challenge don't apply here.
+router.post(
+  "/newsletter/import",
+  requireRole("owner"),
+  express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: IMPORT_MAX_BYTES }),
+  async (req, res) => {
+    const { data: options, error } = validate(subscriberImportSchema, req.query);
+    if (error) return res.status(400).json({ error });
+
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ error: "Send the CSV file as the request body (Content-Type: text/csv)." });
+    }
+
+    try {
+      const result = await importSubscribers(req.body, options);
+      if (!options.dryRun) {
+        await recordAudit(req, {
+          action: "subscriber.import",
+          targetType: "subscriber",
+          details: { mode: options.mode, consentSource: options.consentSource, ...result.summary },
+        });
+      }
+      res.status(options.dryRun ? 200 : 201).json({ mode: options.mode, dryRun: options.dryRun, ...result });
+    } catch (err) {
+      if (err instanceof ImportError) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error("[Admin Newsletter Import] Error:", err.message);
+      res.status(500).json({ error: "Import failed." });
+    }
+  }
+);
+
 // DELETE /api/admin/newsletter/:id
-// Remove a subscriber permanently.
-router.delete("/newsletter/:id", requireAdmin, async (req, res) => {
+// Moves a subscriber to the trash — no more campaigns, and gone from
+// the list and counts until restored.
+router.delete("/newsletter/:id", requireRole("moderator"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) return res.status(400).json({ error: "Invalid subscriber ID." });
 
   try {
-    await prisma.newsletterSub.delete({ where: { id } });
-    res.json({ message: "Subscriber removed.", id });
+    const sub = await prisma.newsletterSub.findFirst({ where: { id, ...NOT_TRASHED } });
+    if (!sub) return res.status(404).json({ error: "Subscriber not found." });
+
+    await prisma.$transaction([
+      prisma.newsletterSub.update({ where: { id }, data: trashFields(req) }),
+      auditEntry(req, { action: "subscriber.delete", targetType: "subscriber", targetId: id, before: sub }),
+    ]);
+    res.json({ message: "Subscriber moved to the trash.", id });
   } catch (err) {
     if (err.code === "P2025") {
       return res.status(404).json({ error: "Subscriber not found." });
@@ -252,60 +833,411 @@ router.delete("/newsletter/:id", requireAdmin, async (req, res) => {
   }
 });
 
+// POST /api/admin/newsletter/bulk
+// Body: { action: "delete", ids } or { action: "delete", filter } —
+// filter takes the same fields as GET /newsletter. Moves them to the
+// trash in one transaction, with each one in the audit snapshot.
+router.post("/newsletter/bulk", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(newsletterBulkSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const ids = await resolveBulkIds(prisma.newsletterSub, data, subscriberWhere);
+    const requested = data.ids ? new Set(data.ids).size : ids.length;
+    const where = { id: { in: ids } };
+
+    let updated = 0;
+    if (ids.length > 0) {
+      const before = await prisma.newsletterSub.findMany({ where });
+      const [result] = await prisma.$transaction([
+        prisma.newsletterSub.updateMany({ where, data: trashFields(req) }),
+        auditEntry(req, {
+          action: "subscriber.bulk_delete", targetType: "subscriber",
+          before, details: { ids, filter: data.filter },
+        }),
+      ]);
+      updated = result.count;
+    }
+
+    res.json(bulkResult({ ids, requested, updated, nouns: ["subscriber", "subscribers"], done: "moved to the trash" }));
+  } catch (err) {
+    if (err instanceof BulkError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("[Admin Newsletter BULK] Error:", err.message);
+    res.status(500).json({ error: "Bulk removal failed." });
+  }
+});
+
 
 // ═══════════════════════════════════════════════════════════════════
 //  CONTACT MESSAGE MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════
 
-// GET /api/admin/contacts
-// Returns all contact form submissions, newest first.
+// Fields the contacts tab needs for each message
+const CONTACT_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  subject: true,
+  message: true,
+  read: true,
+  status: true,
+  archived: true,
+  archivedAt: true,
+  answeredAt: true,
+  spamScore: true,
+  spamVerdict: true,
+  flagReasons: true,
+  ipHash: true,
+  createdAt: true,
+  labels: { select: { id: true, name: true, color: true }, orderBy: { name: "asc" } },
+  _count: { select: { replies: true } },
+};
+
+// Like the guestbook, only an 8-character IP tag is exposed
+function formatContact({ ipHash, _count, ...msg }) {
+  return {
+    ...msg,
+    replyCount: _count ? _count.replies : undefined,
+    ipTag: ipHash ? ipHash.slice(0, 8) : null,
+  };
+}
+
+// GET /api/admin/contacts?cursor=&limit=&from=&to=&status=&label=&read=&archived=&spam=
+//   status   → all | new | in_progress | answered | closed
+//   label    → label ID
+//   read     → all | read | unread
+//   archived → false (inbox, default) | true | all
+//   spam     → exclude (default) | include | only
+// Returns { messages, total, nextCursor }, newest first.
 router.get("/contacts", requireAdmin, async (req, res) => {
+  const { data: query, error } = validate(adminContactListSchema, req.query);
+  if (error) return res.status(400).json({ error });
+
   try {
-    const messages = await prisma.contactMessage.findMany({
-      orderBy: { createdAt: "desc" },
+    const page = await paginate(prisma.contactMessage, {
+      where: contactWhere(query),
+      select: CONTACT_SELECT,
+      limit: query.limit,
+      cursor: query.cursor,
+      key: "messages",
     });
-    res.json({ messages });
+
+    page.messages = page.messages.map(formatContact);
+    res.json(page);
   } catch (err) {
     console.error("[Admin Contacts GET] Error:", err.message);
     res.status(500).json({ error: "Failed to fetch contact messages." });
   }
 });
 
+// POST /api/admin/contacts/bulk
+// Body: { action, ids | filter, labelId?, status? } — action is one of
+// archive | unarchive | read | unread | delete | add_label |
+// remove_label | set_status, and filter takes the same fields as
+// GET /contacts. All-or-nothing: runs in one transaction.
+//
+// `pending` narrows each update to the messages it would change, so
+// the summary can count the ones that were already that way.
+const CONTACT_BULK = {
+  archive: { data: () => ({ archived: true, archivedAt: new Date() }), pending: { archived: false }, done: "archived", already: "already archived" },
+  unarchive: { data: () => ({ archived: false, archivedAt: null }), pending: { archived: true }, done: "moved to the inbox", already: "already in the inbox" },
+  read: { data: () => ({ read: true }), pending: { read: false }, done: "marked read", already: "already read" },
+  unread: { data: () => ({ read: false }), pending: { read: true }, done: "marked unread", already: "already unread" },
+  set_status: { done: "updated", already: "already had that status" },
+  add_label: { done: "labeled", already: "already had the label" },
+  remove_label: { done: "unlabeled", already: "didn't have the label" },
+  delete: { done: "moved to the trash" },
+};
+
+router.post("/contacts/bulk", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(contactBulkSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (data.labelId) {
+      const label = await prisma.contactLabel.findUnique({ where: { id: data.labelId } });
+      if (!label) return res.status(404).json({ error: "Label not found." });
+    }
+
+    const ids = await resolveBulkIds(prisma.contactMessage, data, contactWhere);
+    const requested = data.ids ? new Set(data.ids).size : ids.length;
+    const { done, already } = CONTACT_BULK[data.action];
+    const where = { id: { in: ids } };
+
+    if (ids.length === 0) {
+      return res.json(bulkResult({ ids, requested, updated: 0, nouns: ["message", "messages"], done, already }));
+    }
+
+    const audit = {
+      action: `contact.bulk_${data.action}`,
+      targetType: "contact",
+      details: { ids, filter: data.filter, labelId: data.labelId, status: data.status },
+    };
+
+    let operations;
+    let updated = null;   // Taken from the first operation's count unless set here
+    switch (data.action) {
+      case "archive":
+      case "unarchive":
+      case "read":
+      case "unread": {
+        const change = CONTACT_BULK[data.action];
+        operations = [prisma.contactMessage.updateMany({ where: { ...where, ...change.pending }, data: change.data() })];
+        break;
+      }
+      case "set_status":
+        operations = [prisma.contactMessage.updateMany({
+          where: { ...where, status: { not: data.status } },
+          data: { status: data.status },
+        })];
+        break;
+      case "delete":
+        // The snapshot keeps the whole conversations, for after the purge
+        audit.before = await prisma.contactMessage.findMany({
+          where,
+          include: {
+            labels: { select: { id: true, name: true } },
+            replies: { select: { subject: true, body: true, author: true, createdAt: true } },
+          },
+        });
+        operations = [prisma.contactMessage.updateMany({ where, data: trashFields(req) })];
+        break;
+      case "add_label":
+      case "remove_label": {
+        // Many-to-many links can't be changed with updateMany
+        const adding = data.action === "add_label";
+        const pending = await prisma.contactMessage.findMany({
+          where: { ...where, labels: adding ? { none: { id: data.labelId } } : { some: { id: data.labelId } } },
+          select: { id: true },
+        });
+        operations = pending.map(({ id }) => prisma.contactMessage.update({
+          where: { id },
+          data: { labels: { [adding ? "connect" : "disconnect"]: { id: data.labelId } } },
+          select: { id: true },
+        }));
+        updated = pending.length;
+        break;
+      }
+    }
+
+    const results = await prisma.$transaction([...operations, auditEntry(req, audit)]);
+    if (updated === null) updated = results[0].count;
+
+    res.json(bulkResult({ ids, requested, updated, nouns: ["message", "messages"], done, already }));
+  } catch (err) {
+    if (err instanceof BulkError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("[Admin Contacts BULK] Error:", err.message);
+    res.status(500).json({ error: "Bulk update failed." });
+  }
+});
+
 // PATCH /api/admin/contacts/:id
-// Toggle read/unread status.
-router.patch("/contacts/:id", requireAdmin, async (req, res) => {
+// Body: any of { read, status, archived, labelIds } (labelIds replaces
+// the message's labels). An empty body toggles read/unread, as before.
+router.patch("/contacts/:id", requireRole("moderator"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) return res.status(400).json({ error: "Invalid message ID." });
 
+  const { data: changes, error } = validate(contactUpdateSchema, req.body || {});
+  if (error) return res.status(400).json({ error });
+
   try {
-    const msg = await prisma.contactMessage.findUnique({ where: { id } });
+    const msg = await prisma.contactMessage.findFirst({
+      where: { id, ...NOT_TRASHED },
+      include: { labels: { select: { id: true, name: true } } },
+    });
     if (!msg) return res.status(404).json({ error: "Message not found." });
 
-    const updated = await prisma.contactMessage.update({
-      where: { id },
-      data: { read: !msg.read },
-      select: { id: true, read: true },
+    const data = {};
+    if (Object.keys(changes).length === 0) data.read = !msg.read;
+    if (changes.read !== undefined) data.read = changes.read;
+    if (changes.status !== undefined) data.status = changes.status;
+    if (changes.archived !== undefined) {
+      data.archived = changes.archived;
+      data.archivedAt = changes.archived ? new Date() : null;
+    }
+    if (changes.labelIds !== undefined) {
+      data.labels = { set: changes.labelIds.map(labelId => ({ id: labelId })) };
+    }
+
+    // A plain read/unread toggle gets its own action name, so the log
+    // is easy to scan; anything else is a general update
+    const onlyRead = Object.keys(data).length === 1 && data.read !== undefined;
+    const [updated] = await prisma.$transaction([
+      prisma.contactMessage.update({
+        where: { id },
+        data,
+        select: CONTACT_SELECT,
+      }),
+      auditEntry(req, {
+        action: onlyRead ? (data.read ? "contact.read" : "contact.unread") : "contact.update",
+        targetType: "contact",
+        targetId: id,
+        before: msg,
+        details: changes,
+      }),
+    ]);
+
+    const message = data.archived !== undefined
+      ? (updated.archived ? "Message archived." : "Message moved back to the inbox.")
+      : data.status !== undefined
+        ? "Status updated."
+        : data.labels !== undefined
+          ? "Labels updated."
+          : updated.read ? "Marked as read." : "Marked as unread.";
+
+    res.json({ message, contact: formatContact(updated) });
+  } catch (err) {
+    // labels.set with an unknown label ID
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Label not found." });
+    }
+    console.error("[Admin Contacts PATCH] Error:", err.message);
+    res.status(500).json({ error: "Failed to update message." });
+  }
+});
+
+// ─── Replies ────────────────────────────────────────────────────
+// Each reply is an outbox email (see utils/mailer.js); its delivery
+// status is read from there: pending | sending | sent | retrying | failed.
+const REPLY_SELECT = {
+  id: true,
+  subject: true,
+  body: true,
+  author: true,
+  createdAt: true,
+  emailMessage: {
+    select: { status: true, attempts: true, lastError: true, sentAt: true, nextAttemptAt: true },
+  },
+};
+
+function formatReply({ emailMessage, ...reply }) {
+  return {
+    ...reply,
+    status: emailMessage ? emailMessage.status : "failed",
+    attempts: emailMessage ? emailMessage.attempts : 0,
+    lastError: emailMessage ? emailMessage.lastError : "Outbox entry was removed.",
+    sentAt: emailMessage ? emailMessage.sentAt : null,
+    nextAttemptAt: emailMessage ? emailMessage.nextAttemptAt : null,
+  };
+}
+
+// GET /api/admin/contacts/:id/replies
+// The original message plus every reply, oldest first.
+router.get("/contacts/:id/replies", requireAdmin, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: "Invalid message ID." });
+
+  try {
+    const contact = await prisma.contactMessage.findFirst({
+      where: { id, ...NOT_TRASHED },
+      include: { replies: { select: REPLY_SELECT, orderBy: { createdAt: "asc" } } },
     });
+    if (!contact) return res.status(404).json({ error: "Message not found." });
 
-    res.json({
-      message: updated.read ? "Marked as read." : "Marked as unread.",
+    const { replies, ipHash, ...message } = contact;
+    res.json({ contact: message, replies: replies.map(formatReply) });
+  } catch (err) {
+    console.error("[Admin Contact Replies GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch the conversation." });
+  }
+});
+
+// POST /api/admin/contacts/:id/replies
+// Body: { body, subject? } — subject defaults to "Re: <original subject>".
+// Waits for the first delivery attempt so the panel can show whether
+// it went out; a failed attempt keeps retrying in the background.
+router.post("/contacts/:id/replies", requireRole("moderator"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: "Invalid message ID." });
+
+  const { data, error } = validate(contactReplySchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const contact = await prisma.contactMessage.findFirst({ where: { id, ...NOT_TRASHED } });
+    if (!contact) return res.status(404).json({ error: "Message not found." });
+
+    const subject = data.subject
+      || (/^re:/i.test(contact.subject) ? contact.subject : `Re: ${contact.subject}`);
+
+    const email = await sendMail({
+      to: contact.email,
+      replyTo: CONTACT_REPLY_TO,
+      ...contactReplyEmail({ subject, body: data.body, original: contact }),
+      category: "contact_reply",
+    });
+
+    const [reply, updated] = await prisma.$transaction([
+      prisma.contactReply.create({
+        data: {
+          contactId: id,
+          subject,
+          body: data.body,
+          author: req.admin.username,
+          emailMessageId: email.id,
+        },
+        select: REPLY_SELECT,
+      }),
+      // Only a reply that is on its way counts as an answer
+      prisma.contactMessage.update({
+        where: { id },
+        data: email.status === "failed"
+          ? { read: true }
+          : { read: true, status: "answered", answeredAt: new Date() },
+        select: { id: true, read: true, status: true, answeredAt: true },
+      }),
+    ]);
+
+    await recordAudit(req, {
+      action: "contact.reply",
+      targetType: "contact",
+      targetId: id,
+      details: { replyId: reply.id, subject, emailStatus: email.status },
+    });
+
+    const formatted = formatReply(reply);
+    res.status(201).json({
+      reply: formatted,
       contact: updated,
+      message: {
+        sent: `Reply sent to ${contact.email}.`,
+        retrying: "Reply saved — delivery failed for now and will be retried.",
+        failed: "Reply could not be sent.",
+      }[formatted.status] || "Reply queued for delivery.",
     });
   } catch (err) {
-    console.error("[Admin Contacts PATCH] Error:", err.message);
-    res.status(500).json({ error: "Failed to update message." });
+    console.error("[Admin Contact Replies POST] Error:", err.message);
+    res.status(500).json({ error: "Failed to send reply." });
   }
 });
 
 // DELETE /api/admin/contacts/:id
-// Permanent deletion of a contact message.
-router.delete("/contacts/:id", requireAdmin, async (req, res) => {
+// Moves a contact message (and its thread) to the trash.
+router.delete("/contacts/:id", requireRole("moderator"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) return res.status(400).json({ error: "Invalid message ID." });
 
   try {
-    await prisma.contactMessage.delete({ where: { id } });
-    res.json({ message: "Contact message deleted.", id });
+    // The snapshot keeps the whole conversation, for after the purge
+    const msg = await prisma.contactMessage.findFirst({
+      where: { id, ...NOT_TRASHED },
+      include: {
+        labels: { select: { id: true, name: true } },
+        replies: { select: { subject: true, body: true, author: true, createdAt: true } },
+      },
+    });
+    if (!msg) return res.status(404).json({ error: "Message not found." });
+
+    await prisma.$transaction([
+      prisma.contactMessage.update({ where: { id }, data: trashFields(req) }),
+      auditEntry(req, { action: "contact.delete", targetType: "contact", targetId: id, before: msg }),
+    ]);
+    res.json({ message: "Message moved to the trash.", id });
   } catch (err) {
     if (err.code === "P2025") {
       return res.status(404).json({ error: "Message not found." });
@@ -316,4 +1248,91 @@ router.delete("/contacts/:id", requireAdmin, async (req, res) => {
 });
 
 
+router.use("/contact-labels", requireAdmin, contactLabelRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  SEARCH
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/search", requireAdmin, searchRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  EXPORTS
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/export", requireRole("moderator"), exportRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  AUDIT LOG
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/audit", requireRole("owner"), auditRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  NEWSLETTER CAMPAIGNS
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/campaigns", requireAdmin, campaignRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  BLOG POSTS
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/posts", requireAdmin, postRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  TEAM (owners only)
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/team", requireRole("owner"), teamRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  TWO-FACTOR SETUP (every role, for their own account)
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/2fa", requireAdmin, twoFactorRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  SESSIONS (every role, for their own account)
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/sessions", requireAdmin, sessionRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  TRASH
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/trash", requireAdmin, trashRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  RATE LIMITS (owners only)
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/rate-limits", requireRole("owner"), rateLimitRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  BLOCKLIST
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/blocklist", requireAdmin, blocklistRoutes);
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  WEBHOOKS (owners only)
+// ═══════════════════════════════════════════════════════════════════
+
+router.use("/webhooks", requireRole("owner"), webhookRoutes);
+
+
 module.exports = router;
@@ -0,0 +1,39 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN AUDIT ROUTES — /api/admin/audit
+//
+//  Read-only view of the audit log (see utils/audit.js). There is
+//  deliberately no way to edit or delete entries through the API.
+//  Mounted by routes/admin.js behind requireAdmin.
+//
+//  GET /api/admin/audit?cursor=&limit=&from=&to=&action=&actor=&targetType=&targetId=
+//    action → prefix match: "guestbook." (all guestbook actions), "login", ...
+//    → { events, total, nextCursor }, newest first
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { auditListSchema, validate } = require("../utils/validation");
+const { paginate } = require("../utils/pagination");
+const { auditWhere } = require("../utils/listFilters");
+
+// GET /api/admin/audit
+router.get("/", async (req, res) => {
+  const { data: query, error } = validate(auditListSchema, req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const page = await paginate(prisma.adminAuditLog, {
+      where: auditWhere(query),
+      limit: query.limit,
+      cursor: query.cursor,
+      key: "events",
+    });
+    res.json(page);
+  } catch (err) {
+    console.error("[Admin Audit GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch the audit log." });
+  }
+});
+
+module.exports = router;
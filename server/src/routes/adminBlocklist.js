@@ -0,0 +1,252 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN BLOCKLIST ROUTES — /api/admin/blocklist
+//
+//  Manages the senders turned away from the public forms (see
+//  utils/blocklist.js). Mounted by routes/admin.js behind
+//  requireAdmin; changes need moderator.
+//
+//  GET    /api/admin/blocklist         → All rules, with hit counters, and
+//                                         when IP tags next rotate
+//  POST   /api/admin/blocklist         → Add a rule ({ kind, value, reason?, expiresAt? })
+//  POST   /api/admin/blocklist/sender  → Block whoever sent an entry / message
+//  PATCH  /api/admin/blocklist/:id     → Change reason / expiry
+//  DELETE /api/admin/blocklist/:id     → Remove a rule
+//
+//  Full IP hashes never leave the server: ip_hash rules show only the
+//  first 8 characters, like the IP tag on entries and messages. The
+//  hashes rotate (see utils/ipHash.js), so an ip_hash rule only holds
+//  until the end of the period it was recorded in: its expiry is
+//  capped there whatever is asked for, and responses carry that time
+//  as rotatesAt so the panel can say the rule is temporary.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { requireRole } = require("../middleware/auth");
+const {
+  blockRuleSchema, blockRuleUpdateSchema, blockSenderSchema, validate,
+} = require("../utils/validation");
+const { auditEntry } = require("../utils/audit");
+const { NOT_TRASHED } = require("../utils/trash");
+const { periodEnd } = require("../utils/ipHash");
+
+const TAG_LENGTH = 8;
+
+// The value as the panel may see it — IP hashes cut to their tag
+const shownValue = (rule) => (rule.kind === "ip_hash" ? rule.value.slice(0, TAG_LENGTH) : rule.value);
+
+// An ip_hash rule can't outlast the period its hash is from, which
+// `recordedAt` falls in — after that it never matches again. Other
+// kinds keep the expiry they're given.
+function capExpiry(kind, expiresAt, recordedAt = new Date()) {
+  if (kind !== "ip_hash") return expiresAt;
+  const rotatesAt = periodEnd(recordedAt);
+  return expiresAt && expiresAt < rotatesAt ? expiresAt : rotatesAt;
+}
+
+// Shape of a rule in responses
+function formatRule(rule) {
+  const expired = rule.expiresAt !== null && rule.expiresAt <= new Date();
+  return {
+    ...rule,
+    value: shownValue(rule),
+    status: expired ? "expired" : "active",
+    ...(rule.kind === "ip_hash" && { rotatesAt: periodEnd(rule.createdAt) }),
+  };
+}
+
+// Parses :id, or sends the 400 and returns null
+function ruleId(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    res.status(400).json({ error: "Invalid rule ID." });
+    return null;
+  }
+  return id;
+}
+
+// Creates the rules in one transaction with a single audit entry.
+// Rules that already exist (same kind and value) are kept, taking
+// whichever of reason and expiry were sent.
+async function saveRules(req, rules, { action, targetType, targetId = null }) {
+  const ops = rules.map(({ kind, value, reason, expiresAt }) => prisma.blockRule.upsert({
+    where: { kind_value: { kind, value } },
+    create: { kind, value, reason: reason ?? null, expiresAt: expiresAt ?? null, createdBy: req.admin.username },
+    update: { reason, expiresAt },
+  }));
+  const results = await prisma.$transaction([
+    ...ops,
+    auditEntry(req, {
+      action, targetType, targetId,
+      details: { rules: rules.map(rule => ({ kind: rule.kind, value: shownValue(rule) })) },
+    }),
+  ]);
+  return results.slice(0, rules.length);
+}
+
+
+// GET /api/admin/blocklist
+// Active rules first, then the rest; newest first within each.
+router.get("/", async (req, res) => {
+  try {
+    const rules = (await prisma.blockRule.findMany({ orderBy: { createdAt: "desc" } })).map(formatRule);
+    rules.sort((a, b) => (a.status === b.status ? 0 : a.status === "active" ? -1 : 1));
+    res.json({
+      rules,
+      totalHits: rules.reduce((sum, rule) => sum + rule.hits, 0),
+      ipTagsRotateAt: periodEnd(),
+    });
+  } catch (err) {
+    console.error("[Admin Blocklist GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch the blocklist." });
+  }
+});
+
+// POST /api/admin/blocklist
+router.post("/", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(blockRuleSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const existing = await prisma.blockRule.findUnique({
+      where: { kind_value: { kind: data.kind, value: data.value } },
+    });
+    if (existing) {
+      return res.status(409).json({ error: "That's already on the blocklist — edit the existing rule." });
+    }
+
+    const [rule] = await saveRules(
+      req,
+      [{ ...data, expiresAt: capExpiry(data.kind, data.expiresAt) }],
+      { action: "blocklist.create", targetType: "block_rule" }
+    );
+    res.status(201).json({
+      rule: formatRule(rule),
+      message: rule.kind === "ip_hash"
+        ? `Added to the blocklist until ${rule.expiresAt.toUTCString()} — IP tags rotate, so the rule is temporary.`
+        : "Added to the blocklist.",
+    });
+  } catch (err) {
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: "That's already on the blocklist — edit the existing rule." });
+    }
+    console.error("[Admin Blocklist POST] Error:", err.message);
+    res.status(500).json({ error: "Failed to add the rule." });
+  }
+});
+
+// POST /api/admin/blocklist/sender
+// { source: "guestbook" | "contact", id, email?, reason?, expiresAt? }
+// Blocks the sender's IP hash, and for contact messages their email
+// address too (unless email: false). The IP rule expires when the
+// hash rotates — or sooner, if expiresAt says so.
+router.post("/sender", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(blockSenderSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const delegate = data.source === "guestbook" ? prisma.guestbookEntry : prisma.contactMessage;
+    const row = await delegate.findFirst({
+      where: { id: data.id, ...NOT_TRASHED },
+      select: data.source === "guestbook"
+        ? { ipHash: true, createdAt: true }
+        : { ipHash: true, createdAt: true, email: true },
+    });
+    if (!row) {
+      return res.status(404).json({ error: data.source === "guestbook" ? "Entry not found." : "Message not found." });
+    }
+
+    // A hash from an earlier period never matches a request again
+    const ipCurrent = Boolean(row.ipHash) && periodEnd(row.createdAt) > new Date();
+
+    const rules = [];
+    if (ipCurrent) {
+      rules.push({ kind: "ip_hash", value: row.ipHash, expiresAt: capExpiry("ip_hash", data.expiresAt, row.createdAt) });
+    }
+    if (data.email && row.email) rules.push({ kind: "email", value: row.email.toLowerCase(), expiresAt: data.expiresAt });
+    if (rules.length === 0) {
+      return res.status(400).json({
+        error: row.ipHash
+          ? "Its IP hash has rotated since, so it can't be blocked by IP any more — block an IP range instead."
+          : "There's nothing to block — no IP was recorded for it.",
+      });
+    }
+
+    const saved = await saveRules(
+      req,
+      rules.map(rule => ({ ...rule, reason: data.reason })),
+      { action: "blocklist.block_sender", targetType: data.source, targetId: data.id }
+    );
+    const ipUntil = ipCurrent ? ` (their IP until ${rules[0].expiresAt.toUTCString()} — IP tags rotate)` : "";
+    res.status(201).json({
+      rules: saved.map(formatRule),
+      message: rules.length > 1 ? `Sender's IP and email blocked${ipUntil}.`
+        : ipCurrent ? `Sender's IP blocked${ipUntil}.` : "Sender's email blocked (their IP hash has rotated since).",
+    });
+  } catch (err) {
+    console.error("[Admin Blocklist sender] Error:", err.message);
+    res.status(500).json({ error: "Failed to block the sender." });
+  }
+});
+
+// PATCH /api/admin/blocklist/:id
+router.patch("/:id", requireRole("moderator"), async (req, res) => {
+  const id = ruleId(req, res);
+  if (id === null) return;
+  const { data, error } = validate(blockRuleUpdateSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const rule = await prisma.blockRule.findUnique({ where: { id } });
+    if (!rule) return res.status(404).json({ error: "Rule not found." });
+
+    // An IP tag that has rotated can't be renewed
+    if (data.expiresAt !== undefined) {
+      data.expiresAt = capExpiry(rule.kind, data.expiresAt, rule.createdAt);
+      if (data.expiresAt !== null && data.expiresAt <= new Date()) {
+        return res.status(400).json({ error: "This IP tag has rotated, so the rule can't be renewed — block an IP range instead." });
+      }
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.blockRule.update({ where: { id }, data }),
+      auditEntry(req, {
+        action: "blocklist.update", targetType: "block_rule", targetId: id,
+        before: formatRule(rule), details: data,
+      }),
+    ]);
+    res.json({ rule: formatRule(updated), message: "Rule updated." });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Rule not found." });
+    }
+    console.error("[Admin Blocklist PATCH] Error:", err.message);
+    res.status(500).json({ error: "Failed to update the rule." });
+  }
+});
+
+// DELETE /api/admin/blocklist/:id
+router.delete("/:id", requireRole("moderator"), async (req, res) => {
+  const id = ruleId(req, res);
+  if (id === null) return;
+
+  try {
+    const rule = await prisma.blockRule.findUnique({ where: { id } });
+    if (!rule) return res.status(404).json({ error: "Rule not found." });
+
+    await prisma.$transaction([
+      prisma.blockRule.delete({ where: { id } }),
+      auditEntry(req, { action: "blocklist.delete", targetType: "block_rule", targetId: id, before: formatRule(rule) }),
+    ]);
+    res.json({ message: "Rule removed.", id });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Rule not found." });
+    }
+    console.error("[Admin Blocklist DELETE] Error:", err.message);
+    res.status(500).json({ error: "Failed to remove the rule." });
+  }
+});
+
+module.exports = router;
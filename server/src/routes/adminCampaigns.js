@@ -0,0 +1,331 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN CAMPAIGN ROUTES — /api/admin/campaigns
+//
+//  Newsletter composer and send queue. Mounted by routes/admin.js
+//  behind requireAdmin, so every route here is already authenticated.
+//  Anyone can look; writing, testing and sending need moderator.
+//
+//  GET    /api/admin/campaigns                → List campaigns
+//  POST   /api/admin/campaigns                → Create a draft
+//  POST   /api/admin/campaigns/preview        → Render Markdown to email HTML
+//  GET    /api/admin/campaigns/:id            → One campaign + delivery stats
+//  PATCH  /api/admin/campaigns/:id            → Edit a draft/scheduled campaign
+//  DELETE /api/admin/campaigns/:id            → Delete a draft/scheduled campaign
+//  POST   /api/admin/campaigns/:id/test       → Send a test copy to one address
+//  POST   /api/admin/campaigns/:id/send       → Send now or schedule
+//  POST   /api/admin/campaigns/:id/unschedule → Scheduled → draft
+//  GET    /api/admin/campaigns/:id/deliveries → Per-recipient delivery log
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { sendMail } = require("../utils/mailer");
+const { campaignEmail } = require("../utils/emailTemplates");
+const { startCampaign } = require("../utils/campaignSender");
+const { recordAudit } = require("../utils/audit");
+const { requireRole } = require("../middleware/auth");
+const {
+  campaignSchema,
+  campaignSendSchema,
+  newsletterSchema,
+  validate,
+} = require("../utils/validation");
+
+// Campaigns can only be edited or deleted before they start sending
+const EDITABLE_STATUSES = ["draft", "scheduled"];
+
+// Parses :id and loads the campaign, or sends the error response.
+// Returns null when the response has already been sent.
+async function loadCampaign(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    res.status(400).json({ error: "Invalid campaign ID." });
+    return null;
+  }
+  const campaign = await prisma.campaign.findUnique({ where: { id } });
+  if (!campaign) {
+    res.status(404).json({ error: "Campaign not found." });
+    return null;
+  }
+  return campaign;
+}
+
+// Tallies a campaign's deliveries by the status of their outbox email.
+// Deliveries with no email yet are still "queued".
+async function deliveryStats(campaignId) {
+  const [queued, byStatus] = await Promise.all([
+    prisma.campaignDelivery.count({ where: { campaignId, emailMessageId: null } }),
+    prisma.emailMessage.groupBy({
+      by: ["status"],
+      where: { campaignDelivery: { campaignId } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const stats = { queued, sending: 0, sent: 0, retrying: 0, failed: 0 };
+  for (const row of byStatus) {
+    // "pending" is the instant between outbox write and first attempt
+    const key = row.status === "pending" ? "sending" : row.status;
+    stats[key] = (stats[key] || 0) + row._count._all;
+  }
+  return stats;
+}
+
+
+// GET /api/admin/campaigns
+// Newest first, without the (potentially long) Markdown body.
+router.get("/", async (req, res) => {
+  try {
+    const campaigns = await prisma.campaign.findMany({
+      orderBy: { createdAt: "desc" },
+      select: {
+        id: true,
+        subject: true,
+        status: true,
+        scheduledAt: true,
+        startedAt: true,
+        sentAt: true,
+        recipientCount: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    });
+    res.json({ campaigns });
+  } catch (err) {
+    console.error("[Admin Campaigns GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch campaigns." });
+  }
+});
+
+// POST /api/admin/campaigns
+router.post("/", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(campaignSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const campaign = await prisma.campaign.create({ data });
+    await recordAudit(req, { action: "campaign.create", targetType: "campaign", targetId: campaign.id });
+    res.status(201).json({ campaign, message: "Draft saved." });
+  } catch (err) {
+    console.error("[Admin Campaigns POST] Error:", err.message);
+    res.status(500).json({ error: "Failed to create campaign." });
+  }
+});
+
+// POST /api/admin/campaigns/preview
+// Renders unsaved editor content exactly as subscribers will see it.
+router.post("/preview", (req, res) => {
+  const { data, error } = validate(campaignSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  const email = campaignEmail({ ...data, unsubToken: "preview" });
+  res.json({ subject: email.subject, html: email.html, text: email.text });
+});
+
+// GET /api/admin/campaigns/:id
+router.get("/:id", async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    res.json({ campaign, stats: await deliveryStats(campaign.id) });
+  } catch (err) {
+    console.error("[Admin Campaign GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch campaign." });
+  }
+});
+
+// PATCH /api/admin/campaigns/:id
+router.patch("/:id", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(campaignSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    // Conditional update so we never edit a campaign that just started sending
+    const updated = await prisma.campaign.updateMany({
+      where: { id: campaign.id, status: { in: EDITABLE_STATUSES } },
+      data,
+    });
+    if (updated.count === 0) {
+      return res.status(409).json({ error: "This campaign has already been sent and can't be edited." });
+    }
+    await recordAudit(req, { action: "campaign.update", targetType: "campaign", targetId: campaign.id, before: campaign });
+
+    res.json({
+      campaign: await prisma.campaign.findUnique({ where: { id: campaign.id } }),
+      message: "Campaign saved.",
+    });
+  } catch (err) {
+    console.error("[Admin Campaign PATCH] Error:", err.message);
+    res.status(500).json({ error: "Failed to update campaign." });
+  }
+});
+
+// DELETE /api/admin/campaigns/:id
+// Sent campaigns are kept — they're the record of what subscribers got.
+router.delete("/:id", requireRole("moderator"), async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const deleted = await prisma.campaign.deleteMany({
+      where: { id: campaign.id, status: { in: EDITABLE_STATUSES } },
+    });
+    if (deleted.count === 0) {
+      return res.status(409).json({ error: "Campaigns that have started sending can't be deleted." });
+    }
+    await recordAudit(req, { action: "campaign.delete", targetType: "campaign", targetId: campaign.id, before: campaign });
+
+    res.json({ message: "Campaign deleted.", id: campaign.id });
+  } catch (err) {
+    console.error("[Admin Campaign DELETE] Error:", err.message);
+    res.status(500).json({ error: "Failed to delete campaign." });
+  }
+});
+
+// POST /api/admin/campaigns/:id/test
+// Sends one copy to the given address. Not recorded as a delivery.
+router.post("/:id/test", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(newsletterSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const email = campaignEmail({ ...campaign, unsubToken: "test" });
+    const sent = await sendMail({
+      to: data.email,
+      ...email,
+      subject: `[TEST] ${email.subject}`,
+      category: "campaign_test",
+    });
+
+    if (sent.status !== "sent") {
+      return res.status(502).json({ error: `Test email failed: ${sent.lastError || "unknown error"}` });
+    }
+    res.json({ message: `Test email sent to ${data.email}.` });
+  } catch (err) {
+    console.error("[Admin Campaign TEST] Error:", err.message);
+    res.status(500).json({ error: "Failed to send test email." });
+  }
+});
+
+// POST /api/admin/campaigns/:id/send
+// Body: { scheduledAt? } — a future date schedules, otherwise sends now.
+router.post("/:id/send", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(campaignSendSchema, req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+      return res.status(409).json({ error: "This campaign has already been sent." });
+    }
+
+    if (data.scheduledAt && data.scheduledAt > new Date()) {
+      const scheduled = await prisma.campaign.update({
+        where: { id: campaign.id },
+        data: { status: "scheduled", scheduledAt: data.scheduledAt },
+      });
+      await recordAudit(req, {
+        action: "campaign.schedule", targetType: "campaign", targetId: campaign.id,
+        before: campaign, details: { scheduledAt: data.scheduledAt },
+      });
+      return res.json({
+        campaign: scheduled,
+        message: `Scheduled for ${data.scheduledAt.toISOString()}.`,
+      });
+    }
+
+    const started = await startCampaign(campaign.id);
+    if (!started) {
+      return res.status(409).json({ error: "This campaign has already been sent." });
+    }
+    await recordAudit(req, {
+      action: "campaign.send", targetType: "campaign", targetId: campaign.id,
+      before: campaign, details: { recipientCount: started.recipientCount },
+    });
+
+    res.json({
+      campaign: started,
+      message: `Queued for ${started.recipientCount} subscriber${started.recipientCount === 1 ? "" : "s"}.`,
+    });
+  } catch (err) {
+    console.error("[Admin Campaign SEND] Error:", err.message);
+    res.status(500).json({ error: "Failed to queue campaign." });
+  }
+});
+
+// POST /api/admin/campaigns/:id/unschedule
+router.post("/:id/unschedule", requireRole("moderator"), async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const updated = await prisma.campaign.updateMany({
+      where: { id: campaign.id, status: "scheduled" },
+      data: { status: "draft", scheduledAt: null },
+    });
+    if (updated.count === 0) {
+      return res.status(409).json({ error: "This campaign isn't scheduled." });
+    }
+    await recordAudit(req, { action: "campaign.unschedule", targetType: "campaign", targetId: campaign.id, before: campaign });
+
+    res.json({
+      campaign: await prisma.campaign.findUnique({ where: { id: campaign.id } }),
+      message: "Back to draft.",
+    });
+  } catch (err) {
+    console.error("[Admin Campaign UNSCHEDULE] Error:", err.message);
+    res.status(500).json({ error: "Failed to unschedule campaign." });
+  }
+});
+
+// GET /api/admin/campaigns/:id/deliveries?limit=&offset=
+router.get("/:id/deliveries", async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const [total, rows] = await Promise.all([
+      prisma.campaignDelivery.count({ where: { campaignId: campaign.id } }),
+      prisma.campaignDelivery.findMany({
+        where: { campaignId: campaign.id },
+        orderBy: { id: "asc" },
+        skip: offset,
+        take: limit,
+        include: {
+          emailMessage: {
+            select: { status: true, attempts: true, lastError: true, sentAt: true },
+          },
+        },
+      }),
+    ]);
+
+    const deliveries = rows.map(d => ({
+      id: d.id,
+      email: d.email,
+      status: d.emailMessage ? d.emailMessage.status : "queued",
+      attempts: d.emailMessage ? d.emailMessage.attempts : 0,
+      lastError: d.emailMessage ? d.emailMessage.lastError : null,
+      sentAt: d.emailMessage ? d.emailMessage.sentAt : null,
+    }));
+
+    res.json({ deliveries, total, limit, offset });
+  } catch (err) {
+    console.error("[Admin Campaign DELIVERIES] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch delivery log." });
+  }
+});
+
+module.exports = router;
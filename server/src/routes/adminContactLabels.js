@@ -0,0 +1,124 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN CONTACT LABEL ROUTES — /api/admin/contact-labels
+//
+//  Colored labels for sorting the contact inbox (hiring, freelance,
+//  personal, ...). Mounted by routes/admin.js behind requireAdmin;
+//  changing labels needs the moderator role.
+//  Labels are put on messages via PATCH /api/admin/contacts/:id or
+//  POST /api/admin/contacts/bulk.
+//
+//  GET    /api/admin/contact-labels      → All labels + message counts
+//  POST   /api/admin/contact-labels      → Create a label
+//  PATCH  /api/admin/contact-labels/:id  → Rename / recolor
+//  DELETE /api/admin/contact-labels/:id  → Delete (messages are kept)
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { contactLabelSchema, validate } = require("../utils/validation");
+const { auditEntry, recordAudit } = require("../utils/audit");
+const { requireRole } = require("../middleware/auth");
+const { NOT_TRASHED } = require("../utils/trash");
+
+const LABEL_SELECT = {
+  id: true,
+  name: true,
+  color: true,
+  _count: { select: { messages: { where: NOT_TRASHED } } },   // Trashed messages don't count
+};
+
+function formatLabel({ _count, ...label }) {
+  return { ...label, messageCount: _count.messages };
+}
+
+// GET /api/admin/contact-labels
+router.get("/", async (req, res) => {
+  try {
+    const labels = await prisma.contactLabel.findMany({
+      orderBy: { name: "asc" },
+      select: LABEL_SELECT,
+    });
+    res.json({ labels: labels.map(formatLabel) });
+  } catch (err) {
+    console.error("[Admin Labels GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch labels." });
+  }
+});
+
+// POST /api/admin/contact-labels
+// Body: { name, color }
+router.post("/", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(contactLabelSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const label = await prisma.contactLabel.create({ data, select: LABEL_SELECT });
+    await recordAudit(req, { action: "label.create", targetType: "label", targetId: label.id, details: data });
+    res.status(201).json({ label: formatLabel(label), message: `Label "${label.name}" created.` });
+  } catch (err) {
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: "A label with that name already exists." });
+    }
+    console.error("[Admin Labels POST] Error:", err.message);
+    res.status(500).json({ error: "Failed to create label." });
+  }
+});
+
+// PATCH /api/admin/contact-labels/:id
+// Body: { name, color } — both required, like create
+router.patch("/:id", requireRole("moderator"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: "Invalid label ID." });
+
+  const { data, error } = validate(contactLabelSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const before = await prisma.contactLabel.findUnique({ where: { id } });
+    if (!before) return res.status(404).json({ error: "Label not found." });
+
+    const [label] = await prisma.$transaction([
+      prisma.contactLabel.update({ where: { id }, data, select: LABEL_SELECT }),
+      auditEntry(req, { action: "label.update", targetType: "label", targetId: id, before, details: data }),
+    ]);
+    res.json({ label: formatLabel(label), message: "Label updated." });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Label not found." });
+    }
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: "A label with that name already exists." });
+    }
+    console.error("[Admin Labels PATCH] Error:", err.message);
+    res.status(500).json({ error: "Failed to update label." });
+  }
+});
+
+// DELETE /api/admin/contact-labels/:id
+router.delete("/:id", requireRole("moderator"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: "Invalid label ID." });
+
+  try {
+    const before = await prisma.contactLabel.findUnique({
+      where: { id },
+      include: { messages: { select: { id: true } } },
+    });
+    if (!before) return res.status(404).json({ error: "Label not found." });
+
+    await prisma.$transaction([
+      prisma.contactLabel.delete({ where: { id } }),
+      auditEntry(req, { action: "label.delete", targetType: "label", targetId: id, before }),
+    ]);
+    res.json({ message: "Label deleted.", id });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Label not found." });
+    }
+    console.error("[Admin Labels DELETE] Error:", err.message);
+    res.status(500).json({ error: "Failed to delete label." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN EXPORT ROUTES — /api/admin/export
+//
+//  Download guestbook entries, newsletter subscribers or contact
+//  messages as CSV, JSON or NDJSON. Mounted by routes/admin.js behind
+//  requireAdmin. Results are streamed (see utils/exporter.js).
+//
+//  GET /api/admin/export             → Resources, their columns, formats
+//  GET /api/admin/export/:resource   → Download
+//      ?format=csv|json|ndjson        (default csv)
+//      &columns=email,status,...      (default: all, in the listed order)
+//      + the same filters as the matching list endpoint:
+//        guestbook  → from, to, visibility, status
+//        newsletter → from, to, status
+//        contacts   → from, to, status, label, read, archived, spam
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { exportSchemas, EXPORT_FORMATS, validate } = require("../utils/validation");
+const { guestbookWhere, contactWhere, subscriberWhere } = require("../utils/listFilters");
+const { subscriberStatus } = require("../utils/newsletterTokens");
+const { resolveColumns, streamExport } = require("../utils/exporter");
+
+// Shorthand for a column that's just a field of the row
+const field = (key) => ({ key, select: { [key]: true } });
+
+// Only an 8-character tag of the IP hash leaves the server, as in the lists
+const ipTag = { key: "ipTag", select: { ipHash: true }, value: row => (row.ipHash ? row.ipHash.slice(0, 8) : null) };
+
+// ─── Resources ──────────────────────────────────────────────────
+const EXPORTS = {
+  guestbook: {
+    model: () => prisma.guestbookEntry,
+    where: guestbookWhere,
+    columns: [
+      field("id"), field("createdAt"), field("name"), field("message"),
+      field("status"), field("visible"), field("moderatedAt"),
+      field("spamScore"), field("spamVerdict"), field("flagReasons"), ipTag,
+    ],
+  },
+  newsletter: {
+    model: () => prisma.newsletterSub,
+    where: subscriberWhere,
+    columns: [
+      field("id"), field("email"),
+      {
+        key: "status",
+        select: { confirmed: true, confirmTokenIssuedAt: true, unsubAt: true },
+        value: row => subscriberStatus(row),
+      },
+      field("confirmed"), field("createdAt"), field("confirmedAt"), field("unsubAt"),
+      field("consentSource"), field("importedAt"),
+    ],
+  },
+  contacts: {
+    model: () => prisma.contactMessage,
+    where: contactWhere,
+    columns: [
+      field("id"), field("createdAt"), field("name"), field("email"),
+      field("subject"), field("message"), field("status"), field("read"),
+      field("archived"), field("archivedAt"), field("answeredAt"),
+      {
+        key: "labels",
+        select: { labels: { select: { name: true }, orderBy: { name: "asc" } } },
+        value: row => row.labels.map(l => l.name),
+      },
+      {
+        key: "replyCount",
+        select: { _count: { select: { replies: true } } },
+        value: row => row._count.replies,
+      },
+      field("spamScore"), field("spamVerdict"), field("flagReasons"), ipTag,
+    ],
+  },
+};
+
+// GET /api/admin/export
+router.get("/", (req, res) => {
+  const resources = Object.fromEntries(
+    Object.entries(EXPORTS).map(([name, { columns }]) => [name, { columns: columns.map(c => c.key) }])
+  );
+  res.json({ formats: EXPORT_FORMATS, resources });
+});
+
+// GET /api/admin/export/:resource
+router.get("/:resource", async (req, res) => {
+  if (!Object.hasOwn(EXPORTS, req.params.resource)) {
+    return res.status(404).json({ error: `Unknown export. Use one of: ${Object.keys(EXPORTS).join(", ")}.` });
+  }
+  const resource = EXPORTS[req.params.resource];
+
+  const { data: query, error } = validate(exportSchemas[req.params.resource], req.query);
+  if (error) return res.status(400).json({ error });
+
+  const { columns, select, unknown } = resolveColumns(resource.columns, query.columns);
+  if (unknown) {
+    return res.status(400).json({
+      error: { columns: `Unknown column(s): ${unknown.join(", ")}. Available: ${resource.columns.map(c => c.key).join(", ")}` },
+    });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  try {
+    await streamExport(res, {
+      model: resource.model(),
+      where: resource.where(query),
+      columns,
+      select,
+      format: query.format,
+      filename: `${req.params.resource}-${date}`,
+    });
+  } catch (err) {
+    console.error("[Admin Export] Error:", err.message);
+    // Once the download has started there's no way to send an error
+    // body — cut the connection so the file isn't mistaken for complete
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: "Export failed." });
+  }
+});
+
+module.exports = router;
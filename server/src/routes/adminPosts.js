@@ -0,0 +1,215 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN POST ROUTES — /api/admin/posts
+//
+//  The blog editor. Mounted by routes/admin.js behind requireAdmin;
+//  anyone can look, writing needs moderator.
+//
+//  GET    /api/admin/posts          → Every post, without its body
+//  POST   /api/admin/posts          → Create ({ title, bodyMarkdown, slug?, tags?, status?, publishedAt? })
+//  POST   /api/admin/posts/preview  → Render Markdown as the public API will
+//  GET    /api/admin/posts/:id      → One post, with its Markdown
+//  PATCH  /api/admin/posts/:id      → Change any of those fields
+//  DELETE /api/admin/posts/:id      → Delete it
+//
+//  Publishing is just a status: "published" (now, or a past date) or
+//  "scheduled" (a future publishedAt) — see utils/posts.js. A
+//  scheduled post whose time has come is reported as published.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { requireRole } = require("../middleware/auth");
+const { postSchema, postUpdateSchema, postPreviewSchema, validate } = require("../utils/validation");
+const { auditEntry, recordAudit } = require("../utils/audit");
+const { slugify, liveStatus, resolvePublishing, renderPost } = require("../utils/posts");
+
+// Everything but the body, for the list
+const POST_LIST_SELECT = {
+  id: true,
+  slug: true,
+  title: true,
+  tags: true,
+  status: true,
+  publishedAt: true,
+  createdBy: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const SLUG_TAKEN = "Another post already uses that slug — pick a different one.";
+
+// Shape of a post in responses
+const formatPost = (post) => ({ ...post, status: liveStatus(post) });
+
+// Toast for a save — says so when the post went live or got scheduled
+function savedMessage(post, before = null) {
+  const status = liveStatus(post);
+  if (before && liveStatus(before) === status) return "Post saved.";
+  if (status === "published") return `"${post.title}" is published.`;
+  if (status === "scheduled") return `"${post.title}" is scheduled for ${post.publishedAt.toISOString()}.`;
+  return before ? "Post moved back to drafts." : "Draft saved.";
+}
+
+// The audit log keeps what changed, not a second copy of the body
+function auditDetails(data) {
+  const { bodyMarkdown, ...rest } = data;
+  return bodyMarkdown === undefined ? rest : { ...rest, bodyEdited: true };
+}
+
+// Parses :id, or sends the 400 and returns null
+function postId(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    res.status(400).json({ error: "Invalid post ID." });
+    return null;
+  }
+  return id;
+}
+
+// A slug made from the title, with -2, -3, ... if it's taken
+async function uniqueSlug(base) {
+  const taken = new Set((await prisma.post.findMany({
+    where: { slug: { startsWith: base } },
+    select: { slug: true },
+  })).map(post => post.slug));
+
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+  return slug;
+}
+
+
+// GET /api/admin/posts
+// Most recently edited first.
+router.get("/", async (req, res) => {
+  try {
+    const posts = await prisma.post.findMany({ orderBy: { updatedAt: "desc" }, select: POST_LIST_SELECT });
+    res.json({ posts: posts.map(formatPost) });
+  } catch (err) {
+    console.error("[Admin Posts GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch posts." });
+  }
+});
+
+// POST /api/admin/posts
+router.post("/", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(postSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  const publishing = resolvePublishing(data);
+  if (publishing.error) return res.status(400).json({ error: { publishedAt: publishing.error } });
+
+  try {
+    let slug = data.slug;
+    if (!slug) {
+      const base = slugify(data.title);
+      if (!base) return res.status(400).json({ error: { slug: "Add a slug — the title has no letters to make one from." } });
+      slug = await uniqueSlug(base);
+    }
+
+    const post = await prisma.post.create({
+      data: { ...data, slug, publishedAt: publishing.publishedAt, createdBy: req.admin.username },
+    });
+    const { bodyMarkdown, ...fields } = data;
+    await recordAudit(req, { action: "post.create", targetType: "post", targetId: post.id, details: { ...fields, slug } });
+    res.status(201).json({ post: formatPost(post), message: savedMessage(post) });
+  } catch (err) {
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: SLUG_TAKEN });
+    }
+    console.error("[Admin Posts POST] Error:", err.message);
+    res.status(500).json({ error: "Failed to create the post." });
+  }
+});
+
+// POST /api/admin/posts/preview
+// The editor's live preview — the same HTML and reading time the
+// public API will serve for this Markdown. Nothing is saved.
+router.post("/preview", (req, res) => {
+  const { data, error } = validate(postPreviewSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  const { html, wordCount, readingMinutes } = renderPost(data.bodyMarkdown);
+  res.json({ html, wordCount, readingMinutes });
+});
+
+// GET /api/admin/posts/:id
+router.get("/:id", async (req, res) => {
+  const id = postId(req, res);
+  if (id === null) return;
+
+  try {
+    const post = await prisma.post.findUnique({ where: { id } });
+    if (!post) return res.status(404).json({ error: "Post not found." });
+    res.json({ post: formatPost(post) });
+  } catch (err) {
+    console.error("[Admin Post GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch the post." });
+  }
+});
+
+// PATCH /api/admin/posts/:id
+// Changing the title keeps the slug — links to the post keep working
+// unless a new slug is sent too.
+router.patch("/:id", requireRole("moderator"), async (req, res) => {
+  const id = postId(req, res);
+  if (id === null) return;
+  const { data, error } = validate(postUpdateSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const before = await prisma.post.findUnique({ where: { id } });
+    if (!before) return res.status(404).json({ error: "Post not found." });
+
+    // Checked as the post will be after the edit
+    const status = data.status ?? liveStatus(before);
+    const publishing = resolvePublishing({
+      status,
+      publishedAt: data.publishedAt !== undefined ? data.publishedAt : before.publishedAt,
+    });
+    if (publishing.error) return res.status(400).json({ error: { publishedAt: publishing.error } });
+
+    const post = await prisma.post.update({
+      where: { id },
+      data: { ...data, status, publishedAt: publishing.publishedAt },
+    });
+    await recordAudit(req, { action: "post.update", targetType: "post", targetId: id, before, details: auditDetails(data) });
+    res.json({ post: formatPost(post), message: savedMessage(post, before) });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Post not found." });
+    }
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: SLUG_TAKEN });
+    }
+    console.error("[Admin Post PATCH] Error:", err.message);
+    res.status(500).json({ error: "Failed to update the post." });
+  }
+});
+
+// DELETE /api/admin/posts/:id
+// The audit entry keeps a copy of the post, Markdown included.
+router.delete("/:id", requireRole("moderator"), async (req, res) => {
+  const id = postId(req, res);
+  if (id === null) return;
+
+  try {
+    const post = await prisma.post.findUnique({ where: { id } });
+    if (!post) return res.status(404).json({ error: "Post not found." });
+
+    await prisma.$transaction([
+      prisma.post.delete({ where: { id } }),
+      auditEntry(req, { action: "post.delete", targetType: "post", targetId: id, before: post }),
+    ]);
+    res.json({ message: `Post "${post.title}" deleted.`, id });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Post not found." });
+    }
+    console.error("[Admin Post DELETE] Error:", err.message);
+    res.status(500).json({ error: "Failed to delete the post." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN RATE LIMIT ROUTES — /api/admin/rate-limits
+//
+//  Who the rate limiters are currently counting, from the shared
+//  store (utils/rateLimitStore.js), and a way to let someone back in
+//  early — e.g. a teammate locked out of the login. Mounted by
+//  routes/admin.js behind requireRole("owner").
+//
+//  GET    /api/admin/rate-limits              → { limiters, keys }
+//  DELETE /api/admin/rate-limits/:limiter/:tag → Reset that client's count
+//
+//  Clients are identified by their limiter key (limiterKeyFor() in
+//  utils/ipHash.js); like IP hashes everywhere else in the panel, only
+//  its first 8 characters (the "tag") are shown. The key doesn't
+//  rotate, so its tag won't match the IP tag on an entry. Limiters
+//  that count per account (two_factor_user) use "user:<id>" keys,
+//  which are shown in full.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { recordAudit } = require("../utils/audit");
+const { LIMITERS } = require("../utils/rateLimitStore");
+
+// Most counters listed at once — the busiest come first
+const MAX_KEYS = 200;
+const TAG_LENGTH = 8;
+const ACCOUNT_KEY = /^user:\d+$/;
+
+// What the panel shows for a key, and sends back to reset it
+const tagFor = (key) => (ACCOUNT_KEY.test(key) ? key : key.slice(0, TAG_LENGTH));
+
+
+// GET /api/admin/rate-limits
+// Only windows still running. `throttled` means the client is over the
+// limit and getting 429s until resetAt.
+router.get("/", async (req, res) => {
+  try {
+    const rows = await prisma.rateLimitHit.findMany({
+      where: { resetAt: { gt: new Date() } },
+      orderBy: [{ hits: "desc" }, { resetAt: "asc" }],
+      take: MAX_KEYS,
+    });
+
+    const keys = rows.map(({ limiter, key, hits, resetAt }) => {
+      const limit = LIMITERS.has(limiter) ? LIMITERS.get(limiter).limit : null;
+      return {
+        limiter,
+        tag: tagFor(key),
+        hits,
+        limit,
+        throttled: limit !== null && hits > limit,
+        resetAt,
+      };
+    });
+
+    const limiters = [...LIMITERS].map(([name, { windowMs, limit }]) => ({
+      name,
+      windowMs,
+      limit,
+      active: keys.filter(k => k.limiter === name).length,
+      throttled: keys.filter(k => k.limiter === name && k.throttled).length,
+    }));
+
+    res.json({ limiters, keys });
+  } catch (err) {
+    console.error("[Admin Rate Limits GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch rate limits." });
+  }
+});
+
+// DELETE /api/admin/rate-limits/:limiter/:tag
+// The client's next request starts a fresh window.
+router.delete("/:limiter/:tag", async (req, res) => {
+  const { limiter, tag } = req.params;
+  if (!LIMITERS.has(limiter)) {
+    return res.status(404).json({ error: "Unknown limiter." });
+  }
+  const account = ACCOUNT_KEY.test(tag);
+  if (!account && (!/^[0-9a-f]+$/i.test(tag) || tag.length < TAG_LENGTH || tag.length > 64)) {
+    return res.status(400).json({ error: "Invalid client tag." });
+  }
+
+  try {
+    // An account key in full — "user:1" mustn't also reset "user:10"
+    const { count } = await prisma.rateLimitHit.deleteMany({
+      where: { limiter, key: account ? tag : { startsWith: tag.toLowerCase() } },
+    });
+    if (count === 0) {
+      return res.status(404).json({ error: "That client isn't being counted any more." });
+    }
+
+    await recordAudit(req, {
+      action: "rate_limit.reset", targetType: "rate_limit", targetId: limiter, details: { tag },
+    });
+    res.json({ message: `Limit reset for ${tag} on ${limiter}.` });
+  } catch (err) {
+    console.error("[Admin Rate Limits DELETE] Error:", err.message);
+    res.status(500).json({ error: "Failed to reset the limit." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN SEARCH ROUTES — /api/admin/search
+//
+//  One search box for everything: guestbook entries, newsletter
+//  subscribers and contact messages. Mounted by routes/admin.js
+//  behind requireAdmin.
+//
+//  Uses PostgreSQL full-text search on the generated `search_vector`
+//  columns (see prisma/setup-search.js). Every word in the query must
+//  match, as a prefix — "mar recr" finds "Maria, recruiter at ...".
+//  Results from all three tables are merged and ordered by rank
+//  (ts_rank — names, emails and subjects weigh more than bodies).
+//  Rows in the trash are left out.
+//
+//  GET /api/admin/search?q=&type=all|guestbook|subscribers|contacts&limit=
+//    → { query, results: [{ type, id, title, snippet, rank, createdAt, ... }],
+//        counts: { guestbook, subscribers, contacts } }
+//
+//  `title` and `snippet` are HTML-escaped with the matches wrapped in
+//  <mark>…</mark>, so they can be rendered as-is.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { searchSchema, SEARCH_TYPES, validate } = require("../utils/validation");
+const { subscriberStatus } = require("../utils/newsletterTokens");
+
+// ts_headline wraps matches in these private-use characters; they are
+// swapped for <mark> tags after the rest of the text is escaped
+const MARK_START = "\uE000";
+const MARK_END = "\uE001";
+const HEADLINE_OPTIONS =
+  `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+const TITLE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, HighlightAll=true`;
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function highlight(text) {
+  return String(text || "")
+    .replace(/[&<>"']/g, ch => HTML_ESCAPES[ch])
+    .replaceAll(MARK_START, "<mark>")
+    .replaceAll(MARK_END, "</mark>");
+}
+
+/**
+ * toPrefixQuery — turns free text into a tsquery string: each word
+ * becomes a prefix match and all of them are required. Only letters
+ * and digits are kept, so the result is always valid tsquery syntax.
+ * Returns null when nothing searchable is left.
+ */
+function toPrefixQuery(q) {
+  const words = q.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return [...new Set(words)].slice(0, 10).map(word => `${word}:*`).join(" & ");
+}
+
+// ─── Per-Table Searches ─────────────────────────────────────────
+// Each returns up to `limit` rows plus the total number of matches
+// (count(*) OVER () is computed before LIMIT applies).
+const SEARCHES = {
+  async guestbook(tsquery, limit) {
+    const rows = await prisma.$queryRaw`
+      SELECT id, status, visible, "spamVerdict", "createdAt",
+             ts_headline('simple', name, query, ${TITLE_OPTIONS}) AS title,
+             ts_headline('simple', message, query, ${HEADLINE_OPTIONS}) AS snippet,
+             ts_rank(search_vector, query) AS rank,
+             count(*) OVER ()::int AS total
+      FROM guestbook_entries, to_tsquery('simple', ${tsquery}) AS query
+      WHERE search_vector @@ query AND "deletedAt" IS NULL
+      ORDER BY rank DESC, "createdAt" DESC
+      LIMIT ${limit}
+    `;
+    return rows;
+  },
+
+  async subscribers(tsquery, limit) {
+    const rows = await prisma.$queryRaw`
+      SELECT id, email, confirmed, "confirmTokenIssuedAt", "unsubAt", "createdAt",
+             ts_rank(search_vector, query) AS rank,
+             count(*) OVER ()::int AS total
+      FROM newsletter_subscribers, to_tsquery('simple', ${tsquery}) AS query
+      WHERE search_vector @@ query AND "deletedAt" IS NULL
+      ORDER BY rank DESC, "createdAt" DESC
+      LIMIT ${limit}
+    `;
+    // Emails are short — highlight the matching parts directly
+    // instead of going through ts_headline
+    // (the words are letters and digits only, so safe in a RegExp)
+    const words = tsquery.split(" & ").map(term => term.slice(0, -2));
+    const pattern = new RegExp(`(${words.join("|")})`, "giu");
+    return rows.map(({ email, confirmed, confirmTokenIssuedAt, unsubAt, ...row }) => ({
+      ...row,
+      title: email.replace(pattern, `${MARK_START}$1${MARK_END}`),
+      snippet: "",
+      status: subscriberStatus({ confirmed, confirmTokenIssuedAt, unsubAt }),
+    }));
+  },
+
+  async contacts(tsquery, limit) {
+    const rows = await prisma.$queryRaw`
+      SELECT id, email, status, read, archived, "spamVerdict", "createdAt",
+             ts_headline('simple', name || ' — ' || subject, query, ${TITLE_OPTIONS}) AS title,
+             ts_headline('simple', message, query, ${HEADLINE_OPTIONS}) AS snippet,
+             ts_rank(search_vector, query) AS rank,
+             count(*) OVER ()::int AS total
+      FROM contact_messages, to_tsquery('simple', ${tsquery}) AS query
+      WHERE search_vector @@ query AND "deletedAt" IS NULL
+      ORDER BY rank DESC, "createdAt" DESC
+      LIMIT ${limit}
+    `;
+    return rows;
+  },
+};
+
+// GET /api/admin/search
+router.get("/", async (req, res) => {
+  const { data, error } = validate(searchSchema, req.query);
+  if (error) return res.status(400).json({ error });
+
+  const tsquery = toPrefixQuery(data.q);
+  if (!tsquery) {
+    return res.status(400).json({ error: { q: "Search for words or numbers" } });
+  }
+
+  const types = data.type === "all" ? SEARCH_TYPES : [data.type];
+
+  try {
+    const found = await Promise.all(types.map(type => SEARCHES[type](tsquery, data.limit)));
+
+    const counts = Object.fromEntries(SEARCH_TYPES.map(type => [type, 0]));
+    const results = [];
+    found.forEach((rows, i) => {
+      counts[types[i]] = rows[0]?.total ?? 0;
+      for (const { total, ...row } of rows) {
+        results.push({
+          type: types[i],
+          ...row,
+          rank: Number(row.rank),
+          title: highlight(row.title),
+          snippet: highlight(row.snippet),
+        });
+      }
+    });
+
+    results.sort((a, b) => b.rank - a.rank || new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({ query: data.q, results: results.slice(0, data.limit), counts });
+  } catch (err) {
+    console.error("[Admin Search] Error:", err.message);
+    res.status(500).json({ error: "Search failed." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN SESSION ROUTES — /api/admin/sessions
+//
+//  Where you're logged in: one row per login, with the device, IP and
+//  when it was last used — and the means to end any of them. Mounted
+//  by routes/admin.js behind requireAdmin, for every role; each admin
+//  only sees their own sessions.
+//
+//  A revoked session's access token stops working on its next request
+//  and its refresh token is refused (see utils/adminSessions.js).
+//
+//  GET    /api/admin/sessions                → Your active sessions, newest first
+//  DELETE /api/admin/sessions/:id            → End one of them
+//  POST   /api/admin/sessions/revoke-others  → End all but the current one
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { recordAudit } = require("../utils/audit");
+const { activeSessionWhere, revokeSessions, publicSession } = require("../utils/adminSessions");
+
+
+// GET /api/admin/sessions
+router.get("/", async (req, res) => {
+  try {
+    const sessions = await prisma.adminSession.findMany({
+      where: { userId: req.admin.id, ...activeSessionWhere() },
+      orderBy: { lastSeenAt: "desc" },
+    });
+    res.json({ sessions: sessions.map(s => publicSession(s, req.admin.sessionId)) });
+  } catch (err) {
+    console.error("[Admin Sessions GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch your sessions." });
+  }
+});
+
+// POST /api/admin/sessions/revoke-others
+// "Log out everywhere else" — e.g. after using a shared computer.
+router.post("/revoke-others", async (req, res) => {
+  try {
+    const count = await revokeSessions({ userId: req.admin.id, id: { not: req.admin.sessionId } });
+    if (count > 0) {
+      await recordAudit(req, { action: "session.revoke_others", targetType: "admin_session", details: { count } });
+    }
+    res.json({
+      revoked: count,
+      message: count ? `Logged out of ${count} other session${count === 1 ? "" : "s"}.` : "No other sessions to end.",
+    });
+  } catch (err) {
+    console.error("[Admin Sessions revoke others] Error:", err.message);
+    res.status(500).json({ error: "Failed to end your other sessions." });
+  }
+});
+
+// DELETE /api/admin/sessions/:id
+// Ending the current session works too — it's the same as logging out.
+router.delete("/:id", async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: "Invalid session ID." });
+  }
+
+  try {
+    // Scoped to your own sessions, so someone else's ID is just "not found"
+    const count = await revokeSessions({ id, userId: req.admin.id });
+    if (count === 0) {
+      return res.status(404).json({ error: "Session not found or already ended." });
+    }
+    await recordAudit(req, { action: "session.revoke", targetType: "admin_session", targetId: id });
+
+    res.json({ id, current: id === req.admin.sessionId, message: "Session ended." });
+  } catch (err) {
+    console.error("[Admin Sessions DELETE] Error:", err.message);
+    res.status(500).json({ error: "Failed to end the session." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN TEAM ROUTES — /api/admin/team
+//
+//  Owners invite people to the admin panel and manage their access.
+//  Mounted by routes/admin.js behind requireRole("owner").
+//
+//  Nobody can change their own account here, and the bootstrap owner
+//  from .env can't be disabled or demoted — so the team can never
+//  lock itself out.
+//
+//  GET    /api/admin/team             → All admin users
+//  POST   /api/admin/team             → Invite ({ username, email?, role })
+//  PATCH  /api/admin/team/:id         → Change role / disable / enable / reset 2FA
+//  POST   /api/admin/team/:id/invite  → New invite link (invite not yet accepted)
+//  DELETE /api/admin/team/:id         → Cancel an invite that wasn't accepted
+//
+//  Invites return the link itself as well, for sharing it by hand
+//  when there's no email address or mail isn't set up.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { teamInviteSchema, teamUpdateSchema, validate } = require("../utils/validation");
+const { queueMail } = require("../utils/mailer");
+const { adminInviteEmail } = require("../utils/emailTemplates");
+const { auditEntry, recordAudit } = require("../utils/audit");
+const {
+  USER_SELECT, TWO_FACTOR_OFF, publicUser, findByUsername, issueInvite, inviteUrl,
+} = require("../utils/adminUsers");
+const { revokeSessionsOp } = require("../utils/adminSessions");
+
+// Parses :id and loads the user, or sends the error response.
+// Returns null when the response has already been sent.
+async function loadUser(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    res.status(400).json({ error: "Invalid user ID." });
+    return null;
+  }
+  const user = await prisma.adminUser.findUnique({ where: { id }, select: USER_SELECT });
+  if (!user) {
+    res.status(404).json({ error: "User not found." });
+    return null;
+  }
+  return user;
+}
+
+// Emails the invite link when there's an address. Returns whether it
+// was queued.
+async function sendInvite(req, user, token, expiresAt) {
+  if (!user.email) return false;
+  const row = await queueMail({
+    to: user.email,
+    ...adminInviteEmail({
+      username: user.username,
+      role: user.role,
+      invitedBy: req.admin.username,
+      inviteUrl: inviteUrl(token),
+      expiresAt,
+    }),
+    category: "admin_invite",
+  });
+  return Boolean(row);
+}
+
+
+// GET /api/admin/team
+// Oldest first, so the bootstrap owner leads the list.
+router.get("/", async (req, res) => {
+  try {
+    const users = await prisma.adminUser.findMany({
+      select: USER_SELECT,
+      orderBy: { createdAt: "asc" },
+    });
+    res.json({ users: users.map(publicUser) });
+  } catch (err) {
+    console.error("[Admin Team GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch the team." });
+  }
+});
+
+// POST /api/admin/team
+router.post("/", async (req, res) => {
+  const { data, error } = validate(teamInviteSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    // Usernames are unique regardless of case (logins ignore it)
+    const bootstrapName = (process.env.ADMIN_USERNAME || "admin").toLowerCase();
+    if (data.username === bootstrapName || await findByUsername(data.username)) {
+      return res.status(409).json({ error: "That username is already taken." });
+    }
+
+    const invite = issueInvite();
+    const user = await prisma.adminUser.create({
+      data: { ...data, ...invite.fields, invitedBy: req.admin.username },
+      select: USER_SELECT,
+    });
+    await recordAudit(req, {
+      action: "user.invite", targetType: "admin_user", targetId: user.id,
+      details: { username: user.username, email: user.email, role: user.role },
+    });
+
+    const emailed = await sendInvite(req, user, invite.token, invite.fields.inviteExpiresAt);
+    res.status(201).json({
+      user: publicUser(user),
+      inviteUrl: inviteUrl(invite.token),
+      emailed,
+      message: emailed ? `Invite sent to ${user.email}.` : "Invite created — send them the link.",
+    });
+  } catch (err) {
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: "That username is already taken." });
+    }
+    console.error("[Admin Team POST] Error:", err.message);
+    res.status(500).json({ error: "Failed to create the invite." });
+  }
+});
+
+// PATCH /api/admin/team/:id
+// { role?, disabled?, resetTwoFactor? }. Disabling takes effect on the
+// user's next request — requireAdmin checks the account every time —
+// and ends their sessions, so re-enabling means logging in again.
+// resetTwoFactor is for a lost phone: they log in with just the
+// password and can set 2FA up again.
+router.patch("/:id", async (req, res) => {
+  const { data, error } = validate(teamUpdateSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (user.id === req.admin.id) {
+      return res.status(400).json({ error: "You can't change your own account." });
+    }
+    // The bootstrap owner keeps its role and access; only a 2FA reset is allowed
+    if (user.isBootstrap && (data.role !== undefined || data.disabled !== undefined)) {
+      return res.status(400).json({ error: "The owner account from the server config can't be disabled or demoted." });
+    }
+
+    const changes = {};
+    if (data.role !== undefined) changes.role = data.role;
+    if (data.disabled !== undefined) changes.disabledAt = data.disabled ? (user.disabledAt || new Date()) : null;
+    if (data.resetTwoFactor) Object.assign(changes, TWO_FACTOR_OFF);
+
+    // Name the action after what happened, so the log reads naturally
+    let action = "user.update";
+    if (data.role === undefined && data.disabled !== undefined && !data.resetTwoFactor) {
+      action = data.disabled ? "user.disable" : "user.enable";
+    } else if (data.role === undefined && data.disabled === undefined) {
+      action = "user.reset_2fa";
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.adminUser.update({ where: { id: user.id }, data: changes, select: USER_SELECT }),
+      auditEntry(req, {
+        action, targetType: "admin_user", targetId: user.id,
+        before: publicUser(user), details: data,
+      }),
+      ...(data.disabled ? [revokeSessionsOp({ userId: user.id })] : []),
+    ]);
+
+    const message = action === "user.disable" ? `${user.username} disabled.`
+      : action === "user.enable" ? `${user.username} enabled.`
+      : action === "user.reset_2fa" ? `Two-factor login turned off for ${user.username}.`
+      : `${user.username} updated.`;
+    res.json({ user: publicUser(updated), message });
+  } catch (err) {
+    console.error("[Admin Team PATCH] Error:", err.message);
+    res.status(500).json({ error: "Failed to update the user." });
+  }
+});
+
+// POST /api/admin/team/:id/invite
+// Replaces the invite link (the old one stops working) and re-sends it.
+router.post("/:id/invite", async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (publicUser(user).status !== "invited") {
+      return res.status(400).json({ error: "Only pending invites can get a new link." });
+    }
+
+    const invite = issueInvite();
+    await prisma.adminUser.update({ where: { id: user.id }, data: invite.fields });
+    await recordAudit(req, { action: "user.reinvite", targetType: "admin_user", targetId: user.id });
+
+    const emailed = await sendInvite(req, user, invite.token, invite.fields.inviteExpiresAt);
+    res.json({
+      user: publicUser({ ...user, inviteExpiresAt: invite.fields.inviteExpiresAt }),
+      inviteUrl: inviteUrl(invite.token),
+      emailed,
+      message: emailed ? `New invite sent to ${user.email}.` : "New invite link created.",
+    });
+  } catch (err) {
+    console.error("[Admin Team POST invite] Error:", err.message);
+    res.status(500).json({ error: "Failed to renew the invite." });
+  }
+});
+
+// DELETE /api/admin/team/:id
+// Only for invites nobody accepted — active accounts are disabled
+// instead, so their name stays attached to their history.
+router.delete("/:id", async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (user.passwordHash) {
+      return res.status(400).json({ error: "Only pending invites can be deleted — disable the account instead." });
+    }
+
+    await prisma.$transaction([
+      prisma.adminUser.delete({ where: { id: user.id } }),
+      auditEntry(req, { action: "user.delete", targetType: "admin_user", targetId: user.id, before: publicUser(user) }),
+    ]);
+    res.json({ message: "Invite cancelled.", id: user.id });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "User not found." });
+    }
+    console.error("[Admin Team DELETE] Error:", err.message);
+    res.status(500).json({ error: "Failed to cancel the invite." });
+  }
+});
+
+module.exports = router;
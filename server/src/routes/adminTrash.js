@@ -0,0 +1,129 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN TRASH ROUTES — /api/admin/trash
+//
+//  Deleted guestbook entries, subscribers and contact messages wait
+//  here until they're restored, deleted for good, or purged after the
+//  retention period (see utils/trash.js). Mounted by routes/admin.js
+//  behind requireAdmin; changes need moderator.
+//
+//  GET  /api/admin/trash?type=guestbook|newsletter|contacts&cursor=&limit=
+//       → { items, total, nextCursor, retentionDays }
+//  POST /api/admin/trash/restore  → { type, ids } → back in their lists
+//  POST /api/admin/trash/purge    → { type, ids } → permanently deleted
+//
+//  Either POST takes { type, all: true } instead of ids to act on the
+//  whole trash of that type, and answers like the bulk endpoints:
+//  counts and a summary.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { requireRole } = require("../middleware/auth");
+const { trashListSchema, trashActionSchema, validate } = require("../utils/validation");
+const { paginate } = require("../utils/pagination");
+const { auditEntry } = require("../utils/audit");
+const { bulkResult } = require("../utils/bulkActions");
+const { RETENTION_DAYS, TRASH_TYPES, RESTORED, purgeDate } = require("../utils/trash");
+
+const TRASHED = { deletedAt: { not: null } };
+
+// What the trash view shows for each type — enough to recognise a row
+const TRASH_SELECT = {
+  guestbook: { name: true, message: true, status: true, visible: true },
+  newsletter: { email: true, confirmed: true, unsubAt: true },
+  contacts: { name: true, email: true, subject: true, message: true },
+};
+
+// The trashed rows a restore/purge request covers, in ID order:
+// those among `ids`, or all of them
+async function trashedIds(model, data) {
+  const rows = await prisma[model].findMany({
+    where: data.all ? TRASHED : { id: { in: data.ids }, ...TRASHED },
+    select: { id: true },
+    orderBy: { id: "asc" },
+  });
+  return rows.map(row => row.id);
+}
+
+// How many rows the request asked for (for the "not found" count)
+const requestedCount = (data, ids) => (data.all ? ids.length : new Set(data.ids).size);
+
+
+// GET /api/admin/trash
+// Newest first by creation date, like the lists they came from.
+router.get("/", async (req, res) => {
+  const { data: query, error } = validate(trashListSchema, req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const page = await paginate(prisma[TRASH_TYPES[query.type].model], {
+      where: TRASHED,
+      select: { ...TRASH_SELECT[query.type], deletedAt: true, deletedBy: true },
+      limit: query.limit,
+      cursor: query.cursor,
+      key: "items",
+    });
+
+    page.items = page.items.map(item => ({ ...item, purgeAt: purgeDate(item.deletedAt) }));
+    res.json({ ...page, retentionDays: RETENTION_DAYS });
+  } catch (err) {
+    console.error("[Admin Trash GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch the trash." });
+  }
+});
+
+// POST /api/admin/trash/restore
+router.post("/restore", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(trashActionSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  const { model, area, nouns } = TRASH_TYPES[data.type];
+
+  try {
+    const ids = await trashedIds(model, data);
+    let updated = 0;
+    if (ids.length > 0) {
+      const [result] = await prisma.$transaction([
+        prisma[model].updateMany({ where: { id: { in: ids }, ...TRASHED }, data: RESTORED }),
+        auditEntry(req, { action: `${area}.restore`, targetType: area, details: { ids, all: data.all } }),
+      ]);
+      updated = result.count;
+    }
+
+    res.json(bulkResult({ ids, requested: requestedCount(data, ids), updated, nouns, done: "restored" }));
+  } catch (err) {
+    console.error("[Admin Trash restore] Error:", err.message);
+    res.status(500).json({ error: "Failed to restore." });
+  }
+});
+
+// POST /api/admin/trash/purge
+// For good: contact messages take their replies with them. Each row's
+// snapshot was logged when it was trashed; this logs the IDs.
+router.post("/purge", requireRole("moderator"), async (req, res) => {
+  const { data, error } = validate(trashActionSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  const { model, area, nouns } = TRASH_TYPES[data.type];
+
+  try {
+    const ids = await trashedIds(model, data);
+
+    let updated = 0;
+    if (ids.length > 0) {
+      const [result] = await prisma.$transaction([
+        prisma[model].deleteMany({ where: { id: { in: ids }, ...TRASHED } }),
+        auditEntry(req, { action: `${area}.purge`, targetType: area, details: { ids, all: data.all } }),
+      ]);
+      updated = result.count;
+    }
+
+    res.json(bulkResult({ ids, requested: requestedCount(data, ids), updated, nouns, done: "permanently deleted" }));
+  } catch (err) {
+    console.error("[Admin Trash purge] Error:", err.message);
+    res.status(500).json({ error: "Failed to delete permanently." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN TWO-FACTOR ROUTES — /api/admin/2fa
+//
+//  Each admin turns TOTP two-factor login on or off for their own
+//  account (see utils/totp.js). Mounted by routes/admin.js behind
+//  requireAdmin, for every role.
+//
+//  Enrolling is two calls: /setup creates a secret and returns its QR
+//  code; /enable confirms the first code from the app, switches 2FA
+//  on and returns the recovery codes — the only time they're shown.
+//
+//  GET  /api/admin/2fa                 → { enabled, enabledAt, recoveryCodesLeft }
+//  POST /api/admin/2fa/setup           → { secret, uri, qr } (new pending secret)
+//  POST /api/admin/2fa/enable          → { code } → { recoveryCodes }
+//  POST /api/admin/2fa/disable         → { password, code }
+//  POST /api/admin/2fa/recovery-codes  → { code } → { recoveryCodes } (replaces the old ones)
+//
+//  Owners can also switch off someone else's 2FA from the Team tab.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const bcrypt = require("bcrypt");
+const prisma = require("../utils/prisma");
+const { twoFactorCodeSchema, twoFactorDisableSchema, validate } = require("../utils/validation");
+const { recordAudit } = require("../utils/audit");
+const { TWO_FACTOR_OFF, consumeSecondFactor } = require("../utils/adminUsers");
+const {
+  verifyTotp, generateSecret, sealSecret, openSecret, provisioning, issueRecoveryCodes,
+} = require("../utils/totp");
+
+// The signed-in admin's full row (requireAdmin only loads a few fields)
+function loadMe(req) {
+  return prisma.adminUser.findUnique({ where: { id: req.admin.id } });
+}
+
+function statusOf(user) {
+  return {
+    enabled: Boolean(user.totpEnabledAt),
+    enabledAt: user.totpEnabledAt,
+    recoveryCodesLeft: user.recoveryCodes.length,
+  };
+}
+
+
+// GET /api/admin/2fa
+router.get("/", async (req, res) => {
+  try {
+    const user = await loadMe(req);
+    res.json(statusOf(user));
+  } catch (err) {
+    console.error("[Admin 2FA GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch two-factor status." });
+  }
+});
+
+// POST /api/admin/2fa/setup
+// Starting again replaces any earlier, unconfirmed secret.
+router.post("/setup", async (req, res) => {
+  try {
+    const user = await loadMe(req);
+    if (user.totpEnabledAt) {
+      return res.status(409).json({ error: "Two-factor login is already on. Turn it off first to set up a new device." });
+    }
+
+    const secret = generateSecret();
+    await prisma.adminUser.update({
+      where: { id: user.id },
+      data: { totpPendingSecret: sealSecret(secret) },
+    });
+
+    res.json(await provisioning(user.username, secret));
+  } catch (err) {
+    console.error("[Admin 2FA setup] Error:", err.message);
+    res.status(500).json({ error: "Failed to start two-factor setup." });
+  }
+});
+
+// POST /api/admin/2fa/enable
+router.post("/enable", async (req, res) => {
+  const { data, error } = validate(twoFactorCodeSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const user = await loadMe(req);
+    if (user.totpEnabledAt) {
+      return res.status(409).json({ error: "Two-factor login is already on." });
+    }
+    if (!user.totpPendingSecret) {
+      return res.status(400).json({ error: "Start the setup first." });
+    }
+
+    const step = verifyTotp(openSecret(user.totpPendingSecret), data.code);
+    if (step === null) {
+      return res.status(400).json({ error: { code: "That code didn't match — check the time on your phone and try the next one." } });
+    }
+
+    const recovery = issueRecoveryCodes();
+    await prisma.adminUser.update({
+      where: { id: user.id },
+      data: {
+        totpSecret: user.totpPendingSecret,
+        totpPendingSecret: null,
+        totpEnabledAt: new Date(),
+        totpLastStep: step,
+        recoveryCodes: recovery.hashes,
+      },
+    });
+    await recordAudit(req, { action: "2fa.enable", targetType: "admin_user", targetId: user.id });
+
+    res.json({
+      enabled: true,
+      recoveryCodes: recovery.codes,
+      message: "Two-factor login is on. Save your recovery codes now — they won't be shown again.",
+    });
+  } catch (err) {
+    console.error("[Admin 2FA enable] Error:", err.message);
+    res.status(500).json({ error: "Failed to turn on two-factor login." });
+  }
+});
+
+// POST /api/admin/2fa/disable
+// Asks for the password and a code, so a left-open session alone
+// can't switch it off.
+router.post("/disable", async (req, res) => {
+  const { data, error } = validate(twoFactorDisableSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const user = await loadMe(req);
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: "Two-factor login isn't on." });
+    }
+
+    const passwordOk = user.passwordHash && await bcrypt.compare(data.password, user.passwordHash);
+    if (!passwordOk) {
+      return res.status(400).json({ error: { password: "Wrong password." } });
+    }
+    if (!await consumeSecondFactor(user, data.code)) {
+      return res.status(400).json({ error: { code: "That code didn't work." } });
+    }
+
+    await prisma.adminUser.update({ where: { id: user.id }, data: TWO_FACTOR_OFF });
+    await recordAudit(req, { action: "2fa.disable", targetType: "admin_user", targetId: user.id });
+
+    res.json({ enabled: false, message: "Two-factor login is off." });
+  } catch (err) {
+    console.error("[Admin 2FA disable] Error:", err.message);
+    res.status(500).json({ error: "Failed to turn off two-factor login." });
+  }
+});
+
+// POST /api/admin/2fa/recovery-codes
+// New set of codes; the old ones stop working.
+router.post("/recovery-codes", async (req, res) => {
+  const { data, error } = validate(twoFactorCodeSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const user = await loadMe(req);
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: "Two-factor login isn't on." });
+    }
+    if (!await consumeSecondFactor(user, data.code)) {
+      return res.status(400).json({ error: { code: "That code didn't work." } });
+    }
+
+    const recovery = issueRecoveryCodes();
+    await prisma.adminUser.update({ where: { id: user.id }, data: { recoveryCodes: recovery.hashes } });
+    await recordAudit(req, { action: "2fa.recovery_codes", targetType: "admin_user", targetId: user.id });
+
+    res.json({
+      recoveryCodes: recovery.codes,
+      message: "New recovery codes created — the old ones no longer work.",
+    });
+  } catch (err) {
+    console.error("[Admin 2FA recovery codes] Error:", err.message);
+    res.status(500).json({ error: "Failed to create new recovery codes." });
+  }
+});
+
+module.exports = router;
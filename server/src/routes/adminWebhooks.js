@@ -0,0 +1,261 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN WEBHOOK ROUTES — /api/admin/webhooks
+//
+//  Outbound webhook endpoints and their delivery history (see
+//  utils/webhooks.js). Mounted by routes/admin.js behind
+//  requireRole("owner") — endpoints receive visitors' messages and
+//  email addresses.
+//
+//  GET    /api/admin/webhooks                 → Endpoints, with delivery counts
+//  POST   /api/admin/webhooks                 → Add one ({ name, url, events, format?, active? })
+//  PATCH  /api/admin/webhooks/:id             → Change any of those
+//  DELETE /api/admin/webhooks/:id             → Remove it and its history
+//  POST   /api/admin/webhooks/:id/secret      → New signing secret
+//  POST   /api/admin/webhooks/:id/test        → Send a "webhook.test" ping
+//  GET    /api/admin/webhooks/:id/deliveries  → Delivery history (paginated)
+//  POST   /api/admin/webhooks/:id/deliveries/:deliveryId/replay → Send one again
+//
+//  The signing secret is only ever returned when it's created (POST /
+//  and /secret) — store it then.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const {
+  WEBHOOK_EVENTS, WEBHOOK_FORMATS,
+  webhookSchema, webhookUpdateSchema, webhookDeliveryListSchema, validate,
+} = require("../utils/validation");
+const { auditEntry, recordAudit } = require("../utils/audit");
+const { paginate } = require("../utils/pagination");
+const { TEST_EVENT, MAX_ATTEMPTS, issueSecret, queueDelivery } = require("../utils/webhooks");
+
+// Everything but the secret
+const WEBHOOK_SELECT = {
+  id: true,
+  name: true,
+  url: true,
+  format: true,
+  events: true,
+  active: true,
+  createdBy: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Parses a numeric route param, or sends the 400 and returns null
+function idParam(req, res, name = "id", label = "webhook") {
+  const id = parseInt(req.params[name], 10);
+  if (isNaN(id)) {
+    res.status(400).json({ error: `Invalid ${label} ID.` });
+    return null;
+  }
+  return id;
+}
+
+// Adds { counts: { delivered, failed, ... }, lastDeliveryAt } to each endpoint
+async function withDeliveryStats(webhooks) {
+  const groups = await prisma.webhookDelivery.groupBy({
+    by: ["webhookId", "status"],
+    where: { webhookId: { in: webhooks.map(webhook => webhook.id) } },
+    _count: { _all: true },
+    _max: { createdAt: true },
+  });
+
+  return webhooks.map(webhook => {
+    const counts = {};
+    let lastDeliveryAt = null;
+    for (const group of groups.filter(g => g.webhookId === webhook.id)) {
+      counts[group.status] = group._count._all;
+      if (!lastDeliveryAt || group._max.createdAt > lastDeliveryAt) lastDeliveryAt = group._max.createdAt;
+    }
+    return { ...webhook, counts, lastDeliveryAt };
+  });
+}
+
+
+// GET /api/admin/webhooks
+// Also lists the events and formats an endpoint can pick from.
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = await prisma.webhook.findMany({ orderBy: { createdAt: "asc" }, select: WEBHOOK_SELECT });
+    res.json({
+      webhooks: await withDeliveryStats(webhooks),
+      events: WEBHOOK_EVENTS,
+      formats: WEBHOOK_FORMATS,
+      maxAttempts: MAX_ATTEMPTS,
+    });
+  } catch (err) {
+    console.error("[Admin Webhooks GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch webhooks." });
+  }
+});
+
+// POST /api/admin/webhooks
+// Returns the signing secret — the only time it's shown.
+router.post("/", async (req, res) => {
+  const { data, error } = validate(webhookSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { secret, sealed } = issueSecret();
+    const webhook = await prisma.webhook.create({
+      data: { ...data, secret: sealed, createdBy: req.admin.username },
+      select: WEBHOOK_SELECT,
+    });
+    await recordAudit(req, { action: "webhook.create", targetType: "webhook", targetId: webhook.id, details: data });
+    res.status(201).json({
+      webhook: { ...webhook, counts: {}, lastDeliveryAt: null },
+      secret,
+      message: `Webhook "${webhook.name}" added. Copy its signing secret now — it won't be shown again.`,
+    });
+  } catch (err) {
+    console.error("[Admin Webhooks POST] Error:", err.message);
+    res.status(500).json({ error: "Failed to add the webhook." });
+  }
+});
+
+// PATCH /api/admin/webhooks/:id
+router.patch("/:id", async (req, res) => {
+  const id = idParam(req, res);
+  if (id === null) return;
+  const { data, error } = validate(webhookUpdateSchema, req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const before = await prisma.webhook.findUnique({ where: { id }, select: WEBHOOK_SELECT });
+    if (!before) return res.status(404).json({ error: "Webhook not found." });
+
+    const webhook = await prisma.webhook.update({ where: { id }, data, select: WEBHOOK_SELECT });
+    await recordAudit(req, { action: "webhook.update", targetType: "webhook", targetId: id, before, details: data });
+    const [withStats] = await withDeliveryStats([webhook]);
+    res.json({ webhook: withStats, message: "Webhook updated." });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Webhook not found." });
+    }
+    console.error("[Admin Webhooks PATCH] Error:", err.message);
+    res.status(500).json({ error: "Failed to update the webhook." });
+  }
+});
+
+// DELETE /api/admin/webhooks/:id
+// Its delivery history goes with it; queued retries stop.
+router.delete("/:id", async (req, res) => {
+  const id = idParam(req, res);
+  if (id === null) return;
+
+  try {
+    const webhook = await prisma.webhook.findUnique({ where: { id }, select: WEBHOOK_SELECT });
+    if (!webhook) return res.status(404).json({ error: "Webhook not found." });
+
+    await prisma.$transaction([
+      prisma.webhook.delete({ where: { id } }),
+      auditEntry(req, { action: "webhook.delete", targetType: "webhook", targetId: id, before: webhook }),
+    ]);
+    res.json({ message: `Webhook "${webhook.name}" removed.`, id });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Webhook not found." });
+    }
+    console.error("[Admin Webhooks DELETE] Error:", err.message);
+    res.status(500).json({ error: "Failed to remove the webhook." });
+  }
+});
+
+// POST /api/admin/webhooks/:id/secret
+// The old secret stops working at once — deliveries still queued are
+// signed with the new one.
+router.post("/:id/secret", async (req, res) => {
+  const id = idParam(req, res);
+  if (id === null) return;
+
+  try {
+    const { secret, sealed } = issueSecret();
+    await prisma.webhook.update({ where: { id }, data: { secret: sealed } });
+    await recordAudit(req, { action: "webhook.rotate_secret", targetType: "webhook", targetId: id });
+    res.json({ secret, message: "New signing secret issued. Copy it now — it won't be shown again." });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ error: "Webhook not found." });
+    }
+    console.error("[Admin Webhooks secret] Error:", err.message);
+    res.status(500).json({ error: "Failed to issue a new secret." });
+  }
+});
+
+// POST /api/admin/webhooks/:id/test
+// Queues a "webhook.test" event for this endpoint only — paused or not.
+router.post("/:id/test", async (req, res) => {
+  const id = idParam(req, res);
+  if (id === null) return;
+
+  try {
+    const webhook = await prisma.webhook.findUnique({ where: { id }, select: { id: true, name: true } });
+    if (!webhook) return res.status(404).json({ error: "Webhook not found." });
+
+    const delivery = await queueDelivery(id, {
+      event: TEST_EVENT,
+      occurredAt: new Date().toISOString(),
+      data: { webhook: webhook.name, sentBy: req.admin.username },
+    });
+    await recordAudit(req, { action: "webhook.test", targetType: "webhook", targetId: id });
+    res.status(202).json({ delivery, message: "Test ping sent — check the delivery history for the result." });
+  } catch (err) {
+    console.error("[Admin Webhooks test] Error:", err.message);
+    res.status(500).json({ error: "Failed to send the test ping." });
+  }
+});
+
+// GET /api/admin/webhooks/:id/deliveries?status=&cursor=&limit=
+// Newest first → { deliveries, total, nextCursor }
+router.get("/:id/deliveries", async (req, res) => {
+  const id = idParam(req, res);
+  if (id === null) return;
+  const { data: query, error } = validate(webhookDeliveryListSchema, req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const page = await paginate(prisma.webhookDelivery, {
+      where: { webhookId: id, ...(query.status ? { status: query.status } : {}) },
+      limit: query.limit,
+      cursor: query.cursor,
+      key: "deliveries",
+    });
+    res.json(page);
+  } catch (err) {
+    console.error("[Admin Webhooks deliveries] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch deliveries." });
+  }
+});
+
+// POST /api/admin/webhooks/:id/deliveries/:deliveryId/replay
+// Sends the same event again as a new delivery, in the endpoint's
+// current format. Only for deliveries that are finished — one still
+// being retried will get there on its own.
+router.post("/:id/deliveries/:deliveryId/replay", async (req, res) => {
+  const id = idParam(req, res);
+  if (id === null) return;
+  const deliveryId = idParam(req, res, "deliveryId", "delivery");
+  if (deliveryId === null) return;
+
+  try {
+    const original = await prisma.webhookDelivery.findFirst({ where: { id: deliveryId, webhookId: id } });
+    if (!original) return res.status(404).json({ error: "Delivery not found." });
+    if (!["delivered", "failed"].includes(original.status)) {
+      return res.status(409).json({ error: "That delivery is still in progress — wait for it to finish or fail." });
+    }
+
+    const delivery = await queueDelivery(id, original.payload, { replayOf: original.id });
+    await recordAudit(req, {
+      action: "webhook.replay", targetType: "webhook", targetId: id,
+      details: { deliveryId: original.id, event: original.event, replayId: delivery.id },
+    });
+    res.status(202).json({ delivery, message: `Replaying ${original.event}.` });
+  } catch (err) {
+    console.error("[Admin Webhooks replay] Error:", err.message);
+    res.status(500).json({ error: "Failed to replay the delivery." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// ═══════════════════════════════════════════════════════════════════
+//  CHALLENGE ROUTE — /api/challenge
+//
+//  GET /api/challenge?form=guestbook|newsletter|contact
+//    → { token, algorithm, salt, difficulty, honeypotFields,
+//        minSubmitSeconds, expiresAt }
+//
+//  See utils/challenge.js for how the puzzle works and what the
+//  form POST has to send back.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const { CHALLENGE_FORMS, issueChallenge } = require("../utils/challenge");
+
+// GET /api/challenge?form=guestbook
+router.get("/", (req, res) => {
+  const { form } = req.query;
+  if (!CHALLENGE_FORMS.includes(form)) {
+    return res.status(400).json({ error: `form must be one of: ${CHALLENGE_FORMS.join(", ")}.` });
+  }
+
+  try {
+    // Every challenge is single-use — never let a proxy hand one out twice
+    res.set("Cache-Control", "no-store");
+    res.json(issueChallenge(form));
+  } catch (err) {
+    console.error("[Challenge GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to create a challenge." });
+  }
+});
+
+module.exports = router;
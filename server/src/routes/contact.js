@@ -8,21 +8,46 @@ const router = express.Router();
 const prisma = require("../utils/prisma");   // AUDIT FIX: shared instance
 const { contactSchema, validate } = require("../utils/validation");
 const { contactLimiter } = require("../middleware/rateLimiter");
+const { requireChallenge, spendChallenge } = require("../middleware/challenge");
+const { rejectBlocked } = require("../middleware/blocklist");
+const { scoreSubmission, spamVerdict } = require("../utils/spamScore");
+const { ipHashFor } = require("../utils/ipHash");
+const { queueMail } = require("../utils/mailer");
+const { emitWebhookEvent } = require("../utils/webhooks");
+const { contactNotificationEmail, contactAckEmail } = require("../utils/emailTemplates");
+
+// Where owner notifications go. Without it, messages are only stored.
+const CONTACT_NOTIFY_EMAIL = process.env.CONTACT_NOTIFY_EMAIL;
+// Set CONTACT_AUTO_ACK=true to send the visitor a "got your message" email
+const CONTACT_AUTO_ACK = process.env.CONTACT_AUTO_ACK === "true";
 
 // POST /api/contact
-router.post("/", contactLimiter, async (req, res) => {
+// Requires a solved challenge (see middleware/challenge.js) and a
+// sender who isn't blocked (middleware/blocklist.js). The challenge is
+// spent only once the body is valid.
+router.post("/", contactLimiter, requireChallenge("contact"), rejectBlocked, async (req, res) => {
   const { data, error } = validate(contactSchema, req.body);
   if (error) {
     return res.status(400).json({ error });
   }
 
   try {
+    if (!(await spendChallenge(req, res))) return;
+
+    const ipHash = ipHashFor(req);
+    const { score, reasons } = await scoreSubmission({ kind: "contact", ...data, ipHash });
+    const verdict = await spamVerdict(score);
+
     const message = await prisma.contactMessage.create({
       data: {
         name: data.name,
         email: data.email,
         subject: data.subject,
         message: data.message,
+        ipHash,
+        spamScore: score,
+        spamVerdict: verdict,
+        flagReasons: reasons,
       },
       select: {
         id: true,
@@ -32,8 +57,39 @@ router.post("/", contactLimiter, async (req, res) => {
       },
     });
 
-    // TODO: Send notification email via Resend
-    // await sendNotificationEmail(data);
+    // Spam is stored for review but sends no email or webhook. The
+    // response is identical, so the sender can't tell it was caught.
+    const isSpam = verdict === "spam";
+
+    // Owner notification — Reply-To is the sender so replies go straight back
+    if (CONTACT_NOTIFY_EMAIL && !isSpam) {
+      await queueMail({
+        to: CONTACT_NOTIFY_EMAIL,
+        replyTo: data.email,
+        ...contactNotificationEmail({ id: message.id, ...data }),
+        category: "contact_notify",
+      });
+    }
+
+    if (!isSpam) {
+      await emitWebhookEvent("contact.created", {
+        id: message.id,
+        name: data.name,
+        email: data.email,
+        subject: data.subject,
+        message: data.message,
+        spamVerdict: verdict,
+        createdAt: message.createdAt,
+      });
+    }
+
+    if (CONTACT_AUTO_ACK && !isSpam) {
+      await queueMail({
+        to: data.email,
+        ...contactAckEmail(data),
+        category: "contact_ack",
+      });
+    }
 
     res.status(201).json({
       message: "Message received! I'll get back to you soon. До скоро! 🐾",
@@ -1,32 +1,102 @@
 // ═══════════════════════════════════════════════════════════════════
 //  GUESTBOOK ROUTES — /api/guestbook
 //  
-//  GET  /api/guestbook  → List all visible entries (newest first)
-//  POST /api/guestbook  → Add a new entry (rate-limited)
+//  GET  /api/guestbook  → List visible entries (newest first, paginated)
+//  POST /api/guestbook  → Add a new entry (rate-limited, may be held for review)
+//
+//  GET  /api/guestbook/feed.xml   → Atom feed of the latest entries
+//  GET  /api/guestbook/rss.xml    → The same as RSS 2.0
+//  GET  /api/guestbook/feed.json  → The same as JSON Feed 1.1
+//  Feeds send ETag / Last-Modified and answer conditional requests
+//  with 304, so readers can poll often (see utils/feeds.js).
 // ═══════════════════════════════════════════════════════════════════
 
+const crypto = require("crypto");
 const express = require("express");
 const router = express.Router();
-const crypto = require("crypto");
 const prisma = require("../utils/prisma");   // AUDIT FIX: shared instance
-const { guestbookSchema, validate } = require("../utils/validation");
+const { guestbookSchema, guestbookListSchema, validate } = require("../utils/validation");
+const { paginate } = require("../utils/pagination");
+const { guestbookWhere } = require("../utils/listFilters");
+const { initialStatus } = require("../utils/moderation");
+const { scoreSubmission, spamVerdict } = require("../utils/spamScore");
+const { ipHashFor } = require("../utils/ipHash");
 const { guestbookWriteLimiter } = require("../middleware/rateLimiter");
+const { requireChallenge, spendChallenge } = require("../middleware/challenge");
+const { rejectBlocked } = require("../middleware/blocklist");
+const { emitWebhookEvent } = require("../utils/webhooks");
+const { FEED_SIZE, FEEDS, lastModified, notModified } = require("../utils/feeds");
+
+// Readers may reuse a copy this long without asking; after that a
+// conditional request costs one query and an empty 304.
+const FEED_MAX_AGE_SECONDS = 5 * 60;
+
+// Serves the latest public entries in one feed format
+function serveFeed(format) {
+  const { contentType, render } = FEEDS[format];
+
+  return async (req, res) => {
+    try {
+      const entries = await prisma.guestbookEntry.findMany({
+        where: guestbookWhere({}, { publicOnly: true }),
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        take: FEED_SIZE,
+        select: { id: true, name: true, message: true, createdAt: true, moderatedAt: true },
+      });
+
+      // Hiding or trashing an entry leaves no timestamp behind, so the
+      // ETag covers the entries themselves, not just the newest date
+      const fingerprint = crypto.createHash("sha256")
+        .update(JSON.stringify([format, entries]))
+        .digest("base64url")
+        .slice(0, 27);
+      const etag = `W/"${fingerprint}"`;
+      const modified = lastModified(entries);
+
+      res.set({
+        "Content-Type": contentType,
+        "Cache-Control": `public, max-age=${FEED_MAX_AGE_SECONDS}`,
+        ETag: etag,
+      });
+      if (modified) res.set("Last-Modified", modified.toUTCString());
+
+      if (notModified(req, { etag, modified })) return res.status(304).end();
+
+      res.send(render(entries));
+    } catch (err) {
+      console.error(`[Guestbook feed ${format}] Error:`, err.message);
+      res.status(500).json({ error: "Failed to build the feed." });
+    }
+  };
+}
 
-// GET /api/guestbook
+router.get("/feed.xml", serveFeed("atom"));
+router.get("/rss.xml", serveFeed("rss"));
+router.get("/feed.json", serveFeed("json"));
+
+// GET /api/guestbook?cursor=&limit=&from=&to=
+// Returns { entries, total, nextCursor } — pass nextCursor back as
+// ?cursor= to get the next page. nextCursor is null on the last page.
 router.get("/", async (req, res) => {
+  const { data: query, error } = validate(guestbookListSchema, req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
   try {
-    const entries = await prisma.guestbookEntry.findMany({
-      where: { visible: true },
-      orderBy: { createdAt: "desc" },
+    const page = await paginate(prisma.guestbookEntry, {
+      where: guestbookWhere(query, { publicOnly: true }),
       select: {
         id: true,
         name: true,
         message: true,
         createdAt: true,
       },
+      limit: query.limit,
+      cursor: query.cursor,
     });
 
-    res.json({ entries });
+    res.json(page);
   } catch (err) {
     console.error("[Guestbook GET] Error:", err.message);
     res.status(500).json({ error: "Failed to fetch guestbook entries." });
@@ -34,22 +104,34 @@ router.get("/", async (req, res) => {
 });
 
 // POST /api/guestbook
-router.post("/", guestbookWriteLimiter, async (req, res) => {
+// Requires a solved challenge (see middleware/challenge.js) and a
+// sender who isn't blocked (middleware/blocklist.js). The challenge is
+// spent only once the body is valid.
+router.post("/", guestbookWriteLimiter, requireChallenge("guestbook"), rejectBlocked, async (req, res) => {
   const { data, error } = validate(guestbookSchema, req.body);
   if (error) {
     return res.status(400).json({ error });
   }
 
   try {
-    const ip = req.ip || req.connection.remoteAddress || "unknown";
-    const ipHash = crypto.createHash("sha256").update(ip).digest("hex");
+    if (!(await spendChallenge(req, res))) return;
+
+    const ipHash = ipHashFor(req);
+
+    const { score, reasons } = await scoreSubmission({ kind: "guestbook", ...data, ipHash });
+    const verdict = await spamVerdict(score);
+    const { status, visible } = await initialStatus(verdict);
 
     const entry = await prisma.guestbookEntry.create({
       data: {
         name: data.name,
         message: data.message,
         ipHash,
-        visible: true,
+        visible,
+        status,
+        spamScore: score,
+        spamVerdict: verdict,
+        flagReasons: reasons,
       },
       select: {
         id: true,
@@ -59,7 +141,21 @@ router.post("/", guestbookWriteLimiter, async (req, res) => {
       },
     });
 
-    res.status(201).json({ entry });
+    if (verdict !== "spam") {
+      await emitWebhookEvent("guestbook.created", { ...entry, status, spamVerdict: verdict });
+    }
+
+    // Held entries get a 202 so the client doesn't render them as published.
+    // The score and reasons stay server-side — no hints for spammers.
+    if (status === "pending") {
+      return res.status(202).json({
+        entry,
+        status: "pending",
+        message: "Thanks for signing! Your entry is awaiting review and will appear once approved. 🐾",
+      });
+    }
+
+    res.status(201).json({ entry, status: "published" });
   } catch (err) {
     console.error("[Guestbook POST] Error:", err.message);
     res.status(500).json({ error: "Failed to save guestbook entry." });
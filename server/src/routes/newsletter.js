@@ -2,33 +2,94 @@
 //  NEWSLETTER ROUTES — /api/newsletter
 //
 //  POST   /api/newsletter              → Subscribe
-//  GET    /api/newsletter/confirm/:token → Confirm (double opt-in)
+//  GET    /api/newsletter/confirm/:token → "Subscribe?" page (email link)
+//  POST   /api/newsletter/confirm/:token → Confirm (double opt-in; that
+//                                      page's button)
+//  POST   /api/newsletter/confirm/:token/resend → New link for an expired token
+//                                      (sends mail, so it takes a challenge too)
 //  DELETE /api/newsletter/:token       → Unsubscribe
+//  GET    /api/newsletter/unsubscribe/:token → "Unsubscribe?" page (email link)
+//  POST   /api/newsletter/unsubscribe/:token → Unsubscribe (that page's button,
+//                                      and RFC 8058 one-click from mail apps)
+//
+//  Tokens arrive in plaintext but are only ever compared by hash —
+//  see utils/newsletterTokens.js.
 // ═══════════════════════════════════════════════════════════════════
 
 const express = require("express");
 const router = express.Router();
-const crypto = require("crypto");
 const prisma = require("../utils/prisma");   // AUDIT FIX: shared instance
 const { newsletterSchema, validate } = require("../utils/validation");
 const { newsletterLimiter } = require("../middleware/rateLimiter");
+const { requireChallenge, spendChallenge } = require("../middleware/challenge");
+const { rejectBlocked, sendBlocked } = require("../middleware/blocklist");
+const { findBlockingRule } = require("../utils/blocklist");
+const { ipHashFor } = require("../utils/ipHash");
+const { queueMail } = require("../utils/mailer");
+const { emitWebhookEvent } = require("../utils/webhooks");
+const { apiUrl, confirmPage, newsletterConfirmEmail, unsubscribePage } = require("../utils/emailTemplates");
+const {
+  CONFIRM_TTL_HOURS,
+  hashToken,
+  issueConfirmToken,
+  isConfirmTokenExpired,
+  issueUnsubToken,
+} = require("../utils/newsletterTokens");
 
-function generateToken() {
-  return crypto.randomBytes(32).toString("hex");
+// Queues the double opt-in email carrying the confirm link
+function sendConfirmEmail(email, confirmToken) {
+  return queueMail({
+    to: email,
+    ...newsletterConfirmEmail({ confirmToken }),
+    category: "newsletter_confirm",
+  });
 }
 
 // POST /api/newsletter
-router.post("/", newsletterLimiter, async (req, res) => {
+// Requires a solved challenge (see middleware/challenge.js) and a
+// sender who isn't blocked (middleware/blocklist.js). The challenge is
+// spent only once the body is valid.
+router.post("/", newsletterLimiter, requireChallenge("newsletter"), rejectBlocked, async (req, res) => {
   const { data, error } = validate(newsletterSchema, req.body);
   if (error) {
     return res.status(400).json({ error });
   }
 
   try {
+    if (!(await spendChallenge(req, res))) return;
+
     const existing = await prisma.newsletterSub.findUnique({
       where: { email: data.email },
     });
 
+    const confirm = issueConfirmToken();
+    const ipHash = ipHashFor(req);
+
+    // In the admin trash: they start over as a brand new subscriber.
+    // Emails are unique, so the trashed row is reused.
+    if (existing && existing.deletedAt) {
+      await prisma.newsletterSub.update({
+        where: { email: data.email },
+        data: {
+          confirmed: false,
+          ...confirm.fields,
+          ...issueUnsubToken(data.email),
+          confirmedAt: null,
+          unsubAt: null,
+          consentSource: null,
+          importedAt: null,
+          deletedAt: null,
+          deletedBy: null,
+          ipHash,
+        },
+      });
+      await sendConfirmEmail(data.email, confirm.token);
+      return res.status(201).json({
+        message: "Almost there! Check your email to confirm your subscription.",
+        status: "pending_confirmation",
+      });
+    }
+
     if (existing && existing.confirmed && !existing.unsubAt) {
       return res.json({
         message: "You're already subscribed! До скоро! (See you soon!)",
@@ -37,12 +98,18 @@ router.post("/", newsletterLimiter, async (req, res) => {
     }
 
     if (existing && existing.unsubAt) {
-      const confirmToken = generateToken();
-      const unsubToken = generateToken();
       await prisma.newsletterSub.update({
         where: { email: data.email },
-        data: { confirmed: false, confirmToken, unsubToken, unsubAt: null, confirmedAt: null },
+        data: {
+          confirmed: false,
+          ...confirm.fields,
+          ...issueUnsubToken(data.email),
+          unsubAt: null,
+          confirmedAt: null,
+          ipHash,
+        },
       });
+      await sendConfirmEmail(data.email, confirm.token);
       return res.status(200).json({
         message: "Welcome back! Please check your email to re-confirm.",
         status: "resubscribed",
@@ -50,11 +117,12 @@ router.post("/", newsletterLimiter, async (req, res) => {
     }
 
     if (existing && !existing.confirmed) {
-      const confirmToken = generateToken();
+      // A new token replaces (and so invalidates) the previous one
       await prisma.newsletterSub.update({
         where: { email: data.email },
-        data: { confirmToken },
+        data: { ...confirm.fields, ipHash },
       });
+      await sendConfirmEmail(data.email, confirm.token);
       return res.json({
         message: "Confirmation email re-sent! Check your inbox.",
         status: "confirmation_resent",
@@ -62,11 +130,16 @@ router.post("/", newsletterLimiter, async (req, res) => {
     }
 
     // Brand new subscriber
-    const confirmToken = generateToken();
-    const unsubToken = generateToken();
     await prisma.newsletterSub.create({
-      data: { email: data.email, confirmToken, unsubToken, confirmed: false },
+      data: {
+        email: data.email,
+        ...confirm.fields,
+        ...issueUnsubToken(data.email),
+        confirmed: false,
+        ipHash,
+      },
     });
+    await sendConfirmEmail(data.email, confirm.token);
 
     res.status(201).json({
       message: "Almost there! Check your email to confirm your subscription.",
@@ -78,46 +151,200 @@ router.post("/", newsletterLimiter, async (req, res) => {
   }
 });
 
-// GET /api/newsletter/confirm/:token
-router.get("/confirm/:token", async (req, res) => {
+// The subscriber a confirm token belongs to, if still waiting to confirm
+function findByConfirmToken(token) {
+  return prisma.newsletterSub.findFirst({
+    where: { confirmToken: hashToken(token), confirmed: false, deletedAt: null },
+  });
+}
+
+// Confirms the subscription a token belongs to. JSON for API clients,
+// a page for the browser form. Expired tokens get
+// a 410; JSON clients are pointed at the resend route so the visitor
+// can get a fresh link without retyping their email.
+async function confirmSubscription(req, res) {
   const { token } = req.params;
+  const expiredMessage = `This confirmation link has expired (links are valid for ${CONFIRM_TTL_HOURS} hours).`;
+  const reply = (status, body, page) => res.status(status).format({
+    json: () => res.json(body),
+    html: () => res.send(confirmPage(page)),
+  });
+
   try {
-    const sub = await prisma.newsletterSub.findFirst({
-      where: { confirmToken: token, confirmed: false },
-    });
+    const sub = await findByConfirmToken(token);
     if (!sub) {
-      return res.status(404).json({ error: "Invalid or expired confirmation link." });
+      return reply(404, { error: "Invalid or already used confirmation link." }, { state: "invalid" });
     }
-    await prisma.newsletterSub.update({
+
+    if (isConfirmTokenExpired(sub)) {
+      return reply(410, {
+        error: expiredMessage,
+        status: "expired",
+        resend: {
+          method: "POST",
+          path: `/api/newsletter/confirm/${token}/resend`,
+          challenge: "newsletter",   // Needs { challenge } like the subscribe form
+        },
+      }, expiredPage(token));
+    }
+
+    // Clearing the hash makes the link single-use
+    const confirmed = await prisma.newsletterSub.update({
       where: { id: sub.id },
-      data: { confirmed: true, confirmedAt: new Date(), confirmToken: null },
+      data: { confirmed: true, confirmedAt: new Date(), confirmToken: null, confirmTokenIssuedAt: null },
     });
-    res.json({ message: "Welcome aboard! 🐾 До скоро! (See you soon!)", status: "confirmed" });
+    await emitWebhookEvent("newsletter.confirmed", {
+      id: confirmed.id, email: confirmed.email, confirmedAt: confirmed.confirmedAt,
+    });
+    reply(200, { message: "Welcome aboard! 🐾 До скоро! (See you soon!)", status: "confirmed" }, { state: "done" });
   } catch (err) {
     console.error("[Newsletter CONFIRM] Error:", err.message);
     res.status(500).json({ error: "Failed to confirm subscription." });
   }
+}
+
+// The expired state of the confirm page, whose button asks for a new link
+function expiredPage(token) {
+  return {
+    state: "expired",
+    resendUrl: apiUrl(`/api/newsletter/confirm/${encodeURIComponent(token)}/resend`),
+    challengeUrl: apiUrl("/api/challenge?form=newsletter"),
+  };
+}
+
+// GET /api/newsletter/confirm/:token
+// The link in the double opt-in email. Only shows the "Subscribe?"
+// page — scanners and prefetchers open links without anyone clicking.
+router.get("/confirm/:token", async (req, res) => {
+  const { token } = req.params;
+  try {
+    const sub = await findByConfirmToken(token);
+    if (!sub) {
+      return res.status(404).send(confirmPage({ state: "invalid" }));
+    }
+    if (isConfirmTokenExpired(sub)) {
+      return res.status(410).send(confirmPage(expiredPage(token)));
+    }
+    res.send(confirmPage({
+      state: "confirm",
+      email: sub.email,
+      actionUrl: apiUrl(`/api/newsletter/confirm/${encodeURIComponent(token)}`),
+    }));
+  } catch (err) {
+    console.error("[Newsletter CONFIRM PAGE] Error:", err.message);
+    res.status(500).json({ error: "Failed to load the confirmation page." });
+  }
 });
 
-// DELETE /api/newsletter/:token
-router.delete("/:token", async (req, res) => {
+// POST /api/newsletter/confirm/:token
+// The page's button. The body isn't needed — the token is the proof —
+// but is parsed so form posts are accepted.
+router.post("/confirm/:token", express.urlencoded({ extended: false, limit: "1kb" }), confirmSubscription);
+
+// POST /api/newsletter/confirm/:token/resend
+// Only works for an expired token — a still-valid one should just be used.
+// Sends mail, so it's guarded like the subscribe form: a solved
+// "newsletter" challenge in the body, and no blocked senders.
+router.post("/confirm/:token/resend", newsletterLimiter, requireChallenge("newsletter"), rejectBlocked, async (req, res) => {
   const { token } = req.params;
   try {
-    const sub = await prisma.newsletterSub.findFirst({
-      where: { unsubToken: token, unsubAt: null },
+    const sub = await prisma.newsletterSub.findUnique({
+      where: { confirmToken: hashToken(token) },
     });
-    if (!sub) {
-      return res.status(404).json({ error: "Invalid unsubscribe link or already unsubscribed." });
+    if (!sub || sub.confirmed || sub.unsubAt || sub.deletedAt) {
+      return res.status(404).json({ error: "Invalid or already used confirmation link." });
+    }
+    if (!isConfirmTokenExpired(sub)) {
+      return res.status(409).json({
+        error: "This link is still valid — use it to confirm your subscription.",
+        status: "still_valid",
+      });
+    }
+    // rejectBlocked only had the IP to go on — the address is the subscriber's
+    if (await findBlockingRule({ email: sub.email })) {
+      return sendBlocked(res);
     }
+    if (!(await spendChallenge(req, res))) return;
+
+    const confirm = issueConfirmToken();
     await prisma.newsletterSub.update({
+      where: { id: sub.id },
+      data: confirm.fields,
+    });
+    await sendConfirmEmail(sub.email, confirm.token);
+
+    res.json({
+      message: "A fresh confirmation link is on its way. Check your inbox!",
+      status: "confirmation_resent",
+    });
+  } catch (err) {
+    console.error("[Newsletter RESEND] Error:", err.message);
+    res.status(500).json({ error: "Failed to resend confirmation." });
+  }
+});
+
+// The subscriber an unsubscribe token belongs to, if still subscribed
+function findByUnsubToken(token) {
+  return prisma.newsletterSub.findFirst({
+    where: { unsubToken: hashToken(token), unsubAt: null },
+  });
+}
+
+// Shared by the DELETE route and the POST from the unsubscribe page.
+// JSON for API clients, a page for the browser form.
+async function unsubscribe(req, res) {
+  const reply = (status, { message, state }) => res.status(status).format({
+    json: () => res.json(status === 200 ? { message, status: "unsubscribed" } : { error: message }),
+    html: () => res.send(unsubscribePage({ state })),
+  });
+
+  try {
+    const sub = await findByUnsubToken(req.params.token);
+    if (!sub) {
+      return reply(404, { message: "Invalid unsubscribe link or already unsubscribed.", state: "invalid" });
+    }
+    const unsubscribed = await prisma.newsletterSub.update({
       where: { id: sub.id },
       data: { unsubAt: new Date() },
     });
-    res.json({ message: "You've been unsubscribed. Sorry to see you go!", status: "unsubscribed" });
+    await emitWebhookEvent("newsletter.unsubscribed", {
+      id: unsubscribed.id, email: unsubscribed.email, unsubAt: unsubscribed.unsubAt,
+    });
+    reply(200, { message: "You've been unsubscribed. Sorry to see you go!", state: "done" });
   } catch (err) {
-    console.error("[Newsletter DELETE] Error:", err.message);
+    console.error("[Newsletter UNSUBSCRIBE] Error:", err.message);
     res.status(500).json({ error: "Failed to process unsubscription." });
   }
+}
+
+// GET /api/newsletter/unsubscribe/:token
+// The link in campaign emails. Only shows the "Unsubscribe?" page —
+// scanners and prefetchers open links without anyone clicking.
+router.get("/unsubscribe/:token", async (req, res) => {
+  try {
+    const sub = await findByUnsubToken(req.params.token);
+    if (!sub) {
+      return res.status(404).send(unsubscribePage({ state: "invalid" }));
+    }
+    res.send(unsubscribePage({
+      state: "confirm",
+      email: sub.email,
+      actionUrl: apiUrl(`/api/newsletter/unsubscribe/${encodeURIComponent(req.params.token)}`),
+    }));
+  } catch (err) {
+    console.error("[Newsletter UNSUBSCRIBE PAGE] Error:", err.message);
+    res.status(500).json({ error: "Failed to load the unsubscribe page." });
+  }
 });
 
+// POST /api/newsletter/unsubscribe/:token
+// The page's button (a form post) and RFC 8058 one-click unsubscribe:
+// mail apps POST "List-Unsubscribe=One-Click" to the List-Unsubscribe
+// URL campaign emails carry. The body isn't needed — the token is
+// the proof — but is parsed so form posts are accepted.
+router.post("/unsubscribe/:token", express.urlencoded({ extended: false, limit: "1kb" }), unsubscribe);
+
+// DELETE /api/newsletter/:token
+router.delete("/:token", unsubscribe);
+
 module.exports = router;
@@ -0,0 +1,69 @@
+// ═══════════════════════════════════════════════════════════════════
+//  BLOG POST ROUTES — /api/posts
+//
+//  GET /api/posts        → Published posts, newest first (paginated)
+//  GET /api/posts/:slug  → One post, with its body as HTML
+//
+//  Only published posts, and scheduled ones whose time has come (see
+//  utils/posts.js). Bodies are rendered from Markdown and sanitized
+//  on the server — the HTML is safe to insert as is.
+// ═══════════════════════════════════════════════════════════════════
+
+const express = require("express");
+const router = express.Router();
+const prisma = require("../utils/prisma");
+const { postListSchema, validate } = require("../utils/validation");
+const { paginate } = require("../utils/pagination");
+const { publicPostWhere, presentPost } = require("../utils/posts");
+
+// GET /api/posts?tag=&cursor=&limit=
+// Returns { posts, total, nextCursor } — each post with an excerpt
+// and reading time instead of the body.
+router.get("/", async (req, res) => {
+  const { data: query, error } = validate(postListSchema, req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const page = await paginate(prisma.post, {
+      where: { ...publicPostWhere(), ...(query.tag ? { tags: { has: query.tag } } : {}) },
+      select: {
+        slug: true,
+        title: true,
+        bodyMarkdown: true,
+        tags: true,
+        publishedAt: true,
+        updatedAt: true,
+      },
+      limit: query.limit,
+      cursor: query.cursor,
+      key: "posts",
+      dateField: "publishedAt",
+    });
+
+    res.json({ ...page, posts: page.posts.map(post => presentPost(post)) });
+  } catch (err) {
+    console.error("[Posts GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch posts." });
+  }
+});
+
+// GET /api/posts/:slug
+router.get("/:slug", async (req, res) => {
+  try {
+    const post = await prisma.post.findFirst({
+      where: { slug: req.params.slug.toLowerCase(), ...publicPostWhere() },
+    });
+    if (!post) {
+      return res.status(404).json({ error: "Post not found." });
+    }
+
+    res.json({ post: presentPost(post, { full: true }) });
+  } catch (err) {
+    console.error("[Post GET] Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch the post." });
+  }
+});
+
+module.exports = router;
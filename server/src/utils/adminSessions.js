@@ -0,0 +1,246 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN SESSIONS — Access Tokens, Refresh Tokens, Revocation
+//
+//  A login creates an AdminSession row and hands the panel two tokens:
+//
+//    access token  → JWT naming the user and the session (sub, sid),
+//                    valid JWT_EXPIRES_IN (default 15m). Sent as the
+//                    Bearer token on every admin request.
+//    refresh token → random, stored only as a SHA-256 hash. Trades in
+//                    for a new pair at POST /api/admin/refresh, and is
+//                    replaced each time (rotation).
+//
+//  A session that isn't refreshed for ADMIN_SESSION_IDLE_HOURS (8)
+//  expires, and none lives longer than ADMIN_SESSION_MAX_DAYS (7).
+//
+//  requireAdmin checks the session row on every request, so logging
+//  out or revoking a session locks its access token out right away —
+//  the short lifetime is a backstop, not the mechanism.
+//
+//  Rotation doubles as theft detection: the hash of the token a
+//  refresh replaced is kept, and if that old token ever comes back,
+//  someone else has a copy — the whole session is revoked.
+// ═══════════════════════════════════════════════════════════════════
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const prisma = require("./prisma");
+const { hashToken } = require("./newsletterTokens");
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || "15m";
+const IDLE_HOURS = parseFloat(process.env.ADMIN_SESSION_IDLE_HOURS) || 8;
+const MAX_DAYS = parseFloat(process.env.ADMIN_SESSION_MAX_DAYS) || 7;
+
+// lastSeenAt is only written when it's older than this, so ordinary
+// browsing doesn't turn every request into a database write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Ended sessions are kept this long for the session list, then deleted
+const ENDED_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idleExpiry = (from = Date.now()) => new Date(from + IDLE_HOURS * 60 * 60 * 1000);
+
+// Active = not revoked, not idle too long, not past the hard limit
+function activeSessionWhere(now = new Date()) {
+  return {
+    revokedAt: null,
+    expiresAt: { gt: now },
+    createdAt: { gt: new Date(now.getTime() - MAX_DAYS * DAY_MS) },
+  };
+}
+
+function isActive(session, now = new Date()) {
+  return !session.revokedAt
+    && session.expiresAt > now
+    && session.createdAt.getTime() > now.getTime() - MAX_DAYS * DAY_MS;
+}
+
+// ─── Devices ────────────────────────────────────────────────────
+
+/**
+ * describeDevice — "Firefox on Windows" from a user agent string.
+ * Good enough to tell your own sessions apart; not a full UA parser.
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return "Unknown device";
+
+  const browser = /Edg\//.test(userAgent) ? "Edge"
+    : /OPR\/|Opera/.test(userAgent) ? "Opera"
+    : /Firefox\//.test(userAgent) ? "Firefox"
+    : /Chrome\//.test(userAgent) ? "Chrome"
+    : /Safari\//.test(userAgent) ? "Safari"
+    : /curl|node|python|axios/i.test(userAgent) ? "Script"
+    : "Browser";
+
+  const os = /iPhone|iPad/.test(userAgent) ? "iOS"
+    : /Android/.test(userAgent) ? "Android"
+    : /Windows/.test(userAgent) ? "Windows"
+    : /Mac OS X|Macintosh/.test(userAgent) ? "macOS"
+    : /CrOS/.test(userAgent) ? "ChromeOS"
+    : /Linux/.test(userAgent) ? "Linux"
+    : null;
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+// ─── Tokens ─────────────────────────────────────────────────────
+
+function newRefreshToken() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, hash: hashToken(token) };
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { sub: String(user.id), sid: session.id, username: user.username, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// What /login and /refresh send back
+function tokenResponse(user, session, refreshToken) {
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    username: user.username,
+    role: user.role,
+  };
+}
+
+// ─── Lifecycle ──────────────────────────────────────────────────
+
+/**
+ * createSession — a new session for `user`, from this request's IP
+ * and browser. Also clears out the user's sessions that ended long
+ * ago. Returns { session, refreshToken }.
+ */
+async function createSession(req, user) {
+  const refresh = newRefreshToken();
+  const session = await prisma.adminSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: refresh.hash,
+      ip: (req.ip || "").slice(0, 45) || null,
+      userAgent: (req.get("user-agent") || "").slice(0, 255) || null,
+      expiresAt: idleExpiry(),
+    },
+  });
+
+  const cutoff = new Date(Date.now() - ENDED_RETENTION_DAYS * DAY_MS);
+  await prisma.adminSession.deleteMany({
+    where: {
+      userId: user.id,
+      OR: [{ revokedAt: { lt: cutoff } }, { expiresAt: { lt: cutoff } }],
+    },
+  });
+
+  return { session, refreshToken: refresh.token };
+}
+
+/**
+ * rotateSession — trades a refresh token for a new one.
+ *
+ * Returns { status: "ok", session, user, refreshToken } on success;
+ * { status: "reused", session } when a replaced token came back (the
+ * session has been revoked); { status: "invalid" } otherwise.
+ */
+async function rotateSession(refreshToken, now = new Date()) {
+  const hash = hashToken(refreshToken);
+  const include = { user: { select: { id: true, username: true, role: true, disabledAt: true } } };
+
+  const session = await prisma.adminSession.findUnique({ where: { refreshTokenHash: hash }, include });
+  if (!session) {
+    const replaced = await prisma.adminSession.findUnique({ where: { previousTokenHash: hash } });
+    if (replaced && !replaced.revokedAt) {
+      await revokeSessions({ id: replaced.id });
+      return { status: "reused", session: replaced };
+    }
+    return { status: "invalid" };
+  }
+  if (!isActive(session, now) || session.user.disabledAt) return { status: "invalid" };
+
+  // Conditional on the old hash, so two refreshes racing with the
+  // same token can't both win
+  const next = newRefreshToken();
+  const { count } = await prisma.adminSession.updateMany({
+    where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+    data: {
+      refreshTokenHash: next.hash,
+      previousTokenHash: hash,
+      lastSeenAt: now,
+      expiresAt: idleExpiry(now.getTime()),
+    },
+  });
+  if (count === 0) return { status: "invalid" };
+
+  return { status: "ok", session, user: session.user, refreshToken: next.token };
+}
+
+/**
+ * findSessionByToken — the session a refresh token (current or just
+ * replaced) belongs to, for logging out. Null if there's none.
+ */
+function findSessionByToken(refreshToken) {
+  const hash = hashToken(refreshToken);
+  return prisma.adminSession.findFirst({
+    where: { OR: [{ refreshTokenHash: hash }, { previousTokenHash: hash }] },
+    include: { user: { select: { username: true } } },
+  });
+}
+
+/**
+ * revokeSessions — ends every still-open session matching `where`.
+ * Returns how many were revoked. Also usable inside a transaction
+ * via revokeSessionsOp().
+ */
+async function revokeSessions(where) {
+  const { count } = await revokeSessionsOp(where);
+  return count;
+}
+
+function revokeSessionsOp(where) {
+  return prisma.adminSession.updateMany({
+    where: { ...where, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+}
+
+// Bumps lastSeenAt (at most once a minute). Never fails the request.
+function touchSession(session, now = new Date()) {
+  if (now - session.lastSeenAt < LAST_SEEN_RESOLUTION_MS) return;
+  prisma.adminSession
+    .update({ where: { id: session.id }, data: { lastSeenAt: now } })
+    .catch(err => console.error("[Sessions] Failed to update last seen:", err.message));
+}
+
+// A session row as the session list shows it
+function publicSession(session, currentId) {
+  return {
+    id: session.id,
+    device: describeDevice(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentId,
+  };
+}
+
+module.exports = {
+  activeSessionWhere,
+  isActive,
+  describeDevice,
+  tokenResponse,
+  createSession,
+  rotateSession,
+  findSessionByToken,
+  revokeSessions,
+  revokeSessionsOp,
+  touchSession,
+  publicSession,
+};
@@ -0,0 +1,199 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN USERS — Team Accounts & Roles
+//
+//  Everyone who can log in to the admin panel has an AdminUser row
+//  with one of three roles, each including the ones below it:
+//
+//    viewer    → read-only: dashboards, lists, search
+//    moderator → + moderate the guestbook, handle messages, labels
+//                and campaigns, remove subscribers, export
+//    owner     → + site settings, subscriber import, the audit log,
+//                and managing the team
+//
+//  Routes pick the role they need with requireRole() (see
+//  middleware/auth.js).
+//
+//  Bootstrap owner: ADMIN_USERNAME / ADMIN_PASSWORD_HASH from .env
+//  always log in as an owner, checked against the env hash. Their row
+//  is created on first login and can't be disabled or demoted from the
+//  panel — so there's always a way back in.
+//
+//  New users are invited by an owner: the row starts without a
+//  password and an invite link (valid ADMIN_INVITE_TTL_HOURS, default
+//  72) lets them pick one. Like newsletter tokens, only a SHA-256 of
+//  the invite token is stored.
+//
+//  Any user can turn on two-factor login (utils/totp.js); owners can
+//  reset it for someone who lost their phone and recovery codes.
+// ═══════════════════════════════════════════════════════════════════
+
+const crypto = require("crypto");
+const prisma = require("./prisma");
+const { hashToken } = require("./newsletterTokens");
+const { verifyTotp, openSecret, useRecoveryCode } = require("./totp");
+
+// Roles themselves are listed in validation.js (ADMIN_ROLES)
+const ROLE_RANK = { viewer: 1, moderator: 2, owner: 3 };
+
+const INVITE_TTL_HOURS = parseFloat(process.env.ADMIN_INVITE_TTL_HOURS) || 72;
+
+// Invite links open the admin panel on the frontend, not the API
+const ADMIN_PANEL_URL = (process.env.ADMIN_PANEL_URL
+  || `${(process.env.ALLOWED_ORIGINS || "http://localhost:5173").split(",")[0].trim()}/admin`).replace(/\/+$/, "");
+
+// Columns that are safe to send to the panel (no hashes)
+const USER_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  role: true,
+  isBootstrap: true,
+  invitedBy: true,
+  inviteExpiresAt: true,
+  disabledAt: true,
+  totpEnabledAt: true,
+  lastLoginAt: true,
+  createdAt: true,
+  passwordHash: true,   // Only to work out the status — stripped by publicUser()
+};
+
+// ─── Roles ──────────────────────────────────────────────────────
+
+/**
+ * hasRole — whether `user` has at least `minRole`.
+ */
+function hasRole(user, minRole) {
+  return Boolean(user) && (ROLE_RANK[user.role] || 0) >= ROLE_RANK[minRole];
+}
+
+// ─── Status ─────────────────────────────────────────────────────
+// active | invited (no password yet) | disabled
+function userStatus(user) {
+  if (user.disabledAt) return "disabled";
+  if (!user.passwordHash) return "invited";
+  return "active";
+}
+
+// A user row as sent to the panel
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return { ...rest, status: userStatus(user) };
+}
+
+// ─── Lookups ────────────────────────────────────────────────────
+
+// Usernames are matched case-insensitively at login
+function findByUsername(username) {
+  return prisma.adminUser.findFirst({
+    where: { username: { equals: username, mode: "insensitive" } },
+  });
+}
+
+/**
+ * ensureBootstrapOwner — the row for the .env owner, created on first
+ * login. The env hash is copied in each time so the row reflects the
+ * current password.
+ */
+function ensureBootstrapOwner(username, passwordHash) {
+  const fields = { passwordHash, role: "owner", isBootstrap: true, disabledAt: null };
+  return prisma.adminUser.upsert({
+    where: { username },
+    create: { username, ...fields },
+    update: fields,
+  });
+}
+
+// ─── Invites ────────────────────────────────────────────────────
+
+/**
+ * issueInvite — a fresh invite token.
+ * Returns the plaintext (for the link) and the fields to store.
+ */
+function issueInvite() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return {
+    token,
+    fields: {
+      inviteToken: hashToken(token),
+      inviteExpiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+    },
+  };
+}
+
+function inviteUrl(token) {
+  return `${ADMIN_PANEL_URL}?invite=${token}`;
+}
+
+// The invited user behind a token, or null if unknown/used/expired
+async function findInvite(token) {
+  const user = await prisma.adminUser.findUnique({ where: { inviteToken: hashToken(token) } });
+  if (!user || user.passwordHash || user.disabledAt) return null;
+  if (!user.inviteExpiresAt || user.inviteExpiresAt < new Date()) return null;
+  return user;
+}
+
+// ─── Two-Factor ─────────────────────────────────────────────────
+
+// Update that switches 2FA off (and forgets the secret and codes)
+const TWO_FACTOR_OFF = {
+  totpSecret: null,
+  totpPendingSecret: null,
+  totpEnabledAt: null,
+  totpLastStep: null,
+  recoveryCodes: [],
+};
+
+/**
+ * checkSecondFactor — a TOTP code or an unused recovery code for a
+ * user with 2FA on. Returns { method, where, data } to apply with
+ * updateMany — `where` makes sure a concurrent request hasn't used the
+ * same code first (count 0 → treat as failed) — or null.
+ */
+function checkSecondFactor(user, code) {
+  if (!user.totpSecret) return null;
+
+  const step = verifyTotp(openSecret(user.totpSecret), code, { lastStep: user.totpLastStep });
+  if (step !== null) {
+    return {
+      method: "totp",
+      where: { id: user.id, OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }] },
+      data: { totpLastStep: step },
+    };
+  }
+
+  const remaining = useRecoveryCode(user.recoveryCodes, code);
+  if (remaining) {
+    return {
+      method: "recovery_code",
+      where: { id: user.id, recoveryCodes: { equals: user.recoveryCodes } },
+      data: { recoveryCodes: remaining },
+    };
+  }
+  return null;
+}
+
+/**
+ * consumeSecondFactor — checks the code and marks it used.
+ * Resolves to "totp" / "recovery_code", or null if it was refused.
+ */
+async function consumeSecondFactor(user, code) {
+  const match = checkSecondFactor(user, code);
+  if (!match) return null;
+  const { count } = await prisma.adminUser.updateMany({ where: match.where, data: match.data });
+  return count ? match.method : null;
+}
+
+module.exports = {
+  INVITE_TTL_HOURS,
+  USER_SELECT,
+  hasRole,
+  userStatus,
+  publicUser,
+  findByUsername,
+  ensureBootstrapOwner,
+  issueInvite,
+  inviteUrl,
+  findInvite,
+  TWO_FACTOR_OFF,
+  consumeSecondFactor,
+};
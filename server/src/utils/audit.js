@@ -0,0 +1,86 @@
+// ═══════════════════════════════════════════════════════════════════
+//  ADMIN AUDIT LOG — Who Did What, From Where
+//
+//  Every admin login (and failed attempt) and every change made from
+//  the admin panel writes an AdminAuditLog row: the actor, an action
+//  name, the target, a snapshot of the target *before* the change,
+//  and the request's IP and user agent. Rows are never updated or
+//  deleted by the app.
+//
+//  Actions are named "<area>.<verb>", e.g. "guestbook.delete",
+//  "contact.read", "settings.update" — plus "login" / "login_failed".
+//
+//  Usage in route files:
+//    // Destructive changes: write the log row in the same transaction,
+//    // so nothing is removed without a trace
+//    await prisma.$transaction([
+//      prisma.guestbookEntry.delete({ where: { id } }),
+//      auditEntry(req, { action: "guestbook.delete", targetType: "guestbook", targetId: id, before: entry }),
+//    ]);
+//
+//    // Everything else: fire and forget — never fails the request
+//    await recordAudit(req, { action: "login", actor: username });
+//
+//  Background jobs pass null for req and name an actor (e.g. "system").
+//
+//  Unlike visitor IPs (hashed, see ipHash.js, and never copied into
+//  the log), the admin's IP is kept as-is: it's what you need to spot
+//  a stolen session.
+// ═══════════════════════════════════════════════════════════════════
+
+const prisma = require("./prisma");
+
+// Fields never copied into a snapshot — token and password hashes stay
+// out of the log, and so do visitors' IP pseudonyms: the log is kept
+// for good, and they mustn't outlive the trash purge or a key rotation
+const SECRET_FIELDS = new Set([
+  "confirmToken", "unsubToken", "unsubNonce",
+  "passwordHash", "inviteToken", "totpSecret", "totpPendingSecret", "recoveryCodes",
+  "refreshTokenHash", "previousTokenHash", "secret",
+  "ipHash",
+]);
+
+// Plain JSON copy of a row, minus secrets (Dates become ISO strings)
+function snapshot(row) {
+  if (!row) return undefined;
+  return JSON.parse(JSON.stringify(row, (key, value) => (SECRET_FIELDS.has(key) ? undefined : value)));
+}
+
+function auditData(req, { action, actor, targetType, targetId, before, details }) {
+  return {
+    actor: String(actor || req?.admin?.username || "unknown").slice(0, 80),
+    action,
+    targetType: targetType || null,
+    targetId: targetId === undefined || targetId === null ? null : String(targetId),
+    before: snapshot(before),
+    details: details === undefined ? undefined : snapshot(details),
+    ip: (req?.ip || req?.connection?.remoteAddress || "").slice(0, 45) || null,
+    userAgent: ((req && req.get("user-agent")) || "").slice(0, 255) || null,
+  };
+}
+
+/**
+ * auditEntry — the create operation for one log row, *not* awaited.
+ * Pass it to prisma.$transaction() next to the change it describes.
+ */
+function auditEntry(req, fields) {
+  return prisma.adminAuditLog.create({ data: auditData(req, fields) });
+}
+
+/**
+ * recordAudit — writes one log row on its own. Failures are logged
+ * and swallowed, so auditing never breaks the action itself.
+ */
+async function recordAudit(req, fields) {
+  try {
+    await auditEntry(req, fields);
+  } catch (err) {
+    console.error(`[Audit] Failed to record ${fields.action}:`, err.message);
+  }
+}
+
+module.exports = {
+  snapshot,
+  auditEntry,
+  recordAudit,
+};
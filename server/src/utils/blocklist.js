@@ -0,0 +1,75 @@
+// ═══════════════════════════════════════════════════════════════════
+//  BLOCKLIST — Senders Turned Away From the Public Forms
+//
+//  Admins block senders in the panel (routes/adminBlocklist.js); the
+//  blocklist middleware checks every guestbook, newsletter and contact
+//  submission against the rules that haven't expired. Four kinds:
+//
+//    ip_hash — the sender's IP hash (see ipHash.js). A prefix of at
+//              least 8 characters — the "IP tag" the panel shows —
+//              matches every hash starting with it. Hashes rotate, so
+//              these only work within one period (a day by default);
+//              cidr rules are the way to block for longer.
+//    cidr    — an IPv4/IPv6 range such as 203.0.113.0/24, or a single
+//              address. Checked against the request's IP, which is
+//              never stored.
+//    email   — one address (case-insensitive)
+//    domain  — an email domain, subdomains included
+//
+//  Each rejection bumps the rule's hits counter.
+// ═══════════════════════════════════════════════════════════════════
+
+const prisma = require("./prisma");
+const { parseCidr, inRange } = require("./cidr");
+
+// Where-clause fragment for rules still in force
+function activeRulesWhere(now = new Date()) {
+  return { OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] };
+}
+
+// Whether one rule covers the sender
+function ruleMatches(rule, { ip, ipHash, email }) {
+  switch (rule.kind) {
+    case "ip_hash":
+      return Boolean(ipHash) && ipHash.startsWith(rule.value);
+    case "cidr":
+      return Boolean(ip) && inRange(ip, parseCidr(rule.value));
+    case "email":
+      return Boolean(email) && email === rule.value;
+    case "domain": {
+      const domain = email ? email.slice(email.lastIndexOf("@") + 1) : "";
+      return domain === rule.value || domain.endsWith(`.${rule.value}`);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * findBlockingRule — the first active rule covering the sender, or
+ * null. `email` is optional (the guestbook doesn't ask for one).
+ * A match has its counter bumped before it's returned.
+ */
+async function findBlockingRule({ ip, ipHash, email }) {
+  const sender = { ip, ipHash, email: email ? String(email).trim().toLowerCase() : null };
+  const rules = await prisma.blockRule.findMany({
+    where: activeRulesWhere(),
+    select: { id: true, kind: true, value: true },
+    orderBy: { id: "asc" },
+  });
+
+  const rule = rules.find(r => ruleMatches(r, sender));
+  if (!rule) return null;
+
+  // updateMany: no error if the rule was deleted in the meantime
+  await prisma.blockRule.updateMany({
+    where: { id: rule.id },
+    data: { hits: { increment: 1 }, lastHitAt: new Date() },
+  });
+  return rule;
+}
+
+module.exports = {
+  activeRulesWhere,
+  findBlockingRule,
+};
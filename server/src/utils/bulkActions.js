@@ -0,0 +1,70 @@
+// ═══════════════════════════════════════════════════════════════════
+//  BULK ACTIONS — Shared Plumbing for the /bulk Endpoints
+//
+//  The guestbook, newsletter and contacts lists each have a
+//  POST .../bulk endpoint (routes/admin.js) that acts on many rows in
+//  one transaction. The rows come either as an ID list or as a filter
+//  — the list's own query params, built into a where clause by
+//  utils/listFilters.js — so "select all matching" in the panel never
+//  has to page through the results first.
+//
+//  Either way, the IDs are fixed up front: the action and its audit
+//  entry then cover exactly those rows, even if new ones arrive
+//  meanwhile. Rows in the trash are never picked.
+// ═══════════════════════════════════════════════════════════════════
+
+const { NOT_TRASHED } = require("./trash");
+
+// Most rows one filter may touch — beyond this, narrow it down
+const BULK_FILTER_MAX = 5000;
+
+class BulkError extends Error {}
+
+/**
+ * resolveBulkIds — the IDs a bulk request applies to, in ID order.
+ *
+ * `delegate` is the Prisma model (e.g. prisma.guestbookEntry) and
+ * `whereFor` builds its where clause from the validated filter.
+ * Unknown and trashed IDs are dropped. Throws BulkError when the filter matches
+ * more than BULK_FILTER_MAX rows.
+ */
+async function resolveBulkIds(delegate, data, whereFor) {
+  const where = data.ids ? { id: { in: data.ids }, ...NOT_TRASHED } : whereFor(data.filter);
+  const rows = await delegate.findMany({
+    where,
+    select: { id: true },
+    orderBy: { id: "asc" },
+    take: BULK_FILTER_MAX + 1,
+  });
+
+  if (rows.length > BULK_FILTER_MAX) {
+    throw new BulkError(`That filter matches more than ${BULK_FILTER_MAX} rows — narrow it down and run it in parts.`);
+  }
+  return rows.map(row => row.id);
+}
+
+/**
+ * bulkResult — the response body: counts plus a one-line summary for
+ * the panel's toast, e.g. "12 entries hidden · 3 already hidden ·
+ * 1 not found".
+ *
+ * `updated` is how many rows actually changed; the rest of `ids` were
+ * already in that state.
+ */
+function bulkResult({ ids, requested, updated, nouns: [one, many], done, already = null }) {
+  const unchanged = ids.length - updated;
+  const notFound = Math.max(requested - ids.length, 0);
+
+  const parts = [`${updated} ${updated === 1 ? one : many} ${done}`];
+  if (unchanged > 0 && already) parts.push(`${unchanged} ${already}`);
+  if (notFound > 0) parts.push(`${notFound} not found`);
+
+  return { updated, unchanged, notFound, ids, message: `${parts.join(" · ")}.` };
+}
+
+module.exports = {
+  BULK_FILTER_MAX,
+  BulkError,
+  resolveBulkIds,
+  bulkResult,
+};
@@ -0,0 +1,170 @@
+// ═══════════════════════════════════════════════════════════════════
+//  CAMPAIGN SENDER — Newsletter Send Queue
+//
+//  Sending a campaign happens in two phases:
+//    1. startCampaign() snapshots every confirmed, still-subscribed
+//       address into CampaignDelivery rows and flips the campaign to
+//       "sending". Subscribers who join later don't get this issue.
+//    2. The worker (started from index.js) hands queued deliveries to
+//       the mailer in small batches, so a big list never floods the
+//       email provider. When nothing is left, the campaign is "sent".
+//
+//  Scheduled campaigns are promoted by the same worker once their
+//  scheduledAt has passed.
+//
+//  The worker assumes a single API instance is running it — two
+//  instances could pick up the same queued delivery.
+// ═══════════════════════════════════════════════════════════════════
+
+const prisma = require("./prisma");
+const { sendMail } = require("./mailer");
+const { campaignEmail } = require("./emailTemplates");
+const { unsubTokenFor, issueUnsubToken } = require("./newsletterTokens");
+
+const CAMPAIGN_BATCH_SIZE = parseInt(process.env.CAMPAIGN_BATCH_SIZE, 10) || 50;
+const CAMPAIGN_TICK_MS = 15 * 1000;   // Worker tick: every 15 seconds
+
+/**
+ * startCampaign — snapshots recipients and moves a campaign to "sending".
+ *
+ * Runs in a transaction so a crash can't leave a "sending" campaign
+ * with a half-built recipient list. Returns the updated campaign, or
+ * null if it was already started (or no longer exists).
+ */
+async function startCampaign(campaignId) {
+  return prisma.$transaction(async (tx) => {
+    // Claim: only a draft or scheduled campaign can start
+    const claimed = await tx.campaign.updateMany({
+      where: { id: campaignId, status: { in: ["draft", "scheduled"] } },
+      data: { status: "sending", startedAt: new Date() },
+    });
+    if (claimed.count === 0) return null;
+
+    const subscribers = await tx.newsletterSub.findMany({
+      where: { confirmed: true, unsubAt: null, deletedAt: null },   // Trashed subscribers get nothing
+      select: { id: true, email: true },
+    });
+
+    await tx.campaignDelivery.createMany({
+      data: subscribers.map(sub => ({
+        campaignId,
+        subscriberId: sub.id,
+        email: sub.email,
+      })),
+      skipDuplicates: true,
+    });
+
+    return tx.campaign.update({
+      where: { id: campaignId },
+      data: { recipientCount: subscribers.length },
+    });
+  });
+}
+
+/**
+ * sendBatch — hands the next batch of queued deliveries to the mailer.
+ * Marks the campaign "sent" once no queued deliveries remain.
+ */
+async function sendBatch(campaign) {
+  const queued = await prisma.campaignDelivery.findMany({
+    where: { campaignId: campaign.id, emailMessageId: null },
+    include: { subscriber: { select: { id: true, email: true, unsubNonce: true, unsubAt: true, deletedAt: true } } },
+    orderBy: { id: "asc" },
+    take: CAMPAIGN_BATCH_SIZE,
+  });
+
+  for (const delivery of queued) {
+    // They left (or were removed, or trashed) after the snapshot — drop
+    // them quietly
+    if (!delivery.subscriber || delivery.subscriber.unsubAt || delivery.subscriber.deletedAt) {
+      await prisma.campaignDelivery.delete({ where: { id: delivery.id } });
+      continue;
+    }
+
+    // Rows from before hashed tokens have no nonce yet — give them one
+    let subscriber = delivery.subscriber;
+    if (!subscriber.unsubNonce) {
+      subscriber = await prisma.newsletterSub.update({
+        where: { id: subscriber.id },
+        data: issueUnsubToken(subscriber.email),
+      });
+    }
+
+    const email = await sendMail({
+      to: delivery.email,
+      ...campaignEmail({
+        subject: campaign.subject,
+        bodyMarkdown: campaign.bodyMarkdown,
+        unsubToken: unsubTokenFor(subscriber),
+      }),
+      category: "campaign",
+    });
+
+    await prisma.campaignDelivery.update({
+      where: { id: delivery.id },
+      data: { emailMessageId: email.id },
+    });
+  }
+
+  if (queued.length < CAMPAIGN_BATCH_SIZE) {
+    const remaining = await prisma.campaignDelivery.count({
+      where: { campaignId: campaign.id, emailMessageId: null },
+    });
+    if (remaining === 0) {
+      await prisma.campaign.update({
+        where: { id: campaign.id },
+        data: { status: "sent", sentAt: new Date() },
+      });
+      console.log(`[Campaigns] Campaign #${campaign.id} finished sending.`);
+    }
+  }
+}
+
+/**
+ * processCampaigns — one pass of the worker: promote due scheduled
+ * campaigns, then send one batch for every campaign in progress.
+ */
+async function processCampaigns() {
+  const due = await prisma.campaign.findMany({
+    where: { status: "scheduled", scheduledAt: { lte: new Date() } },
+    select: { id: true },
+  });
+  for (const { id } of due) {
+    await startCampaign(id);
+  }
+
+  const sending = await prisma.campaign.findMany({
+    where: { status: "sending" },
+    orderBy: { startedAt: "asc" },
+  });
+  for (const campaign of sending) {
+    await sendBatch(campaign);
+  }
+}
+
+/**
+ * startCampaignWorker — runs processCampaigns() on an interval.
+ * A tick is skipped if the previous one is still running.
+ */
+function startCampaignWorker() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processCampaigns();
+    } catch (err) {
+      console.error("[Campaigns] Worker error:", err.message);
+    }
+    running = false;
+  }, CAMPAIGN_TICK_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  startCampaign,
+  processCampaigns,
+  startCampaignWorker,
+};
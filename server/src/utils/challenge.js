@@ -0,0 +1,209 @@
+// ═══════════════════════════════════════════════════════════════════
+//  FORM CHALLENGES — Proof-of-Work + Honeypot, No Third Parties
+//
+//  Before a public form is submitted, the page fetches a challenge
+//  from GET /api/challenge?form=guestbook|newsletter|contact. It gets:
+//    • a signed token (stateless — nothing is stored until it's used)
+//    • a salt and a difficulty: find any `solution` string such that
+//        SHA-256(`${salt}:${solution}`)
+//      starts with `difficulty` zero bits (a fraction of a second to a
+//      couple of seconds in a browser, expensive for a bot farm)
+//    • two honeypot field names — render them as hidden inputs that
+//      must stay empty; bots that fill every field give themselves away
+//
+//  The POST then carries { challenge: { token, solution } } next to the
+//  form fields. middleware/challenge.js verifies the signature, form,
+//  expiry, the minimum time between issue and submit, and the solution
+//  up front; the route then spends the token once the submission has
+//  passed validation and the blocklist, so each token is accepted only
+//  once — but a fixable 400 (a typo'd email) doesn't burn it.
+//
+//  Spent token ids are kept in the used_challenges table until the
+//  tokens expire, so every instance (and a restarted one) refuses a
+//  replay. startChallengeSweeper() clears out the expired ones.
+// ═══════════════════════════════════════════════════════════════════
+
+const crypto = require("crypto");
+const prisma = require("./prisma");
+
+const CHALLENGE_FORMS = ["guestbook", "newsletter", "contact"];
+
+const DIFFICULTY = parseInt(process.env.CHALLENGE_DIFFICULTY, 10) || 16;            // leading zero bits
+const TTL_MS = (parseInt(process.env.CHALLENGE_TTL_MINUTES, 10) || 30) * 60 * 1000;
+const MIN_SUBMIT_MS = (parseInt(process.env.CHALLENGE_MIN_SUBMIT_SECONDS, 10) || 3) * 1000;
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;   // Expired rows are harmless, just clutter
+
+// Plausible-looking names, so a bot can't tell the trap from the form
+const HONEYPOT_NAMES = [
+  "website", "homepage", "url", "company", "phone", "fax",
+  "address", "nickname", "middle_name", "zip",
+];
+const HONEYPOT_COUNT = 2;
+
+// Checked at startup — without it every public form post would fail
+// with a 500 instead of the server refusing to start
+const SECRET = process.env.CHALLENGE_SECRET || process.env.JWT_SECRET;
+if (!SECRET) {
+  throw new Error("CHALLENGE_SECRET (or JWT_SECRET) must be set — form challenges are signed with it.");
+}
+
+function sign(payload) {
+  return crypto.createHmac("sha256", SECRET).update(payload).digest("base64url");
+}
+
+// Thrown by verifyChallenge — `code` is sent to the client as-is
+class ChallengeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// ─── Issue ──────────────────────────────────────────────────────
+function pickHoneypots() {
+  const names = [...HONEYPOT_NAMES];
+  const picked = [];
+  while (picked.length < HONEYPOT_COUNT) {
+    picked.push(names.splice(crypto.randomInt(names.length), 1)[0]);
+  }
+  return picked;
+}
+
+/**
+ * issueChallenge — everything the client needs for one submission
+ * of `form`. The token embeds the rest (salt, difficulty, honeypots,
+ * timestamps), so verification needs no lookup.
+ */
+function issueChallenge(form) {
+  const now = Date.now();
+  const claims = {
+    id: crypto.randomBytes(12).toString("base64url"),
+    form,
+    salt: crypto.randomBytes(16).toString("hex"),
+    difficulty: DIFFICULTY,
+    honeypots: pickHoneypots(),
+    iat: now,
+    exp: now + TTL_MS,
+  };
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    algorithm: "SHA-256",
+    salt: claims.salt,
+    difficulty: claims.difficulty,
+    honeypotFields: claims.honeypots,
+    minSubmitSeconds: MIN_SUBMIT_MS / 1000,
+    expiresAt: new Date(claims.exp).toISOString(),
+  };
+}
+
+// ─── Verify ─────────────────────────────────────────────────────
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) { bits += 8; continue; }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+function decodeToken(token) {
+  const [payload, signature] = String(token).split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * verifyChallenge — checks a submission's { token, solution } and
+ * honeypots for `form`. Returns the token's claims on success and
+ * throws a ChallengeError (with a machine-readable code) otherwise.
+ * Doesn't spend the token — see markChallengeUsed().
+ */
+function verifyChallenge(form, body) {
+  const { token, solution } = body.challenge || {};
+  if (!token || solution === undefined || solution === null) {
+    throw new ChallengeError("challenge_required", "Please complete the form challenge and try again.");
+  }
+
+  const claims = decodeToken(token);
+  if (!claims || claims.form !== form) {
+    throw new ChallengeError("challenge_invalid", "The form challenge is invalid. Please reload and try again.");
+  }
+
+  const now = Date.now();
+  if (claims.exp <= now) {
+    throw new ChallengeError("challenge_expired", "The form challenge has expired. Please try again.");
+  }
+
+  // Filled-in honeypots mean a bot — checked before the solution so
+  // it's rejected without hashing
+  if (claims.honeypots.some(name => body[name] !== undefined && String(body[name]).trim() !== "")) {
+    throw new ChallengeError("honeypot_filled", "Submission rejected.");
+  }
+
+  if (now - claims.iat < MIN_SUBMIT_MS) {
+    throw new ChallengeError("submitted_too_fast", "That was quick! Please take a moment and submit again.");
+  }
+
+  const hash = crypto.createHash("sha256").update(`${claims.salt}:${solution}`).digest();
+  if (leadingZeroBits(hash) < claims.difficulty) {
+    throw new ChallengeError("challenge_unsolved", "The form challenge wasn't solved. Please try again.");
+  }
+
+  return claims;
+}
+
+/**
+ * markChallengeUsed — spends a verified token (the claims from
+ * verifyChallenge). Throws a "challenge_reused" ChallengeError if it
+ * was already spent. The insert is the check: of two requests racing
+ * with one token, on any instances, the primary key lets one through.
+ */
+async function markChallengeUsed(claims) {
+  try {
+    await prisma.usedChallenge.create({
+      data: { id: claims.id, expiresAt: new Date(claims.exp) },
+    });
+  } catch (err) {
+    if (err.code === "P2002") {
+      throw new ChallengeError("challenge_reused", "This form challenge was already used. Please try again.");
+    }
+    throw err;
+  }
+}
+
+// ─── Sweeper ────────────────────────────────────────────────────
+
+/**
+ * startChallengeSweeper — deletes spent tokens that have expired, on
+ * an interval. The timer is unref'd so it never keeps the process alive.
+ */
+function startChallengeSweeper() {
+  const timer = setInterval(() => {
+    prisma.usedChallenge.deleteMany({ where: { expiresAt: { lte: new Date() } } }).catch(err => {
+      console.error("[Challenge] Sweep error:", err.message);
+    });
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  CHALLENGE_FORMS,
+  ChallengeError,
+  issueChallenge,
+  markChallengeUsed,
+  startChallengeSweeper,
+  verifyChallenge,
+};
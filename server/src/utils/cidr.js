@@ -0,0 +1,104 @@
+// ═══════════════════════════════════════════════════════════════════
+//  CIDR — IPv4 / IPv6 Ranges Without a Dependency
+//
+//  Used by the blocklist (utils/blocklist.js) for its "cidr" rules.
+//  Addresses are turned into BigInts so one comparison covers both
+//  families; IPv4-mapped IPv6 addresses (::ffff:1.2.3.4, as Node
+//  reports IPv4 clients on a dual-stack socket) count as IPv4.
+//
+//    const range = parseCidr("203.0.113.0/24");   // null if invalid
+//    inRange("203.0.113.7", range);                // true
+// ═══════════════════════════════════════════════════════════════════
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+// "1.2.3.4" → BigInt, or null
+function parseIpv4(text) {
+  const match = IPV4_PATTERN.exec(text);
+  if (!match) return null;
+  const octets = match.slice(1).map(Number);
+  if (octets.some(octet => octet > 255)) return null;
+  return octets.reduce((value, octet) => (value << 8n) | BigInt(octet), 0n);
+}
+
+// "2001:db8::1" → BigInt, or null. A trailing dotted IPv4 part is allowed.
+function parseIpv6(text) {
+  if (!/^[0-9a-f:.]+$/i.test(text)) return null;
+
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const split = (half) => (half === "" ? [] : half.split(":"));
+  const head = split(halves[0]);
+  const tail = halves.length === 2 ? split(halves[1]) : [];
+
+  // A trailing dotted IPv4 part stands for the last two groups
+  const parts = halves.length === 2 ? tail : head;
+  const last = parts[parts.length - 1];
+  if (last && last.includes(".")) {
+    const v4 = parseIpv4(last);
+    if (v4 === null) return null;
+    parts.splice(-1, 1, (v4 >> 16n).toString(16), (v4 & 0xffffn).toString(16));
+  }
+
+  let groups = head;
+  if (halves.length === 2) {
+    if (head.length + tail.length > 7) return null;
+    groups = [...head, ...Array(8 - head.length - tail.length).fill("0"), ...tail];
+  }
+  if (groups.length !== 8 || groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+  return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+const MAPPED_V4_PREFIX = 0xffffn << 32n;
+
+/**
+ * parseIp — { version: 4 | 6, value: BigInt }, or null if `text`
+ * isn't an address. IPv4-mapped IPv6 comes back as version 4.
+ */
+function parseIp(text) {
+  if (typeof text !== "string") return null;
+  const v4 = parseIpv4(text);
+  if (v4 !== null) return { version: 4, value: v4 };
+  const v6 = parseIpv6(text);
+  if (v6 === null) return null;
+  if (v6 >> 32n === 0xffffn) return { version: 4, value: v6 - MAPPED_V4_PREFIX };
+  return { version: 6, value: v6 };
+}
+
+/**
+ * parseCidr — "203.0.113.0/24" or a single address (a /32 or /128)
+ * → { version, base, bits }, or null if invalid. Host bits in the
+ * base are ignored.
+ */
+function parseCidr(text) {
+  if (typeof text !== "string") return null;
+  const [address, prefix, extra] = text.trim().split("/");
+  if (extra !== undefined) return null;
+
+  const ip = parseIp(address);
+  if (!ip) return null;
+  const width = ip.version === 4 ? 32 : 128;
+
+  const bits = prefix === undefined ? width : Number(prefix);
+  if (!Number.isInteger(bits) || bits < 0 || bits > width || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+    return null;
+  }
+
+  const shift = BigInt(width - bits);
+  return { version: ip.version, base: (ip.value >> shift) << shift, bits };
+}
+
+// Whether the address `ip` (text) falls within a parsed range
+function inRange(ip, range) {
+  const parsed = parseIp(ip);
+  if (!parsed || !range || parsed.version !== range.version) return false;
+  const shift = BigInt((range.version === 4 ? 32 : 128) - range.bits);
+  return (parsed.value >> shift) << shift === range.base;
+}
+
+module.exports = {
+  parseIp,
+  parseCidr,
+  inRange,
+};
@@ -0,0 +1,336 @@
+// ═══════════════════════════════════════════════════════════════════
+//  EMAIL TEMPLATES
+//
+//  Each template returns { subject, text, html } ready for queueMail().
+//  Plain text is the source of truth; the HTML version is a light
+//  terminal-flavored wrapper around the same content.
+//
+//  Links point at PUBLIC_API_URL (e.g. https://api.tzvetomir.dev),
+//  falling back to the local dev server.
+// ═══════════════════════════════════════════════════════════════════
+
+const { renderMarkdown } = require("./markdown");
+const { CONFIRM_TTL_HOURS } = require("./newsletterTokens");
+
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL
+  || `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, "");
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+function apiUrl(pathname) {
+  return `${PUBLIC_API_URL}${pathname}`;
+}
+
+// Visitor-supplied text ends up in HTML emails — always escape it
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function layout(bodyHtml) {
+  return `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#0a0e17;font-family:'Fira Code','Courier New',monospace;color:#c9d6e3;">
+    <div style="max-width:560px;margin:0 auto;background:#0d1220;border:1px solid #00ff9f33;border-radius:8px;padding:28px;">
+      <div style="color:#00ff9f;font-weight:700;margin-bottom:16px;">&lt;TT /&gt;</div>
+      ${bodyHtml}
+      <div style="color:#5a6b7f;font-size:11px;margin-top:28px;">tzvetomir.dev — Nothing but green lights ahead 🐾</div>
+    </div>
+  </body>
+</html>`;
+}
+
+// ─── Newsletter: Double Opt-In Confirmation ─────────────────────
+function newsletterConfirmEmail({ confirmToken }) {
+  const confirmUrl = apiUrl(`/api/newsletter/confirm/${confirmToken}`);
+
+  return {
+    subject: "Confirm your subscription to tzvetomir.dev",
+    text: [
+      "Hi there!",
+      "",
+      "Someone (hopefully you) asked to subscribe this address to the tzvetomir.dev newsletter.",
+      "Confirm your subscription here:",
+      "",
+      confirmUrl,
+      "",
+      `The link expires in ${CONFIRM_TTL_HOURS} hours.`,
+      "If this wasn't you, just ignore this email — you won't hear from us again.",
+      "",
+      "До скоро! (See you soon!)",
+    ].join("\n"),
+    html: layout(`
+      <p>Hi there!</p>
+      <p>Someone (hopefully you) asked to subscribe this address to the tzvetomir.dev newsletter.</p>
+      <p><a href="${escapeHtml(confirmUrl)}" style="display:inline-block;background:#00ff9f;color:#0a0e17;padding:10px 18px;border-radius:4px;text-decoration:none;font-weight:700;">Confirm subscription →</a></p>
+      <p style="color:#5a6b7f;font-size:12px;">The link expires in ${CONFIRM_TTL_HOURS} hours. If this wasn't you, just ignore this email — you won't hear from us again.</p>
+      <p>До скоро! (See you soon!)</p>
+    `),
+  };
+}
+
+// ─── Contact: Notification to the Site Owner ────────────────────
+function contactNotificationEmail({ id, name, email, subject, message }) {
+  return {
+    subject: `[tzvetomir.dev] ${subject}`,
+    text: [
+      `New contact message #${id}`,
+      "",
+      `From:    ${name} <${email}>`,
+      `Subject: ${subject}`,
+      "",
+      message,
+      "",
+      "Reply directly to this email to answer the sender.",
+    ].join("\n"),
+    html: layout(`
+      <div style="color:#ffb000;font-weight:700;">New contact message #${id}</div>
+      <p style="font-size:13px;">
+        <strong>From:</strong> ${escapeHtml(name)} &lt;${escapeHtml(email)}&gt;<br>
+        <strong>Subject:</strong> ${escapeHtml(subject)}
+      </p>
+      <div style="background:#080c14;border-radius:4px;padding:12px 14px;white-space:pre-wrap;font-size:13px;">${escapeHtml(message)}</div>
+      <p style="color:#5a6b7f;font-size:12px;">Reply directly to this email to answer the sender.</p>
+    `),
+  };
+}
+
+// ─── Contact: Auto-Acknowledgement to the Sender ────────────────
+function contactAckEmail({ name, subject }) {
+  return {
+    subject: `Got your message: ${subject}`,
+    text: [
+      `Hi ${name},`,
+      "",
+      "Thanks for reaching out! Your message made it through and I'll get back to you soon.",
+      "",
+      "До скоро! (See you soon!)",
+      "— Tzvetomir",
+    ].join("\n"),
+    html: layout(`
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Thanks for reaching out! Your message made it through and I'll get back to you soon.</p>
+      <p>До скоро! (See you soon!)<br>— Tzvetomir</p>
+    `),
+  };
+}
+
+// ─── Contact: Admin Reply ───────────────────────────────────────
+// Sent from the admin panel. The original message is quoted below the
+// reply, like a regular mail client would.
+function contactReplyEmail({ subject, body, original }) {
+  const sentAt = new Date(original.createdAt).toUTCString();
+  const quoted = original.message.split("\n").map(line => `> ${line}`).join("\n");
+
+  return {
+    subject,
+    text: [
+      body,
+      "",
+      `On ${sentAt}, ${original.name} wrote:`,
+      quoted,
+    ].join("\n"),
+    html: layout(`
+      <div style="white-space:pre-wrap;font-size:14px;line-height:1.6;">${escapeHtml(body)}</div>
+      <p style="color:#5a6b7f;font-size:12px;margin-top:24px;">On ${escapeHtml(sentAt)}, ${escapeHtml(original.name)} wrote:</p>
+      <div style="border-left:2px solid #5a6b7f;padding-left:12px;color:#5a6b7f;white-space:pre-wrap;font-size:12px;">${escapeHtml(original.message)}</div>
+    `),
+  };
+}
+
+// ─── Newsletter: Campaign Issue ─────────────────────────────────
+// The Markdown source doubles as the plain-text version. The footer
+// link and the List-Unsubscribe header share the unsubscribe URL.
+function campaignEmail({ subject, bodyMarkdown, unsubToken }) {
+  const unsubUrl = apiUrl(`/api/newsletter/unsubscribe/${unsubToken}`);
+
+  return {
+    subject,
+    text: [
+      bodyMarkdown,
+      "",
+      "—",
+      `Unsubscribe: ${unsubUrl}`,
+    ].join("\n"),
+    html: layout(`
+      <div style="font-size:14px;line-height:1.6;">${renderMarkdown(bodyMarkdown)}</div>
+      <p style="color:#5a6b7f;font-size:11px;margin-top:24px;">
+        You're getting this because you subscribed at tzvetomir.dev.
+        <a href="${escapeHtml(unsubUrl)}" style="color:#5a6b7f;">Unsubscribe</a>
+      </p>
+    `),
+    listUnsubscribe: unsubUrl,
+  };
+}
+
+// ─── Newsletter: Unsubscribe Page ───────────────────────────────
+// Not an email: the page the unsubscribe link opens, in the same look.
+// Opening the link only asks — the button POSTs — so mail scanners and
+// link prefetchers that follow every link don't unsubscribe anyone.
+//   confirm → the question and the button (needs email, actionUrl)
+//   done    → unsubscribed
+//   invalid → unknown token, or already unsubscribed
+function unsubscribePage({ state, email = "", actionUrl = "" }) {
+  const content = {
+    confirm: `
+      <p>Unsubscribe <strong>${escapeHtml(email)}</strong> from the tzvetomir.dev newsletter?</p>
+      <form method="POST" action="${escapeHtml(actionUrl)}">
+        <button type="submit" style="background:#00ff9f;color:#0a0e17;border:none;padding:10px 18px;border-radius:4px;font-family:inherit;font-weight:700;cursor:pointer;">Unsubscribe</button>
+      </form>
+      <p style="color:#5a6b7f;font-size:12px;">Changed your mind? Just close this page.</p>
+    `,
+    done: `<p>You've been unsubscribed. Sorry to see you go!</p>`,
+    invalid: `<p>This unsubscribe link is invalid, or you're already unsubscribed.</p>`,
+  }[state];
+
+  return layout(content);
+}
+
+// ─── Newsletter: Confirm Page ───────────────────────────────────
+// The page the double opt-in link opens. Like unsubscribing, opening
+// the link only asks and the button POSTs, so a scanner following the
+// link can't confirm an address on its owner's behalf.
+//   confirm → the question and the button (needs email, actionUrl)
+//   done    → confirmed
+//   expired → a button for a fresh link (needs resendUrl, challengeUrl)
+//   invalid → unknown token, or already confirmed
+//
+// The resend route sends mail, so it takes a solved "newsletter"
+// challenge like the subscribe form. The expired page's script solves
+// it (utils/challenge.js describes the puzzle), starting on load so the
+// work — and the minimum time before submitting — is mostly done by
+// the time the button is pressed.
+const RESEND_SCRIPT = `
+  <script>
+    (function () {
+      var button = document.getElementById("resend");
+      var status = document.getElementById("resend-status");
+      var encoder = new TextEncoder();
+
+      function leadingZeroBits(bytes) {
+        var bits = 0;
+        for (var i = 0; i < bytes.length; i++) {
+          if (bytes[i] === 0) { bits += 8; continue; }
+          return bits + Math.clz32(bytes[i]) - 24;
+        }
+        return bits;
+      }
+
+      async function solve(salt, difficulty) {
+        for (var n = 0; ; n++) {
+          var digest = await crypto.subtle.digest("SHA-256", encoder.encode(salt + ":" + n));
+          if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) return String(n);
+          if (n % 2000 === 0) await new Promise(function (resolve) { setTimeout(resolve, 0); });
+        }
+      }
+
+      async function prepare() {
+        var res = await fetch(button.dataset.challengeUrl, { cache: "no-store" });
+        if (!res.ok) throw new Error("Could not load the form challenge.");
+        var issued = await res.json();
+        var readyAt = Date.now() + issued.minSubmitSeconds * 1000;
+        var solution = await solve(issued.salt, issued.difficulty);
+        return { challenge: { token: issued.token, solution: solution }, readyAt: readyAt };
+      }
+
+      var prepared = prepare();
+      prepared.catch(function () {});
+
+      button.addEventListener("click", async function () {
+        button.disabled = true;
+        status.textContent = "Sending…";
+        try {
+          var ready = await prepared;
+          var wait = ready.readyAt - Date.now();
+          if (wait > 0) await new Promise(function (resolve) { setTimeout(resolve, wait + 100); });
+
+          var res = await fetch(button.dataset.resendUrl, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ challenge: ready.challenge }),
+          });
+          var body = await res.json().catch(function () { return {}; });
+          status.textContent = body.message || body.error || "Something went wrong. Please try again.";
+          if (res.ok) return;
+        } catch (err) {
+          status.textContent = err.message;
+        }
+        // Each challenge is accepted once — get another for a retry
+        prepared = prepare();
+        prepared.catch(function () {});
+        button.disabled = false;
+      });
+    })();
+  </script>`;
+
+function confirmPage({ state, email = "", actionUrl = "", resendUrl = "", challengeUrl = "" }) {
+  const button = "background:#00ff9f;color:#0a0e17;border:none;padding:10px 18px;border-radius:4px;font-family:inherit;font-weight:700;cursor:pointer;";
+  const content = {
+    confirm: `
+      <p>Subscribe <strong>${escapeHtml(email)}</strong> to the tzvetomir.dev newsletter?</p>
+      <form method="POST" action="${escapeHtml(actionUrl)}">
+        <button type="submit" style="${button}">Confirm subscription</button>
+      </form>
+      <p style="color:#5a6b7f;font-size:12px;">If this wasn't you, just close this page — you won't hear from us again.</p>
+    `,
+    done: `<p>Welcome aboard! 🐾 До скоро! (See you soon!)</p>`,
+    expired: `
+      <p>This confirmation link has expired (links are valid for ${CONFIRM_TTL_HOURS} hours).</p>
+      <p><button id="resend" type="button" style="${button}" data-resend-url="${escapeHtml(resendUrl)}" data-challenge-url="${escapeHtml(challengeUrl)}">Send me a new link</button></p>
+      <p id="resend-status" role="status" style="color:#5a6b7f;font-size:12px;"></p>
+      ${RESEND_SCRIPT}
+    `,
+    invalid: `<p>This confirmation link is invalid, or it has already been used.</p>`,
+  }[state];
+
+  return layout(content);
+}
+
+// ─── Admin: Team Invite ─────────────────────────────────────────
+// The link opens the admin panel, where they choose a password.
+function adminInviteEmail({ username, role, invitedBy, inviteUrl, expiresAt }) {
+  const expires = new Date(expiresAt).toUTCString();
+
+  return {
+    subject: "You're invited to the tzvetomir.dev admin panel",
+    text: [
+      "Hi!",
+      "",
+      `${invitedBy} invited you to the tzvetomir.dev admin panel as a ${role}.`,
+      `Your username is: ${username}`,
+      "",
+      "Choose a password here to activate your account:",
+      "",
+      inviteUrl,
+      "",
+      `The link works once and expires on ${expires}.`,
+      "If you weren't expecting this, just ignore this email.",
+    ].join("\n"),
+    html: layout(`
+      <p>Hi!</p>
+      <p>${escapeHtml(invitedBy)} invited you to the tzvetomir.dev admin panel as a <strong>${escapeHtml(role)}</strong>.<br>
+      Your username is: <strong>${escapeHtml(username)}</strong></p>
+      <p><a href="${escapeHtml(inviteUrl)}" style="display:inline-block;background:#00ff9f;color:#0a0e17;padding:10px 18px;border-radius:4px;text-decoration:none;font-weight:700;">Choose a password →</a></p>
+      <p style="color:#5a6b7f;font-size:12px;">The link works once and expires on ${escapeHtml(expires)}.<br>
+      If you weren't expecting this, just ignore this email.</p>
+    `),
+  };
+}
+
+module.exports = {
+  apiUrl,
+  escapeHtml,
+  layout,
+  newsletterConfirmEmail,
+  contactNotificationEmail,
+  contactAckEmail,
+  contactReplyEmail,
+  campaignEmail,
+  unsubscribePage,
+  confirmPage,
+  adminInviteEmail,
+};
@@ -0,0 +1,145 @@
+// ═══════════════════════════════════════════════════════════════════
+//  STREAMING EXPORTS — CSV, JSON and NDJSON Downloads
+//
+//  Rows are read in batches of EXPORT_BATCH_SIZE (same createdAt/id
+//  ordering as the paginated lists) and written to the response as
+//  they arrive, so exporting a large table never holds it in memory.
+//  Writing waits for the socket to drain, and stops early if the
+//  client goes away.
+//
+//  Columns are described per resource by the route:
+//    { key, select, value? }
+//  `select` is merged into the Prisma select; `value(row)` derives
+//  the exported value (defaults to row[key]).
+//
+//  CSV is RFC 4180 with CRLF line ends and a UTF-8 BOM (so Excel
+//  reads Cyrillic correctly). Text starting with = + - @ gets a
+//  leading ' so spreadsheets don't run it as a formula.
+// ═══════════════════════════════════════════════════════════════════
+
+const { ORDER_BY, afterCursor } = require("./pagination");
+
+const EXPORT_BATCH_SIZE = 500;
+
+// ─── Reading ────────────────────────────────────────────────────
+async function* batchedRows(model, { where, select }) {
+  let cursor = null;
+  for (;;) {
+    const rows = await model.findMany({
+      where: cursor ? { AND: [where, afterCursor(cursor)] } : where,
+      select: { ...select, id: true, createdAt: true },
+      orderBy: ORDER_BY,
+      take: EXPORT_BATCH_SIZE,
+    });
+    yield* rows;
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+    const last = rows[rows.length - 1];
+    cursor = { createdAt: last.createdAt, id: last.id };
+  }
+}
+
+/**
+ * resolveColumns — picks the requested columns (or all of them, in
+ * definition order) from a resource's definitions. Returns
+ * { columns, select } or { unknown: [...names] } on a bad request.
+ */
+function resolveColumns(definitions, requested) {
+  if (!requested) requested = definitions.map(c => c.key);
+
+  const byKey = new Map(definitions.map(c => [c.key, c]));
+  const unknown = requested.filter(key => !byKey.has(key));
+  if (unknown.length) return { unknown };
+
+  const columns = requested.map(key => byKey.get(key));
+  const select = Object.assign({}, ...columns.map(c => c.select));
+  return { columns, select };
+}
+
+// ─── Formats ────────────────────────────────────────────────────
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) value = value.join("; ");
+  else if (typeof value !== "string") return String(value);
+
+  if (/^[=+\-@\t\r]/.test(value)) value = `'${value}`;
+  return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+const csvLine = (values) => values.map(csvCell).join(",") + "\r\n";
+
+const FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    start: (keys) => "\uFEFF" + csvLine(keys),
+    row: (record, keys) => csvLine(keys.map(key => record[key])),
+    end: "",
+  },
+  json: {
+    contentType: "application/json; charset=utf-8",
+    start: () => "[\n",
+    row: (record, keys, index) => (index ? ",\n" : "") + JSON.stringify(record),
+    end: "\n]\n",
+  },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    start: () => "",
+    row: (record) => JSON.stringify(record) + "\n",
+    end: "",
+  },
+};
+
+// Resolves once the socket wants more data (or has closed)
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+/**
+ * streamExport — writes every row matching `where` to `res` as a
+ * `format` download named `${filename}.${format}`.
+ *
+ * The first batch is read before any headers go out, so a failing
+ * query can still be answered with a normal JSON error by the caller.
+ * Errors after that point leave the response half-written; callers
+ * should destroy it (see routes/adminExport.js).
+ */
+async function streamExport(res, { model, where, columns, select, format, filename }) {
+  const { contentType, start, row, end } = FORMATS[format];
+  const keys = columns.map(c => c.key);
+  const rows = batchedRows(model, { where, select });
+
+  let next = await rows.next();
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  const write = async (chunk) => {
+    if (chunk && !res.write(chunk)) await drained(res);
+  };
+
+  await write(start(keys));
+  for (let index = 0; !next.done; index++) {
+    if (res.destroyed) return rows.return();
+
+    const record = Object.fromEntries(columns.map(c => [c.key, c.value ? c.value(next.value) : next.value[c.key]]));
+    await write(row(record, keys, index));
+    next = await rows.next();
+  }
+  await write(end);
+  res.end();
+}
+
+module.exports = {
+  EXPORT_BATCH_SIZE,
+  resolveColumns,
+  streamExport,
+};
@@ -0,0 +1,212 @@
+// ═══════════════════════════════════════════════════════════════════
+//  GUESTBOOK FEEDS — Atom, RSS 2.0 and JSON Feed 1.1
+//
+//  Lets visitors follow new guestbook entries in a feed reader. The
+//  routes (routes/guestbook.js) fetch the latest public entries; this
+//  module only turns them into documents:
+//
+//    atom  → /api/guestbook/feed.xml   (application/atom+xml)
+//    rss   → /api/guestbook/rss.xml    (application/rss+xml)
+//    json  → /api/guestbook/feed.json  (application/feed+json)
+//
+//  Names and messages are whatever visitors typed — Cyrillic, emoji,
+//  stray control characters. Every document is plain ASCII: anything
+//  else goes out as a character reference (&#x1F43E; in XML, \uXXXX
+//  in JSON), so a reader or proxy that ignores the charset can't
+//  mangle it. Characters XML can't carry at all are dropped, and
+//  titles are cut on code points, never through the middle of an
+//  emoji.
+//
+//  Links point at PUBLIC_SITE_URL (the site) and PUBLIC_API_URL (the
+//  feeds themselves), like the email templates.
+// ═══════════════════════════════════════════════════════════════════
+
+const FEED_SIZE = 50;          // Entries per feed, newest first
+const TITLE_CHARS = 60;        // Message excerpt in each entry's title
+
+const FEED_TITLE = "tzvetomir.dev — Guestbook";
+const FEED_DESCRIPTION = "New messages left in the guestbook on tzvetomir.dev.";
+const FEED_AUTHOR = "tzvetomir.dev";
+
+const PUBLIC_SITE_URL = (process.env.PUBLIC_SITE_URL
+  || (process.env.ALLOWED_ORIGINS || "http://localhost:5173").split(",")[0].trim()).replace(/\/+$/, "");
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL
+  || `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, "");
+
+const feedUrl = (file) => `${PUBLIC_API_URL}/api/guestbook/${file}`;
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  ESCAPING
+// ═══════════════════════════════════════════════════════════════════
+
+// Outside XML 1.0's Char production — control characters, lone
+// surrogates, U+FFFE/U+FFFF. An XML feed containing one is rejected
+// whole; the JSON feed drops them too, for readers that would choke.
+const INVALID_CHARS = /[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+/**
+ * escapeXml — text safe for an XML element or attribute, in ASCII.
+ * The u flag makes an emoji one match (&#x1F43E;), not two broken
+ * surrogate halves.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_CHARS, "")
+    .replace(/[&<>"']/g, char => XML_ENTITIES[char])
+    .replace(/[\u{80}-\u{10FFFF}]/gu, char => `&#x${char.codePointAt(0).toString(16).toUpperCase()};`);
+}
+
+/**
+ * jsonAscii — JSON.stringify without INVALID_CHARS and with
+ * everything past ASCII as \uXXXX (emoji become their surrogate pair,
+ * as JSON requires).
+ */
+function jsonAscii(value) {
+  const clean = (key, item) => (typeof item === "string" ? item.replace(INVALID_CHARS, "") : item);
+  return JSON.stringify(value, clean, 2)
+    .replace(/[\u007F-\uFFFF]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`);
+}
+
+// Cuts on code points so an emoji is never split in half
+function excerpt(text, max) {
+  const chars = Array.from(text.replace(/\s+/g, " ").trim());
+  return chars.length > max ? `${chars.slice(0, max - 1).join("")}…` : chars.join("");
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  BUILDERS
+//  Each takes entries as { id, name, message, createdAt, moderatedAt }
+//  from GuestbookEntry, newest first.
+// ═══════════════════════════════════════════════════════════════════
+
+// When an entry went public — approval for held entries
+const publishedAt = (entry) => entry.moderatedAt && entry.moderatedAt > entry.createdAt
+  ? entry.moderatedAt
+  : entry.createdAt;
+
+/**
+ * lastModified — when the newest entry in the feed went public, or
+ * null for an empty feed.
+ */
+function lastModified(entries) {
+  return entries.reduce((latest, entry) => {
+    const at = publishedAt(entry);
+    return !latest || at > latest ? at : latest;
+  }, null);
+}
+
+const entryTitle = (entry) => `${entry.name}: ${excerpt(entry.message, TITLE_CHARS)}`;
+
+// Stable across domain moves and feed formats
+const entryId = (entry) => `tag:tzvetomir.dev,2024:guestbook/${entry.id}`;
+
+function atomFeed(entries) {
+  const updated = (lastModified(entries) || new Date(0)).toISOString();
+  const items = entries.map(entry => `  <entry>
+    <id>${escapeXml(entryId(entry))}</id>
+    <title type="text">${escapeXml(entryTitle(entry))}</title>
+    <author><name>${escapeXml(entry.name)}</name></author>
+    <published>${entry.createdAt.toISOString()}</published>
+    <updated>${publishedAt(entry).toISOString()}</updated>
+    <content type="text">${escapeXml(entry.message)}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feedUrl("feed.xml"))}</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(FEED_AUTHOR)}</name></author>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl("feed.xml"))}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(PUBLIC_SITE_URL)}/"/>
+${items.map(item => `${item}\n`).join("")}</feed>
+`;
+}
+
+function rssFeed(entries) {
+  const updated = lastModified(entries);
+  const items = entries.map(entry => `    <item>
+      <guid isPermaLink="false">${escapeXml(entryId(entry))}</guid>
+      <title>${escapeXml(entryTitle(entry))}</title>
+      <dc:creator>${escapeXml(entry.name)}</dc:creator>
+      <description>${escapeXml(entry.message)}</description>
+      <pubDate>${publishedAt(entry).toUTCString()}</pubDate>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(FEED_TITLE)}</title>
+    <link>${escapeXml(PUBLIC_SITE_URL)}/</link>
+    <description>${escapeXml(FEED_DESCRIPTION)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feedUrl("rss.xml"))}"/>${updated ? `
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>` : ""}
+${items.map(item => `${item}\n`).join("")}  </channel>
+</rss>
+`;
+}
+
+function jsonFeed(entries) {
+  return `${jsonAscii({
+    version: "https://jsonfeed.org/version/1.1",
+    title: FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    home_page_url: `${PUBLIC_SITE_URL}/`,
+    feed_url: feedUrl("feed.json"),
+    authors: [{ name: FEED_AUTHOR }],
+    items: entries.map(entry => ({
+      id: entryId(entry),
+      title: entryTitle(entry),
+      content_text: entry.message,
+      date_published: publishedAt(entry).toISOString(),
+      authors: [{ name: entry.name }],
+    })),
+  })}\n`;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  CONDITIONAL REQUESTS
+// ═══════════════════════════════════════════════════════════════════
+
+// Weak comparison — W/"abc" and "abc" match
+const opaqueTag = (tag) => tag.trim().replace(/^W\//, "");
+
+/**
+ * notModified — whether the reader's copy is current (RFC 9110 §13.2):
+ * If-None-Match when sent, If-Modified-Since otherwise. Unlike
+ * Express's req.fresh this ignores a request's Cache-Control:
+ * no-cache, which only tells caches in between to revalidate — some
+ * readers send it with every poll.
+ */
+function notModified(req, { etag, modified }) {
+  const ifNoneMatch = req.get("If-None-Match");
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === "*"
+      || ifNoneMatch.split(",").some(tag => opaqueTag(tag) === opaqueTag(etag));
+  }
+
+  const since = Date.parse(req.get("If-Modified-Since") || "");
+  // Last-Modified has whole seconds; compare on the same footing
+  return Boolean(modified) && !isNaN(since) && Math.floor(modified.getTime() / 1000) * 1000 <= since;
+}
+
+// Format → how to serve it
+const FEEDS = {
+  atom: { contentType: "application/atom+xml; charset=utf-8", render: atomFeed },
+  rss: { contentType: "application/rss+xml; charset=utf-8", render: rssFeed },
+  json: { contentType: "application/feed+json; charset=utf-8", render: jsonFeed },
+};
+
+module.exports = {
+  FEED_SIZE,
+  FEEDS,
+  escapeXml,
+  lastModified,
+  notModified,
+};
@@ -15,6 +15,10 @@
 //
 //  Then paste the output into your .env:
 //    ADMIN_PASSWORD_HASH=$2b$12$...
+//
+//  The server also requires this file for hashPassword(), so team
+//  members' passwords (see utils/adminUsers.js) are hashed exactly
+//  like the bootstrap owner's.
 // ═══════════════════════════════════════════════════════════════════
 
 const bcrypt = require("bcrypt");
@@ -22,8 +26,15 @@ const readline = require("readline");
 
 const SALT_ROUNDS = 12;   // Industry standard — ~250ms per hash on modern hardware
 
+/**
+ * hashPassword — bcrypt hash of a plaintext password.
+ */
+function hashPassword(plaintext) {
+  return bcrypt.hash(plaintext, SALT_ROUNDS);
+}
+
 async function hashFromArg(plaintext) {
-  const hash = await bcrypt.hash(plaintext, SALT_ROUNDS);
+  const hash = await hashPassword(plaintext);
 
   console.log(`
   ╔═══════════════════════════════════════════════════╗
@@ -107,7 +118,12 @@ async function main() {
   });
 }
 
-main().catch(err => {
-  console.error("  ✗ Error:", err.message);
-  process.exit(1);
-});
+// Only prompt when run directly, not when required by the server
+if (require.main === module) {
+  main().catch(err => {
+    console.error("  ✗ Error:", err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { SALT_ROUNDS, hashPassword };
@@ -0,0 +1,102 @@
+// ═══════════════════════════════════════════════════════════════════
+//  IP PSEUDONYMS — Store a Stand-In, Never the Address
+//
+//  Public submissions (guestbook entries, contact messages, newsletter
+//  sign-ups) keep a pseudonym of the sender's IP so repeat posters can
+//  be spotted — spam scoring, the blocklist, the admin "IP tag" —
+//  without the raw address ever reaching the database.
+//
+//  A plain SHA-256 of the IP isn't enough: there are only 2³² IPv4
+//  addresses, so the whole space can be hashed in minutes and every
+//  stored value turned back into an address. The pseudonym is an
+//  HMAC under a server secret instead, and the key rotates:
+//
+//    periodKey  = HMAC(IP_HASH_SECRET, "period:<n>")
+//    pseudonym  = HMAC(periodKey, SHA-256(ip))
+//
+//  where n counts IP_HASH_ROTATION_HOURS-long periods (a day by
+//  default) since the epoch. The same IP gets the same pseudonym
+//  within a period, so same-day correlation keeps working, and a new
+//  one after — even with the secret, linking a sender across days
+//  means brute-forcing each day separately.
+//
+//  The inner SHA-256 lets prisma/migrate-ip-hashes.js re-key the
+//  plain hashes stored before this, into the pseudonym for the period
+//  each row was created in.
+//
+//  Rate limiters count by limiterKeyFor() instead — see below.
+// ═══════════════════════════════════════════════════════════════════
+
+const crypto = require("crypto");
+
+// A missing secret stops the server at startup: a key anyone knows
+// would make the pseudonyms as reversible as the plain hashes
+if (!process.env.IP_HASH_SECRET && !process.env.JWT_SECRET) {
+  throw new Error("IP_HASH_SECRET (or JWT_SECRET) must be set — visitors' IPs are stored as HMAC pseudonyms under it.");
+}
+const SECRET = process.env.IP_HASH_SECRET || `ip-hash:${process.env.JWT_SECRET}`;
+const ROTATION_MS = (parseInt(process.env.IP_HASH_ROTATION_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Index of the rotation period `date` falls in
+function periodOf(date = new Date()) {
+  return Math.floor(new Date(date).getTime() / ROTATION_MS);
+}
+
+// When the period `date` falls in ends — pseudonyms from it stop
+// matching new requests from then on
+function periodEnd(date = new Date()) {
+  return new Date((periodOf(date) + 1) * ROTATION_MS);
+}
+
+function periodKey(period) {
+  return crypto.createHmac("sha256", SECRET).update(`period:${period}`).digest();
+}
+
+/**
+ * pseudonymFromHash — the pseudonym for an IP given its plain SHA-256
+ * (hex), in the period `date` falls in. Used directly by the migration.
+ */
+function pseudonymFromHash(sha256Hex, date = new Date()) {
+  return crypto.createHmac("sha256", periodKey(periodOf(date))).update(sha256Hex).digest("hex");
+}
+
+// SHA-256 (hex) of the sender's IP — never stored as is
+function ipSha256(req) {
+  const ip = req.ip || req.connection.remoteAddress || "unknown";
+  return crypto.createHash("sha256").update(ip).digest("hex");
+}
+
+/**
+ * ipHashFor — the sender's pseudonym for the current period (64 hex
+ * characters, the same shape as the plain hashes it replaces).
+ */
+function ipHashFor(req) {
+  return pseudonymFromHash(ipSha256(req));
+}
+
+// ─── Rate Limit Keys ────────────────────────────────────────────
+// A limiter keyed on the pseudonym would forget every count when the
+// period turns over, handing out a fresh allowance mid-window. Its key
+// is an HMAC under a key of its own that doesn't rotate. Keeping that
+// is fine where the pseudonym isn't: the key is only ever stored in
+// rate_limit_hits, whose rows are swept soon after their window (an
+// hour at most) ends, so it never links a sender's submissions across
+// periods.
+const LIMITER_KEY = crypto.createHmac("sha256", SECRET).update("rate-limit").digest();
+
+/**
+ * limiterKeyFor — the sender's key for the rate limiters (64 hex
+ * characters). The same IP gets the same key in every period.
+ */
+function limiterKeyFor(req) {
+  return crypto.createHmac("sha256", LIMITER_KEY).update(ipSha256(req)).digest("hex");
+}
+
+module.exports = {
+  ROTATION_MS,
+  ipHashFor,
+  limiterKeyFor,
+  periodEnd,
+  periodOf,
+  pseudonymFromHash,
+};
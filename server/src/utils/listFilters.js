@@ -0,0 +1,95 @@
+// ═══════════════════════════════════════════════════════════════════
+//  LIST FILTERS — Query Params → Prisma `where`
+//
+//  Each builder takes the validated query (see the *ListSchema
+//  objects in validation.js) and returns a Prisma where clause.
+//  Keeping them in one place means every consumer of a list — the
+//  page endpoints now, exports later — filters the same way.
+//
+//  None of them ever match trashed rows (see utils/trash.js).
+// ═══════════════════════════════════════════════════════════════════
+
+const { dateRange } = require("./pagination");
+const { confirmExpiryCutoff } = require("./newsletterTokens");
+const { NOT_TRASHED } = require("./trash");
+
+// ─── Guestbook ──────────────────────────────────────────────────
+// The public list passes { publicOnly: true } and always sees only
+// approved, visible entries, whatever the query says.
+function guestbookWhere(query, { publicOnly = false } = {}) {
+  const where = { ...NOT_TRASHED, ...dateRange(query.from, query.to) };
+
+  if (publicOnly) {
+    where.visible = true;
+    where.status = "approved";
+    return where;
+  }
+
+  if (query.visibility === "visible") where.visible = true;
+  else if (query.visibility === "hidden") where.visible = false;
+
+  if (query.status && query.status !== "all") where.status = query.status;
+
+  return where;
+}
+
+// ─── Contact Messages ───────────────────────────────────────────
+// Defaults (from adminContactListSchema) show the inbox: not archived,
+// spam left out.
+function contactWhere(query) {
+  const where = { ...NOT_TRASHED, ...dateRange(query.from, query.to) };
+
+  if (query.status && query.status !== "all") where.status = query.status;
+  if (query.label) where.labels = { some: { id: query.label } };
+
+  if (query.read === "read") where.read = true;
+  else if (query.read === "unread") where.read = false;
+
+  if (query.archived === "true") where.archived = true;
+  else if (query.archived !== "all") where.archived = false;
+
+  if (query.spam === "only") where.spamVerdict = "spam";
+  else if (query.spam !== "include") where.spamVerdict = { not: "spam" };
+
+  return where;
+}
+
+// ─── Newsletter Subscribers ─────────────────────────────────────
+// Status mirrors subscriberStatus() in newsletterTokens.js: pending
+// subscribers are split by whether their confirm link still works.
+function subscriberWhere(query) {
+  const where = { ...NOT_TRASHED, ...dateRange(query.from, query.to) };
+  const pending = { confirmed: false, unsubAt: null };
+  const linkExpired = [
+    { confirmTokenIssuedAt: null },
+    { confirmTokenIssuedAt: { lt: confirmExpiryCutoff() } },
+  ];
+
+  if (query.status === "unsubscribed") where.unsubAt = { not: null };
+  else if (query.status === "confirmed") Object.assign(where, { confirmed: true, unsubAt: null });
+  else if (query.status === "pending") {
+    Object.assign(where, pending, { confirmTokenIssuedAt: { gte: confirmExpiryCutoff() } });
+  }
+  else if (query.status === "pending_expired") Object.assign(where, pending, { OR: linkExpired });
+
+  return where;
+}
+
+// ─── Admin Audit Log ────────────────────────────────────────────
+function auditWhere(query) {
+  const where = { ...dateRange(query.from, query.to) };
+
+  if (query.action) where.action = { startsWith: query.action };
+  if (query.actor) where.actor = { equals: query.actor, mode: "insensitive" };
+  if (query.targetType) where.targetType = query.targetType;
+  if (query.targetId) where.targetId = query.targetId;
+
+  return where;
+}
+
+module.exports = {
+  guestbookWhere,
+  contactWhere,
+  subscriberWhere,
+  auditWhere,
+};
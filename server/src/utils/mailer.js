@@ -0,0 +1,344 @@
+// ═══════════════════════════════════════════════════════════════════
+//  MAILER — Outbound Email with Swappable Transports
+//
+//  Every email goes through the same path:
+//    1. queueMail() writes an EmailMessage row (the outbox)
+//    2. The row is handed to the active transport in the background
+//    3. On failure the row is marked "retrying" with a backoff, and
+//       the retry worker (started from index.js) tries again later
+//
+//  Transports (pick one with MAIL_TRANSPORT):
+//    resend  → Resend HTTP API (needs RESEND_API_KEY)
+//    smtp    → Any SMTP server via nodemailer (SMTP_HOST, SMTP_PORT, ...)
+//    file    → Writes each email as JSON into MAIL_OUTPUT_DIR (dev/tests)
+//    console → Logs each email to stdout (default when nothing is set)
+//
+//  Usage in route files:
+//    const { queueMail } = require("../utils/mailer");
+//    await queueMail({ to, subject, text, html, category: "contact_notify" });
+//
+//  Batch senders that want to pace themselves use sendMail(), which
+//  resolves after the first delivery attempt instead of immediately.
+//  Bulk jobs that shouldn't hit the provider all at once pass
+//  { defer: true } to queueMail(): the row is left for the worker,
+//  which works through the outbox 25 emails a minute.
+//
+//  queueMail() never throws because of a delivery problem — a visitor's
+//  request should not fail just because the email provider is down.
+// ═══════════════════════════════════════════════════════════════════
+
+const fs = require("fs/promises");
+const path = require("path");
+const prisma = require("./prisma");
+
+const MAIL_FROM = process.env.MAIL_FROM || "tzvetomir.dev <hello@tzvetomir.dev>";
+const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const MAIL_RETRY_INTERVAL_MS = 60 * 1000;   // Worker tick: once a minute
+
+// Backoff between attempts: 1 min, 5 min, 30 min, 2 h, then 12 h
+const RETRY_DELAYS_MS = [60e3, 5 * 60e3, 30 * 60e3, 2 * 60 * 60e3, 12 * 60 * 60e3];
+
+// A row stuck in "pending"/"sending" this long means the process died
+// mid-delivery — the worker treats it as due for another attempt.
+const STALE_AFTER_MS = 10 * 60 * 1000;
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  TRANSPORTS
+//
+//  A transport is an object with a name and an async send(message)
+//  that resolves to { providerId } or throws on failure.
+// ═══════════════════════════════════════════════════════════════════
+
+// RFC 8058 one-click unsubscribe: mail apps show their own
+// "Unsubscribe" button and POST to the URL when it's pressed.
+function listUnsubscribeHeaders(message) {
+  if (!message.listUnsubscribe) return undefined;
+  return {
+    "List-Unsubscribe": `<${message.listUnsubscribe}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+const transportFactories = {
+  // ─── Resend HTTP API ──────────────────────────────────────────
+  resend: () => {
+    const apiKey = process.env.RESEND_API_KEY;
+    if (!apiKey) throw new Error("MAIL_TRANSPORT=resend requires RESEND_API_KEY.");
+
+    return {
+      name: "resend",
+      async send(message) {
+        const res = await fetch("https://api.resend.com/emails", {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            from: message.from,
+            to: [message.to],
+            reply_to: message.replyTo || undefined,
+            subject: message.subject,
+            text: message.text,
+            html: message.html || undefined,
+            headers: listUnsubscribeHeaders(message),
+          }),
+        });
+
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          throw new Error(`Resend responded ${res.status}: ${body.message || res.statusText}`);
+        }
+        return { providerId: body.id || null };
+      },
+    };
+  },
+
+  // ─── SMTP (nodemailer) ────────────────────────────────────────
+  smtp: () => {
+    // Required lazily so the other transports work without it installed
+    const nodemailer = require("nodemailer");
+    if (!process.env.SMTP_HOST) throw new Error("MAIL_TRANSPORT=smtp requires SMTP_HOST.");
+
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",   // true for port 465
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+
+    return {
+      name: "smtp",
+      async send(message) {
+        const info = await transporter.sendMail({
+          from: message.from,
+          to: message.to,
+          replyTo: message.replyTo || undefined,
+          subject: message.subject,
+          text: message.text,
+          html: message.html || undefined,
+          headers: listUnsubscribeHeaders(message),
+        });
+        return { providerId: info.messageId || null };
+      },
+    };
+  },
+
+  // ─── File (dev/tests) ─────────────────────────────────────────
+  // One JSON file per email — easy to open, grep, or assert against.
+  file: () => {
+    const dir = path.resolve(process.env.MAIL_OUTPUT_DIR || "tmp/mail");
+
+    return {
+      name: "file",
+      async send(message) {
+        await fs.mkdir(dir, { recursive: true });
+        const fileName = `${Date.now()}-${message.id}.json`;
+        await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+        return { providerId: fileName };
+      },
+    };
+  },
+
+  // ─── Console (default) ────────────────────────────────────────
+  console: () => ({
+    name: "console",
+    async send(message) {
+      console.log(`[Mailer] ✉  ${message.category} → ${message.to}`);
+      console.log(`         Subject: ${message.subject}`);
+      console.log(message.text.split("\n").map(line => `         ${line}`).join("\n"));
+      return { providerId: null };
+    },
+  }),
+};
+
+let activeTransport = null;
+
+/**
+ * registerTransport — plug in a custom transport factory.
+ * The factory is called once, the first time an email is sent.
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  if (activeTransport && activeTransport.name === name) activeTransport = null;
+}
+
+/**
+ * getTransport — resolves MAIL_TRANSPORT to a transport instance.
+ * Falls back to Resend when RESEND_API_KEY is set, console otherwise.
+ */
+function getTransport() {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.MAIL_TRANSPORT
+    || (process.env.RESEND_API_KEY ? "resend" : "console");
+
+  const factory = transportFactories[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}".`);
+
+  activeTransport = factory();
+  return activeTransport;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  DELIVERY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * deliver — attempts one send of an outbox row and records the result.
+ *
+ * The row is first "claimed" by flipping its status to "sending" with
+ * a conditional update (status + updatedAt must still match what we
+ * read), so two server instances never send the same row twice.
+ */
+async function deliver(row) {
+  const claimed = await prisma.emailMessage.updateMany({
+    where: { id: row.id, status: row.status, updatedAt: row.updatedAt },
+    data: { status: "sending" },
+  });
+  if (claimed.count === 0) return null;   // Someone else got it first
+
+  const attempts = row.attempts + 1;
+  let transportName = null;
+
+  try {
+    const transport = getTransport();
+    transportName = transport.name;
+    const { providerId } = await transport.send(row);
+
+    return await prisma.emailMessage.update({
+      where: { id: row.id },
+      data: {
+        status: "sent",
+        attempts,
+        transport: transportName,
+        providerId,
+        lastError: null,
+        nextAttemptAt: null,
+        sentAt: new Date(),
+      },
+    });
+  } catch (err) {
+    const exhausted = attempts >= MAIL_MAX_ATTEMPTS;
+    const delay = RETRY_DELAYS_MS[Math.min(attempts - 1, RETRY_DELAYS_MS.length - 1)];
+
+    console.error(`[Mailer] Send #${row.id} failed (attempt ${attempts}):`, err.message);
+
+    return prisma.emailMessage.update({
+      where: { id: row.id },
+      data: {
+        status: exhausted ? "failed" : "retrying",
+        attempts,
+        transport: transportName,
+        lastError: err.message.slice(0, 2000),
+        nextAttemptAt: exhausted ? null : new Date(Date.now() + delay),
+      },
+    });
+  }
+}
+
+// Writes an email into the outbox table, ready for deliver().
+// A nextAttemptAt hands the row to the worker instead.
+function createOutboxRow({ to, subject, text, html, replyTo, listUnsubscribe, category }, nextAttemptAt = null) {
+  return prisma.emailMessage.create({
+    data: {
+      to,
+      from: MAIL_FROM,
+      replyTo: replyTo || null,
+      subject,
+      text,
+      html: html || null,
+      listUnsubscribe: listUnsubscribe || null,
+      category,
+      nextAttemptAt,
+    },
+  });
+}
+
+/**
+ * queueMail — records an email in the outbox and starts delivery.
+ *
+ * Resolves once the row is saved (not when the email is delivered).
+ * Returns the saved row, or null if even the outbox write failed.
+ * With { defer: true } delivery is left to the worker's next pass.
+ */
+async function queueMail(message, { defer = false } = {}) {
+  try {
+    const row = await createOutboxRow(message, defer ? new Date() : null);
+    if (defer) return row;
+
+    // Deliver in the background — the request doesn't wait on the provider
+    deliver(row).catch(err => {
+      console.error(`[Mailer] Delivery of #${row.id} crashed:`, err.message);
+    });
+
+    return row;
+  } catch (err) {
+    console.error(`[Mailer] Failed to queue ${message.category} email:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * sendMail — like queueMail, but waits for the first delivery attempt.
+ *
+ * Used by batch senders (campaigns) that want to pace themselves and
+ * know the outcome. A failed attempt is still retried by the worker.
+ * Resolves to the updated outbox row; only throws if the write fails.
+ */
+async function sendMail(message) {
+  const row = await createOutboxRow(message);
+  return (await deliver(row)) || row;
+}
+
+/**
+ * retryDueEmails — one pass of the retry worker.
+ * Picks up rows whose backoff has elapsed, deferred rows, and rows
+ * abandoned mid-send.
+ */
+async function retryDueEmails() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_AFTER_MS);
+
+  const due = await prisma.emailMessage.findMany({
+    where: {
+      OR: [
+        { status: { in: ["retrying", "pending"] }, nextAttemptAt: { lte: now } },
+        { status: { in: ["pending", "sending"] }, updatedAt: { lt: staleBefore } },
+      ],
+    },
+    orderBy: { createdAt: "asc" },
+    take: 25,
+  });
+
+  for (const row of due) {
+    await deliver(row);
+  }
+  return due.length;
+}
+
+/**
+ * startMailWorker — runs retryDueEmails() on an interval.
+ * The timer is unref'd so it never keeps the process alive on shutdown.
+ */
+function startMailWorker() {
+  const timer = setInterval(() => {
+    retryDueEmails().catch(err => {
+      console.error("[Mailer] Retry worker error:", err.message);
+    });
+  }, MAIL_RETRY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  queueMail,
+  sendMail,
+  retryDueEmails,
+  startMailWorker,
+  registerTransport,
+};
@@ -0,0 +1,74 @@
+// ═══════════════════════════════════════════════════════════════════
+//  MARKDOWN RENDERING
+//
+//  Thin wrapper around `marked` so every Markdown → HTML conversion
+//  in the server uses the same options.
+//
+//  renderMarkdown()     → newsletter emails (what the admin wrote, as is)
+//  renderSafeMarkdown() → HTML served to browsers (blog posts), run
+//                         through sanitize-html: no scripts, event
+//                         handlers, iframes, styles or javascript: links,
+//                         even if the Markdown contains raw HTML
+//
+//  Usage:
+//    const { renderMarkdown } = require("../utils/markdown");
+//    const html = renderMarkdown(campaign.bodyMarkdown);
+// ═══════════════════════════════════════════════════════════════════
+
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+// A private instance so options never leak into other marked users
+const marked = new Marked({
+  gfm: true,       // GitHub-flavored: tables, strikethrough, autolinks
+  breaks: true,    // Single newlines become <br> — matches how people write emails
+});
+
+// What marked produces, minus anything that could run or restyle the
+// page. Everything else is dropped; the text inside is kept.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1", "h2", "h3", "h4", "h5", "h6", "p", "br", "hr", "blockquote",
+    "ul", "ol", "li", "pre", "code", "em", "strong", "del", "s", "sub", "sup",
+    "a", "img", "table", "thead", "tbody", "tr", "th", "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel"],
+    img: ["src", "alt", "title", "loading"],
+    th: ["align"],
+    td: ["align"],
+    ol: ["start"],
+  },
+  allowedClasses: { code: ["language-*"] },   // Fenced code block languages, for highlighting
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer" }),
+    img: sanitizeHtml.simpleTransform("img", { loading: "lazy" }),
+  },
+};
+
+function renderMarkdown(markdown) {
+  return marked.parse(markdown || "");
+}
+
+function renderSafeMarkdown(markdown) {
+  return sanitizeHtml(renderMarkdown(markdown), SANITIZE_OPTIONS);
+}
+
+// sanitize-html escapes the text it keeps; these undo it
+const TEXT_ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'" };
+
+/**
+ * htmlToText — the visible text of rendered HTML, whitespace
+ * collapsed. For excerpts and word counts, never for output as HTML.
+ */
+function htmlToText(html) {
+  return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&(amp|lt|gt|quot|#39);/g, entity => TEXT_ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+module.exports = { renderMarkdown, renderSafeMarkdown, htmlToText };
@@ -0,0 +1,43 @@
+// ═══════════════════════════════════════════════════════════════════
+//  GUESTBOOK MODERATION — Pre-Moderation Decisions
+//
+//  Every new guestbook entry gets a moderation status:
+//    pending  → waiting in the admin queue, not public
+//    approved → public (unless the admin hides it)
+//    rejected → never shown, kept for reference
+//
+//  Which status a new entry starts in depends on the site-wide mode
+//  (setting "guestbook.moderationMode") and the spam verdict from
+//  utils/spamScore.js:
+//    open            → approved straight away
+//    hold_all        → always pending
+//    hold_suspicious → pending if the spam scorer flagged it
+//  Whatever the mode, a "spam" verdict holds the entry and hides it.
+// ═══════════════════════════════════════════════════════════════════
+
+const { getSetting } = require("./settings");
+
+const MODERATION_MODES = ["open", "hold_all", "hold_suspicious"];
+const MODERATION_STATUSES = ["pending", "approved", "rejected"];
+
+/**
+ * initialStatus — decides where a new entry starts, given its spam
+ * verdict ("clean" | "flagged" | "spam"). Returns { status, visible }.
+ */
+async function initialStatus(verdict) {
+  if (verdict === "spam") return { status: "pending", visible: false };
+
+  const mode = await getSetting("guestbook.moderationMode");
+
+  if (mode === "hold_all" || (mode === "hold_suspicious" && verdict === "flagged")) {
+    return { status: "pending", visible: true };
+  }
+
+  return { status: "approved", visible: true };
+}
+
+module.exports = {
+  MODERATION_MODES,
+  MODERATION_STATUSES,
+  initialStatus,
+};
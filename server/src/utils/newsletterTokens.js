@@ -0,0 +1,104 @@
+// ═══════════════════════════════════════════════════════════════════
+//  NEWSLETTER TOKENS — Confirm & Unsubscribe Links
+//
+//  Neither token is stored in plaintext. The database only holds a
+//  SHA-256 hash, so a leaked table can't be used to confirm or
+//  unsubscribe anyone.
+//
+//  Confirm tokens are random, single-use, and expire after
+//  NEWSLETTER_CONFIRM_TTL_HOURS (default 48) — confirmTokenIssuedAt
+//  records when the current one was sent.
+//
+//  Unsubscribe tokens have to appear in every campaign email, so they
+//  are derived instead of stored: HMAC(secret, email + unsubNonce).
+//  Rotating the nonce (on resubscribe) invalidates old links.
+// ═══════════════════════════════════════════════════════════════════
+
+const crypto = require("crypto");
+
+const CONFIRM_TTL_HOURS = parseFloat(process.env.NEWSLETTER_CONFIRM_TTL_HOURS) || 48;
+const CONFIRM_TTL_MS = CONFIRM_TTL_HOURS * 60 * 60 * 1000;
+
+// Falls back to JWT_SECRET so existing deployments keep working,
+// but a dedicated secret means rotating one doesn't break the other.
+const TOKEN_SECRET = process.env.NEWSLETTER_TOKEN_SECRET || process.env.JWT_SECRET;
+
+function generateToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// ─── Confirm Tokens ─────────────────────────────────────────────
+
+/**
+ * issueConfirmToken — a fresh confirm token.
+ * Returns the plaintext (for the email) and the fields to store.
+ */
+function issueConfirmToken() {
+  const token = generateToken();
+  return {
+    token,
+    fields: { confirmToken: hashToken(token), confirmTokenIssuedAt: new Date() },
+  };
+}
+
+// Anything issued before this moment has expired
+function confirmExpiryCutoff(now = new Date()) {
+  return new Date(now.getTime() - CONFIRM_TTL_MS);
+}
+
+// A missing issue time means a pre-expiry legacy token — treat as expired
+function isConfirmTokenExpired(sub, now = new Date()) {
+  return !sub.confirmTokenIssuedAt || sub.confirmTokenIssuedAt < confirmExpiryCutoff(now);
+}
+
+// ─── Unsubscribe Tokens ─────────────────────────────────────────
+
+/**
+ * unsubTokenFor — the plaintext unsubscribe token for a subscriber.
+ * Needs { email, unsubNonce }.
+ */
+function unsubTokenFor({ email, unsubNonce }) {
+  if (!TOKEN_SECRET) {
+    throw new Error("NEWSLETTER_TOKEN_SECRET (or JWT_SECRET) must be set to build unsubscribe links.");
+  }
+  return crypto
+    .createHmac("sha256", TOKEN_SECRET)
+    .update(`unsub:${email}:${unsubNonce}`)
+    .digest("hex");
+}
+
+/**
+ * issueUnsubToken — rotates the nonce and returns the fields to store.
+ * Any previously emailed unsubscribe link stops working.
+ */
+function issueUnsubToken(email) {
+  const unsubNonce = crypto.randomBytes(16).toString("hex");
+  return {
+    unsubNonce,
+    unsubToken: hashToken(unsubTokenFor({ email, unsubNonce })),
+  };
+}
+
+// ─── Subscriber Status ──────────────────────────────────────────
+// Single source of truth for the labels shown in the admin panel.
+//   confirmed | unsubscribed | pending | pending_expired
+function subscriberStatus(sub, now = new Date()) {
+  if (sub.unsubAt) return "unsubscribed";
+  if (sub.confirmed) return "confirmed";
+  return isConfirmTokenExpired(sub, now) ? "pending_expired" : "pending";
+}
+
+module.exports = {
+  CONFIRM_TTL_HOURS,
+  hashToken,
+  issueConfirmToken,
+  confirmExpiryCutoff,
+  isConfirmTokenExpired,
+  unsubTokenFor,
+  issueUnsubToken,
+  subscriberStatus,
+};
@@ -0,0 +1,97 @@
+// ═══════════════════════════════════════════════════════════════════
+//  CURSOR PAGINATION — Shared List Helpers
+//
+//  Lists are ordered newest first by (createdAt, id). The cursor is an
+//  opaque base64url string encoding the last row's createdAt and id,
+//  so pages stay stable even while new rows are being inserted, and
+//  a deleted row never breaks the next page.
+//
+//  Lists sorted by another date pass `dateField` (blog posts go by
+//  publishedAt); the cursor then holds that date instead.
+//
+//  Usage in route files:
+//    const { paginate } = require("../utils/pagination");
+//    const page = await paginate(prisma.guestbookEntry, { where, select, limit, cursor });
+//    res.json(page);   // → { entries: [...], total, nextCursor }
+// ═══════════════════════════════════════════════════════════════════
+
+const ORDER_BY = [{ createdAt: "desc" }, { id: "desc" }];
+
+const orderBy = (dateField) => [{ [dateField]: "desc" }, { id: "desc" }];
+
+function encodeCursor(row, dateField = "createdAt") {
+  return Buffer.from(JSON.stringify([row[dateField].toISOString(), row.id])).toString("base64url");
+}
+
+/**
+ * decodeCursor — returns { createdAt, id }, or null if the string
+ * isn't a cursor we issued (callers respond with 400).
+ */
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const date = new Date(createdAt);
+    if (isNaN(date.getTime()) || !Number.isInteger(id)) return null;
+    return { createdAt: date, id };
+  } catch {
+    return null;
+  }
+}
+
+// Rows strictly "after" the cursor in (date desc, id desc) order.
+// The cursor's date is called createdAt whichever field it came from.
+function afterCursor({ createdAt, id }, dateField = "createdAt") {
+  return {
+    OR: [
+      { [dateField]: { lt: createdAt } },
+      { [dateField]: createdAt, id: { lt: id } },
+    ],
+  };
+}
+
+// Builds a createdAt filter from optional from/to dates (inclusive)
+function dateRange(from, to) {
+  if (!from && !to) return {};
+  const createdAt = {};
+  if (from) createdAt.gte = from;
+  if (to) createdAt.lte = to;
+  return { createdAt };
+}
+
+/**
+ * paginate — fetches one page plus the filtered total.
+ *
+ * `cursor` must already be decoded. `key` names the array in the
+ * result (defaults to "entries"); `dateField` is the date to sort by
+ * (defaults to createdAt — rows must have it set). Fetches limit + 1
+ * rows to know whether another page exists without a second query.
+ */
+async function paginate(model, { where = {}, select, limit, cursor, key = "entries", dateField = "createdAt" }) {
+  const pageWhere = cursor ? { AND: [where, afterCursor(cursor, dateField)] } : where;
+
+  // The date and id are needed to build the next cursor
+  const pageSelect = select ? { ...select, id: true, [dateField]: true } : undefined;
+
+  const [total, rows] = await Promise.all([
+    model.count({ where }),
+    model.findMany({ where: pageWhere, select: pageSelect, orderBy: orderBy(dateField), take: limit + 1 }),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    [key]: items,
+    total,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], dateField) : null,
+  };
+}
+
+module.exports = {
+  ORDER_BY,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  dateRange,
+  paginate,
+};
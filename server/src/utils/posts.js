@@ -0,0 +1,130 @@
+// ═══════════════════════════════════════════════════════════════════
+//  BLOG POSTS — Publishing Rules & Public Shape
+//
+//  Posts are written in Markdown in the admin panel
+//  (routes/adminPosts.js) and served by routes/posts.js. Status:
+//
+//    draft      → only in the admin panel
+//    published  → public from publishedAt (set to "now" if left out)
+//    scheduled  → public once publishedAt (in the future when saved)
+//                 has passed — the query checks the date, so there's
+//                 no worker to flip it to "published"
+//
+//  The public API never sends the Markdown: bodies go out as HTML
+//  from renderSafeMarkdown() (utils/markdown.js), with a reading time.
+// ═══════════════════════════════════════════════════════════════════
+
+const { renderSafeMarkdown, htmlToText } = require("./markdown");
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_CHARS = 240;
+
+// Posts can be published a little "in the future" — the admin's
+// clock and ours needn't agree to the second
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// ─── Slugs ──────────────────────────────────────────────────────
+// Bulgarian Cyrillic → Latin, the official Streamlined System, so
+// "Здравей, свят" becomes "zdravey-svyat" rather than nothing
+const CYRILLIC = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ж: "zh", з: "z", и: "i", й: "y",
+  к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t", у: "u",
+  ф: "f", х: "h", ц: "ts", ч: "ch", ш: "sh", щ: "sht", ъ: "a", ь: "y", ю: "yu", я: "ya",
+};
+
+/**
+ * slugify — a URL slug from a title: lowercase ASCII words joined by
+ * dashes, at most 80 characters. May be "" (a title of only emoji).
+ */
+function slugify(title) {
+  return title
+    .toLowerCase()
+    .replace(/[а-я]/g, char => CYRILLIC[char])
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")   // Accents: "café" → "cafe"
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, 80)
+    .replace(/^-+|-+$/g, "");
+}
+
+// ─── Status ─────────────────────────────────────────────────────
+
+// Prisma where for posts visitors may see
+function publicPostWhere(now = new Date()) {
+  return { status: { in: ["published", "scheduled"] }, publishedAt: { lte: now } };
+}
+
+// The status as visitors experience it — a scheduled post whose time
+// has come is published
+function liveStatus(post, now = new Date()) {
+  return post.status === "scheduled" && post.publishedAt && post.publishedAt <= now ? "published" : post.status;
+}
+
+/**
+ * resolvePublishing — checks a post's status against its publishedAt
+ * (both after any edit) and returns { publishedAt } to save, or
+ * { error } for a 400.
+ */
+function resolvePublishing({ status, publishedAt }, now = new Date()) {
+  if (status === "published") {
+    if (publishedAt && publishedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+      return { error: "That date is in the future — schedule the post instead." };
+    }
+    return { publishedAt: publishedAt || now };
+  }
+  if (status === "scheduled") {
+    if (!publishedAt || publishedAt <= now) {
+      return { error: "Pick a future publishedAt to schedule the post." };
+    }
+    return { publishedAt };
+  }
+  return { publishedAt: publishedAt || null };   // Drafts may keep a planned date
+}
+
+// ─── Public Shape ───────────────────────────────────────────────
+
+/**
+ * renderPost — { html, text, wordCount, readingMinutes } for a post's
+ * Markdown. Also used by the editor's live preview.
+ */
+function renderPost(bodyMarkdown) {
+  const html = renderSafeMarkdown(bodyMarkdown);
+  const text = htmlToText(html);
+  const wordCount = text ? text.split(" ").length : 0;
+  return { html, text, wordCount, readingMinutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)) };
+}
+
+// Cuts at a word boundary
+function excerptOf(text) {
+  if (text.length <= EXCERPT_CHARS) return text;
+  const cut = text.slice(0, EXCERPT_CHARS);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, "")}…`;
+}
+
+/**
+ * presentPost — a post as the public API sends it. Lists get an
+ * excerpt; a single post ({ full: true }) gets the HTML body.
+ */
+function presentPost(post, { full = false } = {}) {
+  const { html, text, wordCount, readingMinutes } = renderPost(post.bodyMarkdown);
+  return {
+    slug: post.slug,
+    title: post.title,
+    tags: post.tags,
+    publishedAt: post.publishedAt,
+    updatedAt: post.updatedAt,
+    readingMinutes,
+    wordCount,
+    ...(full ? { html } : { excerpt: excerptOf(text) }),
+  };
+}
+
+module.exports = {
+  slugify,
+  publicPostWhere,
+  liveStatus,
+  resolvePublishing,
+  renderPost,
+  presentPost,
+};
@@ -0,0 +1,101 @@
+// ═══════════════════════════════════════════════════════════════════
+//  RATE LIMIT STORE — express-rate-limit Counters in Postgres
+//
+//  express-rate-limit keeps its counters in memory by default, so a
+//  redeploy resets every limit (login brute-force protection included)
+//  and each extra instance adds its own allowance. PrismaStore keeps
+//  them in the rate_limit_hits table instead, through the shared
+//  Prisma client, so all instances count against the same limit.
+//
+//  Each limiter gets its own store, named after it:
+//    rateLimit({ ..., store: new PrismaStore("login") })
+//  (middleware/rateLimiter.js does this for every limiter.)
+//
+//  The names double as the registry behind the admin "Rate limits"
+//  view (routes/adminRateLimits.js): LIMITERS maps each one to its
+//  window and limit once the limiter is created.
+// ═══════════════════════════════════════════════════════════════════
+
+const prisma = require("./prisma");
+
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;   // Expired rows are harmless, just clutter
+
+// name → { windowMs, limit } for every limiter that uses a PrismaStore
+const LIMITERS = new Map();
+
+class PrismaStore {
+  constructor(name) {
+    this.name = name;
+    this.prefix = `${name}:`;   // Lets express-rate-limit tell the limiters apart
+    this.localKeys = false;     // Shared by every instance
+  }
+
+  // Called by express-rate-limit with the limiter's options
+  init(options) {
+    this.windowMs = options.windowMs;
+    LIMITERS.set(this.name, { windowMs: options.windowMs, limit: options.limit });
+  }
+
+  async get(key) {
+    const row = await prisma.rateLimitHit.findUnique({
+      where: { limiter_key: { limiter: this.name, key } },
+    });
+    if (!row || row.resetAt <= new Date()) return undefined;
+    return { totalHits: row.hits, resetTime: row.resetAt };
+  }
+
+  // One statement, so concurrent requests (from any instance) can't
+  // both start a fresh window or lose a hit. An expired window starts
+  // over at 1.
+  async increment(key) {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + this.windowMs);
+    const [row] = await prisma.$queryRaw`
+      INSERT INTO rate_limit_hits (limiter, key, hits, "resetAt")
+      VALUES (${this.name}, ${key}, 1, ${resetAt})
+      ON CONFLICT (limiter, key) DO UPDATE SET
+        hits = CASE WHEN rate_limit_hits."resetAt" <= ${now} THEN 1 ELSE rate_limit_hits.hits + 1 END,
+        "resetAt" = CASE WHEN rate_limit_hits."resetAt" <= ${now} THEN EXCLUDED."resetAt" ELSE rate_limit_hits."resetAt" END
+      RETURNING hits, "resetAt"
+    `;
+    return { totalHits: row.hits, resetTime: row.resetAt };
+  }
+
+  // Used by skipSuccessfulRequests / skipFailedRequests
+  async decrement(key) {
+    await prisma.rateLimitHit.updateMany({
+      where: { limiter: this.name, key, hits: { gt: 0 }, resetAt: { gt: new Date() } },
+      data: { hits: { decrement: 1 } },
+    });
+  }
+
+  async resetKey(key) {
+    await prisma.rateLimitHit.deleteMany({ where: { limiter: this.name, key } });
+  }
+
+  async resetAll() {
+    await prisma.rateLimitHit.deleteMany({ where: { limiter: this.name } });
+  }
+}
+
+// ─── Sweeper ────────────────────────────────────────────────────
+
+/**
+ * startRateLimitSweeper — deletes rows whose window has ended, on an
+ * interval. The timer is unref'd so it never keeps the process alive.
+ */
+function startRateLimitSweeper() {
+  const timer = setInterval(() => {
+    prisma.rateLimitHit.deleteMany({ where: { resetAt: { lte: new Date() } } }).catch(err => {
+      console.error("[Rate Limit] Sweep error:", err.message);
+    });
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  LIMITERS,
+  PrismaStore,
+  startRateLimitSweeper,
+};
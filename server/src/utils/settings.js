@@ -0,0 +1,72 @@
+// ═══════════════════════════════════════════════════════════════════
+//  SITE SETTINGS — Admin-Switchable Runtime Options
+//
+//  Small key/value store (SiteSetting table) for options the admin
+//  can flip from the panel without a redeploy. Every key has a
+//  default here, so a fresh database behaves sensibly.
+//
+//  Values are cached in memory for a few seconds — reads happen on
+//  every public POST, writes only when the admin changes something.
+//
+//  Usage:
+//    const { getSetting } = require("../utils/settings");
+//    const mode = await getSetting("guestbook.moderationMode");
+// ═══════════════════════════════════════════════════════════════════
+
+const prisma = require("./prisma");
+
+const CACHE_TTL_MS = 15 * 1000;
+
+// ─── Known Settings ─────────────────────────────────────────────
+// Unknown keys are rejected by setSetting(), so typos can't create
+// settings nobody reads.
+const DEFAULTS = {
+  // open            → entries are published immediately
+  // hold_all        → every entry waits for approval
+  // hold_suspicious → only entries that look suspicious wait
+  "guestbook.moderationMode": process.env.GUESTBOOK_MODERATION_MODE || "open",
+
+  // Spam score at which a submission is flagged for review / hidden
+  // outright (see utils/spamScore.js)
+  "spam.flagThreshold": parseInt(process.env.SPAM_FLAG_THRESHOLD, 10) || 4,
+  "spam.hideThreshold": parseInt(process.env.SPAM_HIDE_THRESHOLD, 10) || 8,
+};
+
+const cache = new Map();   // key → { value, expires }
+
+async function getSetting(key) {
+  if (!(key in DEFAULTS)) throw new Error(`Unknown setting "${key}".`);
+
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.value;
+
+  const row = await prisma.siteSetting.findUnique({ where: { key } });
+  const value = row ? row.value : DEFAULTS[key];
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+async function getAllSettings() {
+  const entries = await Promise.all(
+    Object.keys(DEFAULTS).map(async key => [key, await getSetting(key)])
+  );
+  return Object.fromEntries(entries);
+}
+
+async function setSetting(key, value) {
+  if (!(key in DEFAULTS)) throw new Error(`Unknown setting "${key}".`);
+
+  await prisma.siteSetting.upsert({
+    where: { key },
+    create: { key, value },
+    update: { value },
+  });
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+module.exports = {
+  getSetting,
+  getAllSettings,
+  setSetting,
+};
@@ -0,0 +1,249 @@
+// ═══════════════════════════════════════════════════════════════════
+//  SPAM SCORING — Local, Rule-Based
+//
+//  Every guestbook entry and contact message is scored before it is
+//  stored. Each rule that fires adds points and a human-readable
+//  reason; the reasons are saved with the row so the admin panel can
+//  show exactly why something was flagged.
+//
+//  The total is compared against two admin-configurable thresholds
+//  (settings "spam.flagThreshold" / "spam.hideThreshold"):
+//    score <  flag → "clean"
+//    score >= flag → "flagged"  (marked for review)
+//    score >= hide → "spam"     (hidden automatically)
+//
+//  Usage:
+//    const { scoreSubmission, spamVerdict } = require("../utils/spamScore");
+//    const { score, reasons } = await scoreSubmission({ kind: "guestbook", ...data, ipHash });
+//    const verdict = await spamVerdict(score);
+// ═══════════════════════════════════════════════════════════════════
+
+const prisma = require("./prisma");
+const { getSetting } = require("./settings");
+
+// ─── Word Lists ─────────────────────────────────────────────────
+// Matched against normalized text (see normalize() below), so they
+// are written in lowercase and without leetspeak or lookalikes.
+// Profanity entries are word *prefixes* — "fuck" also catches "fucking".
+const SPAM_KEYWORDS = [
+  "casino", "viagra", "cialis", "crypto", "bitcoin", "forex", "binary option",
+  "payday loan", "seo service", "backlink", "escort", "porn", "xxx", "onlyfans",
+  "click here", "buy now", "free money", "make money", "work from home",
+  "казино", "бързи пари", "кредит", "заем", "залози", "порно", "реклама",
+  "заработ", "раскрутк", "продвижени", "скидк",
+];
+
+const PROFANITY_LATIN = [
+  "fuck", "motherf", "shit", "bitch", "cunt", "asshole", "dickhead",
+  "whore", "slut", "bastard", "wanker", "twat",
+];
+
+const PROFANITY_CYRILLIC = [
+  "хуй", "хуя", "хуе", "пизд", "еба", "ебе", "бляд", "блять", "курв",
+  "путк", "мудак", "копел", "шибан", "сука", "мамка ти",
+];
+
+// Throwaway inbox providers — a contact message from one of these is
+// rarely someone expecting a reply.
+const DISPOSABLE_DOMAINS = new Set([
+  "mailinator.com", "guerrillamail.com", "guerrillamail.net", "sharklasers.com",
+  "10minutemail.com", "10minutemail.net", "tempmail.com", "temp-mail.org",
+  "temp-mail.io", "tempmailo.com", "throwawaymail.com", "yopmail.com",
+  "yopmail.net", "getnada.com", "nada.email", "trashmail.com", "trashmail.de",
+  "dispostable.com", "maildrop.cc", "mailnesia.com", "mintemail.com",
+  "fakeinbox.com", "emailondeck.com", "mohmal.com", "mailcatch.com",
+  "spamgourmet.com", "burnermail.io", "moakt.com", "tempr.email", "discard.email",
+]);
+
+// ─── Weights ────────────────────────────────────────────────────
+const POINTS = {
+  link: 2,               // per link, capped at LINK_CAP
+  keyword: 3,            // per distinct keyword, capped at KEYWORD_CAP
+  profanity: 3,          // per distinct word, capped at PROFANITY_CAP
+  mixedScript: 3,        // Latin/Cyrillic lookalikes inside one word
+  contactDetails: 2,     // email address or phone number in the text
+  shouting: 1,
+  repeatedChars: 1,
+  repeatedWords: 2,
+  duplicate: 4,          // same text submitted before
+  burst: 2,              // many recent submissions from one IP
+  burstHeavy: 4,
+  priorFlags: 3,         // this IP has been flagged before
+  disposableEmail: 5,
+};
+const LINK_CAP = 8;
+const KEYWORD_CAP = 9;
+const PROFANITY_CAP = 6;
+
+const DUPLICATE_WINDOW_DAYS = 30;
+const BURST_WINDOW_HOURS = 24;
+const BURST_COUNT = 3;
+const BURST_HEAVY_COUNT = 10;
+
+// ─── Normalization ──────────────────────────────────────────────
+// Undo the usual tricks before matching word lists: leetspeak,
+// separators inside words ("f.u.c.k") and letters swapped for their
+// lookalikes from the other alphabet ("fuсk" with a Cyrillic "с").
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", "$": "s" };
+
+const CYRILLIC_TO_LATIN = {
+  а: "a", в: "b", е: "e", к: "k", м: "m", н: "h", о: "o", р: "p",
+  с: "c", т: "t", у: "y", х: "x", і: "i", ј: "j", ѕ: "s",
+};
+const LATIN_TO_CYRILLIC = Object.fromEntries(
+  Object.entries(CYRILLIC_TO_LATIN).map(([cyr, lat]) => [lat, cyr])
+);
+
+function normalize(text, lookalikes) {
+  return text
+    .toLowerCase()
+    .replace(/(?<=\p{L})[013457@$]|[013457@$](?=\p{L})/gu, ch => LEET[ch])
+    .replace(/(?<=\p{L})[.\-_*]+(?=\p{L})/gu, "")
+    .replace(/\p{L}/gu, ch => lookalikes[ch] || ch);
+}
+
+// Prefix match at the start of a word (\b doesn't understand Cyrillic)
+function containsWordPrefix(text, prefix) {
+  return new RegExp(`(^|[^\\p{L}])${prefix}`, "u").test(text);
+}
+
+// ─── Text Rules ─────────────────────────────────────────────────
+const LINK_PATTERN = /(https?:\/\/\S+|www\.\S+|\b[a-z0-9-]+\.(com|net|org|ru|xyz|top|info|biz|io|co|bg)\b)/gi;
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/;
+const PHONE_PATTERN = /(\d[\s().-]*){9,}/;
+const REPEAT_CHARS_PATTERN = /(.)\1{7,}/;
+
+function textRules(text, add) {
+  const links = (text.match(LINK_PATTERN) || []).length;
+  if (links) {
+    add(Math.min(links * POINTS.link, LINK_CAP), links === 1 ? "1 link" : `${links} links`);
+  }
+
+  const latin = normalize(text, CYRILLIC_TO_LATIN);
+  const cyrillic = normalize(text, LATIN_TO_CYRILLIC);
+
+  const keywords = SPAM_KEYWORDS.filter(k => latin.includes(k) || cyrillic.includes(k));
+  if (keywords.length) {
+    add(Math.min(keywords.length * POINTS.keyword, KEYWORD_CAP), `spam keywords: ${keywords.join(", ")}`);
+  }
+
+  const profanity = [
+    ...PROFANITY_LATIN.filter(w => containsWordPrefix(latin, w)),
+    ...PROFANITY_CYRILLIC.filter(w => containsWordPrefix(cyrillic, w)),
+  ];
+  if (profanity.length) {
+    add(Math.min(profanity.length * POINTS.profanity, PROFANITY_CAP), `profanity: ${profanity.join(", ")}`);
+  }
+
+  const words = text.match(/\p{L}+/gu) || [];
+  if (words.some(w => /\p{Script=Latin}/u.test(w) && /\p{Script=Cyrillic}/u.test(w))) {
+    add(POINTS.mixedScript, "mixed Latin/Cyrillic letters in a word");
+  }
+
+  if (EMAIL_PATTERN.test(text)) add(POINTS.contactDetails, "contains an email address");
+  if (PHONE_PATTERN.test(text)) add(POINTS.contactDetails, "contains a phone number");
+  if (REPEAT_CHARS_PATTERN.test(text)) add(POINTS.repeatedChars, "repeated characters");
+
+  // Shouting: mostly capitals, ignoring short messages like "BRAVO!"
+  const letters = text.replace(/[^\p{L}]/gu, "");
+  const upper = text.replace(/[^\p{Lu}]/gu, "");
+  if (letters.length >= 12 && upper.length / letters.length > 0.7) add(POINTS.shouting, "mostly capitals");
+
+  // One word making up a big share of a longer text
+  const counts = {};
+  for (const w of words) {
+    if (w.length >= 3) counts[w.toLowerCase()] = (counts[w.toLowerCase()] || 0) + 1;
+  }
+  const top = Math.max(0, ...Object.values(counts));
+  if (top >= 4 && top / words.length > 0.3) add(POINTS.repeatedWords, "same word repeated");
+}
+
+function emailRules(email, add) {
+  const domain = email.split("@")[1]?.toLowerCase();
+  if (!domain) return;
+  const parts = domain.split(".");
+  // Match the domain itself or any parent (e.g. x.mailinator.com)
+  const disposable = parts.some((_, i) => DISPOSABLE_DOMAINS.has(parts.slice(i).join(".")));
+  if (disposable) add(POINTS.disposableEmail, `disposable email domain (${domain})`);
+}
+
+// ─── History Rules ──────────────────────────────────────────────
+// Look at what was submitted before: the same text again, or a
+// sender (by ipHash) that posts a lot or has been flagged already.
+// IP hashes rotate (see ipHash.js), so the by-IP counts only reach
+// back to the start of the current period.
+const MODELS = {
+  guestbook: () => prisma.guestbookEntry,
+  contact: () => prisma.contactMessage,
+};
+
+async function historyRules({ kind, message, ipHash }, add) {
+  const now = Date.now();
+  const dayAgo = new Date(now - BURST_WINDOW_HOURS * 60 * 60 * 1000);
+  const monthAgo = new Date(now - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const byIp = ipHash ? { ipHash } : null;
+  const [duplicates, gbRecent, ctRecent, gbFlagged, ctFlagged] = await Promise.all([
+    MODELS[kind]().count({
+      where: { message: { equals: message.trim(), mode: "insensitive" }, createdAt: { gte: monthAgo } },
+    }),
+    byIp ? prisma.guestbookEntry.count({ where: { ...byIp, createdAt: { gte: dayAgo } } }) : 0,
+    byIp ? prisma.contactMessage.count({ where: { ...byIp, createdAt: { gte: dayAgo } } }) : 0,
+    byIp ? prisma.guestbookEntry.count({
+      where: { ...byIp, createdAt: { gte: monthAgo }, OR: [{ spamVerdict: { not: "clean" } }, { status: "rejected" }] },
+    }) : 0,
+    byIp ? prisma.contactMessage.count({
+      where: { ...byIp, createdAt: { gte: monthAgo }, spamVerdict: { not: "clean" } },
+    }) : 0,
+  ]);
+
+  if (duplicates) {
+    add(POINTS.duplicate, duplicates === 1 ? "same text as an earlier submission" : `same text as ${duplicates} earlier submissions`);
+  }
+
+  const recent = gbRecent + ctRecent;
+  if (recent >= BURST_HEAVY_COUNT) add(POINTS.burstHeavy, `${recent} submissions from this IP in ${BURST_WINDOW_HOURS}h`);
+  else if (recent >= BURST_COUNT) add(POINTS.burst, `${recent} submissions from this IP in ${BURST_WINDOW_HOURS}h`);
+
+  const flagged = gbFlagged + ctFlagged;
+  if (flagged) add(POINTS.priorFlags, `${flagged} earlier flagged submission(s) from this IP`);
+}
+
+/**
+ * scoreSubmission — runs every rule against a new submission.
+ *
+ * `kind` is "guestbook" or "contact" (which table to check for
+ * duplicates); `subject` and `email` are only present for contacts.
+ * Returns { score, reasons } — each reason ends with its points,
+ * e.g. "2 links (+4)".
+ */
+async function scoreSubmission({ kind, name, message, subject, email, ipHash }) {
+  let score = 0;
+  const reasons = [];
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(`${reason} (+${points})`);
+  };
+
+  textRules([name, subject, message].filter(Boolean).join("\n"), add);
+  if (email) emailRules(email, add);
+  await historyRules({ kind, message, ipHash }, add);
+
+  return { score, reasons };
+}
+
+// Maps a score onto clean / flagged / spam using the current thresholds
+async function spamVerdict(score) {
+  const [flagAt, hideAt] = await Promise.all([
+    getSetting("spam.flagThreshold"),
+    getSetting("spam.hideThreshold"),
+  ]);
+  if (score >= hideAt) return "spam";
+  if (score >= flagAt) return "flagged";
+  return "clean";
+}
+
+module.exports = {
+  scoreSubmission,
+  spamVerdict,
+};
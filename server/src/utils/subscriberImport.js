@@ -0,0 +1,221 @@
+// ═══════════════════════════════════════════════════════════════════
+//  SUBSCRIBER IMPORT — CSV → NewsletterSub Rows
+//
+//  Used by POST /api/admin/newsletter/import to move a list over from
+//  another mailing tool. The CSV needs an "email" column (any other
+//  columns are ignored); a file with just addresses and no header
+//  works too. Comma, semicolon and tab separators are recognised.
+//
+//  Every row ends up in the report as one of:
+//    imported → added (or would be, on a dry run)
+//    skipped  → already in the list, or repeated in the file
+//    invalid  → fails newsletterSchema, like the public form would
+//
+//  Two modes:
+//    confirmed → added as confirmed, with `consentSource` recording
+//                where they opted in. No email is sent.
+//    pending   → added unconfirmed and sent the usual double opt-in
+//                email. Those go through the outbox in the background
+//                (queueMail with defer), not all at once.
+//
+//  People who unsubscribed are never re-added by an import.
+// ═══════════════════════════════════════════════════════════════════
+
+const prisma = require("./prisma");
+const { newsletterSchema, validate } = require("./validation");
+const { issueConfirmToken, issueUnsubToken } = require("./newsletterTokens");
+const { queueMail } = require("./mailer");
+const { newsletterConfirmEmail } = require("./emailTemplates");
+
+const MAX_IMPORT_ROWS = 10000;
+const WRITE_BATCH_SIZE = 500;
+const EMAIL_HEADERS = ["email", "e-mail", "email address", "e-mail address", "mail", "имейл"];
+
+// Thrown for files that can't be imported at all — sent back as a 400
+class ImportError extends Error {}
+
+// ─── CSV Parsing ────────────────────────────────────────────────
+// Picks the separator that appears most in the first line
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [",", ";", "\t"].map(d => [d, firstLine.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * parseCsv — RFC 4180 parsing (quoted fields, "" escapes, newlines
+ * inside quotes). Returns [{ line, cells }], where `line` is the
+ * 1-based line the record starts on.
+ */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(text);
+  const records = [];
+
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delimiter) { cells.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      cells.push(cell);
+      records.push({ line: startLine, cells });
+      cells = [];
+      cell = "";
+      startLine = ++line;
+    }
+    else cell += ch;
+  }
+  if (cell !== "" || cells.length) {
+    cells.push(cell);
+    records.push({ line: startLine, cells });
+  }
+
+  return records.filter(r => r.cells.some(c => c.trim() !== ""));
+}
+
+// Finds the email column: a known header name, or — for header-less
+// files — the first column holding something with an @ in it
+function readEmails(text) {
+  const records = parseCsv(text);
+  if (!records.length) throw new ImportError("The file is empty.");
+
+  const header = records[0].cells.map(c => c.trim().toLowerCase());
+  let column = header.findIndex(name => EMAIL_HEADERS.includes(name));
+  let rows = records.slice(1);
+
+  if (column === -1) {
+    column = records[0].cells.findIndex(c => c.includes("@"));
+    if (column === -1) {
+      throw new ImportError('Couldn\'t find the email column — add a header row with a column named "email".');
+    }
+    rows = records;
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`At most ${MAX_IMPORT_ROWS} rows per import — split the file and import it in parts.`);
+  }
+
+  return rows.map(({ line, cells }) => ({ line, value: (cells[column] || "").trim() }));
+}
+
+// ─── Planning ───────────────────────────────────────────────────
+// Decides what happens to each row without writing anything
+async function planImport(entries) {
+  const report = [];
+  const firstLine = new Map();   // email → line it first appeared on
+
+  for (const { line, value } of entries) {
+    const { data, error } = validate(newsletterSchema, { email: value });
+    if (error) {
+      report.push({ line, email: value, result: "invalid", reason: error.email || "Invalid row" });
+      continue;
+    }
+    if (firstLine.has(data.email)) {
+      report.push({ line, email: data.email, result: "skipped", reason: `Duplicate of line ${firstLine.get(data.email)}` });
+      continue;
+    }
+    firstLine.set(data.email, line);
+    report.push({ line, email: data.email, result: "imported", reason: null });
+  }
+
+  // Compare against the existing list in chunks
+  const emails = [...firstLine.keys()];
+  const existing = new Map();
+  for (let i = 0; i < emails.length; i += WRITE_BATCH_SIZE) {
+    const rows = await prisma.newsletterSub.findMany({
+      where: { email: { in: emails.slice(i, i + WRITE_BATCH_SIZE) } },
+      select: { email: true, confirmed: true, unsubAt: true, deletedAt: true },
+    });
+    for (const row of rows) existing.set(row.email, row);
+  }
+
+  for (const row of report) {
+    const sub = row.result === "imported" && existing.get(row.email);
+    if (!sub) continue;
+    row.result = "skipped";
+    row.reason = sub.deletedAt
+      ? "In the trash — restore it instead"
+      : sub.unsubAt
+      ? "Unsubscribed earlier — not re-added"
+      : sub.confirmed ? "Already subscribed" : "Already waiting for confirmation";
+  }
+
+  return report;
+}
+
+// ─── Import ─────────────────────────────────────────────────────
+
+/**
+ * importSubscribers — parses `csv`, plans every row and (unless
+ * `dryRun`) writes the new subscribers.
+ *
+ * Returns { summary: { total, imported, skipped, invalid }, rows }.
+ * Throws ImportError when the file itself can't be used.
+ */
+async function importSubscribers(csv, { mode, consentSource, dryRun }) {
+  const report = await planImport(readEmails(csv));
+  const toImport = report.filter(r => r.result === "imported");
+
+  if (!dryRun) {
+    const now = new Date();
+    for (let i = 0; i < toImport.length; i += WRITE_BATCH_SIZE) {
+      const batch = toImport.slice(i, i + WRITE_BATCH_SIZE);
+      const confirmTokens = new Map();
+
+      const data = batch.map(({ email }) => {
+        const base = { email, consentSource: consentSource || null, importedAt: now, ...issueUnsubToken(email) };
+        if (mode === "confirmed") return { ...base, confirmed: true, confirmedAt: now };
+
+        const confirm = issueConfirmToken();
+        confirmTokens.set(email, confirm.token);
+        return { ...base, confirmed: false, ...confirm.fields };
+      });
+
+      // skipDuplicates covers anyone who subscribed since planning
+      await prisma.newsletterSub.createMany({ data, skipDuplicates: true });
+
+      for (const [email, confirmToken] of confirmTokens) {
+        await queueMail(
+          { to: email, ...newsletterConfirmEmail({ confirmToken }), category: "newsletter_confirm" },
+          { defer: true }
+        );
+      }
+    }
+  }
+
+  const count = (result) => report.filter(r => r.result === result).length;
+  return {
+    summary: {
+      total: report.length,
+      imported: toImport.length,
+      skipped: count("skipped"),
+      invalid: count("invalid"),
+    },
+    rows: report,
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  ImportError,
+  parseCsv,
+  importSubscribers,
+};
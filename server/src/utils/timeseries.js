@@ -0,0 +1,148 @@
+// ═══════════════════════════════════════════════════════════════════
+//  TIME SERIES — Bucketed Counts for the Dashboard Charts
+//
+//  GET /api/admin/stats/timeseries (routes/admin.js) turns these into
+//  per-day, per-week or per-month counts of:
+//
+//    guestbook      — guestbook entries posted
+//    subscriptions  — newsletter signups (including imports)
+//    confirmations  — double opt-ins confirmed
+//    unsubscribes   — unsubscribes
+//    contacts       — contact messages received
+//
+//  Buckets are in UTC; weeks start on Monday (Postgres date_trunc).
+//  Buckets with nothing in them are filled in with 0, so every series
+//  has one number per bucket. Like /stats, rows in the trash don't count.
+// ═══════════════════════════════════════════════════════════════════
+
+const prisma = require("./prisma");
+
+// Most buckets one request may ask for — about 2 years of days
+const MAX_BUCKETS = 750;
+
+// The range used when from is left out, ending at `to`
+const DEFAULT_SPAN = { day: 30, week: 12, month: 12 };
+
+// One query per metric: [{ bucket: Date, count: number }] for the
+// buckets that have something in them. `interval` is a bound
+// parameter; date_trunc takes it as text.
+const COUNTS = {
+  guestbook: (interval, from, to) => prisma.$queryRaw`
+    SELECT date_trunc(${interval}, "createdAt") AS bucket, count(*)::int AS count
+    FROM guestbook_entries
+    WHERE "createdAt" BETWEEN ${from} AND ${to} AND "deletedAt" IS NULL
+    GROUP BY bucket
+  `,
+  subscriptions: (interval, from, to) => prisma.$queryRaw`
+    SELECT date_trunc(${interval}, "createdAt") AS bucket, count(*)::int AS count
+    FROM newsletter_subscribers
+    WHERE "createdAt" BETWEEN ${from} AND ${to} AND "deletedAt" IS NULL
+    GROUP BY bucket
+  `,
+  confirmations: (interval, from, to) => prisma.$queryRaw`
+    SELECT date_trunc(${interval}, "confirmedAt") AS bucket, count(*)::int AS count
+    FROM newsletter_subscribers
+    WHERE "confirmedAt" BETWEEN ${from} AND ${to} AND "deletedAt" IS NULL
+    GROUP BY bucket
+  `,
+  unsubscribes: (interval, from, to) => prisma.$queryRaw`
+    SELECT date_trunc(${interval}, "unsubAt") AS bucket, count(*)::int AS count
+    FROM newsletter_subscribers
+    WHERE "unsubAt" BETWEEN ${from} AND ${to} AND "deletedAt" IS NULL
+    GROUP BY bucket
+  `,
+  contacts: (interval, from, to) => prisma.$queryRaw`
+    SELECT date_trunc(${interval}, "createdAt") AS bucket, count(*)::int AS count
+    FROM contact_messages
+    WHERE "createdAt" BETWEEN ${from} AND ${to} AND "deletedAt" IS NULL
+    GROUP BY bucket
+  `,
+};
+
+// ─── Buckets ────────────────────────────────────────────────────
+
+// The start of the bucket `date` falls in — the same as date_trunc
+function bucketStart(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === "month") d.setUTCDate(1);
+  return d;
+}
+
+// The start of the bucket after the one starting at `start`
+function nextBucket(start, interval) {
+  const d = new Date(start);
+  if (interval === "day") d.setUTCDate(d.getUTCDate() + 1);
+  if (interval === "week") d.setUTCDate(d.getUTCDate() + 7);
+  if (interval === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+}
+
+// How many buckets run from `from` to `to`, worked out without
+// building them — a range of centuries is refused before any work
+function bucketCount(from, to, interval) {
+  const start = bucketStart(from, interval);
+  if (to < start) return 0;
+  if (interval === "month") {
+    return (to.getUTCFullYear() - start.getUTCFullYear()) * 12
+      + to.getUTCMonth() - start.getUTCMonth() + 1;
+  }
+  const bucketMs = (interval === "week" ? 7 : 1) * 24 * 60 * 60 * 1000;
+  return Math.floor((to.getTime() - start.getTime()) / bucketMs) + 1;
+}
+
+// Every bucket start from `from` to `to`, as YYYY-MM-DD keys
+function bucketKeys(from, to, interval) {
+  const keys = [];
+  for (let d = bucketStart(from, interval); d <= to; d = nextBucket(d, interval)) {
+    keys.push(d.toISOString().slice(0, 10));
+  }
+  return keys;
+}
+
+/**
+ * defaultRange — fills in a missing from/to: to defaults to now, and
+ * from to DEFAULT_SPAN buckets before it (the current one included).
+ */
+function defaultRange({ interval, from, to }) {
+  to = to || new Date();
+  if (!from) {
+    from = bucketStart(to, interval);
+    for (let i = 1; i < DEFAULT_SPAN[interval]; i++) {
+      if (interval === "day") from.setUTCDate(from.getUTCDate() - 1);
+      if (interval === "week") from.setUTCDate(from.getUTCDate() - 7);
+      if (interval === "month") from.setUTCMonth(from.getUTCMonth() - 1);
+    }
+  }
+  return { from, to };
+}
+
+/**
+ * timeseries — the response body for the endpoint:
+ *   { interval, from, to, buckets: ["2026-10-01", ...],
+ *     series: { guestbook: [3, 0, 5, ...], ... }, totals: { guestbook: 8, ... } }
+ *
+ * Returns null when the range needs more than MAX_BUCKETS buckets.
+ */
+async function timeseries({ metrics, interval, from, to }) {
+  if (bucketCount(from, to, interval) > MAX_BUCKETS) return null;
+  const buckets = bucketKeys(from, to, interval);
+
+  const results = await Promise.all(metrics.map(metric => COUNTS[metric](interval, from, to)));
+
+  const series = {};
+  const totals = {};
+  metrics.forEach((metric, i) => {
+    const byBucket = new Map(results[i].map(row => [row.bucket.toISOString().slice(0, 10), row.count]));
+    series[metric] = buckets.map(key => byBucket.get(key) || 0);
+    totals[metric] = series[metric].reduce((sum, count) => sum + count, 0);
+  });
+
+  return { interval, from, to, buckets, series, totals };
+}
+
+module.exports = {
+  MAX_BUCKETS,
+  defaultRange,
+  timeseries,
+};
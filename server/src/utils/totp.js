@@ -0,0 +1,188 @@
+// ═══════════════════════════════════════════════════════════════════
+//  TOTP — Two-Factor Codes for Admin Login (RFC 6238)
+//
+//  The standard authenticator-app scheme: HMAC-SHA1 over a 30-second
+//  time step, truncated to 6 digits (RFC 4226 §5.3). Works with any
+//  authenticator app (Google Authenticator, 1Password, Aegis, ...).
+//
+//  Secrets can't be hashed — the server needs them to compute codes —
+//  so they're stored encrypted (AES-256-GCM) under TOTP_ENCRYPTION_KEY,
+//  falling back to a key derived from JWT_SECRET.
+//
+//  Recovery codes are the way in when the phone is lost: ten one-time
+//  codes, shown once, stored as SHA-256 hashes and removed when used.
+//
+//  A code is accepted for one step either side of "now" (clock drift),
+//  but never twice: the step it matched is stored and anything at or
+//  before it is refused.
+// ═══════════════════════════════════════════════════════════════════
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { hashToken } = require("./newsletterTokens");
+
+const ISSUER = "tzvetomir.dev";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;           // 160 bits, as RFC 4226 recommends
+const RECOVERY_CODE_COUNT = 10;
+
+const ENCRYPTION_KEY = crypto
+  .createHash("sha256")
+  .update(process.env.TOTP_ENCRYPTION_KEY || `totp:${process.env.JWT_SECRET || ""}`)
+  .digest();
+
+// ─── Base32 (RFC 4648) ──────────────────────────────────────────
+// Authenticator apps take the secret in base32
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/=+$/, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const index = BASE32.indexOf(ch);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ─── Codes ──────────────────────────────────────────────────────
+
+// RFC 4226 HOTP: HMAC-SHA1 of the counter, dynamically truncated
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * verifyTotp — checks a 6-digit code against `secret`.
+ * Returns the time step it matched (store it as the new `lastStep`),
+ * or null. Steps at or before `lastStep` are refused, so a code
+ * can't be replayed.
+ */
+function verifyTotp(secret, code, { lastStep = null, now = Date.now() } = {}) {
+  const digits = String(code || "").replace(/\s+/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+  const step = currentStep(now);
+  for (let s = step - DRIFT_STEPS; s <= step + DRIFT_STEPS; s++) {
+    if (lastStep !== null && s <= lastStep) continue;
+    const expected = hotp(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return s;
+  }
+  return null;
+}
+
+// ─── Secrets ────────────────────────────────────────────────────
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// Encrypted form for the database: iv.tag.ciphertext (base64url)
+function sealSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString("base64url")).join(".");
+}
+
+function openSecret(sealed) {
+  const [iv, tag, ciphertext] = sealed.split(".").map(part => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+}
+
+/**
+ * provisioning — what the enrollment screen shows: the otpauth:// URI
+ * (Key URI Format), the same URI as a QR code image, and the secret
+ * for typing in by hand.
+ */
+async function provisioning(username, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  const uri = `otpauth://totp/${label}?${params}`;
+  const qr = await QRCode.toDataURL(uri, { margin: 1, width: 200 });
+  return { secret, uri, qr };
+}
+
+// ─── Recovery Codes ─────────────────────────────────────────────
+// Format xxxx-xxxx from an alphabet without lookalikes (0/o, 1/l)
+const RECOVERY_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * issueRecoveryCodes — fresh codes. Returns the plaintext (shown to
+ * the user once) and the hashes to store.
+ */
+function issueRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(crypto.randomBytes(8), b => RECOVERY_ALPHABET[b % RECOVERY_ALPHABET.length]).join("");
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+}
+
+/**
+ * useRecoveryCode — whether `code` is one of `hashes`. Returns the
+ * remaining hashes (the used one removed), or null if it matched none.
+ */
+function useRecoveryCode(hashes, code) {
+  const hash = hashToken(normalizeRecoveryCode(code));
+  if (!hashes.includes(hash)) return null;
+  return hashes.filter(h => h !== hash);
+}
+
+module.exports = {
+  hotp,
+  verifyTotp,
+  generateSecret,
+  sealSecret,
+  openSecret,
+  provisioning,
+  issueRecoveryCodes,
+  useRecoveryCode,
+};
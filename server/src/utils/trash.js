@@ -0,0 +1,104 @@
+// ═══════════════════════════════════════════════════════════════════
+//  TRASH — Soft Delete, Restore and Purge
+//
+//  Deleting a guestbook entry, subscriber or contact message in the
+//  admin panel only moves it to the trash: deletedAt and deletedBy are
+//  set, and from then on every admin list, count, export and search,
+//  the public routes and the campaign recipient list leave it out
+//  (they all filter with NOT_TRASHED).
+//
+//  The trash view (routes/adminTrash.js) can restore rows or delete
+//  them for good. Whatever is still in the trash after
+//  TRASH_RETENTION_DAYS (default 30) is purged by a background worker.
+//
+//  Usage in route files:
+//    const { NOT_TRASHED, trashFields } = require("../utils/trash");
+//    prisma.guestbookEntry.findFirst({ where: { id, ...NOT_TRASHED } });
+//    prisma.guestbookEntry.update({ where: { id }, data: trashFields(req) });
+// ═══════════════════════════════════════════════════════════════════
+
+const prisma = require("./prisma");
+const { recordAudit } = require("./audit");
+
+const RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;   // Hourly — the cutoff is in days
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where-clause fragment for "not in the trash"
+const NOT_TRASHED = { deletedAt: null };
+
+// What the trash holds, keyed by the name used in URLs and the panel.
+// `model` is the Prisma delegate; `area` prefixes the audit actions.
+const TRASH_TYPES = {
+  guestbook: { model: "guestbookEntry", area: "guestbook", nouns: ["entry", "entries"] },
+  newsletter: { model: "newsletterSub", area: "subscriber", nouns: ["subscriber", "subscribers"] },
+  contacts: { model: "contactMessage", area: "contact", nouns: ["message", "messages"] },
+};
+
+// Data for moving a row to the trash
+function trashFields(req) {
+  return { deletedAt: new Date(), deletedBy: req.admin.username };
+}
+
+// Data for taking it back out
+const RESTORED = { deletedAt: null, deletedBy: null };
+
+// When something trashed at `deletedAt` will be purged
+function purgeDate(deletedAt) {
+  return new Date(deletedAt.getTime() + RETENTION_DAYS * DAY_MS);
+}
+
+// ─── Purge Worker ───────────────────────────────────────────────
+
+/**
+ * purgeExpiredTrash — permanently deletes every row that has been in
+ * the trash longer than the retention period. Returns the counts per
+ * type, e.g. { guestbook: 3, newsletter: 0, contacts: 1 }.
+ *
+ * The rows were snapshotted in the audit log when they were trashed,
+ * so the purge itself only records how many went.
+ */
+async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  const counts = {};
+
+  for (const [type, { model }] of Object.entries(TRASH_TYPES)) {
+    const { count } = await prisma[model].deleteMany({ where: { deletedAt: { lt: cutoff } } });
+    counts[type] = count;
+  }
+
+  if (Object.values(counts).some(count => count > 0)) {
+    console.log("[Trash] Purged expired items:", counts);
+    await recordAudit(null, {
+      action: "trash.purge_expired",
+      actor: "system",
+      details: { ...counts, retentionDays: RETENTION_DAYS },
+    });
+  }
+  return counts;
+}
+
+/**
+ * startTrashWorker — runs purgeExpiredTrash() on an interval.
+ * The timer is unref'd so it never keeps the process alive on shutdown.
+ */
+function startTrashWorker() {
+  const timer = setInterval(() => {
+    purgeExpiredTrash().catch(err => {
+      console.error("[Trash] Purge worker error:", err.message);
+    });
+  }, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  NOT_TRASHED,
+  TRASH_TYPES,
+  RESTORED,
+  trashFields,
+  purgeDate,
+  purgeExpiredTrash,
+  startTrashWorker,
+};
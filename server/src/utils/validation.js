@@ -5,6 +5,13 @@
 // ═══════════════════════════════════════════════════════════════════
 
 const { z } = require("zod");
+const { decodeCursor } = require("./pagination");
+const { parseCidr } = require("./cidr");
+
+// Longest Markdown body (campaigns, blog posts) and contact reply.
+// middleware/jsonBody.js sizes those routes' body limits from these.
+const BODY_MARKDOWN_MAX = 100000;
+const REPLY_BODY_MAX = 20000;
 
 // ─── Guestbook Entry ────────────────────────────────────────────
 // Name: 1-80 chars, trimmed, no HTML
@@ -65,6 +72,599 @@ const contactSchema = z.object({
     .max(5000, "Message must be 5000 characters or less"),
 });
 
+// ─── Newsletter Campaign ────────────────────────────────────────
+// Written by the admin in Markdown. Generous limits — this is a
+// whole newsletter issue, not a visitor form.
+const campaignSchema = z.object({
+  subject: z
+    .string()
+    .trim()
+    .min(1, "Subject is required")
+    .max(200, "Subject must be 200 characters or less"),
+
+  bodyMarkdown: z
+    .string()
+    .trim()
+    .min(1, "Body is required")
+    .max(BODY_MARKDOWN_MAX, "Body must be 100,000 characters or less"),
+});
+
+// Send now (no scheduledAt) or schedule for a future time
+const campaignSendSchema = z.object({
+  scheduledAt: z.coerce
+    .date({ errorMap: () => ({ message: "scheduledAt must be a valid date" }) })
+    .optional(),
+});
+
+// ─── Contact Reply ──────────────────────────────────────────────
+// Subject defaults to "Re: <original subject>" when left out
+const contactReplySchema = z.object({
+  subject: z
+    .string()
+    .trim()
+    .max(255, "Subject must be 255 characters or less")
+    .optional(),
+
+  body: z
+    .string()
+    .trim()
+    .min(1, "Reply can't be empty")
+    .max(REPLY_BODY_MAX, "Reply must be 20000 characters or less"),
+});
+
+// ─── Contact Labels & Workflow ──────────────────────────────────
+const CONTACT_STATUSES = ["new", "in_progress", "answered", "closed"];
+
+const contactLabelSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Label name is required")
+    .max(40, "Label name must be 40 characters or less"),
+
+  color: z
+    .string()
+    .trim()
+    .regex(/^#[0-9a-fA-F]{6}$/, "Color must be a hex value like #ffb000")
+    .toLowerCase(),
+});
+
+// PATCH /api/admin/contacts/:id — every field optional
+const contactUpdateSchema = z.object({
+  read: z.boolean().optional(),
+  status: z.enum(CONTACT_STATUSES).optional(),
+  archived: z.boolean().optional(),
+  labelIds: z.array(z.number().int().positive()).max(20, "At most 20 labels per message").optional(),
+});
+
+// ─── List Queries (cursor pagination + filters) ─────────────────
+// Query-string values arrive as strings; an empty value means "not set".
+const blankToUndefined = (value) => (value === "" ? undefined : value);
+
+// An opaque cursor from a previous page → { createdAt, id }
+const cursorParam = z.preprocess(
+  blankToUndefined,
+  z.string().optional().transform((value, ctx) => {
+    if (!value) return null;
+    const cursor = decodeCursor(value);
+    if (!cursor) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Invalid cursor" });
+      return z.NEVER;
+    }
+    return cursor;
+  })
+);
+
+// Dates may be full ISO timestamps or plain YYYY-MM-DD. A plain "to"
+// date means the whole day, so it's stretched to 23:59:59.999 UTC.
+const dateParam = (name, { endOfDay = false } = {}) => z.preprocess(
+  (value) => {
+    value = blankToUndefined(value);
+    if (endOfDay && typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return `${value}T23:59:59.999Z`;
+    }
+    return value;
+  },
+  z.coerce.date({ errorMap: () => ({ message: `${name} must be a valid date` }) }).optional()
+);
+
+const listQueryFields = {
+  cursor: cursorParam,
+  limit: z.preprocess(blankToUndefined, z.coerce.number().int().min(1).max(100).default(25)),
+  from: dateParam("from"),
+  to: dateParam("to", { endOfDay: true }),
+};
+
+// Public guestbook: only visible entries, so no visibility filter
+const guestbookListSchema = z.object({ ...listQueryFields });
+
+// Admin guestbook: can also filter on visibility
+const adminGuestbookListSchema = z.object({
+  ...listQueryFields,
+  visibility: z.preprocess(blankToUndefined, z.enum(["all", "visible", "hidden"]).default("all")),
+  status: z.preprocess(blankToUndefined, z.enum(["all", "pending", "approved", "rejected"]).default("all")),
+});
+
+const adminContactListSchema = z.object({
+  ...listQueryFields,
+  status: z.preprocess(blankToUndefined, z.enum(["all", ...CONTACT_STATUSES]).default("all")),
+  label: z.preprocess(blankToUndefined, z.coerce.number().int().positive().optional()),
+  read: z.preprocess(blankToUndefined, z.enum(["all", "read", "unread"]).default("all")),
+  archived: z.preprocess(blankToUndefined, z.enum(["false", "true", "all"]).default("false")),
+  spam: z.preprocess(blankToUndefined, z.enum(["exclude", "include", "only"]).default("exclude")),
+});
+
+// Admin audit log — action matches by prefix ("guestbook." → all
+// guestbook actions, "login" → logins and failed logins)
+const auditListSchema = z.object({
+  ...listQueryFields,
+  action: z.preprocess(blankToUndefined, z.string().trim().max(40).optional()),
+  actor: z.preprocess(blankToUndefined, z.string().trim().max(80).optional()),
+  targetType: z.preprocess(blankToUndefined, z.string().trim().max(40).optional()),
+  targetId: z.preprocess(blankToUndefined, z.string().trim().max(40).optional()),
+});
+
+// Admin newsletter list: not paginated, but filterable like the others
+const SUBSCRIBER_STATUSES = ["confirmed", "pending", "pending_expired", "unsubscribed"];
+
+const adminNewsletterListSchema = z.object({
+  status: z.preprocess(blankToUndefined, z.enum(["all", ...SUBSCRIBER_STATUSES]).default("all")),
+  from: listQueryFields.from,
+  to: listQueryFields.to,
+});
+
+// POST /api/admin/newsletter/import — options travel in the query
+// string, the CSV itself is the request body
+const subscriberImportSchema = z.object({
+  mode: z.enum(["confirmed", "pending"], {
+    errorMap: () => ({ message: "mode must be confirmed or pending" }),
+  }),
+  consentSource: z.preprocess(
+    blankToUndefined,
+    z.string().trim().max(255, "Consent source must be 255 characters or less").optional()
+  ),
+  dryRun: z.preprocess(blankToUndefined, z.enum(["true", "false"]).default("false"))
+    .transform(value => value === "true"),
+}).superRefine((data, ctx) => {
+  // Skipping double opt-in is only OK with a record of where they agreed
+  if (data.mode === "confirmed" && (!data.consentSource || data.consentSource.length < 3)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["consentSource"],
+      message: "Say where these subscribers opted in (e.g. \"Mailchimp list, 2023 signup form\")",
+    });
+  }
+});
+
+// ─── Exports ────────────────────────────────────────────────────
+// GET /api/admin/export/:resource — the list filters (minus paging)
+// plus a format and an optional comma-separated column list. Column
+// names are checked against the resource in routes/adminExport.js.
+const EXPORT_FORMATS = ["csv", "json", "ndjson"];
+
+const exportFields = {
+  format: z.preprocess(blankToUndefined, z.enum(EXPORT_FORMATS, {
+    errorMap: () => ({ message: "format must be csv, json or ndjson" }),
+  }).default("csv")),
+  columns: z.preprocess(
+    blankToUndefined,
+    z.string().max(1000).optional().transform(value =>
+      value ? [...new Set(value.split(",").map(c => c.trim()).filter(Boolean))] : null
+    )
+  ),
+};
+
+const exportSchemas = {
+  guestbook: adminGuestbookListSchema.omit({ cursor: true, limit: true }).extend(exportFields),
+  newsletter: adminNewsletterListSchema.extend(exportFields),
+  contacts: adminContactListSchema.omit({ cursor: true, limit: true }).extend(exportFields),
+};
+
+// ─── Bulk Actions ───────────────────────────────────────────────
+// POST /api/admin/<list>/bulk — the rows to act on are picked either
+// by ID or as "everything matching these filters" (the list's own
+// query params, minus paging). Exactly one of the two.
+const idListOf = (noun) => z
+  .array(z.number().int().positive(), { invalid_type_error: "ids must be a list of IDs" })
+  .min(1, `Select at least one ${noun}`)
+  .max(500, "At most 500 at a time — use the filter instead");
+
+const bulkTarget = (noun, listSchema) => ({
+  ids: idListOf(noun).optional(),
+  filter: listSchema.optional(),
+});
+
+const exactlyOneTarget = (data, ctx) => {
+  if ((data.ids === undefined) === (data.filter === undefined)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["ids"], message: "Send either ids or filter" });
+  }
+};
+
+const guestbookTarget = bulkTarget("entry", adminGuestbookListSchema.omit({ cursor: true, limit: true }));
+const contactTarget = bulkTarget("message", adminContactListSchema.omit({ cursor: true, limit: true }));
+
+// POST /api/admin/guestbook/bulk
+const GUESTBOOK_BULK_ACTIONS = ["hide", "show", "approve", "reject", "delete"];
+
+const guestbookBulkSchema = z.object({
+  action: z.enum(GUESTBOOK_BULK_ACTIONS, {
+    errorMap: () => ({ message: "action must be hide, show, approve, reject or delete" }),
+  }),
+  ...guestbookTarget,
+}).superRefine(exactlyOneTarget);
+
+// POST /api/admin/newsletter/bulk — removing is all there is to do
+const newsletterBulkSchema = z.object({
+  action: z.literal("delete", { errorMap: () => ({ message: "action must be delete" }) }),
+  ...bulkTarget("subscriber", adminNewsletterListSchema),
+}).superRefine(exactlyOneTarget);
+
+// POST /api/admin/contacts/bulk
+const contactBulkSchema = z.discriminatedUnion("action", [
+  z.object({ action: z.literal("archive"), ...contactTarget }),
+  z.object({ action: z.literal("unarchive"), ...contactTarget }),
+  z.object({ action: z.literal("read"), ...contactTarget }),
+  z.object({ action: z.literal("unread"), ...contactTarget }),
+  z.object({ action: z.literal("delete"), ...contactTarget }),
+  z.object({ action: z.literal("add_label"), ...contactTarget, labelId: z.number().int().positive() }),
+  z.object({ action: z.literal("remove_label"), ...contactTarget, labelId: z.number().int().positive() }),
+  z.object({ action: z.literal("set_status"), ...contactTarget, status: z.enum(CONTACT_STATUSES) }),
+], {
+  errorMap: (issue, ctx) => issue.code === "invalid_union_discriminator"
+    ? { message: "action must be archive, unarchive, read, unread, delete, add_label, remove_label or set_status" }
+    : { message: ctx.defaultError },
+}).superRefine(exactlyOneTarget);
+
+// ─── Trash ──────────────────────────────────────────────────────
+// The trash view works on one list at a time (see utils/trash.js)
+const TRASH_TYPE_NAMES = ["guestbook", "newsletter", "contacts"];
+
+const trashType = z.enum(TRASH_TYPE_NAMES, {
+  errorMap: () => ({ message: "type must be guestbook, newsletter or contacts" }),
+});
+
+// GET /api/admin/trash?type=&cursor=&limit=
+const trashListSchema = z.object({
+  type: trashType,
+  cursor: listQueryFields.cursor,
+  limit: listQueryFields.limit,
+});
+
+// POST /api/admin/trash/restore and /purge — { type, ids }, or
+// { type, all: true } for everything of that type
+const trashActionSchema = z.object({
+  type: trashType,
+  ids: idListOf("item").optional(),
+  all: z.literal(true, { errorMap: () => ({ message: "all must be true" }) }).optional(),
+}).superRefine((data, ctx) => {
+  if ((data.ids === undefined) === (data.all === undefined)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["ids"], message: "Send either ids or all: true" });
+  }
+});
+
+// ─── Blocklist ──────────────────────────────────────────────────
+// Rules for utils/blocklist.js. value is checked and normalised per
+// kind: hashes, emails and domains are lowercased.
+const BLOCK_KINDS = ["ip_hash", "cidr", "email", "domain"];
+
+const blockReason = z.preprocess(
+  blankToUndefined,
+  z.string().trim().max(200, "Reason must be 200 characters or less").nullable().optional()
+);
+
+// null clears the expiry (the rule then stays until deleted)
+const blockExpiresAt = z.preprocess(
+  blankToUndefined,
+  z.coerce.date({ errorMap: () => ({ message: "expiresAt must be a valid date" }) })
+    .refine(date => date > new Date(), "expiresAt must be in the future")
+    .nullable()
+    .optional()
+);
+
+const BLOCK_VALUE_CHECKS = {
+  ip_hash: [/^[0-9a-f]{8,64}$/, "An IP hash is 8 to 64 hex characters (the IP tag works)"],
+  email: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Enter an email address"],
+  domain: [/^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/, "Enter a domain like example.com"],
+};
+
+// POST /api/admin/blocklist
+const blockRuleSchema = z.object({
+  kind: z.enum(BLOCK_KINDS, {
+    errorMap: () => ({ message: "kind must be ip_hash, cidr, email or domain" }),
+  }),
+  value: z
+    .string({ required_error: "value is required" })
+    .trim()
+    .min(1, "value is required")
+    .max(255, "value must be 255 characters or less"),
+  reason: blockReason,
+  expiresAt: blockExpiresAt,
+}).transform((data, ctx) => {
+  let value = data.kind === "cidr" ? data.value : data.value.toLowerCase();
+  if (data.kind === "domain") value = value.replace(/^@/, "");
+
+  const check = BLOCK_VALUE_CHECKS[data.kind];
+  const valid = check ? check[0].test(value) : parseCidr(value) !== null;
+  if (!valid) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["value"],
+      message: check ? check[1] : "Enter an IP address or a range like 203.0.113.0/24",
+    });
+    return z.NEVER;
+  }
+  return { ...data, value };
+});
+
+// PATCH /api/admin/blocklist/:id
+const blockRuleUpdateSchema = z.object({
+  reason: blockReason,
+  expiresAt: blockExpiresAt,
+}).refine(data => data.reason !== undefined || data.expiresAt !== undefined, {
+  message: "Nothing to change — send reason and/or expiresAt",
+});
+
+// POST /api/admin/blocklist/sender — block whoever sent an entry or
+// message: their IP hash, plus the email address for messages
+const blockSenderSchema = z.object({
+  source: z.enum(["guestbook", "contact"], {
+    errorMap: () => ({ message: "source must be guestbook or contact" }),
+  }),
+  id: z.number({ invalid_type_error: "id must be a number" }).int().positive(),
+  email: z.boolean().default(true),
+  reason: blockReason,
+  expiresAt: blockExpiresAt,
+});
+
+// ─── Webhooks ───────────────────────────────────────────────────
+// Endpoints for utils/webhooks.js — the events they can receive and
+// the body formats they can get them in.
+const WEBHOOK_EVENTS = ["guestbook.created", "contact.created", "newsletter.confirmed", "newsletter.unsubscribed"];
+const WEBHOOK_FORMATS = ["json", "slack", "discord"];
+const WEBHOOK_DELIVERY_STATUSES = ["pending", "sending", "delivered", "retrying", "failed"];
+
+// POST /api/admin/webhooks
+const webhookSchema = z.object({
+  name: z
+    .string({ required_error: "Name is required" })
+    .trim()
+    .min(1, "Name is required")
+    .max(80, "Name must be 80 characters or less"),
+  url: z
+    .string({ required_error: "URL is required" })
+    .trim()
+    .max(500, "URL must be 500 characters or less")
+    .url("Must be a valid URL")
+    .refine(url => /^https?:\/\//i.test(url), "URL must start with http:// or https://"),
+  format: z.enum(WEBHOOK_FORMATS, {
+    errorMap: () => ({ message: "format must be json, slack or discord" }),
+  }).default("json"),
+  events: z
+    .array(z.enum(WEBHOOK_EVENTS, {
+      errorMap: () => ({ message: `Events must be from: ${WEBHOOK_EVENTS.join(", ")}` }),
+    }), { required_error: "Pick at least one event" })
+    .min(1, "Pick at least one event")
+    .transform(events => [...new Set(events)]),
+  active: z.boolean().default(true),
+});
+
+// PATCH /api/admin/webhooks/:id — every field optional
+const webhookUpdateSchema = webhookSchema.partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: "Nothing to change" }
+);
+
+// GET /api/admin/webhooks/:id/deliveries?status=&cursor=&limit=
+const webhookDeliveryListSchema = z.object({
+  status: z.preprocess(blankToUndefined, z.enum(WEBHOOK_DELIVERY_STATUSES, {
+    errorMap: () => ({ message: `status must be one of ${WEBHOOK_DELIVERY_STATUSES.join(", ")}` }),
+  }).optional()),
+  cursor: listQueryFields.cursor,
+  limit: listQueryFields.limit,
+});
+
+// ─── Blog Posts ─────────────────────────────────────────────────
+// Written by the admin in Markdown (see utils/posts.js). The slug may
+// be left out and is then made from the title. Whether publishedAt
+// fits the status is checked against the saved post in the route.
+const POST_STATUSES = ["draft", "published", "scheduled"];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const postSlug = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .max(120, "Slug must be 120 characters or less")
+  .regex(SLUG_PATTERN, "Slug may only use a-z, 0-9 and single dashes, like hello-world");
+
+const postTitle = z
+  .string({ required_error: "Title is required" })
+  .trim()
+  .min(1, "Title is required")
+  .max(200, "Title must be 200 characters or less");
+
+const postBody = z
+  .string({ required_error: "Body is required" })
+  .trim()
+  .min(1, "Body is required")
+  .max(BODY_MARKDOWN_MAX, "Body must be 100,000 characters or less");
+
+const postFields = {
+  title: postTitle,
+  slug: z.preprocess(blankToUndefined, postSlug.optional()),
+  bodyMarkdown: postBody,
+  tags: z
+    .array(
+      z.string().trim().toLowerCase()
+        .min(1, "Tags can't be empty")
+        .max(30, "Tags must be 30 characters or less")
+        .regex(/^[\p{L}\p{N}][\p{L}\p{N} .+#-]*$/u, "Tags may only use letters, numbers, spaces and . + # -"),
+      { invalid_type_error: "tags must be a list" }
+    )
+    .max(10, "At most 10 tags")
+    .transform(tags => [...new Set(tags)])
+    .default([]),
+  status: z.enum(POST_STATUSES, {
+    errorMap: () => ({ message: "status must be draft, published or scheduled" }),
+  }).default("draft"),
+  // null clears it (drafts); published posts left without one get "now"
+  publishedAt: z.preprocess(
+    blankToUndefined,
+    z.coerce.date({ errorMap: () => ({ message: "publishedAt must be a valid date" }) }).nullable().optional()
+  ),
+};
+
+// POST /api/admin/posts
+const postSchema = z.object(postFields);
+
+// PATCH /api/admin/posts/:id — every field optional, no defaults
+const postUpdateSchema = z.object({
+  title: postTitle.optional(),
+  slug: postFields.slug,
+  bodyMarkdown: postBody.optional(),
+  tags: postFields.tags.removeDefault().optional(),
+  status: postFields.status.removeDefault().optional(),
+  publishedAt: postFields.publishedAt,
+}).refine(data => Object.values(data).some(value => value !== undefined), { message: "Nothing to change" });
+
+// POST /api/admin/posts/preview — only the body is needed
+const postPreviewSchema = z.object({
+  bodyMarkdown: z.string().max(BODY_MARKDOWN_MAX, "Body must be 100,000 characters or less").default(""),
+});
+
+// GET /api/posts?tag=&cursor=&limit=
+const postListSchema = z.object({
+  tag: z.preprocess(blankToUndefined, z.string().trim().toLowerCase().max(30).optional()),
+  cursor: listQueryFields.cursor,
+  limit: z.preprocess(blankToUndefined, z.coerce.number().int().min(1).max(50).default(10)),
+});
+
+// ─── Stats Time Series ──────────────────────────────────────────
+// GET /api/admin/stats/timeseries?metric=&interval=&from=&to=
+// (see utils/timeseries.js). metric may list several, comma-separated.
+const TIMESERIES_METRICS = ["guestbook", "subscriptions", "confirmations", "unsubscribes", "contacts"];
+
+const timeseriesSchema = z.object({
+  metric: z.preprocess(
+    (value) => (blankToUndefined(value) === undefined || value === "all" ? TIMESERIES_METRICS : String(value).split(",")),
+    z.array(z.enum(TIMESERIES_METRICS, {
+      errorMap: () => ({ message: `metric must be all or one of ${TIMESERIES_METRICS.join(", ")}` }),
+    }))
+  ),
+  interval: z.preprocess(blankToUndefined, z.enum(["day", "week", "month"], {
+    errorMap: () => ({ message: "interval must be day, week or month" }),
+  }).default("day")),
+  from: listQueryFields.from,
+  to: listQueryFields.to,
+}).superRefine((data, ctx) => {
+  if (data.from && data.to && data.from > data.to) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["from"], message: "from must be before to" });
+  }
+});
+
+// ─── Admin Search ───────────────────────────────────────────────
+// GET /api/admin/search?q=...&type=all|guestbook|subscribers|contacts
+const SEARCH_TYPES = ["guestbook", "subscribers", "contacts"];
+
+const searchSchema = z.object({
+  q: z
+    .string({ required_error: "q is required" })
+    .trim()
+    .min(2, "Search for at least 2 characters")
+    .max(200, "Search must be 200 characters or less"),
+  type: z.preprocess(blankToUndefined, z.enum(["all", ...SEARCH_TYPES]).default("all")),
+  limit: z.preprocess(blankToUndefined, z.coerce.number().int().min(1).max(50).default(20)),
+});
+
+// ─── Admin Team ─────────────────────────────────────────────────
+const ADMIN_ROLES = ["owner", "moderator", "viewer"];
+const roleField = z.enum(ADMIN_ROLES, {
+  errorMap: () => ({ message: "Role must be owner, moderator or viewer" }),
+});
+
+// POST /api/admin/team — invite someone
+const teamInviteSchema = z.object({
+  username: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .min(3, "Username must be at least 3 characters")
+    .max(40, "Username must be 40 characters or less")
+    .regex(/^[a-z0-9._-]+$/, "Username can only use letters, numbers, dots, dashes and underscores"),
+
+  // Optional: without it the owner passes the invite link on themselves
+  email: z.preprocess(
+    blankToUndefined,
+    z.string().trim().toLowerCase().email("Please enter a valid email address").max(255).optional()
+  ),
+
+  role: roleField,
+});
+
+// PATCH /api/admin/team/:id — resetTwoFactor turns off someone's 2FA
+const teamUpdateSchema = z.object({
+  role: roleField.optional(),
+  disabled: z.boolean().optional(),
+  resetTwoFactor: z.literal(true).optional(),
+}).refine(data => Object.values(data).some(value => value !== undefined), {
+  message: "Nothing to change — send role, disabled and/or resetTwoFactor",
+});
+
+// POST /api/admin/invite/:token — bcrypt only looks at the first 72 bytes
+const inviteAcceptSchema = z.object({
+  password: z
+    .string({ required_error: "Password is required" })
+    .min(12, "Password must be at least 12 characters")
+    .max(72, "Password must be 72 characters or less"),
+});
+
+// ─── Two-Factor Login ───────────────────────────────────────────
+// A 6-digit authenticator code or a recovery code (xxxx-xxxx)
+const secondFactorCode = z
+  .string({ required_error: "Enter the code from your authenticator app" })
+  .trim()
+  .min(6, "Enter the code from your authenticator app")
+  .max(20, "That doesn't look like a code");
+
+// POST /api/admin/login/2fa
+const loginTwoFactorSchema = z.object({
+  challenge: z.string().min(1, "Log in with your password first"),
+  code: secondFactorCode,
+});
+
+// POST /api/admin/2fa/enable, /2fa/recovery-codes
+const twoFactorCodeSchema = z.object({ code: secondFactorCode });
+
+// POST /api/admin/2fa/disable — needs the password as well
+const twoFactorDisableSchema = z.object({
+  password: z.string({ required_error: "Password is required" }).min(1, "Password is required"),
+  code: secondFactorCode,
+});
+
+// ─── Admin Sessions ─────────────────────────────────────────────
+
+// POST /api/admin/refresh
+const refreshSchema = z.object({
+  refreshToken: z.string({ required_error: "Log in again" }).min(20, "Log in again").max(200, "Log in again"),
+});
+
+// ─── Admin Settings ─────────────────────────────────────────────
+// Partial update — only the keys present are changed
+const spamThreshold = z
+  .number()
+  .int("Thresholds must be whole numbers")
+  .min(1, "Thresholds must be between 1 and 100")
+  .max(100, "Thresholds must be between 1 and 100")
+  .optional();
+
+const settingsSchema = z.object({
+  "guestbook.moderationMode": z.enum(["open", "hold_all", "hold_suspicious"], {
+    errorMap: () => ({ message: "Mode must be open, hold_all or hold_suspicious" }),
+  }).optional(),
+  "spam.flagThreshold": spamThreshold,
+  "spam.hideThreshold": spamThreshold,
+});
+
 // ─── Validation Helper ──────────────────────────────────────────
 // Use this in route handlers:
 //   const { data, error } = validate(guestbookSchema, req.body);
@@ -84,8 +684,59 @@ function validate(schema, input) {
 }
 
 module.exports = {
+  BODY_MARKDOWN_MAX,
+  REPLY_BODY_MAX,
   guestbookSchema,
   newsletterSchema,
   contactSchema,
+  contactReplySchema,
+  CONTACT_STATUSES,
+  contactLabelSchema,
+  contactUpdateSchema,
+  contactBulkSchema,
+  GUESTBOOK_BULK_ACTIONS,
+  guestbookBulkSchema,
+  newsletterBulkSchema,
+  TRASH_TYPE_NAMES,
+  trashListSchema,
+  trashActionSchema,
+  ADMIN_ROLES,
+  teamInviteSchema,
+  teamUpdateSchema,
+  inviteAcceptSchema,
+  loginTwoFactorSchema,
+  twoFactorCodeSchema,
+  twoFactorDisableSchema,
+  refreshSchema,
+  campaignSchema,
+  campaignSendSchema,
+  POST_STATUSES,
+  postSchema,
+  postUpdateSchema,
+  postPreviewSchema,
+  postListSchema,
+  guestbookListSchema,
+  adminGuestbookListSchema,
+  adminContactListSchema,
+  SUBSCRIBER_STATUSES,
+  adminNewsletterListSchema,
+  auditListSchema,
+  subscriberImportSchema,
+  EXPORT_FORMATS,
+  exportSchemas,
+  BLOCK_KINDS,
+  blockRuleSchema,
+  blockRuleUpdateSchema,
+  blockSenderSchema,
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  webhookSchema,
+  webhookUpdateSchema,
+  webhookDeliveryListSchema,
+  TIMESERIES_METRICS,
+  timeseriesSchema,
+  SEARCH_TYPES,
+  searchSchema,
+  settingsSchema,
   validate,
 };
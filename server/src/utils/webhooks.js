@@ -0,0 +1,361 @@
+// ═══════════════════════════════════════════════════════════════════
+//  WEBHOOKS — Outbound Event Notifications
+//
+//  Owners add endpoints in the admin panel (routes/adminWebhooks.js)
+//  and pick the events each one receives:
+//
+//    guestbook.created        — a new entry (published or held)
+//    contact.created          — a new contact form message
+//    newsletter.confirmed     — a subscriber confirmed their email
+//    newsletter.unsubscribed  — a subscriber left
+//
+//  Submissions the spam scorer marks as spam raise no event, just as
+//  they send no notification email.
+//
+//  Every event goes through the same path as outbound email:
+//    1. emitWebhookEvent() writes a WebhookDelivery row per endpoint
+//    2. The row is POSTed to the endpoint in the background
+//    3. On failure it's marked "retrying" with a backoff, and the
+//       worker (started from index.js) tries again later
+//  The rows double as the delivery history the panel shows; a replay
+//  queues a new row with the same payload.
+//
+//  Usage in route files:
+//    const { emitWebhookEvent } = require("../utils/webhooks");
+//    await emitWebhookEvent("contact.created", { id, name, email, ... });
+//
+//  Formats — what the request body looks like:
+//    json     → { id, event, occurredAt, data } (id is the delivery's)
+//    slack    → Slack incoming-webhook message ({ text })
+//    discord  → Discord webhook message (an embed; mentions disabled)
+//
+//  Signing — every request carries
+//    X-Webhook-Id:        the delivery id (the same on every retry)
+//    X-Webhook-Event:     the event type
+//    X-Webhook-Timestamp: Unix seconds when the attempt was made
+//    X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+//                         under the endpoint's secret>
+//  Receivers recompute the HMAC over the raw body and reject stale
+//  timestamps. Slack and Discord ignore the headers.
+//
+//  emitWebhookEvent() never throws — a visitor's request should not
+//  fail just because someone's chat server is down.
+// ═══════════════════════════════════════════════════════════════════
+
+const crypto = require("crypto");
+const prisma = require("./prisma");
+const { sealSecret, openSecret } = require("./totp");
+
+// The event and format names live in validation.js with the schemas
+const TEST_EVENT = "webhook.test";
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const HISTORY_DAYS = parseInt(process.env.WEBHOOK_HISTORY_DAYS, 10) || 30;
+const WORKER_INTERVAL_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_BYTES = 1000;   // Kept from each response, for the history
+
+// Backoff between attempts: 30 s, 2 min, 10 min, 1 h, then 6 h
+const RETRY_DELAYS_MS = [30e3, 2 * 60e3, 10 * 60e3, 60 * 60e3, 6 * 60 * 60e3];
+
+// A row stuck in "pending"/"sending" this long means the process died
+// mid-attempt — the worker treats it as due again.
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  FORMATS
+// ═══════════════════════════════════════════════════════════════════
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// Title, body and accent color for the chat formats
+function describe({ event, data }) {
+  switch (event) {
+    case "guestbook.created":
+      return {
+        title: `📝 New guestbook entry from ${data.name}`,
+        text: data.message,
+        note: data.status === "pending" ? "Waiting for approval in the admin panel" : null,
+        color: 0xffb000,
+      };
+    case "contact.created":
+      return {
+        title: `✉️ New message from ${data.name} <${data.email}>`,
+        text: `${data.subject}\n\n${data.message}`,
+        note: data.spamVerdict === "flagged" ? "Flagged as possible spam" : null,
+        color: 0x00e5ff,
+      };
+    case "newsletter.confirmed":
+      return { title: `🎉 New newsletter subscriber: ${data.email}`, text: "", note: null, color: 0x39ff14 };
+    case "newsletter.unsubscribed":
+      return { title: `👋 ${data.email} unsubscribed from the newsletter`, text: "", note: null, color: 0x888888 };
+    default:
+      return { title: "🐾 Test delivery from tzvetomir.dev", text: "If you can read this, the webhook works.", note: null, color: 0xff00ff };
+  }
+}
+
+// Slack treats &, < and > as markup (<!channel> pings everyone)
+const slackEscape = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const FORMATS = {
+  json: (payload, delivery) => ({ id: delivery.id, ...payload }),
+
+  slack: (payload) => {
+    const { title, text, note } = describe(payload);
+    const lines = [`*${slackEscape(title)}*`];
+    if (text) lines.push(slackEscape(truncate(text, 2500)).split("\n").map(line => `> ${line}`).join("\n"));
+    if (note) lines.push(`_${slackEscape(note)}_`);
+    return { text: lines.join("\n") };
+  },
+
+  discord: (payload) => {
+    const { title, text, note, color } = describe(payload);
+    return {
+      allowed_mentions: { parse: [] },   // No @everyone from a visitor's message
+      embeds: [{
+        title: truncate(title, 256),
+        description: text ? truncate(text, 4000) : undefined,
+        color,
+        footer: note ? { text: note } : undefined,
+        timestamp: payload.occurredAt,
+      }],
+    };
+  },
+};
+
+// The request body for a delivery, in its endpoint's format
+function requestBody(webhook, delivery) {
+  return JSON.stringify((FORMATS[webhook.format] || FORMATS.json)(delivery.payload, delivery));
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  SECRETS & SIGNING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * issueSecret — a new signing secret: { secret } to show the admin
+ * once, and { sealed } to store.
+ */
+function issueSecret() {
+  const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+  return { secret, sealed: sealSecret(secret) };
+}
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>" — what receivers recompute
+function signatureFor(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+//  DELIVERY
+// ═══════════════════════════════════════════════════════════════════
+
+// The start of a response body, for the history. Reads no more than
+// RESPONSE_BODY_BYTES and cancels the rest, so an endpoint answering
+// with megabytes — or a body that never ends — doesn't hold the worker
+// until the timeout.
+async function readResponseStart(res) {
+  if (!res.body) return null;
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  try {
+    while (size < RESPONSE_BODY_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+    }
+  } catch {
+    // A body that breaks off is kept as far as it got
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks).subarray(0, RESPONSE_BODY_BYTES).toString("utf8") || null;
+}
+
+/**
+ * deliver — makes one attempt at a delivery row and records the
+ * result. Claimed first with a conditional update, like the mailer's
+ * outbox, so two instances never send the same row at once.
+ */
+async function deliver(row) {
+  const claimed = await prisma.webhookDelivery.updateMany({
+    where: { id: row.id, status: row.status, updatedAt: row.updatedAt },
+    data: { status: "sending" },
+  });
+  if (claimed.count === 0) return null;   // Someone else got it first
+
+  const attempts = row.attempts + 1;
+  const started = Date.now();
+  let responseStatus = null;
+  let responseBody = null;
+
+  try {
+    const webhook = await prisma.webhook.findUnique({ where: { id: row.webhookId } });
+    if (!webhook) return null;   // Deleted meanwhile; its deliveries go with it
+
+    const body = requestBody(webhook, row);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const res = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "tzvetomir.dev-webhooks/1.0",
+        "X-Webhook-Id": String(row.id),
+        "X-Webhook-Event": row.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signatureFor(openSecret(webhook.secret), timestamp, body)}`,
+      },
+      body,
+      redirect: "manual",   // A redirect is a misconfigured URL, not a success
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    responseStatus = res.status;
+    responseBody = await readResponseStart(res);
+    if (!res.ok) throw new Error(`Endpoint responded ${res.status}`);
+
+    return await prisma.webhookDelivery.update({
+      where: { id: row.id },
+      data: {
+        status: "delivered",
+        attempts,
+        responseStatus,
+        responseBody,
+        durationMs: Date.now() - started,
+        lastError: null,
+        nextAttemptAt: null,
+        deliveredAt: new Date(),
+      },
+    });
+  } catch (err) {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    const delay = RETRY_DELAYS_MS[Math.min(attempts - 1, RETRY_DELAYS_MS.length - 1)];
+    const message = err.name === "TimeoutError" ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+
+    console.error(`[Webhooks] Delivery #${row.id} failed (attempt ${attempts}):`, message);
+
+    return prisma.webhookDelivery.update({
+      where: { id: row.id },
+      data: {
+        status: exhausted ? "failed" : "retrying",
+        attempts,
+        responseStatus,
+        responseBody,
+        durationMs: Date.now() - started,
+        lastError: message.slice(0, 2000),
+        nextAttemptAt: exhausted ? null : new Date(Date.now() + delay),
+      },
+    });
+  }
+}
+
+// Starts delivery without making the caller wait on the endpoint
+function deliverInBackground(row) {
+  deliver(row).catch(err => {
+    console.error(`[Webhooks] Delivery #${row.id} crashed:`, err.message);
+  });
+}
+
+/**
+ * queueDelivery — one delivery of `payload` to one endpoint, started
+ * in the background. Used for test pings and replays; resolves to the
+ * saved row. Throws if the write fails.
+ */
+async function queueDelivery(webhookId, payload, { replayOf = null } = {}) {
+  const row = await prisma.webhookDelivery.create({
+    data: { webhookId, event: payload.event, payload, replayOf },
+  });
+  deliverInBackground(row);
+  return row;
+}
+
+/**
+ * emitWebhookEvent — queues `event` for every active endpoint that
+ * receives it and starts delivery. Resolves once the rows are saved;
+ * returns them, or [] when nobody listens or the write failed.
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    const webhooks = await prisma.webhook.findMany({
+      where: { active: true, events: { has: event } },
+      select: { id: true },
+    });
+    if (webhooks.length === 0) return [];
+
+    const payload = { event, occurredAt: new Date().toISOString(), data };
+    const rows = await prisma.$transaction(webhooks.map(webhook => prisma.webhookDelivery.create({
+      data: { webhookId: webhook.id, event, payload },
+    })));
+    rows.forEach(deliverInBackground);
+    return rows;
+  } catch (err) {
+    console.error(`[Webhooks] Failed to queue ${event}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * retryDueDeliveries — one pass of the worker. Picks up rows whose
+ * backoff has elapsed and rows abandoned mid-attempt. Deliveries to a
+ * paused endpoint wait until it's resumed. Also drops history older
+ * than WEBHOOK_HISTORY_DAYS.
+ */
+async function retryDueDeliveries() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_AFTER_MS);
+
+  const due = await prisma.webhookDelivery.findMany({
+    where: {
+      webhook: { active: true },
+      OR: [
+        { status: "retrying", nextAttemptAt: { lte: now } },
+        { status: { in: ["pending", "sending"] }, updatedAt: { lt: staleBefore } },
+      ],
+    },
+    orderBy: { createdAt: "asc" },
+    take: 25,
+  });
+
+  for (const row of due) {
+    await deliver(row);
+  }
+
+  await prisma.webhookDelivery.deleteMany({
+    where: {
+      status: { in: ["delivered", "failed"] },
+      createdAt: { lt: new Date(now.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+    },
+  });
+  return due.length;
+}
+
+/**
+ * startWebhookWorker — runs retryDueDeliveries() on an interval.
+ * The timer is unref'd so it never keeps the process alive on shutdown.
+ */
+function startWebhookWorker() {
+  const timer = setInterval(() => {
+    retryDueDeliveries().catch(err => {
+      console.error("[Webhooks] Worker error:", err.message);
+    });
+  }, WORKER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  TEST_EVENT,
+  MAX_ATTEMPTS,
+  issueSecret,
+  signatureFor,
+  requestBody,
+  emitWebhookEvent,
+  queueDelivery,
+  retryDueDeliveries,
+  startWebhookWorker,
+};
@@ -0,0 +1,76 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Admin blocklist — IP tag rules end when the tag rotates, and say so
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { prisma, startApp, postJson, signInAs } = require("./helpers");
+const { ROTATION_MS, periodEnd } = require("../src/utils/ipHash");
+const adminRoutes = require("../src/routes/admin");
+
+const TAG = "3e48ef9d";
+
+let app;
+let auth;
+let rules;
+
+before(async () => {
+  app = await startApp({ "/api/admin": adminRoutes });
+});
+after(() => app.close());
+
+// Rules as the table stores them
+beforeEach(() => {
+  prisma.reset();
+  auth = signInAs("moderator");
+  rules = [];
+  prisma.blockRule.findMany = async () => rules;
+  prisma.blockRule.findUnique = async ({ where }) => rules.find(r => r.id === where.id) || null;
+  prisma.blockRule.upsert = async ({ create }) => {
+    const rule = { id: rules.length + 1, hits: 0, lastHitAt: null, createdAt: new Date(), ...create };
+    rules.push(rule);
+    return rule;
+  };
+  prisma.blockRule.update = async ({ where, data }) => Object.assign(rules.find(r => r.id === where.id), data);
+});
+
+const addRule = (body) => postJson(`${app.url}/api/admin/blocklist`, body, { headers: auth });
+const editRule = (id, body) => postJson(`${app.url}/api/admin/blocklist/${id}`, body, { method: "PATCH", headers: auth });
+
+test("an IP tag rule asked to never expire ends when the tag rotates", async () => {
+  const res = await addRule({ kind: "ip_hash", value: TAG, expiresAt: null });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.rule.expiresAt, periodEnd().toISOString());
+  assert.equal(res.body.rule.rotatesAt, periodEnd().toISOString());
+  assert.match(res.body.message, /temporary/);
+});
+
+test("other kinds keep the expiry they're given", async () => {
+  const res = await addRule({ kind: "email", value: "spam@example.com", expiresAt: null });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.rule.expiresAt, null);
+  assert.equal(res.body.rule.rotatesAt, undefined);
+});
+
+test("an IP tag rule can't be extended past its rotation", async () => {
+  await addRule({ kind: "ip_hash", value: TAG });
+
+  const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const res = await editRule(1, { expiresAt: nextWeek.toISOString() });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.rule.expiresAt, periodEnd().toISOString());
+});
+
+test("an IP tag rule from an earlier period can't be renewed", async () => {
+  const yesterday = new Date(Date.now() - ROTATION_MS);
+  rules.push({ id: 1, kind: "ip_hash", value: TAG, hits: 0, createdAt: yesterday, expiresAt: periodEnd(yesterday) });
+
+  const res = await editRule(1, { expiresAt: null });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /rotated/);
+});
+
+test("the list says when IP tags next rotate", async () => {
+  const res = await fetch(`${app.url}/api/admin/blocklist`, { headers: auth });
+  assert.equal((await res.json()).ipTagsRotateAt, periodEnd().toISOString());
+});
@@ -0,0 +1,62 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Admin campaigns and contact replies — long bodies get through
+//  the JSON parser and reach validation
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { prisma, startApp, postJson, signInAs } = require("./helpers");
+const { BODY_MARKDOWN_MAX, REPLY_BODY_MAX } = require("../src/utils/validation");
+const adminRoutes = require("../src/routes/admin");
+
+// Cyrillic takes two bytes a character — the case the old 10KB cap
+// refused at about 5,000 characters
+const cyrillic = (length) => "Ж".repeat(length);
+
+let app;
+let auth;
+
+before(async () => {
+  app = await startApp({ "/api/admin": adminRoutes });
+});
+after(() => app.close());
+
+beforeEach(() => {
+  prisma.reset();
+  auth = signInAs("owner");
+  mock.method(console, "log", () => {});   // The console mail transport prints each email
+});
+afterEach(() => mock.restoreAll());
+
+const campaign = (bodyMarkdown) => ({ subject: "Issue #1", bodyMarkdown });
+
+test("saves and previews a campaign at the longest body allowed", async () => {
+  const body = cyrillic(BODY_MARKDOWN_MAX);
+
+  const saved = await postJson(`${app.url}/api/admin/campaigns`, campaign(body), { headers: auth });
+  assert.equal(saved.status, 201);
+  assert.equal(saved.body.campaign.bodyMarkdown.length, BODY_MARKDOWN_MAX);
+
+  const preview = await postJson(`${app.url}/api/admin/campaigns/preview`, campaign(body), { headers: auth });
+  assert.equal(preview.status, 200);
+});
+
+test("a campaign body over the maximum gets the schema's message, not a 413", async () => {
+  const res = await postJson(`${app.url}/api/admin/campaigns`, campaign(cyrillic(BODY_MARKDOWN_MAX + 1)), { headers: auth });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error.bodyMarkdown, /100,000 characters or less/);
+});
+
+test("sends a contact reply at the longest body allowed", async () => {
+  prisma.contactMessage.findFirst = async () => ({
+    id: 5, name: "Ada", email: "ada@example.com", subject: "Hello", message: "Hi!", createdAt: new Date(),
+  });
+
+  const res = await postJson(`${app.url}/api/admin/contacts/5/replies`, { body: cyrillic(REPLY_BODY_MAX) }, { headers: auth });
+  assert.equal(res.status, 201);
+});
+
+test("other routes keep the 10KB limit", async () => {
+  const res = await postJson(`${app.url}/api/admin/blocklist`, { kind: "email", value: cyrillic(6000) }, { headers: auth });
+  assert.equal(res.status, 413);
+});
@@ -0,0 +1,116 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Admin login — the 2FA code step is capped per account, not only
+//  per IP, and an owner can lift the cap from the rate limits panel
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { prisma, startApp, postJson, signInAs } = require("./helpers");
+const { generateSecret, hotp, sealSecret } = require("../src/utils/totp");
+const adminRoutes = require("../src/routes/admin");
+
+const SECRET = generateSecret();
+const USER = {
+  id: 1,
+  username: "owner",
+  role: "owner",
+  disabledAt: null,
+  totpEnabledAt: new Date(),
+  totpSecret: sealSecret(SECRET),
+  totpLastStep: null,
+  recoveryCodes: [],
+};
+
+let app;
+
+before(async () => {
+  app = await startApp({ "/api/admin": adminRoutes });
+});
+after(() => app.close());
+
+// Rate limit counters that actually count: the store's upsert arrives
+// as $queryRaw`... VALUES (${limiter}, ${key}, 1, ${resetAt}) ...`
+beforeEach(() => {
+  prisma.reset();
+  const hits = new Map();
+  prisma.$queryRaw = async (strings, limiter, key, resetAt) => {
+    const id = `${limiter}:${key}`;
+    hits.set(id, (hits.get(id) || 0) + 1);
+    return [{ hits: hits.get(id), resetAt }];
+  };
+  prisma.rateLimitHit.updateMany = async ({ where }) => {
+    const id = `${where.limiter}:${where.key}`;
+    hits.set(id, hits.get(id) - 1);
+    return { count: 1 };
+  };
+  prisma.rateLimitHit.deleteMany = async ({ where }) => ({ count: hits.delete(`${where.limiter}:${where.key}`) ? 1 : 0 });
+  prisma.adminUser.findUnique = async () => ({ ...USER });
+  prisma.adminUser.updateMany = async () => ({ count: 1 });
+});
+
+// What POST /login hands out once the password checks out
+function passwordStep(userId = USER.id) {
+  const key = crypto.createHmac("sha256", process.env.JWT_SECRET).update("admin-2fa-challenge").digest();
+  return jwt.sign({ sub: String(userId) }, key, { expiresIn: "5m" });
+}
+
+// Each attempt from its own address, so only the per-account limit applies
+let lastIp = 0;
+function sendCode(challenge, code) {
+  return postJson(`${app.url}/api/admin/login/2fa`, { challenge, code }, {
+    headers: { "X-Forwarded-For": `198.51.100.${++lastIp}` },
+  });
+}
+
+const rightCode = () => hotp(SECRET, Math.floor(Date.now() / 1000 / 30));
+const wrongCode = () => String((Number(rightCode()) + 1) % 1000000).padStart(6, "0");
+
+test("five wrong codes close the code step, even from new addresses", async () => {
+  const challenge = passwordStep();
+  for (let i = 0; i < 5; i++) {
+    const res = await sendCode(challenge, wrongCode());
+    assert.equal(res.status, 401);
+  }
+
+  const locked = await sendCode(challenge, wrongCode());
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.restart, true);
+
+  // A fresh challenge and the right code don't get around it
+  const retry = await sendCode(passwordStep(), rightCode());
+  assert.equal(retry.status, 429);
+});
+
+test("right codes don't count towards the limit", async () => {
+  for (let i = 0; i < 4; i++) await sendCode(passwordStep(), wrongCode());
+
+  const res = await sendCode(passwordStep(), rightCode());
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+
+  const next = await sendCode(passwordStep(), wrongCode());
+  assert.equal(next.status, 401);
+});
+
+test("other accounts keep their own count", async () => {
+  for (let i = 0; i < 6; i++) await sendCode(passwordStep(), wrongCode());
+
+  prisma.adminUser.findUnique = async () => ({ ...USER, id: 2 });
+  const res = await sendCode(passwordStep(2), wrongCode());
+  assert.equal(res.status, 401);
+});
+
+test("an owner can let a locked-out account back in", async () => {
+  for (let i = 0; i < 6; i++) await sendCode(passwordStep(), wrongCode());
+
+  const res = await postJson(`${app.url}/api/admin/rate-limits/two_factor_user/user:1`, undefined, {
+    method: "DELETE",
+    headers: signInAs("owner"),
+  });
+  assert.equal(res.status, 200);
+
+  const next = await sendCode(passwordStep(), wrongCode());
+  assert.equal(next.status, 401);
+});
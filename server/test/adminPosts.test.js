@@ -0,0 +1,48 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Admin posts — a long post can be written, edited and previewed
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { prisma, startApp, postJson, signInAs } = require("./helpers");
+const { BODY_MARKDOWN_MAX } = require("../src/utils/validation");
+const adminRoutes = require("../src/routes/admin");
+
+// Paragraphs of Cyrillic words, right up to the limit
+const PARAGRAPH = "Съдържание на дълга публикация за блога. ".repeat(20) + "\n\n";
+const LONG_POST = PARAGRAPH.repeat(Math.ceil(BODY_MARKDOWN_MAX / PARAGRAPH.length)).slice(0, BODY_MARKDOWN_MAX - 1) + ".";
+
+let app;
+let auth;
+let stored;
+
+before(async () => {
+  app = await startApp({ "/api/admin": adminRoutes });
+});
+after(() => app.close());
+
+beforeEach(() => {
+  prisma.reset();
+  auth = signInAs("owner");
+  stored = null;
+  prisma.post.create = async ({ data }) => (stored = { id: 1, createdAt: new Date(), updatedAt: new Date(), ...data });
+  prisma.post.findUnique = async () => stored;
+  prisma.post.update = async ({ data }) => Object.assign(stored, data, { updatedAt: new Date() });
+});
+
+test("creates and edits a post at the longest body allowed", async () => {
+  const created = await postJson(`${app.url}/api/admin/posts`, { title: "A long one", bodyMarkdown: LONG_POST }, { headers: auth });
+  assert.equal(created.status, 201);
+  assert.equal(stored.bodyMarkdown.length, BODY_MARKDOWN_MAX);
+
+  const edited = LONG_POST.slice(0, -1) + "!";
+  const updated = await postJson(`${app.url}/api/admin/posts/1`, { bodyMarkdown: edited }, { method: "PATCH", headers: auth });
+  assert.equal(updated.status, 200);
+  assert.equal(stored.bodyMarkdown, edited);
+});
+
+test("previews a post at the longest body allowed", async () => {
+  const res = await postJson(`${app.url}/api/admin/posts/preview`, { bodyMarkdown: LONG_POST }, { headers: auth });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.wordCount > 10000);
+});
@@ -0,0 +1,100 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Admin sessions — refresh token rotation and reuse detection,
+//  through POST /api/admin/refresh
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { prisma, startApp, postJson } = require("./helpers");
+const { hashToken } = require("../src/utils/newsletterTokens");
+const adminRoutes = require("../src/routes/admin");
+
+const USER = { id: 1, username: "owner", role: "owner", disabledAt: null };
+const FIRST_TOKEN = "first-refresh-token-0123456789";
+
+let app;
+let session;
+let audit;
+
+before(async () => {
+  app = await startApp({ "/api/admin": adminRoutes });
+});
+after(() => app.close());
+
+// One session row, looked up and updated the way Postgres would
+beforeEach(() => {
+  prisma.reset();
+  audit = [];
+  session = {
+    id: "session-1",
+    userId: USER.id,
+    refreshTokenHash: hashToken(FIRST_TOKEN),
+    previousTokenHash: null,
+    revokedAt: null,
+    createdAt: new Date(),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  };
+  const matches = (where) => Object.entries(where).every(([field, value]) => session[field] === value);
+
+  prisma.adminSession.findUnique = async ({ where, include }) => {
+    if (!matches(where)) return null;
+    return include ? { ...session, user: USER } : { ...session };
+  };
+  prisma.adminSession.updateMany = async ({ where, data }) => {
+    if (!matches(where)) return { count: 0 };
+    Object.assign(session, data);
+    return { count: 1 };
+  };
+  prisma.adminUser.findUnique = async () => ({ username: USER.username });
+  prisma.adminAuditLog.create = async ({ data }) => {
+    audit.push(data);
+    return data;
+  };
+});
+
+const refresh = (refreshToken) => postJson(`${app.url}/api/admin/refresh`, { refreshToken });
+
+test("trades a refresh token for a new pair", async () => {
+  const res = await refresh(FIRST_TOKEN);
+  assert.equal(res.status, 200);
+  assert.notEqual(res.body.refreshToken, FIRST_TOKEN);
+
+  const claims = jwt.verify(res.body.token, process.env.JWT_SECRET);
+  assert.equal(claims.sid, session.id);
+  assert.equal(claims.sub, String(USER.id));
+
+  assert.equal(session.refreshTokenHash, hashToken(res.body.refreshToken));
+  assert.equal(session.previousTokenHash, hashToken(FIRST_TOKEN));
+
+  const next = await refresh(res.body.refreshToken);
+  assert.equal(next.status, 200);
+});
+
+test("revokes the session when a replaced token comes back", async () => {
+  const rotated = await refresh(FIRST_TOKEN);
+  assert.equal(rotated.status, 200);
+
+  const reused = await refresh(FIRST_TOKEN);
+  assert.equal(reused.status, 401);
+  assert.ok(session.revokedAt, "session should be revoked");
+  assert.deepEqual(audit.map(entry => entry.action), ["session.reuse"]);
+
+  // The thief's copy is gone, and so is the legitimate one
+  const afterRevoke = await refresh(rotated.body.refreshToken);
+  assert.equal(afterRevoke.status, 401);
+});
+
+test("lets only one of two racing refreshes win", async () => {
+  const results = await Promise.all([refresh(FIRST_TOKEN), refresh(FIRST_TOKEN)]);
+  assert.deepEqual(results.map(res => res.status).sort(), [200, 401]);
+});
+
+test("refuses unknown tokens and ended sessions", async () => {
+  assert.equal((await refresh("never-issued-token-0123456789")).status, 401);
+
+  session.expiresAt = new Date(Date.now() - 1000);
+  assert.equal((await refresh(FIRST_TOKEN)).status, 401);
+  assert.equal(session.refreshTokenHash, hashToken(FIRST_TOKEN));
+});
@@ -0,0 +1,61 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Campaign sender — who a queued delivery still goes to
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { prisma } = require("./helpers");
+const { processCampaigns } = require("../src/utils/campaignSender");
+
+const CAMPAIGN = { id: 3, status: "sending", subject: "Issue #3", bodyMarkdown: "Hello!" };
+
+let deliveries;
+let sentTo;
+
+// Queued deliveries for one campaign, each with the subscriber as it
+// is now — which can differ from when the campaign started
+function queue(...subscribers) {
+  deliveries = subscribers.map((subscriber, i) => ({
+    id: i + 1,
+    campaignId: CAMPAIGN.id,
+    email: subscriber.email,
+    emailMessageId: null,
+    subscriber: { id: i + 1, unsubNonce: "nonce", unsubAt: null, deletedAt: null, ...subscriber },
+  }));
+}
+
+beforeEach(() => {
+  prisma.reset();
+  sentTo = [];
+  prisma.campaign.findMany = async ({ where }) => (where.status === "sending" ? [CAMPAIGN] : []);
+  prisma.campaignDelivery.findMany = async () => deliveries.filter(d => !d.emailMessageId);
+  prisma.campaignDelivery.delete = async ({ where }) => {
+    deliveries = deliveries.filter(d => d.id !== where.id);
+  };
+  prisma.campaignDelivery.update = async ({ where, data }) => Object.assign(deliveries.find(d => d.id === where.id), data);
+  prisma.emailMessage.create = async ({ data }) => {
+    sentTo.push(data.to);
+    return { id: sentTo.length, ...data };
+  };
+  mock.method(console, "log", () => {});   // The console transport prints each email
+});
+afterEach(() => mock.restoreAll());
+
+test("sends to subscribers who are still subscribed", async () => {
+  queue({ email: "ada@example.com" }, { email: "grace@example.com" });
+  await processCampaigns();
+
+  assert.deepEqual(sentTo, ["ada@example.com", "grace@example.com"]);
+});
+
+test("drops subscribers who left or were trashed after the campaign started", async () => {
+  queue(
+    { email: "ada@example.com" },
+    { email: "left@example.com", unsubAt: new Date() },
+    { email: "trashed@example.com", deletedAt: new Date() },
+  );
+  await processCampaigns();
+
+  assert.deepEqual(sentTo, ["ada@example.com"]);
+  assert.deepEqual(deliveries.map(d => d.email), ["ada@example.com"]);
+});
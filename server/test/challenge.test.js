@@ -0,0 +1,118 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Form challenges — GET /api/challenge, then POST /api/contact
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { prisma, startApp, postJson, solveChallenge, skipAhead } = require("./helpers");
+const challengeRoutes = require("../src/routes/challenge");
+const contactRoutes = require("../src/routes/contact");
+
+const MESSAGE = { name: "Ada", email: "ada@example.com", subject: "Hello", message: "Lovely site!" };
+
+let app;
+let spent;
+
+before(async () => {
+  app = await startApp({ "/api/challenge": challengeRoutes, "/api/contact": contactRoutes });
+});
+after(() => app.close());
+
+// used_challenges: the primary key turns a second insert into P2002
+beforeEach(() => {
+  prisma.reset();
+  spent = new Set();
+  prisma.usedChallenge.create = async ({ data }) => {
+    if (spent.has(data.id)) throw Object.assign(new Error("Unique constraint failed"), { code: "P2002" });
+    spent.add(data.id);
+    return data;
+  };
+});
+
+async function issue(form = "contact") {
+  const res = await fetch(`${app.url}/api/challenge?form=${form}`);
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+const submit = (body) => postJson(`${app.url}/api/contact`, body);
+
+test("issues a challenge only for known forms", async () => {
+  const res = await fetch(`${app.url}/api/challenge?form=comments`);
+  assert.equal(res.status, 400);
+
+  const challenge = await issue();
+  assert.equal(challenge.difficulty, 4);
+  assert.equal(challenge.honeypotFields.length, 2);
+});
+
+test("accepts a solved challenge once", async (t) => {
+  const challenge = solveChallenge(await issue());
+  skipAhead(t, 5000);
+
+  const first = await submit({ ...MESSAGE, challenge });
+  assert.equal(first.status, 201);
+  assert.equal(spent.size, 1);
+
+  const replay = await submit({ ...MESSAGE, challenge });
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.code, "challenge_reused");
+});
+
+test("doesn't spend the challenge on a submission that fails validation", async (t) => {
+  const challenge = solveChallenge(await issue());
+  skipAhead(t, 5000);
+
+  const typo = await submit({ ...MESSAGE, email: "ada@", challenge });
+  assert.equal(typo.status, 400);
+  assert.equal(spent.size, 0);
+
+  const fixed = await submit({ ...MESSAGE, challenge });
+  assert.equal(fixed.status, 201);
+});
+
+test("doesn't spend the challenge of a blocked sender", async (t) => {
+  prisma.blockRule.findMany = async () => [{ id: 1, kind: "email", value: "ada@example.com" }];
+  const challenge = solveChallenge(await issue());
+  skipAhead(t, 5000);
+
+  const res = await submit({ ...MESSAGE, challenge });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "blocked");
+  assert.equal(spent.size, 0);
+});
+
+test("rejects submissions without a valid challenge", async (t) => {
+  const issued = await issue();
+  const challenge = solveChallenge(issued);
+  const forNewsletter = solveChallenge(await issue("newsletter"));
+  const [payload] = challenge.token.split(".");
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  const forged = Buffer.from(JSON.stringify({ ...claims, difficulty: 0 })).toString("base64url");
+
+  const tooFast = await submit({ ...MESSAGE, challenge });
+  assert.equal(tooFast.body.code, "submitted_too_fast");
+
+  skipAhead(t, 5000);
+  const cases = [
+    [{ ...MESSAGE }, "challenge_required"],
+    [{ ...MESSAGE, challenge: { token: `${forged}.${challenge.token.split(".")[1]}`, solution: "0" } }, "challenge_invalid"],
+    [{ ...MESSAGE, challenge: forNewsletter }, "challenge_invalid"],
+    [{ ...MESSAGE, challenge: { ...challenge, solution: "not-it" } }, "challenge_unsolved"],
+    [{ ...MESSAGE, [issued.honeypotFields[0]]: "https://spam.example", challenge }, "honeypot_filled"],
+  ];
+  for (const [body, code] of cases) {
+    const res = await submit(body);
+    assert.equal(res.status, 400, code);
+    assert.equal(res.body.code, code);
+  }
+  assert.equal(spent.size, 0);
+});
+
+test("rejects an expired challenge", async (t) => {
+  const challenge = solveChallenge(await issue());
+  skipAhead(t, 31 * 60 * 1000);
+
+  const res = await submit({ ...MESSAGE, challenge });
+  assert.equal(res.body.code, "challenge_expired");
+});
@@ -0,0 +1,168 @@
+// ═══════════════════════════════════════════════════════════════════
+//  TEST HELPERS — Fake Database, Throwaway Server, Challenge Solver
+//
+//  Require this before anything from src/: it sets the environment
+//  the modules read at load time and swaps the shared Prisma client
+//  (src/utils/prisma.js) for an in-memory fake, so the routes run
+//  end to end without a database.
+//
+//    const { prisma, startApp, solveChallenge } = require("./helpers");
+//    const contactRoutes = require("../src/routes/contact");
+//
+//  Every model on the fake answers like an empty table. A test
+//  replaces the methods it cares about (prisma.usedChallenge.create =
+//  ...); prisma.reset() puts everything back.
+// ═══════════════════════════════════════════════════════════════════
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.CHALLENGE_DIFFICULTY = "4";   // A handful of hashes to solve
+delete process.env.CHALLENGE_SECRET;
+delete process.env.IP_HASH_SECRET;
+delete process.env.TOTP_ENCRYPTION_KEY;
+delete process.env.CONTACT_NOTIFY_EMAIL;
+delete process.env.CONTACT_AUTO_ACK;
+
+// ─── Fake Prisma ────────────────────────────────────────────────
+
+function emptyModel(nextId) {
+  return {
+    findMany: async () => [],
+    findFirst: async () => null,
+    findUnique: async () => null,
+    count: async () => 0,
+    create: async ({ data }) => ({ id: nextId(), createdAt: new Date(), updatedAt: new Date(), ...data }),
+    update: async ({ where, data }) => ({ ...where, ...data }),
+    updateMany: async () => ({ count: 0 }),
+    deleteMany: async () => ({ count: 0 }),
+    upsert: async ({ create }) => create,
+  };
+}
+
+function createFakePrisma() {
+  let lastId = 0;
+  const nextId = () => ++lastId;
+  const models = new Map();
+
+  // The rate limiter's upsert: every request is the first in its window
+  const countHit = async () => [{ hits: 1, resetAt: new Date(Date.now() + 60 * 1000) }];
+
+  const client = {
+    $queryRaw: countHit,
+    $transaction: async (arg) => (typeof arg === "function" ? arg(fake) : Promise.all(arg)),
+    reset() {
+      models.clear();
+      lastId = 0;
+      client.$queryRaw = countHit;
+    },
+  };
+
+  const fake = new Proxy(client, {
+    get(target, name) {
+      if (typeof name === "symbol" || name in target || name === "then") return target[name];
+      if (!models.has(name)) models.set(name, emptyModel(nextId));
+      return models.get(name);
+    },
+  });
+  return fake;
+}
+
+const prisma = createFakePrisma();
+const prismaPath = require.resolve("../src/utils/prisma");
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: prisma };
+
+// ─── Server ─────────────────────────────────────────────────────
+
+/**
+ * startApp — serves `routes` ({ "/api/contact": router, ... }) the way
+ * index.js mounts them, on a free port. Resolves to { url, close }.
+ */
+function startApp(routes) {
+  // Required here, after the fake is in place
+  const { jsonBody } = require("../src/middleware/jsonBody");
+
+  const app = express();
+  app.use(jsonBody);
+  app.set("trust proxy", 1);
+  for (const [mountPath, router] of Object.entries(routes)) {
+    app.use(mountPath, router);
+  }
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+// Sends `body` as JSON; resolves to { status, body }
+async function postJson(url, body, { method = "POST", headers = {} } = {}) {
+  const res = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+// ─── Admin ──────────────────────────────────────────────────────
+
+/**
+ * signInAs — headers for an admin with `role`, whose session the fake
+ * finds when requireAdmin looks it up (call after prisma.reset()).
+ */
+function signInAs(role = "owner") {
+  const user = { id: 1, username: role, role, disabledAt: null };
+  prisma.adminSession.findUnique = async () => ({
+    id: 1,
+    userId: user.id,
+    revokedAt: null,
+    createdAt: new Date(),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    user,
+  });
+  const token = jwt.sign({ sub: String(user.id), sid: 1, username: user.username, role }, process.env.JWT_SECRET);
+  return { Authorization: `Bearer ${token}` };
+}
+
+// ─── Challenges ─────────────────────────────────────────────────
+
+// What a form does in the browser (see confirmPage() in
+// utils/emailTemplates.js): find a solution whose hash starts with
+// `difficulty` zero bits
+function solveChallenge({ token, salt, difficulty }) {
+  for (let solution = 0; ; solution++) {
+    const hash = crypto.createHash("sha256").update(`${salt}:${solution}`).digest();
+    let bits = 0;
+    for (const byte of hash) {
+      if (byte === 0) { bits += 8; continue; }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+    if (bits >= difficulty) return { token, solution: String(solution) };
+  }
+}
+
+// Freezes Date.now() `ms` ahead for the rest of test `t` — challenges
+// refuse submissions made within seconds of being issued
+function skipAhead(t, ms) {
+  const later = Date.now() + ms;
+  t.mock.method(Date, "now", () => later);
+}
+
+module.exports = {
+  prisma,
+  startApp,
+  postJson,
+  signInAs,
+  solveChallenge,
+  skipAhead,
+};
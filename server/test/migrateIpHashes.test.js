@@ -0,0 +1,146 @@
+// ═══════════════════════════════════════════════════════════════════
+//  prisma/migrate-ip-hashes.js — re-keying legacy IP hashes
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+require("./helpers");
+const { pseudonymFromHash, periodEnd } = require("../src/utils/ipHash");
+const { migrate, parseArgs } = require("../prisma/migrate-ip-hashes");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const CUTOVER = new Date("2026-06-01T00:00:00Z");
+const OLD = new Date("2026-05-20T10:00:00Z");
+const NEW = new Date("2026-06-02T10:00:00Z");
+const LEGACY = sha256("203.0.113.7");
+
+// Enough of Postgres for the script: rows per table, a `where` of
+// equality / { not } / { lt }, and a transaction that commits only if
+// its callback finishes
+function matches(row, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+      if ("not" in condition && row[field] === condition.not) return false;
+      if ("lt" in condition && !(row[field] < condition.lt)) return false;
+      return true;
+    }
+    return row[field] === condition;
+  });
+}
+
+function tableDelegate(rows) {
+  return {
+    findMany: async ({ where }) => rows.filter(row => matches(row, where)).map(row => ({ ...row })),
+    findUnique: async ({ where }) => rows.find(row => matches(row, where)) || null,
+    create: async ({ data }) => {
+      const row = { ...data, updatedAt: new Date() };
+      rows.push(row);
+      return row;
+    },
+    update: async ({ where, data }) => {
+      const row = rows.find(r => matches(r, where));
+      if (!row) throw Object.assign(new Error("Record not found"), { code: "P2025" });
+      return Object.assign(row, data);
+    },
+  };
+}
+
+const TABLES = { guestbookEntry: "guestbook", contactMessage: "contacts", blockRule: "rules", siteSetting: "settings" };
+
+function fakeClient(db, { failOn } = {}) {
+  return {
+    async $transaction(callback) {
+      const draft = structuredClone(db);
+      const tx = {};
+      for (const [model, table] of Object.entries(TABLES)) tx[model] = tableDelegate(draft[table]);
+      if (failOn) {
+        const update = tx[failOn].update;
+        tx[failOn].update = async (args) => {
+          await update(args);
+          throw new Error("connection lost");
+        };
+      }
+      const result = await callback(tx);
+      Object.assign(db, draft);
+      return result;
+    },
+  };
+}
+
+let db;
+
+beforeEach(() => {
+  db = {
+    guestbook: [
+      { id: 1, ipHash: LEGACY, createdAt: OLD },
+      { id: 2, ipHash: null, createdAt: OLD },
+      { id: 3, ipHash: "already-a-pseudonym", createdAt: NEW },
+    ],
+    contacts: [{ id: 1, ipHash: LEGACY, createdAt: OLD }],
+    rules: [
+      { id: 1, kind: "ip_hash", value: LEGACY, createdAt: OLD, expiresAt: null },
+      { id: 2, kind: "ip_hash", value: LEGACY.slice(0, 12), createdAt: OLD, expiresAt: null },
+      { id: 3, kind: "email", value: "spam@example.com", createdAt: OLD, expiresAt: null },
+    ],
+    settings: [],
+  };
+  mock.method(console, "log", () => {});   // The script reports as it goes
+});
+afterEach(() => mock.restoreAll());
+
+test("re-keys legacy hashes into the pseudonym of the day they were made", async () => {
+  assert.equal(await migrate(fakeClient(db), { before: CUTOVER, clear: false }), true);
+
+  const pseudonym = pseudonymFromHash(LEGACY, OLD);
+  assert.equal(db.guestbook[0].ipHash, pseudonym);
+  assert.equal(db.guestbook[1].ipHash, null);
+  assert.equal(db.guestbook[2].ipHash, "already-a-pseudonym");
+  assert.equal(db.contacts[0].ipHash, pseudonym);
+
+  // Full-hash rules are re-keyed and end with their period; tag rules
+  // and other kinds are left alone
+  assert.equal(db.rules[0].value, pseudonym);
+  assert.deepEqual(db.rules[0].expiresAt, periodEnd(OLD));
+  assert.equal(db.rules[1].value, LEGACY.slice(0, 12));
+  assert.equal(db.rules[2].value, "spam@example.com");
+
+  assert.equal(db.settings.length, 1);
+});
+
+test("clears legacy hashes with --clear", async () => {
+  await migrate(fakeClient(db), parseArgs(["--clear", "--before", CUTOVER.toISOString()]));
+
+  assert.equal(db.guestbook[0].ipHash, null);
+  assert.equal(db.guestbook[2].ipHash, "already-a-pseudonym");
+  assert.equal(db.contacts[0].ipHash, null);
+  assert.equal(db.rules[0].value, LEGACY);
+});
+
+test("runs only once", async () => {
+  await migrate(fakeClient(db), { before: CUTOVER, clear: false });
+  const once = structuredClone(db);
+
+  assert.equal(await migrate(fakeClient(db), { before: CUTOVER, clear: false }), false);
+  assert.deepEqual(db, once);
+});
+
+test("changes nothing when a run fails part-way", async () => {
+  const untouched = structuredClone(db);
+
+  await assert.rejects(
+    migrate(fakeClient(db, { failOn: "contactMessage" }), { before: CUTOVER, clear: false }),
+    /connection lost/
+  );
+  assert.deepEqual(db, untouched);
+
+  // …and can simply be run again
+  assert.equal(await migrate(fakeClient(db), { before: CUTOVER, clear: false }), true);
+  assert.equal(db.contacts[0].ipHash, pseudonymFromHash(LEGACY, OLD));
+});
+
+test("refuses unknown options and bad dates", () => {
+  assert.throws(() => parseArgs(["--dry-run"]), /Unknown option/);
+  assert.throws(() => parseArgs(["--before", "someday"]), /valid date/);
+});
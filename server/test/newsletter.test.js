@@ -0,0 +1,154 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Newsletter links — confirm and unsubscribe links ask, only a POST acts
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { prisma, startApp, postJson, solveChallenge, skipAhead } = require("./helpers");
+const { CONFIRM_TTL_HOURS, hashToken } = require("../src/utils/newsletterTokens");
+const challengeRoutes = require("../src/routes/challenge");
+const newsletterRoutes = require("../src/routes/newsletter");
+
+const TOKEN = "unsub-token-0123456789";
+const CONFIRM_TOKEN = "confirm-token-0123456789";
+
+let app;
+let subscriber;
+
+before(async () => {
+  app = await startApp({ "/api/challenge": challengeRoutes, "/api/newsletter": newsletterRoutes });
+});
+after(() => app.close());
+
+beforeEach(() => {
+  prisma.reset();
+  subscriber = {
+    id: 1,
+    email: "ada@example.com",
+    confirmed: false,
+    confirmToken: hashToken(CONFIRM_TOKEN),
+    confirmTokenIssuedAt: new Date(),
+    deletedAt: null,
+    unsubToken: hashToken(TOKEN),
+    unsubAt: null,
+  };
+  // Finds the subscriber when every field in `where` matches
+  const matches = (where) => Object.entries(where).every(([field, value]) => subscriber[field] === value);
+  prisma.newsletterSub.findFirst = async ({ where }) => (matches(where) ? { ...subscriber } : null);
+  prisma.newsletterSub.findUnique = async ({ where }) => (matches(where) ? { ...subscriber } : null);
+  prisma.newsletterSub.update = async ({ data }) => Object.assign(subscriber, data);
+});
+
+const unsubscribeUrl = (token = TOKEN) => `${app.url}/api/newsletter/unsubscribe/${token}`;
+
+test("opening the link only shows the confirmation page", async () => {
+  const res = await fetch(unsubscribeUrl());
+  assert.equal(res.status, 200);
+
+  const page = await res.text();
+  assert.match(page, /ada@example\.com/);
+  assert.match(page, /<form method="POST" action="[^"]+\/api\/newsletter\/unsubscribe\/unsub-token-0123456789"/);
+  assert.equal(subscriber.unsubAt, null);
+});
+
+test("the page's button unsubscribes", async () => {
+  const res = await fetch(unsubscribeUrl(), {
+    method: "POST",
+    headers: { Accept: "text/html", "Content-Type": "application/x-www-form-urlencoded" },
+    body: "",
+  });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /unsubscribed/);
+  assert.ok(subscriber.unsubAt);
+});
+
+test("a one-click POST from a mail app unsubscribes", async () => {
+  const res = await fetch(unsubscribeUrl(), {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: "List-Unsubscribe=One-Click",
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).status, "unsubscribed");
+  assert.ok(subscriber.unsubAt);
+
+  const again = await fetch(unsubscribeUrl(), { method: "POST" });
+  assert.equal(again.status, 404);
+});
+
+test("an unknown token gets the not-found page", async () => {
+  const res = await fetch(unsubscribeUrl("not-a-real-token-0123"));
+  assert.equal(res.status, 404);
+  assert.match(await res.text(), /invalid/);
+});
+
+// ─── Confirm ────────────────────────────────────────────────────
+
+const confirmUrl = (token = CONFIRM_TOKEN) => `${app.url}/api/newsletter/confirm/${token}`;
+
+function expireConfirmToken() {
+  subscriber.confirmTokenIssuedAt = new Date(Date.now() - (CONFIRM_TTL_HOURS + 1) * 60 * 60 * 1000);
+}
+
+test("opening the confirm link only shows the confirmation page", async () => {
+  const res = await fetch(confirmUrl());
+  assert.equal(res.status, 200);
+
+  const page = await res.text();
+  assert.match(page, /ada@example\.com/);
+  assert.match(page, /<form method="POST" action="[^"]+\/api\/newsletter\/confirm\/confirm-token-0123456789"/);
+  assert.equal(subscriber.confirmed, false);
+});
+
+test("the confirm page's button confirms, once", async () => {
+  const res = await fetch(confirmUrl(), {
+    method: "POST",
+    headers: { Accept: "text/html", "Content-Type": "application/x-www-form-urlencoded" },
+    body: "",
+  });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /Welcome aboard/);
+  assert.equal(subscriber.confirmed, true);
+  assert.equal(subscriber.confirmToken, null);
+
+  const again = await postJson(confirmUrl(), {});
+  assert.equal(again.status, 404);
+});
+
+test("an expired link offers a new one, solving the challenge in the page", async (t) => {
+  expireConfirmToken();
+
+  const res = await fetch(confirmUrl());
+  assert.equal(res.status, 410);
+  const page = await res.text();
+  assert.match(page, /has expired/);
+  assert.doesNotMatch(page, /<form/);
+
+  // The page's script parses; its button carries where to get a
+  // challenge and where to send it
+  const script = page.match(/<script>([\s\S]*)<\/script>/)[1];
+  assert.doesNotThrow(() => new Function(script));
+  const challengeUrl = page.match(/data-challenge-url="([^"]+)"/)[1].replace(/&amp;/g, "&");
+  const resendUrl = page.match(/data-resend-url="([^"]+)"/)[1];
+  assert.match(challengeUrl, /\/api\/challenge\?form=newsletter$/);
+  assert.match(resendUrl, /\/api\/newsletter\/confirm\/confirm-token-0123456789\/resend$/);
+
+  // What the script does, against this server
+  const issued = await (await fetch(`${app.url}/api/challenge?form=newsletter`)).json();
+  const challenge = solveChallenge(issued);
+  skipAhead(t, issued.minSubmitSeconds * 1000);
+  const resent = await postJson(`${app.url}${new URL(resendUrl).pathname}`, { challenge });
+  assert.equal(resent.status, 200);
+  assert.equal(resent.body.status, "confirmation_resent");
+  assert.notEqual(subscriber.confirmToken, hashToken(CONFIRM_TOKEN));
+  assert.equal(subscriber.confirmed, false);
+});
+
+test("an expired link can't be confirmed", async () => {
+  expireConfirmToken();
+
+  const res = await postJson(confirmUrl(), {});
+  assert.equal(res.status, 410);
+  assert.equal(res.body.resend.challenge, "newsletter");
+  assert.equal(subscriber.confirmed, false);
+});
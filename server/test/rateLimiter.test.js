@@ -0,0 +1,69 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Rate limiters — counting across a pseudonym rotation, and what
+//  happens when their counters can't be reached
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { prisma, startApp, postJson } = require("./helpers");
+const adminRoutes = require("../src/routes/admin");
+const challengeRoutes = require("../src/routes/challenge");
+const { generalLimiter } = require("../src/middleware/rateLimiter");
+const { ROTATION_MS, ipHashFor, limiterKeyFor } = require("../src/utils/ipHash");
+
+let app;
+
+before(async () => {
+  const publicRoutes = require("express").Router().use(generalLimiter, challengeRoutes);
+  app = await startApp({ "/api/admin": adminRoutes, "/api/challenge": publicRoutes });
+});
+after(() => app.close());
+
+beforeEach(() => {
+  prisma.reset();
+  prisma.$queryRaw = async () => { throw new Error("database unreachable"); };
+  mock.method(console, "error", () => {});
+});
+afterEach(() => mock.restoreAll());
+
+test("admin login fails closed", async () => {
+  let looked = false;
+  prisma.adminUser.findUnique = async () => { looked = true; return null; };
+
+  const res = await postJson(`${app.url}/api/admin/login`, { username: "owner", password: "hunter2hunter2" });
+  assert.equal(res.status, 503);
+  assert.equal(looked, false, "the password must not be checked");
+});
+
+test("public routes stay up", async () => {
+  const res = await fetch(`${app.url}/api/challenge?form=contact`);
+  assert.equal(res.status, 200);
+});
+
+test("limiter keys hold across a rotation, unlike the pseudonym", (t) => {
+  const req = { ip: "203.0.113.7" };
+  t.mock.timers.enable({ apis: ["Date"], now: 1000 * ROTATION_MS - 1000 });
+  const key = limiterKeyFor(req);
+  const pseudonym = ipHashFor(req);
+
+  t.mock.timers.tick(2000);
+  assert.notEqual(ipHashFor(req), pseudonym);
+  assert.equal(limiterKeyFor(req), key);
+  assert.notEqual(limiterKeyFor({ ip: "203.0.113.8" }), key);
+});
+
+test("admin logins keep counting when the period turns", async (t) => {
+  const hits = new Map();
+  prisma.$queryRaw = async (strings, limiter, key, resetAt) => {
+    const id = `${limiter}:${key}`;
+    hits.set(id, (hits.get(id) || 0) + 1);
+    return [{ hits: hits.get(id), resetAt }];
+  };
+  const attempt = () => postJson(`${app.url}/api/admin/login`, { username: "nobody", password: "hunter2hunter2" });
+
+  t.mock.timers.enable({ apis: ["Date"], now: 1000 * ROTATION_MS - 60 * 1000 });
+  for (let i = 0; i < 5; i++) assert.equal((await attempt()).status, 401);
+
+  t.mock.timers.tick(2 * 60 * 1000);
+  assert.equal((await attempt()).status, 429);
+});
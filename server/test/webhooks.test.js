@@ -0,0 +1,146 @@
+// ═══════════════════════════════════════════════════════════════════
+//  Webhooks — a contact message reaches a listening endpoint, signed,
+//  and only the start of the endpoint's answer is read
+// ═══════════════════════════════════════════════════════════════════
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { prisma, startApp, postJson, solveChallenge, skipAhead } = require("./helpers");
+const { issueSecret, signatureFor } = require("../src/utils/webhooks");
+const challengeRoutes = require("../src/routes/challenge");
+const contactRoutes = require("../src/routes/contact");
+
+const MESSAGE = { name: "Ada", email: "ada@example.com", subject: "Hello", message: "Lovely site!" };
+
+let app;
+let receiver;
+let received;
+let recorded;
+let respond;
+
+// An endpoint that records the raw body and headers of each request,
+// then answers with respond(res)
+before(async () => {
+  app = await startApp({ "/api/challenge": challengeRoutes, "/api/contact": contactRoutes });
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      respond(res);
+      received.resolve({ headers: req.headers, body });
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+});
+after(async () => {
+  await app.close();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+let secret;
+let deliveries;
+
+beforeEach(() => {
+  prisma.reset();
+  received = deferred();
+  recorded = deferred();
+  respond = (res) => res.end("ok");
+  deliveries = [];
+
+  const issued = issueSecret();
+  secret = issued.secret;
+  const webhook = {
+    id: 7,
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    format: "json",
+    secret: issued.sealed,
+    active: true,
+    events: ["contact.created"],
+  };
+
+  prisma.webhook.findMany = async () => [{ id: webhook.id }];
+  prisma.webhook.findUnique = async () => webhook;
+  prisma.webhookDelivery.create = async ({ data }) => {
+    const row = { id: deliveries.length + 1, status: "pending", attempts: 0, updatedAt: new Date(), ...data };
+    deliveries.push(row);
+    return row;
+  };
+  prisma.webhookDelivery.updateMany = async () => ({ count: 1 });
+  prisma.webhookDelivery.update = async ({ where, data }) => {
+    const row = Object.assign(deliveries.find(d => d.id === where.id), data);
+    recorded.resolve(row);
+    return row;
+  };
+});
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+async function sendMessage(t) {
+  const issued = await (await fetch(`${app.url}/api/challenge?form=contact`)).json();
+  const challenge = solveChallenge(issued);
+  skipAhead(t, 5000);
+  return postJson(`${app.url}/api/contact`, { ...MESSAGE, challenge });
+}
+
+test("signs each delivery with the endpoint's secret", async (t) => {
+  const res = await sendMessage(t);
+  assert.equal(res.status, 201);
+
+  const { headers, body } = await received.promise;
+  assert.equal(headers["x-webhook-event"], "contact.created");
+  assert.equal(headers["x-webhook-id"], "1");
+
+  // What a receiver does: recompute the HMAC over the raw body
+  const timestamp = headers["x-webhook-timestamp"];
+  const expected = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  assert.equal(headers["x-webhook-signature"], `sha256=${expected}`);
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, "contact.created");
+  assert.equal(payload.data.email, MESSAGE.email);
+
+  const delivery = await recorded.promise;
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.responseStatus, 200);
+});
+
+test("reads only the start of an answer that never ends", async (t) => {
+  const stopped = deferred();
+  respond = (res) => {
+    const chunk = "x".repeat(64 * 1024);
+    const timer = setInterval(() => res.write(chunk), 5);
+    res.on("close", () => {
+      clearInterval(timer);
+      stopped.resolve();
+    });
+    res.write(chunk);
+  };
+
+  const res = await sendMessage(t);
+  assert.equal(res.status, 201);
+
+  const delivery = await recorded.promise;
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.responseBody, "x".repeat(1000));
+  await stopped.promise;   // The rest was cancelled, closing the connection
+});
+
+test("a signature doesn't carry over to another body, timestamp or secret", () => {
+  const signature = signatureFor(secret, 1700000000, '{"event":"contact.created"}');
+
+  assert.notEqual(signatureFor(secret, 1700000000, '{"event":"contact.created" }'), signature);
+  assert.notEqual(signatureFor(secret, 1700000001, '{"event":"contact.created"}'), signature);
+  assert.notEqual(signatureFor(issueSecret().secret, 1700000000, '{"event":"contact.created"}'), signature);
+});
+
+test("stores only the sealed secret", () => {
+  const { secret: shown, sealed } = issueSecret();
+  assert.match(shown, /^whsec_/);
+  assert.ok(!sealed.includes(shown));
+});